@@ -12,6 +12,7 @@ import apiRoutes from './routes/api/v1/index.js';
 import { logger } from './utils/logger.js';
 import csrfProtection from './middlewares/csrfProtection.js';
 import applyCsrfProtection from './middlewares/csrf.js';
+import { LOCAL_MEDIA_DIR } from './config/storage.js';
 
 const app = express();
 
@@ -56,6 +57,19 @@ app.use('/api', generalLimiter);
 // CSRF Protection
 app.use(csrfProtection);
 
+// Serve locally stored media (MEDIA_STORAGE_DRIVER=local)
+if (process.env.MEDIA_STORAGE_DRIVER === 'local') {
+  app.use(
+    '/media',
+    express.static(LOCAL_MEDIA_DIR, {
+      fallthrough: false,
+      setHeaders: (res) => {
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      },
+    })
+  );
+}
+
 // Routes
 app.use('/api/v1', applyCsrfProtection(apiRoutes));
 
@@ -23,4 +23,69 @@ const testCloudinaryConnection = async () => {
   }
 };
 
-export { cloudinary, testCloudinaryConnection };
+/**
+ * Upload an in-memory buffer to Cloudinary and return the full upload result
+ * (public_id, secure_url, width, height, duration, ...).
+ *
+ * @param {Buffer} buffer - File contents.
+ * @param {Object} [options={}] - Cloudinary upload options (resource_type, folder, ...).
+ * @returns {Promise<Object>} - Cloudinary upload result.
+ */
+const uploadBufferToCloudinary = (buffer, options = {}) =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      options,
+      (error, result) => {
+        if (error) {
+          logger.error('❌ Cloudinary upload error:', error);
+          return reject(new Error('Cloudinary upload failed.'));
+        }
+        resolve(result);
+      }
+    );
+    stream.end(buffer);
+  });
+
+/**
+ * Upload a file on disk to Cloudinary in chunks, so large files never have
+ * to be held in memory.
+ *
+ * @param {string} filePath - Path of the file.
+ * @param {Object} [options={}] - Cloudinary upload options (resource_type, type, public_id, ...).
+ * @returns {Promise<Object>} - Cloudinary upload result.
+ */
+const uploadFileToCloudinary = (filePath, options = {}) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(filePath, options, (error, result) => {
+      if (error) {
+        logger.error('❌ Cloudinary upload error:', error);
+        return reject(new Error('Cloudinary upload failed.'));
+      }
+      resolve(result);
+    });
+  });
+
+/**
+ * Upload an in-memory buffer to Cloudinary.
+ *
+ * @param {Buffer} buffer - File contents.
+ * @param {string} mimetype - MIME type of the file.
+ * @param {Object} [options={}] - Extra Cloudinary upload options (folder, public_id, ...).
+ * @returns {Promise<string>} - Secure URL of the uploaded asset.
+ */
+const uploadToCloudinary = async (buffer, mimetype, options = {}) => {
+  const resourceType = mimetype?.startsWith('image/') ? 'image' : 'raw';
+  const result = await uploadBufferToCloudinary(buffer, {
+    resource_type: resourceType,
+    ...options,
+  });
+  return result.secure_url;
+};
+
+export {
+  cloudinary,
+  testCloudinaryConnection,
+  uploadBufferToCloudinary,
+  uploadFileToCloudinary,
+  uploadToCloudinary,
+};
@@ -0,0 +1,130 @@
+// src/config/embedder.js
+
+import crypto from 'crypto';
+import OpenAI from 'openai';
+import { logger } from '../utils/logger.js';
+
+const LOCAL_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS, 10) || 384;
+const OPENAI_EMBEDDING_MODEL =
+  process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+
+const STOP_WORDS = new Set(
+  `a an and are as at be but by for from has have he her his i in is it its
+  me my of on or our she so that the their them they this to was we were what
+  when which who will with you your`.split(/\s+/)
+);
+
+/**
+ * Lowercase, strip punctuation, drop stop words and trim common suffixes so
+ * "leading", "leads" and "lead" land on the same feature.
+ *
+ * @param {string} text - Source text.
+ * @returns {Array<string>} - Normalized tokens.
+ */
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => word.replace(/(ing|ed|ly|es|s)$/, '') || word);
+
+/**
+ * Add a hashed feature to a vector. The hash picks both the dimension and
+ * the sign, which keeps collisions from systematically inflating scores.
+ *
+ * @param {Float64Array} vector - Vector to update.
+ * @param {string} feature - Feature string.
+ * @param {number} weight - Feature weight.
+ */
+const addFeature = (vector, feature, weight) => {
+  const digest = crypto.createHash('md5').update(feature).digest();
+  const index = digest.readUInt32BE(0) % vector.length;
+  vector[index] += digest[4] & 1 ? weight : -weight;
+};
+
+/**
+ * Deterministic local embedder using feature hashing over words and word
+ * pairs. Needs no network access, so it backs tests and development; it
+ * captures shared vocabulary rather than meaning.
+ */
+export const localEmbedder = {
+  name: 'local',
+  model: `local-hash-${LOCAL_DIMENSIONS}`,
+  dimensions: LOCAL_DIMENSIONS,
+
+  /**
+   * @param {Array<string>} texts - Texts to embed.
+   * @returns {Promise<Array<Array<number>>>} - Unit-length vectors.
+   */
+  async embed(texts) {
+    return texts.map((text) => {
+      const vector = new Float64Array(LOCAL_DIMENSIONS);
+      const tokens = tokenize(text);
+
+      tokens.forEach((token, i) => {
+        addFeature(vector, token, 1);
+        if (i > 0) addFeature(vector, `${tokens[i - 1]} ${token}`, 0.5);
+      });
+
+      const norm = Math.hypot(...vector) || 1;
+      return Array.from(vector, (value) => value / norm);
+    });
+  },
+};
+
+let openAiClient;
+
+/**
+ * OpenAI embedder. The client is created on first use, since the OpenAI
+ * SDK refuses to construct one without an API key.
+ */
+export const openAiEmbedder = {
+  name: 'openai',
+  model: OPENAI_EMBEDDING_MODEL,
+
+  /**
+   * @param {Array<string>} texts - Texts to embed.
+   * @returns {Promise<Array<Array<number>>>} - Embedding vectors.
+   */
+  async embed(texts) {
+    openAiClient =
+      openAiClient || new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const response = await openAiClient.embeddings.create({
+      model: OPENAI_EMBEDDING_MODEL,
+      input: texts,
+    });
+
+    return [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  },
+};
+
+const embedders = {
+  local: localEmbedder,
+  openai: openAiEmbedder,
+};
+
+/**
+ * Pick the embedder for the configured provider. OpenAI is used when
+ * EMBEDDING_PROVIDER says so, or by default when an API key is set.
+ *
+ * @param {Object} [env=process.env] - Environment to read.
+ * @returns {Object} - The embedder.
+ */
+export const selectEmbedder = (env = process.env) => {
+  const provider =
+    env.EMBEDDING_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'local');
+  if (!embedders[provider]) {
+    logger.warn(
+      `⚠️ Unknown EMBEDDING_PROVIDER "${provider}", falling back to local embeddings.`
+    );
+  }
+
+  return embedders[provider] || localEmbedder;
+};
+
+export const embedder = selectEmbedder();
+
+export default embedder;
@@ -0,0 +1,169 @@
+// src/config/storage.js
+
+import fs from 'fs/promises';
+import path from 'path';
+import { nanoid } from 'nanoid';
+import { cloudinary, uploadFileToCloudinary } from './cloudinary.js';
+import { logger } from '../utils/logger.js';
+
+const THUMBNAIL_WIDTH = 480;
+
+export const LOCAL_MEDIA_DIR = path.resolve(
+  process.env.MEDIA_LOCAL_DIR || 'uploads/media'
+);
+const LOCAL_MEDIA_URL = (
+  process.env.MEDIA_PUBLIC_URL || 'http://localhost:5000/media'
+).replace(/\/+$/, '');
+
+/**
+ * Cloudinary resource type for a media kind.
+ *
+ * @param {string} kind - 'image', 'video', 'audio' or 'document'.
+ * @returns {string} - 'video' or 'image'.
+ */
+const cloudinaryResourceType = (kind) =>
+  ['video', 'audio'].includes(kind) ? 'video' : 'image';
+
+/**
+ * Cloudinary storage. Audio and video are stored as Cloudinary "video"
+ * resources and PDFs as "image" resources so Cloudinary can report duration
+ * and dimensions and render thumbnails.
+ */
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  /**
+   * @param {string} filePath - Path of the uploaded file.
+   * @param {Object} file - File details.
+   * @param {string} file.kind - 'image', 'video', 'audio' or 'document'.
+   * @param {string} file.ext - File extension.
+   * @param {string} [file.folder='media'] - Destination folder.
+   * @returns {Promise<Object>} - URL, thumbnail and storage-derived metadata.
+   */
+  async save(filePath, { kind, ext, folder = 'media' }) {
+    const resourceType = cloudinaryResourceType(kind);
+    const result = await uploadFileToCloudinary(filePath, {
+      resource_type: resourceType,
+      folder,
+      format: ext,
+    });
+
+    let thumbnail = null;
+    if (kind === 'image') {
+      thumbnail = cloudinary.url(result.public_id, {
+        secure: true,
+        width: THUMBNAIL_WIDTH,
+        crop: 'scale',
+      });
+    } else if (kind === 'video') {
+      thumbnail = cloudinary.url(result.public_id, {
+        secure: true,
+        resource_type: 'video',
+        format: 'jpg',
+        width: THUMBNAIL_WIDTH,
+        crop: 'scale',
+      });
+    } else if (kind === 'document') {
+      thumbnail = cloudinary.url(result.public_id, {
+        secure: true,
+        format: 'jpg',
+        page: 1,
+        width: THUMBNAIL_WIDTH,
+        crop: 'scale',
+      });
+    }
+
+    return {
+      url: result.secure_url,
+      thumbnail,
+      metadata: {
+        duration: result.duration,
+        dimensions:
+          result.width && result.height && kind !== 'audio'
+            ? { width: result.width, height: result.height }
+            : undefined,
+      },
+    };
+  },
+
+  /**
+   * @param {Object} media - Stored media entry.
+   * @param {string} media.url - URL returned by `save`.
+   * @param {string} media.type - Media kind.
+   * @returns {Promise<void>}
+   */
+  async remove({ url, type }) {
+    const publicId = url.match(/\/upload\/(?:v\d+\/)?(.+)\.[^./]+$/)?.[1];
+    if (!publicId) return;
+
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: cloudinaryResourceType(type),
+      invalidate: true,
+    });
+  },
+};
+
+/**
+ * Local filesystem storage, served from MEDIA_PUBLIC_URL. Nothing is
+ * transcoded, so only images get a thumbnail (the image itself).
+ */
+const localFileStorage = {
+  name: 'local',
+
+  /**
+   * @param {string} filePath - Path of the uploaded file.
+   * @param {Object} file - File details.
+   * @param {string} file.kind - 'image', 'video', 'audio' or 'document'.
+   * @param {string} file.ext - File extension.
+   * @param {string} [file.folder='media'] - Destination folder.
+   * @returns {Promise<Object>} - URL, thumbnail and storage-derived metadata.
+   */
+  async save(filePath, { kind, ext, folder = 'media' }) {
+    const filename = `${nanoid(24)}.${ext}`;
+    const dir = path.join(LOCAL_MEDIA_DIR, folder);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.copyFile(filePath, path.join(dir, filename));
+
+    const url = `${LOCAL_MEDIA_URL}/${folder}/${filename}`;
+    return {
+      url,
+      thumbnail: kind === 'image' ? url : null,
+      metadata: {},
+    };
+  },
+
+  /**
+   * @param {Object} media - Stored media entry.
+   * @param {string} media.url - URL returned by `save`.
+   * @returns {Promise<void>}
+   */
+  async remove({ url }) {
+    if (!url.startsWith(`${LOCAL_MEDIA_URL}/`)) return;
+
+    const filePath = path.resolve(
+      LOCAL_MEDIA_DIR,
+      url.slice(LOCAL_MEDIA_URL.length + 1)
+    );
+    if (!filePath.startsWith(`${LOCAL_MEDIA_DIR}${path.sep}`)) return;
+
+    await fs.unlink(filePath).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  },
+};
+
+const adapters = {
+  cloudinary: cloudinaryStorage,
+  local: localFileStorage,
+};
+
+const driver = process.env.MEDIA_STORAGE_DRIVER || 'cloudinary';
+if (!adapters[driver]) {
+  logger.warn(
+    `⚠️ Unknown MEDIA_STORAGE_DRIVER "${driver}", falling back to Cloudinary.`
+  );
+}
+
+export const mediaStorage = adapters[driver] || cloudinaryStorage;
+
+export default mediaStorage;
@@ -67,9 +67,9 @@ export const getAnalytics = asyncHandler(async (req, res, next) => {
     ]);
 
     // Calculate completion metrics
-    const completedTestimonials =
-      testimonialsByStatus.find((status) => status._id === 'completed')
-        ?.count || 0;
+    const completedTestimonials = testimonialsByStatus
+      .filter((status) => ['completed', 'approved'].includes(status._id))
+      .reduce((sum, status) => sum + status.count, 0);
 
     const completionRate =
       totalTestimonials > 0
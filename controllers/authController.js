@@ -28,6 +28,7 @@ import {
 } from '../services/twoFactorService.js';
 import { sendOTP, verifyOTP } from '../services/smsService.js';
 import { logUserActivity } from '../services/activityLogService.js';
+import { cancelAccountDeletion } from '../services/userService.js';
 
 /**
  * Register a new user
@@ -230,9 +231,16 @@ export const login = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // Logging in during the grace period cancels a pending account deletion.
+  // With 2FA enabled this waits until the second factor has been verified.
+  const accountDeletionCancelled = await cancelAccountDeletion(user.id);
+
   res.status(200).json({
     success: true,
-    message: 'Logged in successfully.',
+    message: accountDeletionCancelled
+      ? 'Logged in successfully. Your scheduled account deletion has been cancelled.'
+      : 'Logged in successfully.',
+    accountDeletionCancelled,
   });
 });
 
@@ -254,9 +262,15 @@ export const verifyTwoFactor = asyncHandler(async (req, res, next) => {
   // Log 2FA verification activity
   await logUserActivity(userId, 'VERIFY_2FA');
 
+  // Login is only complete now, so a pending account deletion is cancelled here
+  const accountDeletionCancelled = await cancelAccountDeletion(userId);
+
   res.status(200).json({
     success: true,
-    message: 'Two-factor authentication successful.',
+    message: accountDeletionCancelled
+      ? 'Two-factor authentication successful. Your scheduled account deletion has been cancelled.'
+      : 'Two-factor authentication successful.',
+    accountDeletionCancelled,
   });
 });
 
@@ -0,0 +1,44 @@
+// src/controllers/certificateController.js
+
+import asyncHandler from 'express-async-handler';
+import { logger } from '../utils/logger.js';
+import AppError from '../utils/appError.js';
+import { verifyCertificate } from '../services/certificateService.js';
+
+/**
+ * Verify a testimonial certificate
+ * @route GET /api/v1/certificates/:certificateId/verify
+ * @access Public
+ */
+export const verifyCertificateController = asyncHandler(
+  async (req, res, next) => {
+    const { certificateId } = req.params;
+
+    if (!certificateId) {
+      throw new AppError('Certificate ID is required', 400);
+    }
+
+    try {
+      const verification = await verifyCertificate(certificateId);
+
+      res.status(200).json({
+        success: true,
+        data: verification,
+        message: verification.valid
+          ? 'Certificate is valid'
+          : 'Certificate could not be verified',
+      });
+    } catch (error) {
+      logger.error('❌ Error verifying certificate:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to verify certificate', 500);
+    }
+  }
+);
+
+export default {
+  verifyCertificateController,
+};
@@ -0,0 +1,276 @@
+// src/controllers/moderationController.js
+
+import asyncHandler from 'express-async-handler';
+import { logger } from '../utils/logger.js';
+import AppError from '../utils/appError.js';
+import {
+  listModerationQueue,
+  claimReport,
+  resolveReport,
+  appealDecision,
+  appealGiverRejection,
+  listAppeals,
+  decideAppeal,
+  getModerationSla,
+} from '../services/moderationService.js';
+import { logUserActivity } from '../services/activityLogService.js';
+
+/**
+ * List open reports for review
+ * @route GET /api/v1/moderation/reports
+ * @access Private (Admin)
+ */
+export const listModerationQueueController = asyncHandler(
+  async (req, res, next) => {
+    const {
+      reason,
+      status,
+      minAgeHours,
+      maxAgeHours,
+      minReporters,
+      page,
+      limit,
+    } = req.query;
+
+    try {
+      const queue = await listModerationQueue({
+        reason,
+        status,
+        minAgeHours,
+        maxAgeHours,
+        minReporters,
+        page,
+        limit,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: queue,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching moderation queue:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch moderation queue', 500);
+    }
+  }
+);
+
+/**
+ * Claim a report for review
+ * @route POST /api/v1/moderation/reports/:testimonialId/:reportId/claim
+ * @access Private (Admin)
+ */
+export const claimReportController = asyncHandler(async (req, res, next) => {
+  const { testimonialId, reportId } = req.params;
+
+  try {
+    const report = await claimReport(testimonialId, reportId, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      message: 'Report claimed',
+    });
+  } catch (error) {
+    logger.error('❌ Error claiming report:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to claim report', 500);
+  }
+});
+
+/**
+ * Resolve a claimed report
+ * @route POST /api/v1/moderation/reports/:testimonialId/:reportId/resolve
+ * @access Private (Admin)
+ */
+export const resolveReportController = asyncHandler(async (req, res, next) => {
+  const { testimonialId, reportId } = req.params;
+  const { action, notes } = req.body;
+
+  try {
+    const result = await resolveReport(testimonialId, reportId, req.user.id, {
+      action,
+      notes,
+    });
+
+    // Log moderation activity
+    await logUserActivity(req.user.id, 'RESOLVE_REPORT', {
+      testimonialId,
+      reportId,
+      action,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Report resolved',
+    });
+  } catch (error) {
+    logger.error('❌ Error resolving report:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to resolve report', 500);
+  }
+});
+
+/**
+ * Appeal a rejection or moderation decision on the seeker's testimonial
+ * @route POST /api/v1/testimonials/:testimonialId/appeals
+ * @access Private (Seeker)
+ */
+export const appealDecisionController = asyncHandler(async (req, res, next) => {
+  const { testimonialId } = req.params;
+  const { decision, giverId, reason } = req.body;
+
+  try {
+    const appeal = await appealDecision(testimonialId, req.user.id, {
+      decision,
+      giverId,
+      reason,
+    });
+
+    // Log appeal activity
+    await logUserActivity(req.user.id, 'APPEAL_DECISION', {
+      testimonialId,
+      appealId: appeal._id,
+      decision: appeal.decision,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: appeal,
+      message: 'Your appeal has been submitted',
+    });
+  } catch (error) {
+    logger.error('❌ Error submitting appeal:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to submit appeal', 500);
+  }
+});
+
+/**
+ * Appeal the rejection of a giver's submission
+ * @route POST /api/v1/testimonials/submit/:testimonialId/giver/:giverToken/appeal
+ * @access Public (Giver via unique link)
+ */
+export const appealGiverRejectionController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, giverToken } = req.params;
+    const { reason } = req.body;
+
+    try {
+      const appeal = await appealGiverRejection(
+        testimonialId,
+        giverToken,
+        reason
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          appealId: appeal._id,
+          status: appeal.status,
+          openedAt: appeal.openedAt,
+        },
+        message: 'Your appeal has been submitted',
+      });
+    } catch (error) {
+      logger.error('❌ Error submitting giver appeal:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to submit appeal', 500);
+    }
+  }
+);
+
+/**
+ * List appeals for review
+ * @route GET /api/v1/moderation/appeals
+ * @access Private (Admin)
+ */
+export const listAppealsController = asyncHandler(async (req, res, next) => {
+  const { status, page, limit } = req.query;
+
+  try {
+    const appeals = await listAppeals(req.user.id, { status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: appeals,
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching appeals:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to fetch appeals', 500);
+  }
+});
+
+/**
+ * Uphold or overturn an appeal
+ * @route POST /api/v1/moderation/appeals/:testimonialId/:appealId/decide
+ * @access Private (Admin)
+ */
+export const decideAppealController = asyncHandler(async (req, res, next) => {
+  const { testimonialId, appealId } = req.params;
+  const { outcome, notes } = req.body;
+
+  try {
+    const appeal = await decideAppeal(testimonialId, appealId, req.user.id, {
+      outcome,
+      notes,
+    });
+
+    // Log moderation activity
+    await logUserActivity(req.user.id, 'DECIDE_APPEAL', {
+      testimonialId,
+      appealId,
+      outcome,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: appeal,
+      message: `Appeal ${outcome}`,
+    });
+  } catch (error) {
+    logger.error('❌ Error deciding appeal:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to decide appeal', 500);
+  }
+});
+
+/**
+ * Reviewer SLA figures and open queue health
+ * @route GET /api/v1/moderation/sla
+ * @access Private (Admin)
+ */
+export const getModerationSlaController = asyncHandler(
+  async (req, res, next) => {
+    const { from, to } = req.query;
+
+    try {
+      const sla = await getModerationSla({ from, to });
+
+      res.status(200).json({
+        success: true,
+        data: sla,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching moderation SLA:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch moderation SLA', 500);
+    }
+  }
+);
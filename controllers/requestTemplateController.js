@@ -0,0 +1,226 @@
+// src/controllers/requestTemplateController.js
+
+import asyncHandler from 'express-async-handler';
+import { logger } from '../utils/logger.js';
+import AppError from '../utils/appError.js';
+import {
+  createRequestTemplate,
+  listRequestTemplates,
+  getRequestTemplate,
+  updateRequestTemplate,
+  deleteRequestTemplate,
+  previewRequestTemplate,
+} from '../services/requestTemplateService.js';
+import { logUserActivity } from '../services/activityLogService.js';
+
+/**
+ * Create a request template
+ * @route POST /api/v1/request-templates
+ * @access Private (Seeker)
+ */
+export const createRequestTemplateController = asyncHandler(
+  async (req, res, next) => {
+    const {
+      name,
+      emailSubject,
+      emailBody,
+      promptQuestions,
+      requestedSkills,
+      expiryDays,
+    } = req.body;
+
+    try {
+      const template = await createRequestTemplate(req.user.id, {
+        name,
+        emailSubject,
+        emailBody,
+        promptQuestions,
+        requestedSkills,
+        expiryDays,
+      });
+
+      // Log request template creation activity
+      await logUserActivity(req.user.id, 'CREATE_REQUEST_TEMPLATE', {
+        templateId: template.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: template,
+        message: 'Request template created successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error creating request template:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to create request template', 500);
+    }
+  }
+);
+
+/**
+ * List request templates
+ * @route GET /api/v1/request-templates
+ * @access Private (Seeker)
+ */
+export const listRequestTemplatesController = asyncHandler(
+  async (req, res, next) => {
+    try {
+      const templates = await listRequestTemplates(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: templates,
+      });
+    } catch (error) {
+      logger.error('❌ Error listing request templates:', {
+        error: error.message,
+      });
+      throw new AppError('Failed to list request templates', 500);
+    }
+  }
+);
+
+/**
+ * Get a request template
+ * @route GET /api/v1/request-templates/:templateId
+ * @access Private (Seeker)
+ */
+export const getRequestTemplateController = asyncHandler(
+  async (req, res, next) => {
+    const { templateId } = req.params;
+
+    try {
+      const template = await getRequestTemplate(req.user.id, templateId);
+
+      res.status(200).json({
+        success: true,
+        data: template,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching request template:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch request template', 500);
+    }
+  }
+);
+
+/**
+ * Update a request template
+ * @route PATCH /api/v1/request-templates/:templateId
+ * @access Private (Seeker)
+ */
+export const updateRequestTemplateController = asyncHandler(
+  async (req, res, next) => {
+    const { templateId } = req.params;
+    const {
+      name,
+      emailSubject,
+      emailBody,
+      promptQuestions,
+      requestedSkills,
+      expiryDays,
+    } = req.body;
+
+    try {
+      const template = await updateRequestTemplate(req.user.id, templateId, {
+        name,
+        emailSubject,
+        emailBody,
+        promptQuestions,
+        requestedSkills,
+        expiryDays,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: template,
+        message: 'Request template updated successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error updating request template:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to update request template', 500);
+    }
+  }
+);
+
+/**
+ * Delete a request template
+ * @route DELETE /api/v1/request-templates/:templateId
+ * @access Private (Seeker)
+ */
+export const deleteRequestTemplateController = asyncHandler(
+  async (req, res, next) => {
+    const { templateId } = req.params;
+
+    try {
+      await deleteRequestTemplate(req.user.id, templateId);
+
+      // Log request template deletion activity
+      await logUserActivity(req.user.id, 'DELETE_REQUEST_TEMPLATE', {
+        templateId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Request template deleted successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error deleting request template:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to delete request template', 500);
+    }
+  }
+);
+
+/**
+ * Preview the email a giver receives from a request template
+ * @route GET /api/v1/request-templates/:templateId/preview
+ * @access Private (Seeker)
+ */
+export const previewRequestTemplateController = asyncHandler(
+  async (req, res, next) => {
+    const { templateId } = req.params;
+    const { giverEmail, projectDetails } = req.query;
+
+    try {
+      const preview = await previewRequestTemplate(req.user.id, templateId, {
+        giverEmail,
+        projectDetails,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: preview,
+      });
+    } catch (error) {
+      logger.error('❌ Error previewing request template:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to preview request template', 500);
+    }
+  }
+);
+
+export default {
+  createRequestTemplateController,
+  listRequestTemplatesController,
+  getRequestTemplateController,
+  updateRequestTemplateController,
+  deleteRequestTemplateController,
+  previewRequestTemplateController,
+};
@@ -6,23 +6,63 @@ import { logger } from '../utils/logger.js';
 import AppError from '../utils/appError.js';
 import {
   createTestimonialRequest,
+  validateGiverSubmission,
   submitTestimonial,
+  getGiverPortal,
+  toGiverSubmissionView,
+  saveGiverDraft,
+  getQuestionnaireResults,
+  summarizeQuestionnaire,
+  requestGiverEditLink,
+  getGiverEditPortal,
+  submitTestimonialRevision,
+  getTestimonialRevisions,
+  approveTestimonialRevision,
+  rejectTestimonialRevision,
   getTestimonialsForSeeker,
+  getPublicTestimonials,
   reportTestimonial,
   approveTestimonial,
   rejectTestimonial,
+  requestTestimonialChanges,
   toggleTestimonialVisibility,
   shareTestimonial,
+  getSharedTestimonial,
+  revokeShareToken,
+  reissueGiverToken,
   bulkProcessTestimonials,
+  bulkTestimonialAction,
+  getBulkProcessStatus,
   getTestimonialStats,
   generateTestimonialCertificate,
   archiveTestimonial,
   restoreTestimonial,
   deleteTestimonial,
 } from '../services/testimonialService.js';
+import {
+  previewContactImport,
+  createRequestsFromImport,
+} from '../services/contactImportService.js';
 import { enqueueAnalyticsUpdate } from '../services/analyticsService.js';
 import { uploadToCloudinary } from '../config/cloudinary.js';
-import aiService from '../services/aiService.js';
+import {
+  processMediaUploads,
+  removeStoredMedia,
+} from '../services/mediaService.js';
+import { searchTestimonials } from '../services/searchService.js';
+import {
+  indexTestimonialEmbedding,
+  semanticSearchTestimonials,
+  findSimilarTestimonials,
+} from '../services/embeddingService.js';
+import {
+  EXPORT_FORMATS,
+  streamTestimonialExport,
+  planTestimonialExport,
+  queueTestimonialExport,
+  getTestimonialExportStatus,
+  getTestimonialExportFile,
+} from '../services/exportService.js';
 import { logUserActivity } from '../services/activityLogService.js';
 
 /**
@@ -32,7 +72,14 @@ import { logUserActivity } from '../services/activityLogService.js';
  */
 export const createTestimonialRequestController = asyncHandler(
   async (req, res, next) => {
-      req.body;
+    const {
+      giverEmails,
+      projectDetails,
+      requestedSkills,
+      questions,
+      additionalData = {},
+      templateId,
+    } = req.body;
 
     const emails = Array.isArray(giverEmails) ? giverEmails : [giverEmails];
 
@@ -47,6 +94,8 @@ export const createTestimonialRequestController = asyncHandler(
         projectDetails,
         {
           ...additionalData,
+          requestedSkills,
+          questions,
           templateId,
           userAgent: req.headers['user-agent'],
           ipAddress: req.ip,
@@ -69,7 +118,106 @@ export const createTestimonialRequestController = asyncHandler(
       logger.error('❌ Error creating testimonial request:', {
         error: error.message,
       });
-      throw new AppError('Failed to create testimonial request', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to create testimonial request', 500);
+    }
+  }
+);
+
+/**
+ * Parse a field that arrives JSON-encoded in multipart/form-data requests.
+ * Values from JSON bodies are returned unchanged.
+ *
+ * @param {*} value - Raw body field.
+ * @returns {*} - Parsed value, or the original if it isn't valid JSON.
+ */
+const parseMultipartField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Preview givers imported from a CSV or vCard file
+ * @route POST /api/v1/testimonials/import/preview
+ * @access Private (Seeker)
+ */
+export const previewContactImportController = asyncHandler(
+  async (req, res, next) => {
+    const mapping = parseMultipartField(req.body.mapping);
+
+    try {
+      const preview = await previewContactImport(req.user.id, req.file, {
+        mapping,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: preview,
+      });
+    } catch (error) {
+      logger.error('❌ Error previewing contact import:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to read contact file', 500);
+    }
+  }
+);
+
+/**
+ * Create testimonial requests from a previewed contact import
+ * @route POST /api/v1/testimonials/import/:importId
+ * @access Private (Seeker)
+ */
+export const createRequestsFromImportController = asyncHandler(
+  async (req, res, next) => {
+    const { importId } = req.params;
+    const { projectDetails, requestedSkills, questions, templateId, exclude } =
+      req.body;
+
+    try {
+      const result = await createRequestsFromImport(
+        req.user.id,
+        importId,
+        { projectDetails, exclude },
+        {
+          requestedSkills,
+          questions,
+          templateId,
+          userAgent: req.headers['user-agent'],
+          ipAddress: req.ip,
+        }
+      );
+
+      // Log testimonial request creation activity
+      await logUserActivity(req.user.id, 'CREATE_TESTIMONIAL_REQUEST', {
+        testimonialId: result.testimonial.id,
+        importId,
+        giverCount: result.requested,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Testimonial request${
+          result.requested > 1 ? 's' : ''
+        } sent to ${result.requested} imported contact${
+          result.requested > 1 ? 's' : ''
+        }`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('❌ Error creating requests from import:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to create testimonial requests', 500);
     }
   }
 );
@@ -82,7 +230,11 @@ export const createTestimonialRequestController = asyncHandler(
 export const submitTestimonialController = asyncHandler(
   async (req, res, next) => {
     const { testimonialId, giverToken } = req.params;
-    const { testimonialText, rating, relationship, skills, media } = req.body;
+    const { testimonialText, relationship } = req.body;
+    const rating = parseMultipartField(req.body.rating);
+    const skills = parseMultipartField(req.body.skills);
+    const skillRatings = parseMultipartField(req.body.skillRatings);
+    const answers = parseMultipartField(req.body.answers);
 
     // Enhanced validation
     if (
@@ -97,30 +249,37 @@ export const submitTestimonialController = asyncHandler(
       throw new AppError('Rating must be a number between 1 and 5', 400);
     }
 
-    let mediaUrls = [];
-    if (req.files?.length) {
-      mediaUrls = await Promise.all(
-        req.files.map((file) => uploadToCloudinary(file.buffer, file.mimetype))
-      );
-    }
-
     try {
-      const testimonial = await submitTestimonial(testimonialId, giverToken, {
-        testimonialText,
-        rating,
-        relationship,
-        skills,
-        media: [...mediaUrls, ...(media || [])],
+      // Check the link and submission before storing any media, so nothing
+      // is uploaded without a valid giver token
+      await validateGiverSubmission(testimonialId, giverToken, {
+        skillRatings,
+        answers,
       });
 
-      // Process the testimonial text to extract insights using AI
-      const analysis = await aiService.processTestimonialText(
-        testimonial.testimonialText
-      );
+      // Media is only accepted as uploaded files, never as client-supplied URLs
+      const media = await processMediaUploads(req.files, {
+        folder: `testimonials/${testimonialId}`,
+      });
+
+      let testimonial;
+      try {
+        testimonial = await submitTestimonial(testimonialId, giverToken, {
+          testimonialText,
+          rating,
+          relationship,
+          skills,
+          skillRatings,
+          answers,
+          media,
+        });
+      } catch (error) {
+        await removeStoredMedia(media);
+        throw error;
+      }
 
-      // Save analysis results to the testimonial
-      testimonial.analysis = analysis;
-      await testimonial.save();
+      // Add the testimonial to the semantic search index
+      await indexTestimonialEmbedding(testimonial._id);
 
       // Enqueue analytics update
       await enqueueAnalyticsUpdate(testimonial.seeker);
@@ -130,16 +289,20 @@ export const submitTestimonialController = asyncHandler(
         testimonialId: testimonial.id,
       });
 
+      // The giver only gets their own submission back, never the seeker's
+      // testimonial with every giver's details
       res.status(200).json({
         success: true,
-        data: testimonial,
-        message: 'Testimonial submitted successfully',
+        data: toGiverSubmissionView(testimonial, giverToken),
+        message: 'Testimonial submitted for review',
       });
     } catch (error) {
       logger.error('❌ Error submitting testimonial:', {
         error: error.message,
       });
-      throw new AppError('Failed to submit testimonial', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to submit testimonial', 500);
     }
   }
 );
@@ -222,8 +385,8 @@ export const getTestimonialStatsController = asyncHandler(
 );
 
 /**
- * Bulk process testimonials (Admin)
- * @route POST /api/v1/testimonials/bulk
+ * Queue a bulk approve/reject of testimonials (Admin)
+ * @route POST /api/v1/testimonials/bulk-process
  * @access Private (Admin)
  */
 export const bulkProcessTestimonialsController = asyncHandler(
@@ -252,18 +415,96 @@ export const bulkProcessTestimonialsController = asyncHandler(
       await logUserActivity(req.user.id, 'BULK_PROCESS_TESTIMONIALS', {
         action,
         testimonialIds,
+        jobId: result.jobId,
       });
 
-      res.status(200).json({
+      res.status(202).json({
         success: true,
         message: result.message,
-        data: { processedTestimonialIds: testimonialIds },
+        data: {
+          jobId: result.jobId,
+          total: result.total,
+          statusUrl: `${req.baseUrl}/bulk-process/${result.jobId}`,
+        },
       });
     } catch (error) {
       logger.error('❌ Error in bulk processing testimonials:', {
         error: error.message,
       });
-      throw new AppError('Failed to bulk process testimonials', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to bulk process testimonials', 500);
+    }
+  }
+);
+
+/**
+ * Get the status and per-item results of a bulk approve/reject job (Admin)
+ * @route GET /api/v1/testimonials/bulk-process/:jobId
+ * @access Private (Admin)
+ */
+export const getBulkProcessStatusController = asyncHandler(
+  async (req, res, next) => {
+    const { jobId } = req.params;
+
+    try {
+      const status = await getBulkProcessStatus(jobId);
+
+      res.status(200).json({
+        success: true,
+        data: status,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching bulk processing status:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch bulk processing status', 500);
+    }
+  }
+);
+
+/**
+ * Archive, restore, delete or change visibility of several testimonials
+ * @route POST /api/v1/testimonials/bulk-action
+ * @access Private (Seeker)
+ */
+export const bulkTestimonialActionController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialIds, action, isPublic, reason, dryRun } = req.body;
+
+    try {
+      const result = await bulkTestimonialAction(req.user.id, testimonialIds, {
+        action,
+        isPublic,
+        reason,
+        dryRun: dryRun === true,
+      });
+
+      if (!result.dryRun) {
+        // Log bulk action activity
+        await logUserActivity(req.user.id, 'BULK_TESTIMONIAL_ACTION', {
+          action,
+          processed: result.eligible,
+          skipped: result.skipped,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: result.dryRun
+          ? 'Bulk action preview generated'
+          : 'Bulk action completed successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error performing bulk testimonial action:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to perform bulk action', 500);
     }
   }
 );
@@ -283,10 +524,7 @@ export const archiveTestimonialController = asyncHandler(
     }
 
     try {
-      await archiveTestimonial(testimonialId, {
-        userId: req.user.id,
-        reason,
-      });
+      await archiveTestimonial(testimonialId, req.user.id, { reason });
 
       // Log testimonial archival activity
       await logUserActivity(req.user.id, 'ARCHIVE_TESTIMONIAL', {
@@ -371,9 +609,11 @@ export const reportTestimonialController = asyncHandler(
       });
 
       // Log testimonial report activity
-      await logUserActivity(req.user.id || 'anonymous', 'REPORT_TESTIMONIAL', {
-        testimonialId,
-      });
+      if (req.user) {
+        await logUserActivity(req.user.id, 'REPORT_TESTIMONIAL', {
+          testimonialId,
+        });
+      }
 
       res.status(200).json({
         success: true,
@@ -381,15 +621,27 @@ export const reportTestimonialController = asyncHandler(
       });
     } catch (error) {
       logger.error('❌ Error reporting testimonial:', { error: error.message });
-      throw new AppError('Failed to report testimonial', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to report testimonial', 500);
     }
   }
 );
 
 /**
- * Approve testimonial (Admin)
+ * Review options for the current user. Seekers may only review their own
+ * testimonials; admins can review any.
+ *
+ * @param {Object} user - Authenticated user.
+ * @returns {Object} - Options for the review services.
+ */
+const getReviewOptions = (user) =>
+  user.role === 'admin' ? {} : { seekerId: user.id };
+
+/**
+ * Approve testimonial (Seeker/Admin)
  * @route PUT /api/v1/testimonials/approve/:testimonialId
- * @access Private (Admin)
+ * @access Private (Seeker/Admin)
  */
 export const approveTestimonialController = asyncHandler(
   async (req, res, next) => {
@@ -409,7 +661,8 @@ export const approveTestimonialController = asyncHandler(
         testimonialId,
         giverId,
         req.user.id,
-        comments
+        comments,
+        getReviewOptions(req.user)
       );
 
       // Log testimonial approval activity
@@ -425,15 +678,17 @@ export const approveTestimonialController = asyncHandler(
       });
     } catch (error) {
       logger.error('❌ Error approving testimonial:', { error: error.message });
-      throw new AppError('Failed to approve testimonial', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to approve testimonial', 500);
     }
   }
 );
 
 /**
- * Reject testimonial (Admin)
+ * Reject testimonial (Seeker/Admin)
  * @route PUT /api/v1/testimonials/reject/:testimonialId
- * @access Private (Admin)
+ * @access Private (Seeker/Admin)
  */
 export const rejectTestimonialController = asyncHandler(
   async (req, res, next) => {
@@ -453,7 +708,8 @@ export const rejectTestimonialController = asyncHandler(
         testimonialId,
         giverId,
         req.user.id,
-        comments
+        comments,
+        getReviewOptions(req.user)
       );
 
       // Log testimonial rejection activity
@@ -469,7 +725,50 @@ export const rejectTestimonialController = asyncHandler(
       });
     } catch (error) {
       logger.error('❌ Error rejecting testimonial:', { error: error.message });
-      throw new AppError('Failed to reject testimonial', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to reject testimonial', 500);
+    }
+  }
+);
+
+/**
+ * Send a testimonial back to its giver with requested changes (Seeker/Admin)
+ * @route PUT /api/v1/testimonials/request-changes/:testimonialId
+ * @access Private (Seeker/Admin)
+ */
+export const requestTestimonialChangesController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+    const { giverId, comments } = req.body;
+
+    try {
+      const testimonial = await requestTestimonialChanges(
+        testimonialId,
+        giverId,
+        req.user.id,
+        comments,
+        getReviewOptions(req.user)
+      );
+
+      // Log change request activity
+      await logUserActivity(req.user.id, 'REQUEST_TESTIMONIAL_CHANGES', {
+        testimonialId,
+        giverId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: testimonial,
+        message: 'Changes requested from the giver',
+      });
+    } catch (error) {
+      logger.error('❌ Error requesting testimonial changes:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to request changes', 500);
     }
   }
 );
@@ -552,155 +851,596 @@ export const shareTestimonialController = asyncHandler(
 );
 
 /**
- * Generate a comprehensive AI testimonial certificate
- * @route POST /api/v1/testimonials/:testimonialId/certificate
- * @access Private
+ * Get the giver submission portal
+ * @route GET /api/v1/testimonials/submit/:testimonialId/giver/:giverToken
+ * @access Public (giver token)
  */
-export const generateCertificateController = asyncHandler(
+export const getGiverPortalController = asyncHandler(
   async (req, res, next) => {
-    const { testimonialId } = req.params;
-    const { template, customization } = req.body;
-
-    if (!testimonialId) {
-      throw new AppError('Testimonial ID is required', 400);
-    }
+    const { testimonialId, giverToken } = req.params;
 
     try {
-      const certificate = await generateTestimonialCertificate(
-        testimonialId,
-        template,
-        customization
-      );
-
-      // Log certificate generation activity
-      await logUserActivity(req.user.id, 'GENERATE_TESTIMONIAL_CERTIFICATE', {
-        testimonialId,
-      });
+      const portal = await getGiverPortal(testimonialId, giverToken);
 
       res.status(200).json({
         success: true,
-        data: certificate,
-        message: 'Testimonial certificate generated successfully',
+        data: portal,
       });
     } catch (error) {
-      logger.error('❌ Error generating testimonial certificate:', {
-        error: error.message,
-      });
-      throw new AppError('Failed to generate testimonial certificate', 500);
+      logger.error('❌ Error loading giver portal:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to load testimonial request', 500);
     }
   }
 );
 
 /**
- * Delete testimonial
- * @route DELETE /api/v1/testimonials/:testimonialId
- * @access Private
+ * Save a giver's testimonial draft
+ * @route PUT /api/v1/testimonials/submit/:testimonialId/giver/:giverToken/draft
+ * @access Public (giver token)
  */
-export const deleteTestimonialController = asyncHandler(
+export const saveGiverDraftController = asyncHandler(
   async (req, res, next) => {
-    const { testimonialId } = req.params;
-
-    if (!testimonialId) {
-      throw new AppError('Testimonial ID is required', 400);
-    }
+    const { testimonialId, giverToken } = req.params;
+    const {
+      testimonialText,
+      rating,
+      relationship,
+      skills,
+      skillRatings,
+      answers,
+    } = req.body;
 
     try {
-      await deleteTestimonial(testimonialId, req.user.id);
-
-      // Log testimonial deletion activity
-      await logUserActivity(req.user.id, 'DELETE_TESTIMONIAL', {
-        testimonialId,
+      const draft = await saveGiverDraft(testimonialId, giverToken, {
+        testimonialText,
+        rating,
+        relationship,
+        skills,
+        skillRatings,
+        answers,
       });
 
       res.status(200).json({
         success: true,
-        message: 'Testimonial deleted successfully',
+        data: draft,
+        message: 'Draft saved successfully',
       });
     } catch (error) {
-      logger.error('❌ Error deleting testimonial:', { error: error.message });
-      throw new AppError('Failed to delete testimonial', 500);
+      logger.error('❌ Error saving giver draft:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to save draft', 500);
     }
   }
 );
 
 /**
- * Get public testimonials with advanced filtering and sorting
- * @route GET /api/v1/testimonials/public
- * @access Public
+ * Re-issue an expired giver link
+ * @route POST /api/v1/testimonials/:testimonialId/givers/:giverId/reissue
+ * @access Private (Seeker)
  */
-export const getPublicTestimonialsController = asyncHandler(
+export const reissueGiverTokenController = asyncHandler(
   async (req, res, next) => {
-    const {
-      page = 1,
-      limit = 10,
-      search,
-      category,
-      rating,
-      sortBy = 'createdAt',
-      order = 'desc',
-    } = req.query;
-
-    const filters = {
-      isPublic: true,
-    };
-
-    if (category) filters.category = category;
-    if (rating) filters.rating = parseInt(rating, 10);
-    if (search) {
-      filters.$or = [
-        { testimonialText: { $regex: search, $options: 'i' } },
-        { relationship: { $regex: search, $options: 'i' } },
-      ];
-    }
-
-    const sortOrder = order === 'asc' ? 1 : -1;
+    const { testimonialId, giverId } = req.params;
 
     try {
-      const testimonials = await Testimonial.find(filters)
-        .sort({ [sortBy]: sortOrder })
-        .skip((page - 1) * limit)
-        .limit(parseInt(limit, 10))
-        .lean();
+      const result = await reissueGiverToken(
+        testimonialId,
+        giverId,
+        req.user.id
+      );
 
-      const total = await Testimonial.countDocuments(filters);
+      // Log giver link re-issue activity
+      await logUserActivity(req.user.id, 'REISSUE_GIVER_TOKEN', {
+        testimonialId,
+        giverId,
+      });
 
       res.status(200).json({
         success: true,
-        data: testimonials,
-        pagination: {
-          total,
-          page: parseInt(page, 10),
-          pages: Math.ceil(total / limit),
-        },
+        data: result,
+        message: 'A new link has been sent to the giver',
       });
     } catch (error) {
-      logger.error('❌ Error fetching public testimonials:', {
+      logger.error('❌ Error re-issuing giver token:', {
         error: error.message,
       });
-      throw new AppError('Failed to fetch public testimonials', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to re-issue giver link', 500);
     }
   }
 );
 
 /**
- * Get testimonial by ID
- * @route GET /api/v1/testimonials/:testimonialId
- * @access Private
+ * Get aggregated questionnaire answers for a request
+ * @route GET /api/v1/testimonials/:testimonialId/questionnaire
+ * @access Private (Seeker)
  */
-export const getTestimonialByIdController = asyncHandler(
+export const getQuestionnaireResultsController = asyncHandler(
   async (req, res, next) => {
     const { testimonialId } = req.params;
 
-    if (!testimonialId) {
-      throw new AppError('Testimonial ID is required', 400);
-    }
-
     try {
-      const testimonial = await Testimonial.findById(testimonialId).lean();
-
-      if (!testimonial) {
-        throw new AppError('Testimonial not found', 404);
-      }
+      const results = await getQuestionnaireResults(testimonialId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: results,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching questionnaire results:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch questionnaire results', 500);
+    }
+  }
+);
+
+/**
+ * Summarize a request's questionnaire answers with AI
+ * @route POST /api/v1/testimonials/:testimonialId/questionnaire/summary
+ * @access Private (Seeker)
+ */
+export const summarizeQuestionnaireController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+    const { tone } = req.body;
+
+    try {
+      const summary = await summarizeQuestionnaire(testimonialId, req.user.id, {
+        tone,
+      });
+
+      // Log questionnaire summary activity
+      await logUserActivity(req.user.id, 'SUMMARIZE_QUESTIONNAIRE', {
+        testimonialId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: summary,
+        message: 'Questionnaire summary generated',
+      });
+    } catch (error) {
+      logger.error('❌ Error summarizing questionnaire:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to summarize questionnaire', 500);
+    }
+  }
+);
+
+/**
+ * Email a giver a link to edit their submitted testimonial
+ * @route POST /api/v1/testimonials/submit/:testimonialId/edit-link
+ * @access Public
+ */
+export const requestGiverEditLinkController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+    const { email } = req.body;
+
+    try {
+      await requestGiverEditLink(testimonialId, email);
+
+      // Same response whether or not the email gave this testimonial
+      res.status(202).json({
+        success: true,
+        message:
+          'If that email submitted this testimonial, an edit link is on its way',
+      });
+    } catch (error) {
+      logger.error('❌ Error issuing giver edit link:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to send edit link', 500);
+    }
+  }
+);
+
+/**
+ * Get the giver edit portal
+ * @route GET /api/v1/testimonials/submit/:testimonialId/edit/:editToken
+ * @access Public (edit token)
+ */
+export const getGiverEditPortalController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, editToken } = req.params;
+
+    try {
+      const portal = await getGiverEditPortal(testimonialId, editToken);
+
+      res.status(200).json({
+        success: true,
+        data: portal,
+      });
+    } catch (error) {
+      logger.error('❌ Error loading giver edit portal:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to load testimonial', 500);
+    }
+  }
+);
+
+/**
+ * Submit an edit to a testimonial for the seeker to review
+ * @route POST /api/v1/testimonials/submit/:testimonialId/edit/:editToken
+ * @access Public (edit token)
+ */
+export const submitTestimonialRevisionController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, editToken } = req.params;
+    const { testimonialText } = req.body;
+    const rating = parseMultipartField(req.body.rating);
+    const skillRatings = parseMultipartField(req.body.skillRatings);
+    const clearMedia = parseMultipartField(req.body.clearMedia) === true;
+
+    try {
+      const media = await processMediaUploads(req.files, {
+        folder: `testimonials/${testimonialId}`,
+      });
+
+      let revision;
+      try {
+        revision = await submitTestimonialRevision(testimonialId, editToken, {
+          testimonialText,
+          rating,
+          skillRatings,
+          media,
+          clearMedia,
+        });
+      } catch (error) {
+        await removeStoredMedia(media);
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: revision,
+        message: 'Your edit has been sent for review',
+      });
+    } catch (error) {
+      logger.error('❌ Error submitting testimonial revision:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to submit edit', 500);
+    }
+  }
+);
+
+/**
+ * Get the version history of a giver's testimonial
+ * @route GET /api/v1/testimonials/:testimonialId/givers/:giverId/revisions
+ * @access Private (Seeker)
+ */
+export const getTestimonialRevisionsController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, giverId } = req.params;
+
+    try {
+      const history = await getTestimonialRevisions(
+        testimonialId,
+        giverId,
+        req.user.id
+      );
+
+      res.status(200).json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching testimonial revisions:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch testimonial revisions', 500);
+    }
+  }
+);
+
+/**
+ * Approve a giver's edit and publish it
+ * @route PUT /api/v1/testimonials/:testimonialId/givers/:giverId/revisions/:version/approve
+ * @access Private (Seeker)
+ */
+export const approveTestimonialRevisionController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, giverId, version } = req.params;
+    const { comments } = req.body;
+
+    try {
+      const testimonial = await approveTestimonialRevision(
+        testimonialId,
+        giverId,
+        version,
+        req.user.id,
+        comments
+      );
+
+      // Re-index with the newly public text
+      await indexTestimonialEmbedding(testimonial._id);
+
+      // Log revision approval activity
+      await logUserActivity(req.user.id, 'APPROVE_TESTIMONIAL_REVISION', {
+        testimonialId,
+        giverId,
+        version,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: testimonial,
+        message: 'Edit approved and published',
+      });
+    } catch (error) {
+      logger.error('❌ Error approving testimonial revision:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to approve edit', 500);
+    }
+  }
+);
+
+/**
+ * Reject a giver's edit, keeping the current version public
+ * @route PUT /api/v1/testimonials/:testimonialId/givers/:giverId/revisions/:version/reject
+ * @access Private (Seeker)
+ */
+export const rejectTestimonialRevisionController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, giverId, version } = req.params;
+    const { comments } = req.body;
+
+    try {
+      const testimonial = await rejectTestimonialRevision(
+        testimonialId,
+        giverId,
+        version,
+        req.user.id,
+        comments
+      );
+
+      // Log revision rejection activity
+      await logUserActivity(req.user.id, 'REJECT_TESTIMONIAL_REVISION', {
+        testimonialId,
+        giverId,
+        version,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: testimonial,
+        message: 'Edit rejected',
+      });
+    } catch (error) {
+      logger.error('❌ Error rejecting testimonial revision:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to reject edit', 500);
+    }
+  }
+);
+
+/**
+ * Get the public view of a testimonial from a share token
+ * @route GET /api/v1/testimonials/share/:token
+ * @access Public
+ */
+export const getSharedTestimonialController = asyncHandler(
+  async (req, res, next) => {
+    const { token } = req.params;
+
+    try {
+      const result = await getSharedTestimonial(token);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error('❌ Error resolving shared testimonial:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to load shared testimonial', 500);
+    }
+  }
+);
+
+/**
+ * Revoke a share link
+ * @route DELETE /api/v1/testimonials/:testimonialId/share/:token
+ * @access Private (Seeker)
+ */
+export const revokeShareTokenController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId, token } = req.params;
+
+    try {
+      const result = await revokeShareToken(testimonialId, token, req.user.id);
+
+      // Log share revocation activity
+      await logUserActivity(req.user.id, 'REVOKE_TESTIMONIAL_SHARE', {
+        testimonialId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: result,
+        message: 'Share link revoked successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error revoking share link:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to revoke share link', 500);
+    }
+  }
+);
+
+/**
+ * Generate a comprehensive AI testimonial certificate
+ * @route POST /api/v1/testimonials/:testimonialId/certificate
+ * @access Private
+ */
+export const generateCertificateController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+    const { template, customization } = req.body;
+
+    if (!testimonialId) {
+      throw new AppError('Testimonial ID is required', 400);
+    }
+
+    try {
+      const certificate = await generateTestimonialCertificate(
+        testimonialId,
+        template,
+        customization,
+        { userId: req.user.id, role: req.user.role }
+      );
+
+      // Log certificate generation activity
+      await logUserActivity(req.user.id, 'GENERATE_TESTIMONIAL_CERTIFICATE', {
+        testimonialId,
+        certificateId: certificate.certificateId,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: certificate,
+        message: 'Testimonial certificate generated successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error generating testimonial certificate:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to generate testimonial certificate', 500);
+    }
+  }
+);
+
+/**
+ * Delete testimonial
+ * @route DELETE /api/v1/testimonials/:testimonialId
+ * @access Private
+ */
+export const deleteTestimonialController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+
+    if (!testimonialId) {
+      throw new AppError('Testimonial ID is required', 400);
+    }
+
+    try {
+      await deleteTestimonial(testimonialId, req.user.id);
+
+      // Log testimonial deletion activity
+      await logUserActivity(req.user.id, 'DELETE_TESTIMONIAL', {
+        testimonialId,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Testimonial deleted successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error deleting testimonial:', { error: error.message });
+      throw new AppError('Failed to delete testimonial', 500);
+    }
+  }
+);
+
+/**
+ * Get public testimonials with advanced filtering and sorting
+ * @route GET /api/v1/testimonials/public
+ * @access Public
+ */
+export const getPublicTestimonialsController = asyncHandler(
+  async (req, res, next) => {
+    const {
+      page = 1,
+      limit = 10,
+      search,
+      category,
+      rating,
+      sortBy = 'createdAt',
+      order = 'desc',
+    } = req.query;
+
+    const filters = {};
+
+    if (category) filters.category = category;
+    if (rating) filters.rating = parseInt(rating, 10);
+    if (search) {
+      filters.$or = [
+        { testimonialText: { $regex: search, $options: 'i' } },
+        { relationship: { $regex: search, $options: 'i' } },
+      ];
+    }
+
+    try {
+      const { testimonials, pagination } = await getPublicTestimonials(
+        filters,
+        { page, limit, sortBy, order }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: testimonials,
+        pagination,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching public testimonials:', {
+        error: error.message,
+      });
+      throw new AppError('Failed to fetch public testimonials', 500);
+    }
+  }
+);
+
+/**
+ * Get testimonial by ID
+ * @route GET /api/v1/testimonials/:testimonialId
+ * @access Private
+ */
+export const getTestimonialByIdController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+
+    if (!testimonialId) {
+      throw new AppError('Testimonial ID is required', 400);
+    }
+
+    try {
+      const testimonial = await Testimonial.findById(testimonialId).lean();
+
+      if (!testimonial) {
+        throw new AppError('Testimonial not found', 404);
+      }
 
       res.status(200).json({
         success: true,
@@ -716,55 +1456,249 @@ export const getTestimonialByIdController = asyncHandler(
 );
 
 /**
- * Search testimonials
+ * Search testimonials with full-text ranking, facets and cursor pagination
  * @route GET /api/v1/testimonials/search
- * @access Private
+ * @access Private (Seeker)
  */
 export const searchTestimonialsController = asyncHandler(
   async (req, res, next) => {
-    const { q } = req.query;
+    const {
+      q,
+      status,
+      skills,
+      categories,
+      minRating,
+      maxRating,
+      startDate,
+      endDate,
+      cursor,
+      limit,
+    } = req.query;
+
+    try {
+      const { results, facets, total, nextCursor } = await searchTestimonials(
+        req.user.id,
+        {
+          q,
+          status,
+          skills,
+          categories,
+          minRating,
+          maxRating,
+          startDate,
+          endDate,
+          cursor,
+          limit,
+        }
+      );
 
-    if (!q || typeof q !== 'string' || !q.trim()) {
-      throw new AppError('Search query is required and must be a string', 400);
+      res.status(200).json({
+        success: true,
+        data: results,
+        facets,
+        pagination: {
+          total,
+          nextCursor,
+          hasMore: Boolean(nextCursor),
+        },
+      });
+    } catch (error) {
+      logger.error('❌ Error searching testimonials:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to search testimonials', 500);
     }
+  }
+);
+
+/**
+ * Search testimonials by meaning rather than keywords
+ * @route GET /api/v1/testimonials/semantic-search
+ * @access Private (Seeker)
+ */
+export const semanticSearchTestimonialsController = asyncHandler(
+  async (req, res, next) => {
+    const { q, limit, minScore } = req.query;
 
     try {
-      const results = await Testimonial.find({
-        seeker: req.user.id,
-        $or: [
-          { testimonialText: { $regex: q, $options: 'i' } },
-          { relationship: { $regex: q, $options: 'i' } },
-        ],
-      }).lean();
+      const results = await semanticSearchTestimonials(req.user.id, q, {
+        limit,
+        minScore,
+      });
 
       res.status(200).json({
         success: true,
         data: results,
       });
     } catch (error) {
-      logger.error('❌ Error searching testimonials:', {
+      logger.error('❌ Error running semantic search:', {
         error: error.message,
       });
-      throw new AppError('Failed to search testimonials', 500);
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to search testimonials', 500);
     }
   }
 );
 
-export {
-  createTestimonialRequestController,
-  submitTestimonialController,
-  getTestimonialsController,
-  getTestimonialStatsController,
-  bulkProcessTestimonialsController,
-  archiveTestimonialController,
-  restoreTestimonialController,
-  reportTestimonialController,
-  approveTestimonialController,
-  rejectTestimonialController,
-  toggleVisibilityController,
-  shareTestimonialController,
-  getPublicTestimonialsController,
-  getTestimonialByIdController,
-  searchTestimonialsController,
-  deleteTestimonialController,
-};
+/**
+ * Get testimonials similar to one of the seeker's testimonials
+ * @route GET /api/v1/testimonials/:testimonialId/similar
+ * @access Private (Seeker)
+ */
+export const getSimilarTestimonialsController = asyncHandler(
+  async (req, res, next) => {
+    const { testimonialId } = req.params;
+    const { limit, minScore } = req.query;
+
+    try {
+      const results = await findSimilarTestimonials(
+        testimonialId,
+        req.user.id,
+        { limit, minScore }
+      );
+
+      res.status(200).json({
+        success: true,
+        data: results,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching similar testimonials:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch similar testimonials', 500);
+    }
+  }
+);
+
+/**
+ * Export testimonials as CSV, NDJSON or XLSX. Small exports stream in the
+ * response; large ones are queued and downloaded once ready.
+ * @route GET /api/v1/testimonials/export
+ * @access Private (Seeker)
+ */
+export const exportTestimonialsController = asyncHandler(
+  async (req, res, next) => {
+    const {
+      format,
+      columns,
+      status,
+      isPublic,
+      startDate,
+      endDate,
+      includeArchived,
+    } = req.query;
+    const filters = { status, isPublic, startDate, endDate, includeArchived };
+
+    try {
+      const plan = await planTestimonialExport(req.user.id, {
+        format,
+        columns,
+        filters,
+      });
+
+      if (plan.background) {
+        const job = await queueTestimonialExport(req.user.id, {
+          ...plan,
+          filters,
+        });
+
+        await logUserActivity(req.user.id, 'EXPORT_TESTIMONIALS', {
+          format: plan.format,
+          jobId: job.jobId,
+        });
+
+        return res.status(202).json({
+          success: true,
+          data: job,
+          message: `Export of ${plan.total} testimonials queued. Poll the job for its download.`,
+        });
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.status(200);
+      res.set({
+        'Content-Type': EXPORT_FORMATS[plan.format].contentType,
+        'Content-Disposition': `attachment; filename="testimonials-${date}.${
+          EXPORT_FORMATS[plan.format].extension
+        }"`,
+        'Cache-Control': 'no-store',
+      });
+
+      await streamTestimonialExport(req.user.id, res, { ...plan, filters });
+
+      await logUserActivity(req.user.id, 'EXPORT_TESTIMONIALS', {
+        format: plan.format,
+        total: plan.total,
+      });
+    } catch (error) {
+      logger.error('❌ Error exporting testimonials:', { error: error.message });
+      if (res.headersSent) {
+        // Part of the file is already out; all we can do is cut it short
+        return res.destroy(error);
+      }
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to export testimonials', 500);
+    }
+  }
+);
+
+/**
+ * Poll a background testimonial export
+ * @route GET /api/v1/testimonials/export/:jobId
+ * @access Private (Seeker)
+ */
+export const getTestimonialExportStatusController = asyncHandler(
+  async (req, res, next) => {
+    const { jobId } = req.params;
+
+    try {
+      const status = await getTestimonialExportStatus(jobId, req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: status,
+      });
+    } catch (error) {
+      logger.error('❌ Error fetching export status:', {
+        error: error.message,
+      });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to fetch export status', 500);
+    }
+  }
+);
+
+/**
+ * Download a finished background testimonial export
+ * @route GET /api/v1/testimonials/export/:jobId/download
+ * @access Private (Seeker)
+ */
+export const downloadTestimonialExportController = asyncHandler(
+  async (req, res, next) => {
+    const { jobId } = req.params;
+
+    try {
+      const { downloadUrl } = await getTestimonialExportFile(
+        jobId,
+        req.user.id
+      );
+
+      // The file lives in private storage; send the client to a signed,
+      // short-lived link for it
+      res.set('Cache-Control', 'no-store');
+      res.redirect(302, downloadUrl);
+    } catch (error) {
+      logger.error('❌ Error downloading export:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to download export', 500);
+    }
+  }
+);
@@ -12,7 +12,8 @@ import {
   updateUserPreferences,
   updateUserSettings,
   deleteUserAccount,
-  exportUserData,
+  requestUserDataExport,
+  getUserDataExportFile,
   initiatePasswordReset,
   performPasswordReset,
   uploadProfilePicture,
@@ -186,48 +187,85 @@ export const updateSettings = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Delete user account (GDPR "Right to be Forgotten")
+ * Delete user account (GDPR "Right to be Forgotten") after a grace period
  * @route DELETE /api/v1/users/account
  * @access Private
  */
 export const deleteAccount = asyncHandler(async (req, res, next) => {
   try {
-    await deleteUserAccount(req.user.id);
+    const { scheduledFor } = await deleteUserAccount(req.user.id, {
+      reason: req.body?.reason,
+    });
 
     // Log account deletion activity
-    await logUserActivity(req.user.id, 'DELETE_ACCOUNT');
+    await logUserActivity(req.user.id, 'DELETE_ACCOUNT', { scheduledFor });
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: 'Account deleted successfully',
+      data: { scheduledFor },
+      message:
+        'Account scheduled for deletion. Log in again before then to cancel.',
     });
   } catch (error) {
     logger.error('❌ Error deleting account:', { error: error.message });
-    throw new AppError('Failed to delete account', 500);
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to delete account', 500);
   }
 });
 
 /**
- * Export user data (GDPR)
- * @route GET /api/v1/users/export
+ * Request a GDPR export of the user's data. The archive is built in the
+ * background and a signed download link is emailed to the user.
+ * @route GET /api/v1/users/export-data
  * @access Private
  */
 export const exportData = asyncHandler(async (req, res, next) => {
   try {
-    const data = await exportUserData(req.user.id);
+    const { jobId } = await requestUserDataExport(req.user.id);
 
     // Log data export activity
-    await logUserActivity(req.user.id, 'EXPORT_USER_DATA');
+    await logUserActivity(req.user.id, 'EXPORT_USER_DATA', { jobId });
 
-    res.setHeader('Content-Disposition', 'attachment; filename=user_data.json');
-    res.setHeader('Content-Type', 'application/json');
-    res.status(200).send(JSON.stringify(data, null, 2));
+    res.status(202).json({
+      success: true,
+      data: { jobId },
+      message:
+        "Your data export is being prepared. We'll email you a download link when it's ready.",
+    });
   } catch (error) {
     logger.error('❌ Error exporting user data:', { error: error.message });
     throw new AppError('Failed to export user data', 500);
   }
 });
 
+/**
+ * Download a GDPR data export from a signed link
+ * @route GET /api/v1/users/export-data/download
+ * @access Public (signed link)
+ */
+export const downloadExportData = asyncHandler(async (req, res, next) => {
+  const { file, expires, signature } = req.query;
+
+  try {
+    const { downloadUrl } = await getUserDataExportFile({
+      file,
+      expires,
+      signature,
+    });
+
+    res.set({ 'Cache-Control': 'no-store' });
+    res.redirect(302, downloadUrl);
+  } catch (error) {
+    logger.error('❌ Error downloading user data export:', {
+      error: error.message,
+    });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to download data export', 500);
+  }
+});
+
 /**
  * Initiate password reset
  * @route POST /api/v1/users/password-reset
@@ -512,6 +550,7 @@ export default {
   updateSettings,
   deleteAccount,
   exportData,
+  downloadExportData,
   initiatePasswordResetHandler,
   completePasswordResetController,
   deactivateUserAccountHandler,
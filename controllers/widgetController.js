@@ -0,0 +1,168 @@
+// src/controllers/widgetController.js
+
+import asyncHandler from 'express-async-handler';
+import { logger } from '../utils/logger.js';
+import AppError from '../utils/appError.js';
+import {
+  createWidgetKey,
+  listWidgetKeys,
+  updateWidgetKey,
+  revokeWidgetKey,
+  getWidgetFeed,
+} from '../services/widgetService.js';
+import { logUserActivity } from '../services/activityLogService.js';
+
+/**
+ * Get the testimonial feed for an embedded widget
+ * @route GET /api/v1/widgets/feed
+ * @access Public (widget key)
+ */
+export const getWidgetFeedController = asyncHandler(async (req, res, next) => {
+  const { layout, page, limit } = req.query;
+
+  try {
+    const feed = await getWidgetFeed(req.widgetKey, {
+      origin: req.widgetOrigin,
+      layout,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: feed,
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching widget feed:', { error: error.message });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to fetch widget feed', 500);
+  }
+});
+
+/**
+ * Create a widget key
+ * @route POST /api/v1/widgets/keys
+ * @access Private (Seeker)
+ */
+export const createWidgetKeyController = asyncHandler(
+  async (req, res, next) => {
+    const { name, allowedOrigins, layout, testimonialIds } = req.body;
+
+    try {
+      const widgetKey = await createWidgetKey(req.user.id, {
+        name,
+        allowedOrigins,
+        layout,
+        testimonialIds,
+      });
+
+      // Log widget key creation activity
+      await logUserActivity(req.user.id, 'CREATE_WIDGET_KEY', {
+        widgetKeyId: widgetKey.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        data: widgetKey,
+        message:
+          'Widget key created successfully. Store the key now, it will not be shown again.',
+      });
+    } catch (error) {
+      logger.error('❌ Error creating widget key:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to create widget key', 500);
+    }
+  }
+);
+
+/**
+ * List widget keys
+ * @route GET /api/v1/widgets/keys
+ * @access Private (Seeker)
+ */
+export const listWidgetKeysController = asyncHandler(async (req, res, next) => {
+  try {
+    const widgetKeys = await listWidgetKeys(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: widgetKeys,
+    });
+  } catch (error) {
+    logger.error('❌ Error listing widget keys:', { error: error.message });
+    throw new AppError('Failed to list widget keys', 500);
+  }
+});
+
+/**
+ * Update a widget key
+ * @route PATCH /api/v1/widgets/keys/:keyId
+ * @access Private (Seeker)
+ */
+export const updateWidgetKeyController = asyncHandler(
+  async (req, res, next) => {
+    const { keyId } = req.params;
+    const { name, allowedOrigins, layout, testimonialIds } = req.body;
+
+    try {
+      const widgetKey = await updateWidgetKey(req.user.id, keyId, {
+        name,
+        allowedOrigins,
+        layout,
+        testimonialIds,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: widgetKey,
+        message: 'Widget key updated successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error updating widget key:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to update widget key', 500);
+    }
+  }
+);
+
+/**
+ * Revoke a widget key
+ * @route DELETE /api/v1/widgets/keys/:keyId
+ * @access Private (Seeker)
+ */
+export const revokeWidgetKeyController = asyncHandler(
+  async (req, res, next) => {
+    const { keyId } = req.params;
+
+    try {
+      const widgetKey = await revokeWidgetKey(req.user.id, keyId);
+
+      // Log widget key revocation activity
+      await logUserActivity(req.user.id, 'REVOKE_WIDGET_KEY', {
+        widgetKeyId: keyId,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: widgetKey,
+        message: 'Widget key revoked successfully',
+      });
+    } catch (error) {
+      logger.error('❌ Error revoking widget key:', { error: error.message });
+      throw error instanceof AppError
+        ? error
+        : new AppError('Failed to revoke widget key', 500);
+    }
+  }
+);
+
+export default {
+  getWidgetFeedController,
+  createWidgetKeyController,
+  listWidgetKeysController,
+  updateWidgetKeyController,
+  revokeWidgetKeyController,
+};
@@ -19,6 +19,27 @@ notificationQueueScheduler.on('error', (err) => {
   logger.error('❌ Notification Queue Scheduler Error:', err);
 });
 
+const testimonialQueueScheduler = new QueueScheduler('testimonialQueue', {
+  connection: redisClient,
+});
+testimonialQueueScheduler.on('error', (err) => {
+  logger.error('❌ Testimonial Queue Scheduler Error:', err);
+});
+
+const exportQueueScheduler = new QueueScheduler('exportQueue', {
+  connection: redisClient,
+});
+exportQueueScheduler.on('error', (err) => {
+  logger.error('❌ Export Queue Scheduler Error:', err);
+});
+
+const accountQueueScheduler = new QueueScheduler('accountQueue', {
+  connection: redisClient,
+});
+accountQueueScheduler.on('error', (err) => {
+  logger.error('❌ Account Queue Scheduler Error:', err);
+});
+
 // Define the Email Queue
 const emailQueue = new Queue('emailQueue', {
   connection: redisClient,
@@ -49,12 +70,69 @@ const notificationQueueEvents = new QueueEvents('notificationQueue', {
   connection: redisClient,
 });
 
+// Define the Testimonial Queue
+const testimonialQueue = new Queue('testimonialQueue', {
+  connection: redisClient,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000,
+    },
+    removeOnComplete: { age: 24 * 3600 }, // keep results pollable for a day
+    removeOnFail: { age: 7 * 24 * 3600 },
+  },
+});
+const testimonialQueueEvents = new QueueEvents('testimonialQueue', {
+  connection: redisClient,
+});
+
+// Define the Export Queue
+const exportQueue = new Queue('exportQueue', {
+  connection: redisClient,
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: {
+      type: 'exponential',
+      delay: 10000,
+    },
+    removeOnComplete: { age: 24 * 3600 }, // matches the export file lifetime
+    removeOnFail: { age: 7 * 24 * 3600 },
+  },
+});
+const exportQueueEvents = new QueueEvents('exportQueue', {
+  connection: redisClient,
+});
+
+// Define the Account Queue
+const accountQueue = new Queue('accountQueue', {
+  connection: redisClient,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 60000,
+    },
+    removeOnComplete: { age: 7 * 24 * 3600 },
+    removeOnFail: { age: 30 * 24 * 3600 },
+  },
+});
+const accountQueueEvents = new QueueEvents('accountQueue', {
+  connection: redisClient,
+});
+
 // Export the queues and their events
 export const queues = {
   emailQueue,
   emailQueueEvents,
   notificationQueue,
   notificationQueueEvents,
+  testimonialQueue,
+  testimonialQueueEvents,
+  exportQueue,
+  exportQueueEvents,
+  accountQueue,
+  accountQueueEvents,
 };
 
 // Event Listeners for Email Queue
@@ -83,16 +161,52 @@ notificationQueueEvents.on('stalled', ({ jobId }) => {
   logger.warn(`⚠️ Notification job ${jobId} has stalled.`);
 });
 
+// Event Listeners for Testimonial Queue
+testimonialQueueEvents.on('completed', ({ jobId }) => {
+  logger.info(`✅ Testimonial job ${jobId} completed successfully.`);
+});
+
+testimonialQueueEvents.on('failed', ({ jobId, failedReason }) => {
+  logger.error(`❌ Testimonial job ${jobId} failed. Reason: ${failedReason}`);
+});
+
+testimonialQueueEvents.on('stalled', ({ jobId }) => {
+  logger.warn(`⚠️ Testimonial job ${jobId} has stalled.`);
+});
+
+// Event Listeners for Export Queue
+exportQueueEvents.on('failed', ({ jobId, failedReason }) => {
+  logger.error(`❌ Export job ${jobId} failed. Reason: ${failedReason}`);
+});
+
+exportQueueEvents.on('stalled', ({ jobId }) => {
+  logger.warn(`⚠️ Export job ${jobId} has stalled.`);
+});
+
+// Event Listeners for Account Queue
+accountQueueEvents.on('failed', ({ jobId, failedReason }) => {
+  logger.error(`❌ Account job ${jobId} failed. Reason: ${failedReason}`);
+});
+
 // Graceful shutdown function
 export const shutdownQueues = async () => {
   try {
     logger.info('🔄 Shutting down queues...');
     await emailQueueScheduler.close();
     await notificationQueueScheduler.close();
+    await testimonialQueueScheduler.close();
+    await exportQueueScheduler.close();
+    await accountQueueScheduler.close();
     await emailQueue.close();
     await notificationQueue.close();
+    await testimonialQueue.close();
+    await exportQueue.close();
+    await accountQueue.close();
     await emailQueueEvents.close();
     await notificationQueueEvents.close();
+    await testimonialQueueEvents.close();
+    await exportQueueEvents.close();
+    await accountQueueEvents.close();
     logger.info('✅ Queues shut down successfully.');
   } catch (error) {
     logger.error('❌ Error shutting down queues:', error);
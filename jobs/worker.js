@@ -7,6 +7,9 @@ import aiWorker from './workers/aiWorker.js';
 import analyticsWorker from './workers/analyticsWorker.js';
 import exportWorker from './workers/exportWorker.js';
 import notificationWorker from './workers/notificationWorker.js';
+import accountWorker from './workers/accountWorker.js';
+import { scheduleGiverReminders } from '../services/testimonialService.js';
+import { scheduleAccountDeletionSweep } from '../services/userService.js';
 
 // Array of all worker instances
 const workerInstances = [
@@ -16,6 +19,7 @@ const workerInstances = [
   analyticsWorker,
   exportWorker,
   notificationWorker,
+  accountWorker,
 ];
 
 /**
@@ -47,4 +51,12 @@ workerInstances.forEach((worker) => {
   });
 });
 
+// Register recurring jobs
+scheduleGiverReminders().catch((error) => {
+  logger.error('❌ Failed to schedule giver reminders:', error);
+});
+scheduleAccountDeletionSweep().catch((error) => {
+  logger.error('❌ Failed to schedule account deletion sweep:', error);
+});
+
 export { workerInstances, shutdownWorkers };
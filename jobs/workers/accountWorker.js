@@ -0,0 +1,35 @@
+import { Worker } from 'bullmq';
+import { processAccountDeletionsJob } from '../../services/userService.js';
+import { logger } from '../../utils/logger.js';
+import { redisClient } from '../../config/redis.js';
+
+const accountWorker = new Worker(
+  'accountQueue',
+  async (job) => {
+    try {
+      switch (job.name) {
+        case 'purgeDeletedAccounts':
+          return await processAccountDeletionsJob(job);
+        default:
+          throw new Error(`Unknown account job type: ${job.name}`);
+      }
+    } catch (error) {
+      logger.error(
+        `❌ Error processing account job ${job.id}: ${error.message}`
+      );
+      throw error; // Ensure BullMQ handles retries
+    }
+  },
+  { connection: redisClient, concurrency: 1 }
+);
+
+// Event Listeners
+accountWorker.on('completed', (job) => {
+  logger.info(`✅ Account job ${job.id} completed successfully.`);
+});
+
+accountWorker.on('failed', (job, err) => {
+  logger.error(`❌ Account job ${job.id} failed with error: ${err.message}`);
+});
+
+export default accountWorker;
@@ -7,6 +7,27 @@ import Handlebars from 'handlebars';
 import fs from 'fs';
 import path from 'path';
 import AppError from '../../utils/appError.js';
+import { updateGiverReminderStatus } from '../../services/testimonialService.js';
+
+/**
+ * Record the outcome of a giver reminder. A failure here must not retry the
+ * job, or the giver would be emailed again.
+ *
+ * @param {Object} job - Email job.
+ * @param {string} status - `sent` or `failed`.
+ * @returns {Promise<void>}
+ */
+const recordReminderStatus = async (job, status) => {
+  if (job.name !== 'sendTestimonialReminder' || !job.data.reminderId) return;
+
+  try {
+    await updateGiverReminderStatus(job.data, status);
+  } catch (error) {
+    logger.warn(`Failed to record reminder status for job ${job.id}:`, {
+      error: error.message,
+    });
+  }
+};
 
 // Precompile email templates
 const compileTemplate = (templateName, data) => {
@@ -26,8 +47,9 @@ const emailWorker = new Worker(
     const { to, subject, template, data } = job.data;
 
     try {
-      // Compile the email template with data
-      const html = compileTemplate(template, data);
+      // Use pre-rendered HTML when the job carries it, otherwise compile
+      // the email template with data
+      const html = job.data.html || compileTemplate(template, data);
 
       // Send the email
       await sendEmail({
@@ -41,6 +63,8 @@ const emailWorker = new Worker(
       logger.error(`❌ Failed to send email to ${to}:`, error);
       throw new AppError(`Failed to send email to ${to}`, 500);
     }
+
+    await recordReminderStatus(job, 'sent');
   },
   { connection: redisClient, concurrency: 10 }
 );
@@ -50,8 +74,13 @@ emailWorker.on('completed', (job) => {
   logger.info(`✅ Email job ${job.id} completed successfully.`);
 });
 
-emailWorker.on('failed', (job, err) => {
+emailWorker.on('failed', async (job, err) => {
   logger.error(`❌ Email job ${job.id} failed: ${err.message}`);
+
+  // Only mark a reminder failed once it has run out of retries
+  if (job.attemptsMade >= (job.opts.attempts || 1)) {
+    await recordReminderStatus(job, 'failed');
+  }
 });
 
 emailWorker.on('error', (err) => {
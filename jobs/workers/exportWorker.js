@@ -1,27 +1,37 @@
 import { Worker } from 'bullmq';
-import { exportUserData } from '../../services/userService.js';
+import {
+  processUserDataExportJob,
+  removeUserDataExportJob,
+} from '../../services/userService.js';
+import {
+  processTestimonialExportJob,
+  removeTestimonialExportJob,
+} from '../../services/exportService.js';
 import { logger } from '../../utils/logger.js';
 import { redis } from '../../config/redis.js';
-import { sendDataToUrl } from '../../utils/dataSender.js';
 
 const exportWorker = new Worker(
   'exportQueue',
   async (job) => {
-    const { userId, callbackUrl } = job.data;
+    if (job.name === 'exportTestimonials') {
+      return processTestimonialExportJob(job);
+    }
+    if (job.name === 'removeTestimonialExport') {
+      return removeTestimonialExportJob(job);
+    }
+    if (job.name === 'removeUserDataExport') {
+      return removeUserDataExportJob(job);
+    }
+
+    const { userId } = job.data;
     if (!userId) {
       throw new Error(`Invalid job data. Missing 'userId' for job ${job.id}`);
     }
 
     try {
-      const data = await exportUserData(userId);
+      const result = await processUserDataExportJob(job);
       logger.info(`📂 User data exported for user: ${userId}`);
-
-      if (callbackUrl) {
-        await sendDataToUrl(callbackUrl, data);
-        logger.info(
-          `✉️ Exported user data sent to callback URL: ${callbackUrl}`
-        );
-      }
+      return result;
     } catch (error) {
       logger.error(
         `❌ Error exporting user data for job ${job.id}: ${error.message}`
@@ -10,6 +10,8 @@ import {
   reportTestimonial,
   archiveTestimonial,
   restoreTestimonial,
+  processBulkTestimonialsJob,
+  processGiverRemindersJob,
 } from '../../services/testimonialService.js';
 import { logger } from '../../utils/logger.js';
 import { redis } from '../../config/redis.js';
@@ -54,13 +56,31 @@ const testimonialWorker = new Worker(
           logger.info(`📌 Testimonial reported for job: ${job.id}`);
           break;
         case 'archiveTestimonial':
-          await archiveTestimonial(job.data.testimonialId, job.data.options);
+          await archiveTestimonial(
+            job.data.testimonialId,
+            job.data.userId,
+            job.data.options
+          );
           logger.info(`🗄️ Testimonial archived for job: ${job.id}`);
           break;
         case 'restoreTestimonial':
           await restoreTestimonial(job.data.testimonialId, job.data.userId);
           logger.info(`🔄 Testimonial restored for job: ${job.id}`);
           break;
+        case 'bulkProcessTestimonials': {
+          const result = await processBulkTestimonialsJob(job);
+          logger.info(
+            `📦 Bulk ${job.data.action} processed for job: ${job.id} (${result.succeeded}/${result.total} succeeded)`
+          );
+          return result;
+        }
+        case 'processGiverReminders': {
+          const result = await processGiverRemindersJob(job);
+          logger.info(
+            `⏰ Giver reminders processed for job: ${job.id} (${result.remindersQueued} queued)`
+          );
+          return result;
+        }
         default:
           logger.warn(`⚠️ Unknown testimonial job type: ${job.name}`);
       }
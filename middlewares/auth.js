@@ -80,6 +80,25 @@ export const protect = asyncHandler(async (req, res, next) => {
   next();
 });
 
+/**
+ * Attach the user when the request carries a valid access token, without
+ * requiring one. Requests with a missing or invalid token carry on
+ * anonymously.
+ */
+export const optionalProtect = asyncHandler(async (req, res, next) => {
+  const token = req.cookies?.access_token;
+  if (token) {
+    try {
+      const { user } = await baseAuthCheck(token);
+      req.user = user;
+    } catch (error) {
+      logger.debug('Optional authentication failed, continuing anonymously');
+    }
+  }
+
+  next();
+});
+
 /**
  * Authorize middleware for role-based access control
  * @param  {...string} roles - Allowed user roles
@@ -0,0 +1,31 @@
+// src/middlewares/giverAuth.js
+
+import asyncHandler from 'express-async-handler';
+import {
+  assertGiverLinkOpen,
+  assertGiverEditLinkValid,
+} from '../services/testimonialService.js';
+
+/**
+ * Reject requests on a giver's submission link unless the link is valid
+ * and still open. Runs before uploads are parsed so an invalid link never
+ * gets files written to disk.
+ */
+export const verifyGiverLink = asyncHandler(async (req, res, next) => {
+  await assertGiverLinkOpen(req.params.testimonialId, req.params.giverToken);
+  next();
+});
+
+/**
+ * Reject requests on a giver's edit link unless the link is valid. Runs
+ * before uploads are parsed for the same reason as `verifyGiverLink`.
+ */
+export const verifyGiverEditLink = asyncHandler(async (req, res, next) => {
+  await assertGiverEditLinkValid(
+    req.params.testimonialId,
+    req.params.editToken
+  );
+  next();
+});
+
+export default { verifyGiverLink, verifyGiverEditLink };
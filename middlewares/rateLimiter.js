@@ -210,6 +210,63 @@ export const rateLimitTestimonials = createRateLimiter({
   message: 'Too many testimonial submissions, please try again later.',
 });
 
+/**
+ * Certificate Verification Rate Limiter
+ */
+export const certificateVerificationRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 verifications per IP per minute
+  keyGenerator: (req) => `certificateVerify:${req.ip}`,
+  message: 'Too many certificate verification requests, please slow down.',
+});
+
+/**
+ * Shared Testimonial View Rate Limiter
+ */
+export const shareViewRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // 60 share page views per IP per minute
+  keyGenerator: (req) => `shareView:${req.ip}`,
+  message: 'Too many requests for shared testimonials, please slow down.',
+});
+
+/**
+ * Embedded Widget Rate Limiter
+ */
+export const widgetRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // 120 widget renders per IP per minute
+  keyGenerator: (req) => `widget:${req.ip}`,
+  message: 'Too many widget requests, please slow down.',
+});
+
+/**
+ * Personal Data Export Rate Limiters
+ */
+export const dataExportRateLimiter = createRateLimiter({
+  windowMs: 24 * 60 * 60 * 1000, // 24 hours
+  max: 3, // 3 export requests per user per day
+  keyGenerator: (req) => `dataExport:${req.user?.id}`,
+  message: 'Too many data export requests, please try again tomorrow.',
+});
+
+export const dataExportDownloadRateLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 download attempts per IP per 15 minutes
+  keyGenerator: (req) => `dataExportDownload:${req.ip}`,
+  message: 'Too many download attempts, please try again later.',
+});
+
+/**
+ * Giver Edit Link Rate Limiter
+ */
+export const giverEditLinkRateLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 edit link requests per IP per hour
+  keyGenerator: (req) => `giverEditLink:${req.ip}`,
+  message: 'Too many edit link requests, please try again later.',
+});
+
 /**
  * Email Rate Limiter
  */
@@ -257,6 +314,12 @@ export default {
   otpRequestRateLimiter,
   emailResendRateLimiter,
   rateLimitTestimonials,
+  certificateVerificationRateLimiter,
+  shareViewRateLimiter,
+  widgetRateLimiter,
+  dataExportRateLimiter,
+  dataExportDownloadRateLimiter,
+  giverEditLinkRateLimiter,
   emailRateLimiter,
   loginAttemptRateLimiter,
 };
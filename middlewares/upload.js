@@ -1,5 +1,13 @@
+import fs from 'fs';
 import multer from 'multer';
 import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import {
+  ACCEPTED_MIME_TYPES,
+  MAX_MEDIA_BYTES,
+} from '../services/mediaService.js';
+
+const MAX_MEDIA_FILES = 5;
 
 // Configure multer storage (in-memory)
 const storage = multer.memoryStorage();
@@ -33,3 +41,115 @@ export const handleFileUpload = (req, res, next) => {
     next();
   });
 };
+
+// File filter for testimonial media. This only screens the declared type;
+// the media service sniffs the real type and applies per-type size limits.
+const mediaFileFilter = (req, file, cb) => {
+  if (ACCEPTED_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(
+      new AppError(
+        'Unsupported file type. Upload an image, video, audio file or PDF.',
+        415
+      ),
+      false
+    );
+  }
+};
+
+// Testimonial media can be large and arrives on a public route, so it's
+// written to temp files instead of being held in memory. The files are
+// removed once the response is done.
+const mediaStorage = multer.diskStorage({});
+
+export const mediaUpload = multer({
+  storage: mediaStorage,
+  fileFilter: mediaFileFilter,
+  limits: { fileSize: MAX_MEDIA_BYTES, files: MAX_MEDIA_FILES },
+});
+
+/**
+ * Remove a request's temp upload files.
+ *
+ * @param {Array<Object>} [files=[]] - Multer files (disk storage).
+ */
+const removeTempFiles = (files = []) => {
+  files.forEach((file) =>
+    fs.promises.unlink(file.path).catch((error) => {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to remove temp upload:', {
+          path: file.path,
+          error: error.message,
+        });
+      }
+    })
+  );
+};
+
+/**
+ * Middleware to accept up to five testimonial media files in the `media` field
+ */
+export const handleMediaUpload = (req, res, next) => {
+  res.on('close', () => removeTempFiles(req.files));
+
+  mediaUpload.array('media', MAX_MEDIA_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(`Multer error: ${err.message}`, 400));
+    } else if (err) {
+      return next(
+        err instanceof AppError
+          ? err
+          : new AppError(`File upload error: ${err.message}`, 400)
+      );
+    }
+    next();
+  });
+};
+
+// Contact lists are plain text; browsers report CSV files under several
+// types, so the extension is accepted too
+const CONTACT_IMPORT_MIME_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'text/plain',
+  'text/vcard',
+  'text/x-vcard',
+  'text/directory',
+];
+
+const contactImportFileFilter = (req, file, cb) => {
+  if (
+    CONTACT_IMPORT_MIME_TYPES.includes(file.mimetype) ||
+    /\.(csv|vcf|vcard)$/i.test(file.originalname)
+  ) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Upload a CSV or vCard (.vcf) file.', 415), false);
+  }
+};
+
+export const contactImportUpload = multer({
+  storage,
+  fileFilter: contactImportFileFilter,
+  limits: { fileSize: 1024 * 1024, files: 1 }, // 1 MB limit
+});
+
+/**
+ * Middleware to accept one CSV or vCard contact list in the `file` field
+ */
+export const handleContactImportUpload = (req, res, next) => {
+  contactImportUpload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(`Multer error: ${err.message}`, 400));
+    } else if (err) {
+      return next(
+        err instanceof AppError
+          ? err
+          : new AppError(`File upload error: ${err.message}`, 400)
+      );
+    }
+    next();
+  });
+};
@@ -22,11 +22,30 @@ export const validateGetTestimonials = [
 
 export const validateBulkAction = [
   check('testimonialIds')
-    .isArray({ min: 1 })
-    .withMessage('Testimonial IDs must be an array with at least one ID'),
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Testimonial IDs must be an array of 1 to 100 IDs'),
+  check('testimonialIds.*')
+    .isMongoId()
+    .withMessage('Each testimonial ID must be a valid ID'),
   check('action')
-    .isIn(['approve', 'reject'])
-    .withMessage('Action must be either "approve" or "reject"'),
+    .isIn(['archive', 'restore', 'delete', 'visibility'])
+    .withMessage(
+      'Action must be one of "archive", "restore", "delete" or "visibility"'
+    ),
+  check('isPublic')
+    .if(check('action').equals('visibility'))
+    .isBoolean({ strict: true })
+    .withMessage('isPublic must be a boolean for the visibility action'),
+  check('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be at most 500 characters'),
+  check('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('dryRun must be a boolean'),
   (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
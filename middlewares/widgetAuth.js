@@ -0,0 +1,40 @@
+// src/middlewares/widgetAuth.js
+
+import asyncHandler from 'express-async-handler';
+import AppError from '../utils/appError.js';
+import {
+  findActiveWidgetKey,
+  normalizeOrigin,
+} from '../services/widgetService.js';
+
+/**
+ * Authenticate an embedded widget request by its `key` query parameter and
+ * apply the key's CORS allowlist.
+ *
+ * The key travels in the query string so the request stays a simple GET
+ * and never triggers a preflight, which the global CORS policy would
+ * answer for the app origin instead. The embedding site is taken from the
+ * Origin header, falling back to Referer, and must be on the key's
+ * allowlist; the response is then opened to that origin only.
+ */
+export const authenticateWidgetKey = asyncHandler(async (req, res, next) => {
+  const widgetKey = await findActiveWidgetKey(req.query.key);
+  if (!widgetKey) {
+    throw new AppError('Invalid or revoked widget key', 401);
+  }
+
+  const origin = normalizeOrigin(req.get('origin') || req.get('referer'));
+  if (!origin || !widgetKey.allowedOrigins.includes(origin)) {
+    throw new AppError('Origin is not allowed for this widget key', 403);
+  }
+
+  res.set('Access-Control-Allow-Origin', origin);
+  res.removeHeader('Access-Control-Allow-Credentials');
+  res.vary('Origin');
+
+  req.widgetKey = widgetKey;
+  req.widgetOrigin = origin;
+  next();
+});
+
+export default authenticateWidgetKey;
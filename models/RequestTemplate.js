@@ -0,0 +1,80 @@
+// src/models/RequestTemplate.js
+
+import mongoose from 'mongoose';
+
+/**
+ * Request Template Schema
+ *
+ * A reusable testimonial request owned by a seeker. The subject and body may
+ * reference `{{variables}}` that are filled in for each giver when the
+ * request email is rendered.
+ */
+const requestTemplateSchema = new mongoose.Schema(
+  {
+    seeker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+      maxlength: [100, 'Template name cannot exceed 100 characters'],
+    },
+    emailSubject: {
+      type: String,
+      required: [true, 'Email subject is required'],
+      trim: true,
+      maxlength: [200, 'Email subject cannot exceed 200 characters'],
+    },
+    emailBody: {
+      type: String,
+      required: [true, 'Email body is required'],
+      trim: true,
+      maxlength: [5000, 'Email body cannot exceed 5000 characters'],
+    },
+    promptQuestions: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [300, 'Prompt question cannot exceed 300 characters'],
+        },
+      ],
+      validate: {
+        validator: (questions) => questions.length <= 10,
+        message: 'A template can have at most 10 prompt questions',
+      },
+    },
+    requestedSkills: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Skill name cannot exceed 50 characters'],
+      },
+    ],
+    expiryDays: {
+      type: Number,
+      min: [1, 'Requests must stay open for at least 1 day'],
+      max: [60, 'Requests cannot stay open for more than 60 days'],
+      default: 14,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+requestTemplateSchema.index({ seeker: 1, name: 1 }, { unique: true });
+
+const RequestTemplate = mongoose.model(
+  'RequestTemplate',
+  requestTemplateSchema
+);
+
+export default RequestTemplate;
@@ -71,6 +71,31 @@ const skillSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Testimony'
   }],
+  ratings: [{
+    testimonial: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Testimonial'
+    },
+    giver: mongoose.Schema.Types.ObjectId,
+    score: {
+      type: Number,
+      min: 1,
+      max: 5,
+      required: true
+    },
+    ratedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  ratingSummary: {
+    weightedAverage: Number,
+    count: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
   visibility: {
     type: String,
     enum: ['public', 'private', 'connections'],
@@ -87,6 +112,10 @@ const skillSchema = new mongoose.Schema({
 
 // Indexes
 skillSchema.index({ name: 1, category: 1 });
+skillSchema.index({ user: 1, name: 1 });
+
+// Giver ratings lose half their weight every year
+const RATING_HALF_LIFE_DAYS = 365;
 
 // Virtual for total endorsements count
 skillSchema.virtual('endorsementCount').get(function() {
@@ -124,6 +153,49 @@ skillSchema.methods.updateProficiency = async function(level) {
   }
 };
 
+// Method to compute the recency-weighted average of giver ratings
+skillSchema.methods.getWeightedRating = function(asOf = new Date()) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  this.ratings.forEach(rating => {
+    const ageDays = Math.max(0, (asOf - rating.ratedAt) / (1000 * 60 * 60 * 24));
+    const weight = Math.pow(0.5, ageDays / RATING_HALF_LIFE_DAYS);
+    weightedSum += rating.score * weight;
+    totalWeight += weight;
+  });
+
+  return {
+    weightedAverage: totalWeight ? parseFloat((weightedSum / totalWeight).toFixed(2)) : null,
+    count: this.ratings.length
+  };
+};
+
+// Static method to record a giver's per-skill ratings as proficiency evidence
+skillSchema.statics.recordRatings = async function(userId, testimonialId, giverId, skillRatings, { session } = {}) {
+  for (const { name, score } of skillRatings) {
+    let skill = await this.findOne({ user: userId, name })
+      .collation({ locale: 'en', strength: 2 })
+      .session(session || null);
+
+    if (!skill) {
+      skill = new this({ user: userId, name, category: 'other' });
+    }
+
+    // A giver re-rating the same testimonial replaces their earlier score
+    skill.ratings = skill.ratings.filter(r =>
+      !(r.testimonial?.equals(testimonialId) && r.giver?.equals(giverId))
+    );
+    skill.ratings.push({ testimonial: testimonialId, giver: giverId, score });
+    if (!skill.testimonials.some(t => t.equals(testimonialId))) {
+      skill.testimonials.push(testimonialId);
+    }
+    skill.ratingSummary = { ...skill.getWeightedRating(), updatedAt: new Date() };
+
+    await skill.save({ session });
+  }
+};
+
 const Skill = mongoose.model('Skill', skillSchema);
 
 export default Skill;
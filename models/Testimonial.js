@@ -4,6 +4,13 @@ import mongoose from 'mongoose';
 import { sendTestimonialRequestEmail, sendEscalationNotificationEmail } from '../services/emailService.js';
 import { calculateSentimentAnalytics } from '../utils/sentimentAnalysis.js';
 
+export const QUESTION_TYPES = [
+  'long_text',
+  'rating',
+  'yes_no',
+  'multiple_choice',
+];
+
 /**
  * Media Schema with enhanced validation and fields
  */
@@ -43,6 +50,95 @@ const mediaSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * Revision Schema - one entry per version of a giver's testimonial
+ */
+const revisionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    text: String,
+    rating: {
+      overall: {
+        type: Number,
+        min: 1,
+        max: 5,
+      },
+      skills: [
+        {
+          name: { type: String, required: true },
+          score: { type: Number, min: 1, max: 5, required: true },
+          _id: false,
+        },
+      ],
+    },
+    media: [mediaSchema],
+    // Changes against the version that was public when this was submitted
+    diff: mongoose.Schema.Types.Mixed,
+    status: {
+      type: String,
+      enum: [
+        'pending',
+        'held',
+        'approved',
+        'rejected',
+        'changes_requested',
+        'superseded',
+      ],
+      default: 'pending',
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: mongoose.Schema.Types.ObjectId,
+    comments: String,
+  },
+  { _id: false }
+);
+
+/**
+ * Question Schema - one question of a request's questionnaire
+ */
+const questionSchema = new mongoose.Schema({
+  prompt: {
+    type: String,
+    required: [true, 'Question prompt is required'],
+    trim: true,
+    maxlength: [300, 'Question prompt cannot exceed 300 characters'],
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    required: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  // Choices for `multiple_choice` questions
+  options: [
+    {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Option cannot exceed 100 characters'],
+    },
+  ],
+  // Bounds for `rating` questions
+  scale: {
+    min: Number,
+    max: Number,
+  },
+});
+
+/**
+ * Answer Schema - a giver's answer to one questionnaire question
+ */
+const answerSchema = new mongoose.Schema(
+  {
+    question: { type: mongoose.Schema.Types.ObjectId, required: true },
+    value: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
 /**
  * Testimonial Schema
  */
@@ -67,11 +163,30 @@ const testimonialSchema = new mongoose.Schema(
             message: 'Invalid email format',
           },
         },
+        name: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Giver name cannot exceed 100 characters'],
+        },
+        company: {
+          type: String,
+          trim: true,
+          maxlength: [100, 'Company cannot exceed 100 characters'],
+        },
         verificationToken: String,
         verificationTokenExpiry: Date,
+        tokenIssuedAt: Date,
         verificationStatus: {
           type: String,
-          enum: ['pending', 'approved', 'rejected', 'expired'],
+          enum: [
+            'pending',
+            'pending_review',
+            'screening_hold',
+            'changes_requested',
+            'approved',
+            'rejected',
+            'expired',
+          ],
           default: 'pending',
         },
         testimonial: {
@@ -82,11 +197,20 @@ const testimonialSchema = new mongoose.Schema(
               min: 1,
               max: 5,
             },
-            skills: [Number],
+            skills: [
+              {
+                name: { type: String, required: true },
+                score: { type: Number, min: 1, max: 5, required: true },
+                _id: false,
+              },
+            ],
           },
         },
+        answers: [answerSchema],
+        relationship: String,
         skills: [String],
         media: [mediaSchema],
+        sentimentScore: Number,
         reminders: [
           {
             sentAt: Date,
@@ -104,9 +228,39 @@ const testimonialSchema = new mongoose.Schema(
             approvedBy: mongoose.Schema.Types.ObjectId,
             comments: String,
             approvedAt: Date,
+            version: Number,
           },
         ],
+        // Version currently shown in `testimonial`; edits are kept in
+        // `revisions` until the seeker approves them
+        version: Number,
+        revisions: [revisionSchema],
+        editTokenHash: String,
+        editTokenExpiry: Date,
+        draft: {
+          testimonialText: {
+            type: String,
+            maxlength: [5000, 'Draft cannot exceed 5000 characters'],
+          },
+          rating: {
+            type: Number,
+            min: 1,
+            max: 5,
+          },
+          relationship: String,
+          skills: [String],
+          skillRatings: [
+            {
+              name: String,
+              score: { type: Number, min: 1, max: 5 },
+              _id: false,
+            },
+          ],
+          answers: [answerSchema],
+          updatedAt: Date,
+        },
         submittedAt: Date,
+        anonymizedAt: Date,
       },
     ],
     projectDetails: {
@@ -114,6 +268,37 @@ const testimonialSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    requestedSkills: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Skill name cannot exceed 50 characters'],
+      },
+    ],
+    promptQuestions: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Prompt question cannot exceed 300 characters'],
+      },
+    ],
+    questions: [questionSchema],
+    // AI summary of the givers' questionnaire answers
+    questionnaireSummary: {
+      text: String,
+      giverCount: Number,
+      generatedAt: Date,
+    },
+    // Request email content as sent, so re-issued links go out the same way
+    requestEmail: {
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RequestTemplate',
+      },
+      emailSubject: String,
+      emailBody: String,
+      expiryDays: Number,
+    },
     status: {
       type: String,
       enum: ['pending', 'in-progress', 'completed', 'approved', 'reported'],
@@ -146,21 +331,67 @@ const testimonialSchema = new mongoose.Schema(
     },
     moderation: {
       status: { type: String, default: 'normal' },
+      // Whether the testimonial was public before moderation hid it
+      visibilityBeforeHide: Boolean,
       history: [
         {
           action: String,
           at: Date,
           reason: String,
+          // Set for state transitions; see testimonialStateService
+          from: String,
+          to: String,
+          actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          actorType: String,
         },
       ],
     },
     certificates: [
       {
+        certificateId: String,
         url: String,
+        pngUrl: String,
         generatedAt: Date,
         template: String,
+        customization: mongoose.Schema.Types.Mixed,
+        giverIds: [mongoose.Schema.Types.ObjectId],
+        issuedBy: mongoose.Schema.Types.ObjectId,
+        verificationHash: String,
+        signature: String,
+        pdfHash: String,
+        revoked: { type: Boolean, default: false },
+        revokedAt: Date,
+        revokedReason: String,
+      },
+    ],
+    shares: [
+      {
+        token: { type: String, required: true },
+        platform: String,
+        sharedAt: Date,
+        expiresAt: Date,
+        options: mongoose.Schema.Types.Mixed,
+        views: { type: Number, default: 0 },
+        lastViewedAt: Date,
+        revoked: { type: Boolean, default: false },
+        revokedAt: Date,
+        revokedBy: mongoose.Schema.Types.ObjectId,
       },
     ],
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: Date,
+    archivedBy: mongoose.Schema.Types.ObjectId,
+    archiveReason: String,
+    restoredAt: Date,
+    restoredBy: mongoose.Schema.Types.ObjectId,
+    lastUpdatedBy: mongoose.Schema.Types.ObjectId,
     visibilityHistory: [
       {
         status: Boolean,
@@ -175,9 +406,57 @@ const testimonialSchema = new mongoose.Schema(
         description: String,
         evidence: [String],
         reportedBy: String,
+        // Identifies the reporter across reports: `user:<id>`, or a hash of
+        // the client for anonymous reporters
+        reporterKey: String,
         reportedAt: Date,
-        status: String,
+        severity: {
+          type: String,
+          enum: ['normal', 'severe'],
+          default: 'normal',
+        },
+        status: {
+          type: String,
+          enum: ['pending', 'claimed', 'resolved'],
+          default: 'pending',
+        },
         metadata: mongoose.Schema.Types.Mixed,
+        claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        claimedAt: Date,
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        resolution: {
+          type: String,
+          enum: ['dismiss', 'hide', 'remove', 'warn'],
+        },
+        resolutionNotes: String,
+      },
+    ],
+    // Appeals against a rejection or moderation action; decided by an admin
+    // other than the one who made the original decision
+    appeals: [
+      {
+        decision: {
+          type: String,
+          enum: ['giver_rejection', 'moderation_hide', 'moderation_remove'],
+          required: true,
+        },
+        giver: mongoose.Schema.Types.ObjectId,
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        decidedAt: Date,
+        appellantType: { type: String, enum: ['seeker', 'giver'] },
+        // Seeker ID or giver email
+        appellant: String,
+        reason: String,
+        status: {
+          type: String,
+          enum: ['open', 'upheld', 'overturned'],
+          default: 'open',
+        },
+        openedAt: Date,
+        resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        resolvedAt: Date,
+        resolutionNotes: String,
       },
     ],
     analysis: mongoose.Schema.Types.Mixed,
@@ -185,6 +464,12 @@ const testimonialSchema = new mongoose.Schema(
     skills: [String],
     sentimentScore: Number,
     emotionAnalysis: mongoose.Schema.Types.Mixed,
+    embedding: {
+      vector: { type: [Number], select: false },
+      model: String,
+      textHash: String,
+      indexedAt: Date,
+    },
     lastUpdated: Date,
   },
   { timestamps: true }
@@ -194,6 +479,32 @@ const testimonialSchema = new mongoose.Schema(
 testimonialSchema.index({ seeker: 1 });
 testimonialSchema.index({ status: 1 });
 testimonialSchema.index({ visibility: 1 });
+testimonialSchema.index({ 'certificates.certificateId': 1 }, { sparse: true });
+testimonialSchema.index({ 'shares.token': 1 }, { sparse: true });
+testimonialSchema.index({ seeker: 1, createdAt: -1, _id: -1 });
+testimonialSchema.index({ seeker: 1, 'embedding.model': 1 });
+testimonialSchema.index({ 'reports.status': 1, 'reports.reportedAt': 1 });
+testimonialSchema.index({ 'reports.reporterKey': 1 }, { sparse: true });
+testimonialSchema.index({ 'appeals.status': 1, 'appeals.openedAt': 1 });
+
+// Full-text search over testimonial content, weighted towards what givers wrote
+testimonialSchema.index(
+  {
+    'givers.testimonial.text': 'text',
+    projectDetails: 'text',
+    skills: 'text',
+    'givers.skills': 'text',
+  },
+  {
+    name: 'testimonial_text_search',
+    weights: {
+      'givers.testimonial.text': 10,
+      skills: 5,
+      'givers.skills': 5,
+      projectDetails: 3,
+    },
+  }
+);
 
 /**
  * Testimonial Methods
@@ -412,7 +723,7 @@ testimonialSchema.statics = {
         $group: {
           _id: null,
           total: { $sum: 1 },
-          approved: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          approved: { $sum: { $cond: [{ $in: ['$status', ['completed', 'approved']] }, 1, 0] } },
           pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
           averageRating: {
             $avg: {
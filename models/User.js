@@ -116,6 +116,11 @@ const userSchema = new mongoose.Schema(
       },
     },
     isAdmin: { type: Boolean, default: false },
+    deletion: {
+      requestedAt: Date,
+      scheduledFor: Date,
+      reason: String,
+    },
   },
   {
     timestamps: true,
@@ -258,6 +263,7 @@ const generateTokenLimiter = rateLimit({
 // Indexes
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ username: 1 }, { unique: true });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 const User = mongoose.model('User', userSchema);
 
@@ -0,0 +1,66 @@
+// src/models/WidgetKey.js
+
+import mongoose from 'mongoose';
+
+export const WIDGET_LAYOUTS = ['carousel', 'grid', 'single'];
+
+/**
+ * Widget Key Schema
+ *
+ * A per-site API key that lets a seeker embed their public testimonials on
+ * an external website. Only the SHA-256 hash of the key is stored.
+ */
+const widgetKeySchema = new mongoose.Schema(
+  {
+    seeker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Widget key name is required'],
+      trim: true,
+      maxlength: [100, 'Widget key name cannot exceed 100 characters'],
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyPrefix: {
+      type: String,
+      required: true,
+    },
+    allowedOrigins: {
+      type: [String],
+      validate: {
+        validator: (origins) => origins.length > 0 && origins.length <= 20,
+        message: 'Between 1 and 20 allowed origins are required',
+      },
+    },
+    layout: {
+      type: String,
+      enum: WIDGET_LAYOUTS,
+      default: 'carousel',
+    },
+    testimonialIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Testimonial',
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    revokedAt: Date,
+    lastUsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+const WidgetKey = mongoose.model('WidgetKey', widgetKeySchema);
+
+export default WidgetKey;
@@ -0,0 +1,29 @@
+// src/routes/api/v1/certificates.js
+
+import express from 'express';
+import { param } from 'express-validator';
+import { verifyCertificateController } from '../../../controllers/certificateController.js';
+import { certificateVerificationRateLimiter } from '../../../middlewares/rateLimiter.js';
+import { createValidator } from '../../../utils/validators.js';
+import { validateRequest } from '../../../middlewares/validate.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/certificates/:certificateId/verify
+ * @desc    Verify that a certificate is authentic, unrevoked and unmodified
+ * @access  Public
+ */
+router.get(
+  '/:certificateId/verify',
+  certificateVerificationRateLimiter,
+  createValidator([
+    param('certificateId')
+      .matches(/^[A-Za-z0-9_-]{24}$/)
+      .withMessage('Invalid certificate ID'),
+  ]),
+  validateRequest,
+  verifyCertificateController
+);
+
+export default router;
@@ -19,6 +19,10 @@ import skillsRoutes from './skills.js';
 import predictiveRoutes from './predictive.js';
 import recommendationsRoutes from './recommendations.js';
 import healthcheckRoutes from './healthcheck.js';
+import certificateRoutes from './certificates.js';
+import widgetRoutes from './widgets.js';
+import moderationRoutes from './moderation.js';
+import requestTemplateRoutes from './requestTemplates.js';
 import { logger } from '../../../utils/logger.js';
 import AppError from '../../../utils/appError.js';
 import { handleNotFound } from '../../../middlewares/errorHandler.js';
@@ -108,6 +112,10 @@ router.use('/skills', skillsRoutes);
 router.use('/predictive', predictiveRoutes);
 router.use('/recommendations', recommendationsRoutes);
 router.use('/healthcheck', healthcheckRoutes);
+router.use('/certificates', certificateRoutes);
+router.use('/widgets', widgetRoutes);
+router.use('/moderation', moderationRoutes);
+router.use('/request-templates', requestTemplateRoutes);
 
 // Handle 404
 router.all('*', handleNotFound);
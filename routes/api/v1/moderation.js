@@ -0,0 +1,101 @@
+// src/routes/api/v1/moderation.js
+
+import express from 'express';
+import {
+  listModerationQueueController,
+  claimReportController,
+  resolveReportController,
+  listAppealsController,
+  decideAppealController,
+  getModerationSlaController,
+} from '../../../controllers/moderationController.js';
+import { protect } from '../../../middlewares/auth.js';
+import { authorize } from '../../../middlewares/role.js';
+import {
+  createValidator,
+  moderationQueueValidation,
+  reportClaimValidation,
+  reportResolutionValidation,
+  appealListValidation,
+  appealDecisionValidation,
+  moderationSlaValidation,
+} from '../../../utils/validators.js';
+import { validateRequest } from '../../../middlewares/validate.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('admin'));
+
+/**
+ * @route   GET /api/v1/moderation/reports
+ * @desc    List open reports, oldest first, filtered by reason, age or reporter count
+ * @access  Private (Admin)
+ */
+router.get(
+  '/reports',
+  createValidator(moderationQueueValidation),
+  validateRequest,
+  listModerationQueueController
+);
+
+/**
+ * @route   POST /api/v1/moderation/reports/:testimonialId/:reportId/claim
+ * @desc    Claim a report for review
+ * @access  Private (Admin)
+ */
+router.post(
+  '/reports/:testimonialId/:reportId/claim',
+  createValidator(reportClaimValidation),
+  validateRequest,
+  claimReportController
+);
+
+/**
+ * @route   POST /api/v1/moderation/reports/:testimonialId/:reportId/resolve
+ * @desc    Dismiss a report, or hide, remove or warn on the testimonial
+ * @access  Private (Admin)
+ */
+router.post(
+  '/reports/:testimonialId/:reportId/resolve',
+  createValidator(reportResolutionValidation),
+  validateRequest,
+  resolveReportController
+);
+
+/**
+ * @route   GET /api/v1/moderation/appeals
+ * @desc    List appeals, oldest first, flagging those against the admin's own decisions
+ * @access  Private (Admin)
+ */
+router.get(
+  '/appeals',
+  createValidator(appealListValidation),
+  validateRequest,
+  listAppealsController
+);
+
+/**
+ * @route   POST /api/v1/moderation/appeals/:testimonialId/:appealId/decide
+ * @desc    Uphold or overturn an appeal against another admin's decision
+ * @access  Private (Admin)
+ */
+router.post(
+  '/appeals/:testimonialId/:appealId/decide',
+  createValidator(appealDecisionValidation),
+  validateRequest,
+  decideAppealController
+);
+
+/**
+ * @route   GET /api/v1/moderation/sla
+ * @desc    Reviewer SLA figures and open queue health
+ * @access  Private (Admin)
+ */
+router.get(
+  '/sla',
+  createValidator(moderationSlaValidation),
+  validateRequest,
+  getModerationSlaController
+);
+
+export default router;
@@ -0,0 +1,93 @@
+// src/routes/api/v1/requestTemplates.js
+
+import express from 'express';
+import {
+  createRequestTemplateController,
+  listRequestTemplatesController,
+  getRequestTemplateController,
+  updateRequestTemplateController,
+  deleteRequestTemplateController,
+  previewRequestTemplateController,
+} from '../../../controllers/requestTemplateController.js';
+import { protect } from '../../../middlewares/auth.js';
+import { authorize } from '../../../middlewares/role.js';
+import validators, {
+  createValidator,
+  requestTemplateCreateValidation,
+  requestTemplateUpdateValidation,
+  requestTemplatePreviewValidation,
+} from '../../../utils/validators.js';
+import { validateRequest } from '../../../middlewares/validate.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('seeker'));
+
+/**
+ * @route   POST /api/v1/request-templates
+ * @desc    Create a testimonial request template
+ * @access  Private (Seeker)
+ */
+router.post(
+  '/',
+  createValidator(requestTemplateCreateValidation),
+  validateRequest,
+  createRequestTemplateController
+);
+
+/**
+ * @route   GET /api/v1/request-templates
+ * @desc    List request templates
+ * @access  Private (Seeker)
+ */
+router.get('/', listRequestTemplatesController);
+
+/**
+ * @route   GET /api/v1/request-templates/:templateId/preview
+ * @desc    Render the exact email a giver receives from a template
+ * @access  Private (Seeker)
+ */
+router.get(
+  '/:templateId/preview',
+  createValidator(requestTemplatePreviewValidation),
+  validateRequest,
+  previewRequestTemplateController
+);
+
+/**
+ * @route   GET /api/v1/request-templates/:templateId
+ * @desc    Get a request template
+ * @access  Private (Seeker)
+ */
+router.get(
+  '/:templateId',
+  createValidator(validators.objectId('templateId')),
+  validateRequest,
+  getRequestTemplateController
+);
+
+/**
+ * @route   PATCH /api/v1/request-templates/:templateId
+ * @desc    Update a request template
+ * @access  Private (Seeker)
+ */
+router.patch(
+  '/:templateId',
+  createValidator(requestTemplateUpdateValidation),
+  validateRequest,
+  updateRequestTemplateController
+);
+
+/**
+ * @route   DELETE /api/v1/request-templates/:templateId
+ * @desc    Delete a request template
+ * @access  Private (Seeker)
+ */
+router.delete(
+  '/:templateId',
+  createValidator(validators.objectId('templateId')),
+  validateRequest,
+  deleteRequestTemplateController
+);
+
+export default router;
@@ -1,44 +1,98 @@
 import express from 'express';
+import { param } from 'express-validator';
 import {
   createTestimonialRequestController,
+  previewContactImportController,
+  createRequestsFromImportController,
   submitTestimonialController,
+  getGiverPortalController,
+  saveGiverDraftController,
   getTestimonialsController,
   reportTestimonialController,
   approveTestimonialController,
   rejectTestimonialController,
+  requestTestimonialChangesController,
   toggleVisibilityController,
   shareTestimonialController,
+  getSharedTestimonialController,
+  revokeShareTokenController,
+  reissueGiverTokenController,
+  getQuestionnaireResultsController,
+  summarizeQuestionnaireController,
+  requestGiverEditLinkController,
+  getGiverEditPortalController,
+  submitTestimonialRevisionController,
+  getTestimonialRevisionsController,
+  approveTestimonialRevisionController,
+  rejectTestimonialRevisionController,
   bulkProcessTestimonialsController,
+  getBulkProcessStatusController,
   getPublicTestimonialsController,
   getTestimonialByIdController,
   searchTestimonialsController,
+  semanticSearchTestimonialsController,
+  getSimilarTestimonialsController,
+  exportTestimonialsController,
+  getTestimonialExportStatusController,
+  downloadTestimonialExportController,
   getTestimonialStatsController,
   generateCertificateController,
   archiveTestimonialController,
   restoreTestimonialController,
   deleteTestimonialController,
   getTestimonials,
-  bulkApproveRejectTestimonials,
+  bulkTestimonialActionController,
 } from '../../../controllers/testimonialController.js';
-import { protect } from '../../../middlewares/auth.js';
+import {
+  appealDecisionController,
+  appealGiverRejectionController,
+} from '../../../controllers/moderationController.js';
+import { protect, optionalProtect } from '../../../middlewares/auth.js';
 import { authorize } from '../../../middlewares/role.js';
 import {
   testimonialRequestValidation,
   testimonialApprovalValidation,
+  testimonialChangeRequestValidation,
   testimonialVisibilityValidation,
   testimonialShareValidation,
   bulkProcessValidation,
   testimonialReportValidation,
   certificateGenerationValidation,
+  giverDraftValidation,
+  giverEditLinkValidation,
+  giverEditTokenValidation,
+  revisionReviewValidation,
+  appealValidation,
+  giverAppealValidation,
   archiveRestoreValidation,
+  testimonialSearchValidation,
+  semanticSearchValidation,
+  similarityOptionsValidation,
+  testimonialExportValidation,
+  questionnaireSummaryValidation,
+  contactImportPreviewValidation,
+  contactImportConfirmValidation,
   createValidator,
 } from '../../../utils/validators.js';
 import { validateRequest } from '../../../middlewares/validate.js';
+import {
+  handleMediaUpload,
+  handleContactImportUpload,
+} from '../../../middlewares/upload.js';
+import {
+  verifyGiverLink,
+  verifyGiverEditLink,
+} from '../../../middlewares/giverAuth.js';
 import {
   validateGetTestimonials,
   validateBulkAction,
 } from '../../../middlewares/validators/testimonialValidator.js';
-import { rateLimitTestimonials } from '../../../middlewares/rateLimiter.js';
+import {
+  rateLimitTestimonials,
+  shareViewRateLimiter,
+  searchRateLimiter,
+  giverEditLinkRateLimiter,
+} from '../../../middlewares/rateLimiter.js';
 
 const router = express.Router();
 
@@ -53,40 +107,208 @@ router.post(
   createTestimonialRequestController
 );
 
-// Submit testimonial (Giver via unique link)
+// Preview givers imported from a CSV or vCard file (Seeker)
+router.post(
+  '/import/preview',
+  protect,
+  authorize('seeker'),
+  handleContactImportUpload,
+  createValidator(contactImportPreviewValidation),
+  validateRequest,
+  previewContactImportController
+);
+
+// Create requests from a previewed import (Seeker)
 router.post(
+  '/import/:importId',
+  protect,
+  authorize('seeker'),
+  rateLimitTestimonials,
+  createValidator(contactImportConfirmValidation),
+  validateRequest,
+  createRequestsFromImportController
+);
+
+// Load the submission portal (Giver via unique link)
+router.get(
   '/submit/:testimonialId/giver/:giverToken',
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+  ]),
+  validateRequest,
+  getGiverPortalController
+);
+
+// Save a draft to resume later (Giver via unique link)
+router.put(
+  '/submit/:testimonialId/giver/:giverToken/draft',
+  createValidator(giverDraftValidation),
+  validateRequest,
+  saveGiverDraftController
+);
+
+// Submit testimonial with optional media files (Giver via unique link)
+router.post(
+  '/submit/:testimonialId/giver/:giverToken',
+  rateLimitTestimonials,
+  verifyGiverLink,
+  handleMediaUpload,
   submitTestimonialController
 );
 
+// Appeal the rejection of a submission (Giver via unique link)
+router.post(
+  '/submit/:testimonialId/giver/:giverToken/appeal',
+  createValidator(giverAppealValidation),
+  validateRequest,
+  appealGiverRejectionController
+);
+
+// Request a link to edit a submitted testimonial (Giver)
+router.post(
+  '/submit/:testimonialId/edit-link',
+  giverEditLinkRateLimiter,
+  createValidator(giverEditLinkValidation),
+  validateRequest,
+  requestGiverEditLinkController
+);
+
+// Load the current version for editing (Giver via edit link)
+router.get(
+  '/submit/:testimonialId/edit/:editToken',
+  createValidator(giverEditTokenValidation),
+  validateRequest,
+  getGiverEditPortalController
+);
+
+// Submit an edit for the seeker to review (Giver via edit link)
+router.post(
+  '/submit/:testimonialId/edit/:editToken',
+  rateLimitTestimonials,
+  createValidator(giverEditTokenValidation),
+  validateRequest,
+  verifyGiverEditLink,
+  handleMediaUpload,
+  submitTestimonialRevisionController
+);
+
+// Re-issue an expired giver link (Seeker)
+router.post(
+  '/:testimonialId/givers/:giverId/reissue',
+  protect,
+  authorize('seeker'),
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+    param('giverId').isMongoId().withMessage('Invalid giver ID'),
+  ]),
+  validateRequest,
+  reissueGiverTokenController
+);
+
+// Aggregated questionnaire answers (Seeker)
+router.get(
+  '/:testimonialId/questionnaire',
+  protect,
+  authorize('seeker'),
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+  ]),
+  validateRequest,
+  getQuestionnaireResultsController
+);
+
+// AI summary of questionnaire answers (Seeker)
+router.post(
+  '/:testimonialId/questionnaire/summary',
+  protect,
+  authorize('seeker'),
+  createValidator(questionnaireSummaryValidation),
+  validateRequest,
+  summarizeQuestionnaireController
+);
+
+// Version history of a giver's testimonial (Seeker)
+router.get(
+  '/:testimonialId/givers/:giverId/revisions',
+  protect,
+  authorize('seeker'),
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+    param('giverId').isMongoId().withMessage('Invalid giver ID'),
+  ]),
+  validateRequest,
+  getTestimonialRevisionsController
+);
+
+// Approve a giver's edit (Seeker)
+router.put(
+  '/:testimonialId/givers/:giverId/revisions/:version/approve',
+  protect,
+  authorize('seeker'),
+  createValidator(revisionReviewValidation),
+  validateRequest,
+  approveTestimonialRevisionController
+);
+
+// Reject a giver's edit (Seeker)
+router.put(
+  '/:testimonialId/givers/:giverId/revisions/:version/reject',
+  protect,
+  authorize('seeker'),
+  createValidator(revisionReviewValidation),
+  validateRequest,
+  rejectTestimonialRevisionController
+);
+
+// Appeal a rejection or moderation decision (Seeker)
+router.post(
+  '/:testimonialId/appeals',
+  protect,
+  authorize('seeker'),
+  createValidator(appealValidation),
+  validateRequest,
+  appealDecisionController
+);
+
 // Report a testimonial (Viewer)
 router.post(
   '/report/:testimonialId',
+  optionalProtect,
   createValidator(testimonialReportValidation),
   validateRequest,
   reportTestimonialController
 );
 
-// Approve a testimonial (Admin)
+// Approve a testimonial (Seeker/Admin)
 router.put(
   '/approve/:testimonialId',
   protect,
-  authorize('admin'),
+  authorize('seeker', 'admin'),
   createValidator(testimonialApprovalValidation),
   validateRequest,
   approveTestimonialController
 );
 
-// Reject a testimonial (Admin)
+// Reject a testimonial (Seeker/Admin)
 router.put(
   '/reject/:testimonialId',
   protect,
-  authorize('admin'),
+  authorize('seeker', 'admin'),
   createValidator(testimonialApprovalValidation),
   validateRequest,
   rejectTestimonialController
 );
 
+// Send a testimonial back to its giver for changes (Seeker/Admin)
+router.put(
+  '/request-changes/:testimonialId',
+  protect,
+  authorize('seeker', 'admin'),
+  createValidator(testimonialChangeRequestValidation),
+  validateRequest,
+  requestTestimonialChangesController
+);
+
 // Toggle testimonial visibility (Admin)
 router.put(
   '/:testimonialId/toggle-visibility',
@@ -107,6 +329,34 @@ router.post(
   shareTestimonialController
 );
 
+// View a shared testimonial (Public, via share link)
+router.get(
+  '/share/:token',
+  shareViewRateLimiter,
+  createValidator([
+    param('token')
+      .matches(/^[A-Za-z0-9_-]{32}$/)
+      .withMessage('Invalid share token'),
+  ]),
+  validateRequest,
+  getSharedTestimonialController
+);
+
+// Revoke a share link (Seeker)
+router.delete(
+  '/:testimonialId/share/:token',
+  protect,
+  authorize('seeker'),
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+    param('token')
+      .matches(/^[A-Za-z0-9_-]{32}$/)
+      .withMessage('Invalid share token'),
+  ]),
+  validateRequest,
+  revokeShareTokenController
+);
+
 // Bulk process testimonials (Admin)
 router.post(
   '/bulk-process',
@@ -117,6 +367,40 @@ router.post(
   bulkProcessTestimonialsController
 );
 
+// Poll a bulk processing job (Admin)
+router.get(
+  '/bulk-process/:jobId',
+  protect,
+  authorize('admin'),
+  getBulkProcessStatusController
+);
+
+// Export testimonials as CSV, NDJSON or XLSX (Seeker)
+router.get(
+  '/export',
+  protect,
+  authorize('seeker'),
+  createValidator(testimonialExportValidation),
+  validateRequest,
+  exportTestimonialsController
+);
+
+// Poll a background export (Seeker)
+router.get(
+  '/export/:jobId',
+  protect,
+  authorize('seeker'),
+  getTestimonialExportStatusController
+);
+
+// Download a finished background export (Seeker)
+router.get(
+  '/export/:jobId/download',
+  protect,
+  authorize('seeker'),
+  downloadTestimonialExportController
+);
+
 // Generate testimonial certificate (Admin/Seeker)
 router.post(
   '/:testimonialId/certificate',
@@ -152,18 +436,51 @@ router.put(
 // Create a new testimonial
 router.post('/', protect, createTestimonialRequestController);
 
+// Search testimonials (registered before /:seekerId so it isn't shadowed)
+router.get(
+  '/search',
+  protect,
+  authorize('seeker'),
+  searchRateLimiter,
+  createValidator(testimonialSearchValidation),
+  validateRequest,
+  searchTestimonialsController
+);
+
+// Semantic search over the seeker's testimonials
+router.get(
+  '/semantic-search',
+  protect,
+  authorize('seeker'),
+  searchRateLimiter,
+  createValidator([semanticSearchValidation, similarityOptionsValidation]),
+  validateRequest,
+  semanticSearchTestimonialsController
+);
+
 // Get all testimonials for a seeker
 router.get('/:seekerId', protect, getTestimonialsController);
 
 // Get public testimonials
 router.get('/public', getPublicTestimonialsController);
 
+// "More like this" for one of the seeker's testimonials
+router.get(
+  '/:testimonialId/similar',
+  protect,
+  authorize('seeker'),
+  searchRateLimiter,
+  createValidator([
+    param('testimonialId').isMongoId().withMessage('Invalid testimonial ID'),
+    similarityOptionsValidation,
+  ]),
+  validateRequest,
+  getSimilarTestimonialsController
+);
+
 // Get testimonial by ID
 router.get('/:testimonialId', getTestimonialByIdController);
 
-// Search testimonials
-router.get('/search', protect, searchTestimonialsController);
-
 // Get testimonial statistics
 router.get('/stats', protect, getTestimonialStatsController);
 // Get testimonials with pagination
@@ -179,13 +496,13 @@ router.delete(
 // Get testimonials with pagination
 router.get('/', protect, validateGetTestimonials, getTestimonials);
 
-// Bulk approve or reject testimonials
+// Bulk archive, restore, delete or change visibility (Seeker)
 router.post(
   '/bulk-action',
   protect,
-  authorize('admin'),
+  authorize('seeker'),
   validateBulkAction,
-  bulkApproveRejectTestimonials
+  bulkTestimonialActionController
 );
 
 export default router;
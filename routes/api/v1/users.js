@@ -6,6 +6,7 @@ import {
   deleteAccount,
   getMe,
   exportData,
+  downloadExportData,
   forgotPassword,
   enable2FA,
   disable2FA,
@@ -18,6 +19,8 @@ import {
   profileUpdateRateLimiter,
   emailVerificationRateLimiter,
   loginRateLimiter,
+  dataExportRateLimiter,
+  dataExportDownloadRateLimiter,
 } from '../../../middlewares/rateLimiter.js';
 import { cache } from '../../../middlewares/cache.js';
 import { upload } from '../../../middlewares/upload.js'; // Middleware for file uploads
@@ -86,8 +89,15 @@ router.put(
 // Account management routes
 router.delete('/account', protect, emailVerificationRateLimiter, deleteAccount);
 
-// Export user data
-router.get('/export-data', protect, exportData);
+// Export user data (emails a signed download link)
+router.get('/export-data', protect, dataExportRateLimiter, exportData);
+
+// Download a user data export via its signed link
+router.get(
+  '/export-data/download',
+  dataExportDownloadRateLimiter,
+  downloadExportData
+);
 
 // Password reset routes
 router.post(
@@ -0,0 +1,88 @@
+// src/routes/api/v1/widgets.js
+
+import express from 'express';
+import {
+  getWidgetFeedController,
+  createWidgetKeyController,
+  listWidgetKeysController,
+  updateWidgetKeyController,
+  revokeWidgetKeyController,
+} from '../../../controllers/widgetController.js';
+import { protect } from '../../../middlewares/auth.js';
+import { authorize } from '../../../middlewares/role.js';
+import { authenticateWidgetKey } from '../../../middlewares/widgetAuth.js';
+import { widgetRateLimiter } from '../../../middlewares/rateLimiter.js';
+import validators, {
+  createValidator,
+  widgetKeyCreateValidation,
+  widgetKeyUpdateValidation,
+  widgetFeedValidation,
+} from '../../../utils/validators.js';
+import { validateRequest } from '../../../middlewares/validate.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/v1/widgets/feed
+ * @desc    Get a seeker's public testimonials for an embedded widget
+ * @access  Public (widget key, allowlisted origins only)
+ */
+router.get(
+  '/feed',
+  widgetRateLimiter,
+  createValidator(widgetFeedValidation),
+  validateRequest,
+  authenticateWidgetKey,
+  getWidgetFeedController
+);
+
+/**
+ * @route   POST /api/v1/widgets/keys
+ * @desc    Create a widget key
+ * @access  Private (Seeker)
+ */
+router.post(
+  '/keys',
+  protect,
+  authorize('seeker'),
+  createValidator(widgetKeyCreateValidation),
+  validateRequest,
+  createWidgetKeyController
+);
+
+/**
+ * @route   GET /api/v1/widgets/keys
+ * @desc    List widget keys
+ * @access  Private (Seeker)
+ */
+router.get('/keys', protect, authorize('seeker'), listWidgetKeysController);
+
+/**
+ * @route   PATCH /api/v1/widgets/keys/:keyId
+ * @desc    Update a widget key's name, origins, layout or testimonials
+ * @access  Private (Seeker)
+ */
+router.patch(
+  '/keys/:keyId',
+  protect,
+  authorize('seeker'),
+  createValidator(widgetKeyUpdateValidation),
+  validateRequest,
+  updateWidgetKeyController
+);
+
+/**
+ * @route   DELETE /api/v1/widgets/keys/:keyId
+ * @desc    Revoke a widget key
+ * @access  Private (Seeker)
+ */
+router.delete(
+  '/keys/:keyId',
+  protect,
+  authorize('seeker'),
+  createValidator(validators.objectId('keyId')),
+  validateRequest,
+  revokeWidgetKeyController
+);
+
+export default router;
@@ -799,6 +799,8 @@ export const generateAITestimonial = async (options = {}) => {
     length,
     focusAreas,
     industry,
+    achievements,
+    keywords,
   });
 
   try {
@@ -1023,7 +1025,7 @@ const enhanceTestimonialContent = async (content, options) => {
  * @param {string} content - The testimonial content.
  * @returns {Promise<Object>} Authenticity analysis results.
  */
-const analyzeTestimonialAuthenticity = async (content) => {
+export const analyzeTestimonialAuthenticity = async (content) => {
   try {
     const messages = [
       {
@@ -1686,6 +1688,7 @@ export const generateAITestimonialAdvanced = async (options = {}) => {
 const aiService = {
   generateEnhancedSuggestions,
   detectContentIssues,
+  analyzeTestimonialAuthenticity,
   generateTestimonialImprovements,
   processTestimonialText,
   extractSkillsFromText,
@@ -3,6 +3,7 @@
 import Analytics from '../models/Analytics.js';
 import Testimonial from '../models/Testimonial.js';
 import Goal from '../models/Goal.js';
+import Skill from '../models/Skills.js';
 import User from '../models/User.js';
 import ActivityLog from '../models/ActivityLog.js';
 import { queues } from '../jobs/queues.js';
@@ -15,20 +16,56 @@ import { updateIndustryTrends } from './externalDataService.js';
 import AppError from '../utils/appError.js';
 
 /**
- * Processes skills analytics for a seeker.
+ * Processes skills analytics for a seeker. Skills extracted from testimonial
+ * text are merged with the recency-weighted ratings givers gave each skill.
  *
  * @param {string} seekerId - ID of the user.
- * @returns {Promise<Object>} Extracted skills data.
+ * @returns {Promise<Array<Object>>} Skills with mentions and ratings.
  */
 const processSkills = async (seekerId) => {
-  const testimonials = await Testimonial.find({
-    seeker: seekerId,
-    'givers.isApproved': true,
-  }).lean();
+  const [testimonials, ratedSkills] = await Promise.all([
+    Testimonial.find({
+      seeker: seekerId,
+      'givers.isApproved': true,
+    }).lean(),
+    Skill.find({ user: seekerId, 'ratingSummary.count': { $gt: 0 } }),
+  ]);
 
-  const skills = await extractSkills(
-    testimonials.map((t) => t.givers.testimonial)
+  const texts = testimonials.flatMap((t) =>
+    t.givers
+      .filter((g) => g.isApproved && g.testimonial?.text)
+      .map((g) => g.testimonial.text)
+  );
+  const extracted = texts.length ? await extractSkills(texts) : [];
+
+  const ratings = new Map(
+    ratedSkills.map((skill) => [
+      skill.name.toLowerCase(),
+      { name: skill.name, ...skill.getWeightedRating() },
+    ])
   );
+
+  const skills = extracted.map((skill) => {
+    const key = skill.skill.toLowerCase();
+    const rating = ratings.get(key);
+    ratings.delete(key);
+    return {
+      ...skill,
+      rating: rating
+        ? { weightedAverage: rating.weightedAverage, count: rating.count }
+        : null,
+    };
+  });
+
+  // Skills that were rated but never mentioned in testimonial text
+  ratings.forEach((rating) => {
+    skills.push({
+      skill: rating.name,
+      mentions: 0,
+      rating: { weightedAverage: rating.weightedAverage, count: rating.count },
+    });
+  });
+
   return skills;
 };
 
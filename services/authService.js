@@ -8,6 +8,7 @@ import emailService from './emailService.js';
 import smsService from './smsService.js';
 import AppError from '../utils/appError.js';
 import { logger } from '../utils/logger.js';
+import { cancelAccountDeletion } from './userService.js';
 
 /**
  * Registers a new user.
@@ -91,6 +92,9 @@ export const loginUser = async (credentials, req) => {
     throw new AppError('Please verify your email before logging in', 401);
   }
 
+  // Logging in during the grace period cancels a pending account deletion
+  const accountDeletionCancelled = await cancelAccountDeletion(user._id);
+
   // Generate tokens
   const { accessToken, refreshToken } = tokenService.generateTokens(user);
 
@@ -106,7 +110,7 @@ export const loginUser = async (credentials, req) => {
 
   logger.info(`User logged in: ${user.id}`);
 
-  return { accessToken, refreshToken, user };
+  return { accessToken, refreshToken, user, accountDeletionCancelled };
 };
 
 /**
@@ -360,6 +364,8 @@ export const verifyLoginOTP = async (phone, code, req) => {
   user.userAgent = req.headers['user-agent'];
   user.ipAddress = req.ip;
 
+  const accountDeletionCancelled = await cancelAccountDeletion(user._id);
+
   // Generate tokens
   const { accessToken, refreshToken } = tokenService.generateTokens(user);
 
@@ -375,7 +381,7 @@ export const verifyLoginOTP = async (phone, code, req) => {
 
   logger.info(`User logged in via OTP: ${user.id}`);
 
-  return { accessToken, refreshToken, user };
+  return { accessToken, refreshToken, user, accountDeletionCancelled };
 };
 
 /**
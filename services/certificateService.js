@@ -0,0 +1,746 @@
+// src/services/certificateService.js
+
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+import { Resvg } from '@resvg/resvg-js';
+import QRCode from 'qrcode';
+import { nanoid } from 'nanoid';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { cloudinary, uploadToCloudinary } from '../config/cloudinary.js';
+import Testimonial from '../models/Testimonial.js';
+
+// A4 landscape, in PDF points. The PNG is rendered from the same layout at 2x.
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const PNG_SCALE = 2;
+
+const MAX_LOGO_BYTES = 2 * 1024 * 1024; // 2 MB
+const CERTIFICATE_FOLDER = 'certificates';
+const MAX_QUOTES = 3;
+const QUOTE_MAX_CHARS = 240;
+const QUOTE_LINE_CHARS = 100;
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const QR_CODE = { x: 712, y: 455, size: 90 };
+const LOGO_BOX = { x: 50, y: 45, width: 120, height: 60 };
+
+/**
+ * Named certificate templates. Colors can be overridden per certificate.
+ */
+const CERTIFICATE_TEMPLATES = {
+  classic: {
+    title: 'Certificate of Recognition',
+    colors: {
+      primary: '#1a365d',
+      accent: '#c9a227',
+      background: '#fffdf5',
+      text: '#1a1a1a',
+    },
+    pdfFont: 'Times-Roman',
+    pdfBoldFont: 'Times-Bold',
+    svgFont: 'serif',
+  },
+  modern: {
+    title: 'Verified Testimonials',
+    colors: {
+      primary: '#0066ff',
+      accent: '#00c2a8',
+      background: '#ffffff',
+      text: '#1a1a1a',
+    },
+    pdfFont: 'Helvetica',
+    pdfBoldFont: 'Helvetica-Bold',
+    svgFont: 'sans-serif',
+  },
+  minimal: {
+    title: 'Testimonial Certificate',
+    colors: {
+      primary: '#111111',
+      accent: '#9a9a9a',
+      background: '#ffffff',
+      text: '#222222',
+    },
+    pdfFont: 'Helvetica',
+    pdfBoldFont: 'Helvetica-Bold',
+    svgFont: 'sans-serif',
+  },
+};
+
+const TEMPLATE_ALIASES = { default: 'classic' };
+
+/**
+ * Resolve a template name and merge the caller's color overrides.
+ *
+ * @param {string} templateName - Name of the template.
+ * @param {Object} customization - Certificate customization.
+ * @returns {Object} - Resolved template name, template and colors.
+ * @throws {AppError} - If the template or a color is invalid.
+ */
+const resolveTemplate = (templateName = 'default', customization = {}) => {
+  const name = TEMPLATE_ALIASES[templateName] || templateName;
+  const template = Object.prototype.hasOwnProperty.call(
+    CERTIFICATE_TEMPLATES,
+    name
+  )
+    ? CERTIFICATE_TEMPLATES[name]
+    : null;
+
+  if (!template) {
+    throw new AppError(`Unknown certificate template: ${templateName}.`, 400);
+  }
+
+  const colors = { ...template.colors };
+  Object.entries(customization.colors || {}).forEach(([key, value]) => {
+    if (!(key in colors)) {
+      throw new AppError(`Unknown certificate color: ${key}.`, 400);
+    }
+    if (!HEX_COLOR.test(value)) {
+      throw new AppError(`Invalid hex color for ${key}.`, 400);
+    }
+    colors[key] = value;
+  });
+
+  return { name, template, colors };
+};
+
+/**
+ * Build the public verification URL for a certificate. It points at the
+ * API's verify endpoint so the QR code works without a client route.
+ *
+ * @param {string} certificateId - ID of the certificate.
+ * @returns {string} - Verification URL.
+ */
+export const getVerificationUrl = (certificateId) =>
+  `${process.env.SERVER_URL}/api/v1/certificates/${certificateId}/verify`;
+
+/**
+ * Build the canonical payload a certificate's verification hash covers.
+ * Field order is fixed so the hash can be recomputed from stored data.
+ *
+ * @param {Object} params
+ * @param {string} params.certificateId - ID of the certificate.
+ * @param {Object} params.testimonial - The testimonial document.
+ * @param {Array<Object>} params.givers - Giver subdocuments on the certificate.
+ * @param {string} params.template - Resolved template name.
+ * @param {Date|string} params.issuedAt - Issue date.
+ * @returns {Object} - Canonical payload.
+ */
+export const buildCertificatePayload = ({
+  certificateId,
+  testimonial,
+  givers,
+  template,
+  issuedAt,
+}) => ({
+  certificateId,
+  testimonialId: testimonial._id.toString(),
+  seekerId: (testimonial.seeker._id || testimonial.seeker).toString(),
+  template,
+  issuedAt: new Date(issuedAt).toISOString(),
+  givers: givers.map((giver) => ({
+    giverId: giver._id.toString(),
+    text: giver.testimonial?.text || '',
+    rating: giver.testimonial?.rating?.overall ?? null,
+  })),
+});
+
+/**
+ * Compute the SHA-256 verification hash of a certificate payload.
+ *
+ * @param {Object} payload - Canonical certificate payload.
+ * @returns {string} - Hex digest.
+ */
+export const computeVerificationHash = (payload) =>
+  crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+
+/**
+ * Sign a certificate's verification hash with the server secret.
+ *
+ * @param {string} certificateId - ID of the certificate.
+ * @param {string} verificationHash - Verification hash.
+ * @returns {string} - Hex HMAC-SHA256 signature.
+ * @throws {AppError} - If no signing secret is configured.
+ */
+export const signVerificationHash = (certificateId, verificationHash) => {
+  const secret = process.env.CERTIFICATE_SIGNING_SECRET;
+  if (!secret) {
+    throw new AppError('Certificate signing is not configured.', 500);
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${certificateId}.${verificationHash}`)
+    .digest('hex');
+};
+
+/**
+ * Mask a giver's email so certificates don't publish contact details.
+ *
+ * @param {Object} giver - Giver subdocument.
+ * @returns {string} - Display label.
+ */
+const formatGiverLabel = (giver) => {
+  if (giver.name) return giver.name;
+  const [local, domain] = giver.email.split('@');
+  return `${local.charAt(0)}***@${domain}`;
+};
+
+const truncate = (text, maxChars) =>
+  text.length > maxChars ? `${text.slice(0, maxChars - 3).trim()}...` : text;
+
+/**
+ * Split text into lines of at most `maxChars` characters on word boundaries.
+ *
+ * @param {string} text - Text to wrap.
+ * @param {number} maxChars - Maximum characters per line.
+ * @returns {Array<string>} - Wrapped lines.
+ */
+const wrapText = (text, maxChars) =>
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((lines, word) => {
+      const current = lines[lines.length - 1];
+      if (current !== undefined && `${current} ${word}`.length <= maxChars) {
+        lines[lines.length - 1] = `${current} ${word}`;
+      } else {
+        lines.push(word);
+      }
+      return lines;
+    }, []);
+
+/**
+ * Lay out the text of a certificate once so the PDF and PNG renderers
+ * produce the same document.
+ *
+ * @param {Object} data - Certificate content.
+ * @returns {Array<Object>} - Positioned text items.
+ */
+const buildLayout = ({
+  title,
+  seekerName,
+  projectDetails,
+  givers,
+  issuedAt,
+  certificateId,
+  verificationUrl,
+}) => {
+  const items = [
+    { text: title, y: 95, size: 30, bold: true, color: 'primary' },
+    { text: 'Presented to', y: 145, size: 12, color: 'text' },
+    { text: seekerName, y: 165, size: 26, bold: true, color: 'primary' },
+    {
+      text: truncate(projectDetails.replace(/\s+/g, ' ').trim(), 140),
+      y: 205,
+      size: 11,
+      color: 'text',
+    },
+  ];
+
+  let y = 245;
+  givers.slice(0, MAX_QUOTES).forEach((giver) => {
+    const quote = truncate(
+      (giver.testimonial?.text || '').replace(/\s+/g, ' ').trim(),
+      QUOTE_MAX_CHARS
+    );
+    wrapText(`"${quote}"`, QUOTE_LINE_CHARS).forEach((line) => {
+      items.push({ text: line, y, size: 11, color: 'text' });
+      y += 15;
+    });
+    items.push({
+      text: `- ${formatGiverLabel(giver)}`,
+      y,
+      size: 10,
+      bold: true,
+      color: 'accent',
+    });
+    y += 28;
+  });
+
+  if (givers.length > MAX_QUOTES) {
+    items.push({
+      text: `and ${givers.length - MAX_QUOTES} more verified endorsement(s)`,
+      y,
+      size: 10,
+      color: 'accent',
+    });
+  }
+
+  items.push(
+    {
+      text: `Issued ${new Date(
+        issuedAt
+      ).toDateString()}  |  Certificate ID ${certificateId}`,
+      y: 520,
+      size: 9,
+      color: 'text',
+    },
+    { text: `Verify at ${verificationUrl}`, y: 535, size: 9, color: 'text' }
+  );
+
+  return items;
+};
+
+/**
+ * Render a certificate layout to PDF.
+ *
+ * @param {Array<Object>} layout - Positioned text items.
+ * @param {Object} options - Template, colors, images and PDF metadata.
+ * @returns {Promise<Buffer>} - PDF contents.
+ */
+const renderCertificatePdf = (
+  layout,
+  { template, colors, logo, qrPng, info }
+) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 0,
+      info,
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.rect(0, 0, PAGE_WIDTH, PAGE_HEIGHT).fill(colors.background);
+    doc
+      .lineWidth(3)
+      .rect(20, 20, PAGE_WIDTH - 40, PAGE_HEIGHT - 40)
+      .stroke(colors.primary);
+    doc
+      .lineWidth(1)
+      .rect(28, 28, PAGE_WIDTH - 56, PAGE_HEIGHT - 56)
+      .stroke(colors.accent);
+
+    if (logo) {
+      doc.image(logo.buffer, LOGO_BOX.x, LOGO_BOX.y, {
+        fit: [LOGO_BOX.width, LOGO_BOX.height],
+      });
+    }
+    doc.image(qrPng, QR_CODE.x, QR_CODE.y, { width: QR_CODE.size });
+
+    layout.forEach((item) => {
+      doc
+        .font(item.bold ? template.pdfBoldFont : template.pdfFont)
+        .fontSize(item.size)
+        .fillColor(colors[item.color])
+        .text(item.text, 0, item.y, {
+          width: PAGE_WIDTH,
+          align: 'center',
+          lineBreak: false,
+        });
+    });
+
+    doc.end();
+  });
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Render a certificate layout to PNG via SVG.
+ *
+ * @param {Array<Object>} layout - Positioned text items.
+ * @param {Object} options - Template, colors and images.
+ * @returns {Buffer} - PNG contents.
+ */
+const renderCertificatePng = (
+  layout,
+  { template, colors, logo, qrDataUrl }
+) => {
+  const text = layout
+    .map(
+      (item) =>
+        `<text x="${PAGE_WIDTH / 2}" y="${item.y + item.size * 0.8}" ` +
+        `font-size="${item.size}" font-weight="${
+          item.bold ? 'bold' : 'normal'
+        }" fill="${colors[item.color]}" text-anchor="middle">${escapeXml(
+          item.text
+        )}</text>`
+    )
+    .join('');
+
+  const logoImage = logo
+    ? `<image x="${LOGO_BOX.x}" y="${LOGO_BOX.y}" width="${
+        LOGO_BOX.width
+      }" height="${
+        LOGO_BOX.height
+      }" preserveAspectRatio="xMinYMin meet" href="data:${
+        logo.mimetype
+      };base64,${logo.buffer.toString('base64')}"/>`
+    : '';
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE_WIDTH}" height="${PAGE_HEIGHT}" ` +
+    `font-family="${template.svgFont}">` +
+    `<rect width="100%" height="100%" fill="${colors.background}"/>` +
+    `<rect x="20" y="20" width="${PAGE_WIDTH - 40}" height="${
+      PAGE_HEIGHT - 40
+    }" fill="none" stroke="${colors.primary}" stroke-width="3"/>` +
+    `<rect x="28" y="28" width="${PAGE_WIDTH - 56}" height="${
+      PAGE_HEIGHT - 56
+    }" fill="none" stroke="${colors.accent}" stroke-width="1"/>` +
+    logoImage +
+    `<image x="${QR_CODE.x}" y="${QR_CODE.y}" width="${QR_CODE.size}" height="${QR_CODE.size}" href="${qrDataUrl}"/>` +
+    text +
+    '</svg>';
+
+  return new Resvg(svg, {
+    fitTo: { mode: 'width', value: PAGE_WIDTH * PNG_SCALE },
+    font: { loadSystemFonts: true, defaultFontFamily: template.svgFont },
+  })
+    .render()
+    .asPng();
+};
+
+/**
+ * Whether a logo URL points at media we host: our Cloudinary account or the
+ * local media server. Arbitrary hosts are rejected so the server can't be
+ * used to fetch internal addresses.
+ *
+ * @param {URL} url - Parsed logo URL.
+ * @returns {boolean} - Whether the URL may be fetched.
+ */
+const isAllowedLogoUrl = (url) => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (
+    cloudName &&
+    url.host === 'res.cloudinary.com' &&
+    url.pathname.startsWith(`/${cloudName}/`)
+  ) {
+    return true;
+  }
+
+  if (!process.env.MEDIA_PUBLIC_URL) return false;
+  const mediaUrl = new URL(process.env.MEDIA_PUBLIC_URL);
+  return (
+    url.origin === mediaUrl.origin &&
+    url.pathname.startsWith(mediaUrl.pathname.replace(/\/*$/, '/'))
+  );
+};
+
+/**
+ * Read a response body, aborting once it grows past `maxBytes`.
+ *
+ * @param {Response} response - Fetch response.
+ * @param {number} maxBytes - Maximum body size.
+ * @returns {Promise<Buffer|null>} - Body contents, or null if too large.
+ */
+const readBodyWithLimit = async (response, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      await response.body.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download a certificate logo. Only HTTPS PNG/JPEG images hosted in our own
+ * media storage are accepted.
+ *
+ * @param {string} logoUrl - URL of the logo.
+ * @returns {Promise<Object|null>} - Logo buffer and MIME type, or null.
+ * @throws {AppError} - If the logo is invalid or unreachable.
+ */
+const fetchLogo = async (logoUrl) => {
+  if (!logoUrl) return null;
+
+  let url;
+  try {
+    url = new URL(logoUrl);
+  } catch (error) {
+    throw new AppError('Invalid certificate logo URL.', 400);
+  }
+  if (url.protocol !== 'https:') {
+    throw new AppError('Certificate logo URL must use HTTPS.', 400);
+  }
+  if (!isAllowedLogoUrl(url)) {
+    throw new AppError(
+      'Certificate logo must be an image uploaded to Testimony.',
+      400
+    );
+  }
+
+  let response;
+  try {
+    response = await fetch(url, {
+      redirect: 'error',
+      signal: AbortSignal.timeout(5000),
+    });
+  } catch (error) {
+    logger.warn(`Certificate logo fetch failed for ${logoUrl}:`, error);
+    throw new AppError('Failed to fetch certificate logo.', 400);
+  }
+  if (!response.ok) {
+    throw new AppError('Failed to fetch certificate logo.', 400);
+  }
+
+  const mimetype = (response.headers.get('content-type') || '')
+    .split(';')[0]
+    .trim();
+  if (!['image/png', 'image/jpeg'].includes(mimetype)) {
+    throw new AppError('Certificate logo must be a PNG or JPEG image.', 400);
+  }
+
+  const tooLarge = new AppError(
+    'Certificate logo must be smaller than 2 MB.',
+    400
+  );
+  if (Number(response.headers.get('content-length')) > MAX_LOGO_BYTES) {
+    await response.body?.cancel().catch(() => {});
+    throw tooLarge;
+  }
+
+  let buffer;
+  try {
+    buffer = await readBodyWithLimit(response, MAX_LOGO_BYTES);
+  } catch (error) {
+    logger.warn(`Certificate logo download failed for ${logoUrl}:`, error);
+    throw new AppError('Failed to fetch certificate logo.', 400);
+  }
+  if (!buffer) {
+    throw tooLarge;
+  }
+
+  return { buffer, mimetype };
+};
+
+/**
+ * Delete a certificate's PDF and PNG from Cloudinary. Used when the
+ * certificate record is never stored, so the files aren't left orphaned.
+ * Failures are logged rather than thrown.
+ *
+ * @param {string} certificateId - ID of the certificate.
+ * @returns {Promise<void>}
+ */
+export const removeCertificateFiles = async (certificateId) => {
+  const results = await Promise.allSettled([
+    cloudinary.uploader.destroy(`${CERTIFICATE_FOLDER}/${certificateId}.pdf`, {
+      resource_type: 'raw',
+      invalidate: true,
+    }),
+    cloudinary.uploader.destroy(`${CERTIFICATE_FOLDER}/${certificateId}`, {
+      resource_type: 'image',
+      invalidate: true,
+    }),
+  ]);
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      logger.warn(
+        `Failed to remove certificate files for ${certificateId}:`,
+        result.reason
+      )
+    );
+};
+
+/**
+ * Render, sign and upload a certificate for a testimonial. If anything fails
+ * after upload has started, the uploaded files are removed again.
+ *
+ * @param {Object} params
+ * @param {Object} params.testimonial - Testimonial document (seeker populated).
+ * @param {Array<Object>} params.givers - Approved givers to include.
+ * @param {string} [params.template='default'] - Template name.
+ * @param {Object} [params.customization={}] - Colors and logo overrides.
+ * @param {string} [params.issuedBy] - ID of the user issuing the certificate.
+ * @returns {Promise<Object>} - Certificate record for `testimonial.certificates`.
+ * @throws {AppError} - If rendering or upload fails.
+ */
+export const issueCertificate = async ({
+  testimonial,
+  givers,
+  template: templateName = 'default',
+  customization = {},
+  issuedBy,
+}) => {
+  const { name, template, colors } = resolveTemplate(
+    templateName,
+    customization
+  );
+  const logo = await fetchLogo(customization.logoUrl);
+
+  const certificateId = nanoid(24);
+  const issuedAt = new Date();
+  const verificationUrl = getVerificationUrl(certificateId);
+
+  const verificationHash = computeVerificationHash(
+    buildCertificatePayload({
+      certificateId,
+      testimonial,
+      givers,
+      template: name,
+      issuedAt,
+    })
+  );
+  const signature = signVerificationHash(certificateId, verificationHash);
+
+  const layout = buildLayout({
+    title: template.title,
+    seekerName: `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`,
+    projectDetails: testimonial.projectDetails,
+    givers,
+    issuedAt,
+    certificateId,
+    verificationUrl,
+  });
+
+  try {
+    const [qrPng, qrDataUrl] = await Promise.all([
+      QRCode.toBuffer(verificationUrl, { margin: 1 }),
+      QRCode.toDataURL(verificationUrl, { margin: 1 }),
+    ]);
+
+    const pdf = await renderCertificatePdf(layout, {
+      template,
+      colors,
+      logo,
+      qrPng,
+      info: {
+        Title: template.title,
+        Author: 'Testimony',
+        Subject: `Certificate ${certificateId}`,
+        Keywords: `verification-hash:${verificationHash} signature:${signature}`,
+      },
+    });
+    const png = renderCertificatePng(layout, {
+      template,
+      colors,
+      logo,
+      qrDataUrl,
+    });
+
+    // Wait for both uploads so a half-finished one can be cleaned up
+    const uploads = await Promise.allSettled([
+      uploadToCloudinary(pdf, 'application/pdf', {
+        folder: CERTIFICATE_FOLDER,
+        public_id: `${certificateId}.pdf`,
+      }),
+      uploadToCloudinary(png, 'image/png', {
+        folder: CERTIFICATE_FOLDER,
+        public_id: certificateId,
+      }),
+    ]);
+    const failedUpload = uploads.find((upload) => upload.status === 'rejected');
+    if (failedUpload) {
+      await removeCertificateFiles(certificateId);
+      throw failedUpload.reason;
+    }
+    const [url, pngUrl] = uploads.map((upload) => upload.value);
+
+    return {
+      certificateId,
+      url,
+      pngUrl,
+      generatedAt: issuedAt,
+      template: name,
+      customization: { colors, logoUrl: customization.logoUrl || null },
+      giverIds: givers.map((giver) => giver._id),
+      issuedBy,
+      verificationHash,
+      signature,
+      pdfHash: crypto.createHash('sha256').update(pdf).digest('hex'),
+    };
+  } catch (error) {
+    logger.error('Error rendering certificate:', error);
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to render certificate.', 500);
+  }
+};
+
+/**
+ * Constant-time comparison of two hex digests.
+ *
+ * @param {string} a - First digest.
+ * @param {string} b - Second digest.
+ * @returns {boolean} - Whether the digests match.
+ */
+const digestsMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+/**
+ * Verify a certificate: the signature must match the server secret, the
+ * certificate must not be revoked and the testimonial content it covers
+ * must be unchanged since issuance.
+ *
+ * @param {string} certificateId - ID of the certificate.
+ * @returns {Promise<Object>} - Verification result with public details.
+ * @throws {AppError} - If the certificate doesn't exist.
+ */
+export const verifyCertificate = async (certificateId) => {
+  const testimonial = await Testimonial.findOne({
+    'certificates.certificateId': certificateId,
+  }).populate('seeker', 'firstName lastName');
+
+  const certificate = testimonial?.certificates.find(
+    (c) => c.certificateId === certificateId
+  );
+  if (!certificate) {
+    throw new AppError('Certificate not found.', 404);
+  }
+
+  const authentic = digestsMatch(
+    certificate.signature,
+    signVerificationHash(certificateId, certificate.verificationHash)
+  );
+
+  const certifiedGivers = certificate.giverIds.map((giverId) =>
+    testimonial.givers.id(giverId)
+  );
+  const unmodified =
+    certifiedGivers.every(Boolean) &&
+    digestsMatch(
+      certificate.verificationHash,
+      computeVerificationHash(
+        buildCertificatePayload({
+          certificateId,
+          testimonial,
+          givers: certifiedGivers,
+          template: certificate.template,
+          issuedAt: certificate.generatedAt,
+        })
+      )
+    );
+
+  const unrevoked = !certificate.revoked;
+
+  return {
+    certificateId,
+    valid: authentic && unmodified && unrevoked,
+    checks: { authentic, unrevoked, unmodified },
+    seekerName: testimonial.seeker
+      ? `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`
+      : null,
+    giverCount: certificate.giverIds.length,
+    issuedAt: certificate.generatedAt,
+    revokedAt: certificate.revokedAt || null,
+  };
+};
+
+export default {
+  issueCertificate,
+  removeCertificateFiles,
+  verifyCertificate,
+  buildCertificatePayload,
+  computeVerificationHash,
+  signVerificationHash,
+  getVerificationUrl,
+};
@@ -0,0 +1,586 @@
+// src/services/contactImportService.js
+
+import { nanoid } from 'nanoid';
+import Testimonial from '../models/Testimonial.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { sanitizeInput } from '../utils/sanitizer.js';
+import { redisClient } from '../config/redis.js';
+import { createTestimonialRequest } from './testimonialService.js';
+
+export const CONTACT_FIELDS = ['name', 'email', 'company', 'relationship'];
+
+const MAX_IMPORT_CONTACTS = 500;
+const MAX_FIELD_LENGTH = 100;
+
+// Previews are kept for IMPORT_PREVIEW_TTL_MINUTES so the seeker can
+// confirm them without uploading the file again
+const IMPORT_PREVIEW_TTL_MINUTES =
+  parseInt(process.env.IMPORT_PREVIEW_TTL_MINUTES, 10) || 30;
+
+// Giver states that count as an outstanding request
+const OPEN_GIVER_STATES = [
+  'pending',
+  'pending_review',
+  'screening_hold',
+  'changes_requested',
+];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * CSV headers recognized for each contact field, compared lowercased with
+ * everything but letters removed.
+ */
+const CSV_HEADER_ALIASES = {
+  name: ['name', 'fullname', 'contactname', 'displayname'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'mail', 'workemail', 'primaryemail'],
+  company: ['company', 'organization', 'organisation', 'employer'],
+  relationship: ['relationship', 'relation', 'connection'],
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Split CSV text into rows of fields. Handles quoted fields containing
+ * delimiters, escaped quotes and line breaks. The delimiter is a comma,
+ * or a semicolon when the header row uses those instead.
+ *
+ * @param {string} text - CSV file contents.
+ * @returns {Array<Array<string>>} - Rows of fields.
+ */
+const parseCsvRows = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ';'
+      : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+/**
+ * Work out which CSV column holds each contact field. An explicit mapping
+ * from the seeker wins over recognized headers.
+ *
+ * @param {Array<string>} headers - Header row.
+ * @param {Object} [mapping={}] - Header name per contact field.
+ * @returns {Object} - Column index per field; missing fields are omitted.
+ * @throws {AppError} - If a mapped header doesn't exist or no email column
+ *   can be found.
+ */
+const resolveCsvColumns = (headers, mapping = {}) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(CSV_HEADER_ALIASES)) {
+    const index = normalized.findIndex((header) => aliases.includes(header));
+    if (index !== -1) columns[field] = index;
+  }
+
+  for (const field of CONTACT_FIELDS) {
+    if (!mapping[field]) continue;
+
+    const index = normalized.indexOf(normalizeHeader(mapping[field]));
+    if (index === -1) {
+      throw new AppError(
+        `Column "${mapping[field]}" mapped to ${field} isn't in the file.`,
+        400
+      );
+    }
+    columns[field] = index;
+  }
+
+  if (columns.email === undefined) {
+    throw new AppError(
+      'No email column found. Map one of the file\'s columns to "email".',
+      400
+    );
+  }
+
+  return columns;
+};
+
+/**
+ * Read contacts from a CSV file with a header row.
+ *
+ * @param {string} text - CSV file contents.
+ * @param {Object} [mapping] - Header name per contact field.
+ * @returns {Array<Object>} - Raw contacts with their row number.
+ * @throws {AppError} - If the file has no header or email column.
+ */
+const parseCsvContacts = (text, mapping) => {
+  const [headers, ...rows] = parseCsvRows(text);
+  if (!headers) {
+    throw new AppError('The file is empty.', 400);
+  }
+
+  const columns = resolveCsvColumns(headers, mapping);
+  const read = (fields, field) =>
+    columns[field] !== undefined ? fields[columns[field]]?.trim() : undefined;
+
+  return rows.map((fields, index) => ({
+    row: index + 2,
+    name:
+      read(fields, 'name') ||
+      [read(fields, 'firstName'), read(fields, 'lastName')]
+        .filter(Boolean)
+        .join(' '),
+    email: read(fields, 'email'),
+    company: read(fields, 'company'),
+    relationship: read(fields, 'relationship'),
+  }));
+};
+
+/**
+ * Undo vCard value escaping.
+ *
+ * @param {string} value - Escaped property value.
+ * @returns {string} - Plain value.
+ */
+const unescapeVCardValue = (value) =>
+  value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char.toLowerCase() === 'n' ? ' ' : char
+  );
+
+/**
+ * Read contacts from a vCard file (versions 2.1 to 4.0). The name comes from
+ * `FN` (or `N`), the company from `ORG` and the relationship from
+ * `X-RELATIONSHIP`, falling back to the first `CATEGORIES` entry.
+ *
+ * @param {string} text - vCard file contents.
+ * @returns {Array<Object>} - Raw contacts with their card number.
+ * @throws {AppError} - If the file contains no cards.
+ */
+const parseVCardContacts = (text) => {
+  // Continuation lines start with a space or tab
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const contacts = [];
+  let card = null;
+
+  for (const line of lines) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const [property, ...params] = line.slice(0, separator).split(';');
+    const name = property.replace(/^[^.]+\./, '').toUpperCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+      card = { row: contacts.length + 1 };
+    } else if (name === 'END' && card) {
+      contacts.push(card);
+      card = null;
+    } else if (card) {
+      const isPreferred = params.some((param) => /pref/i.test(param));
+      switch (name) {
+        case 'FN':
+          card.name = unescapeVCardValue(value);
+          break;
+        case 'N':
+          if (!card.name) {
+            const [family, given] = value.split(';');
+            card.name = [given, family]
+              .filter(Boolean)
+              .map(unescapeVCardValue)
+              .join(' ');
+          }
+          break;
+        case 'EMAIL':
+          if (!card.email || isPreferred) card.email = value;
+          break;
+        case 'ORG':
+          card.company = unescapeVCardValue(value.split(';')[0]);
+          break;
+        case 'X-RELATIONSHIP':
+          card.relationship = unescapeVCardValue(value);
+          break;
+        case 'CATEGORIES':
+          if (!card.relationship) {
+            card.relationship = unescapeVCardValue(value.split(',')[0]);
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  if (!contacts.length) {
+    throw new AppError('No contacts found in the vCard file.', 400);
+  }
+
+  return contacts;
+};
+
+/**
+ * Tell CSV and vCard uploads apart by file name, then content.
+ *
+ * @param {Object} file - Uploaded file from multer.
+ * @returns {string} - 'csv' or 'vcard'.
+ */
+const detectFormat = (file) => {
+  if (/\.(vcf|vcard)$/i.test(file.originalname || '')) return 'vcard';
+  if (/\.csv$/i.test(file.originalname || '')) return 'csv';
+  return /^\s*BEGIN:VCARD/i.test(file.buffer.toString('utf8', 0, 64))
+    ? 'vcard'
+    : 'csv';
+};
+
+/**
+ * Get the emails of givers the seeker is still waiting on.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Set<string>>} - Lowercased giver emails.
+ */
+const getOpenGiverEmails = async (seekerId) => {
+  const testimonials = await Testimonial.find({
+    seeker: seekerId,
+    archived: { $ne: true },
+    'givers.verificationStatus': { $in: OPEN_GIVER_STATES },
+  })
+    .select('givers.email givers.verificationStatus')
+    .lean();
+
+  return new Set(
+    testimonials.flatMap((testimonial) =>
+      testimonial.givers
+        .filter((giver) => OPEN_GIVER_STATES.includes(giver.verificationStatus))
+        .map((giver) => giver.email.toLowerCase())
+    )
+  );
+};
+
+/**
+ * Validate imported contacts and flag duplicates, both within the file and
+ * against givers on the seeker's open requests. Names, companies and
+ * relationships are sanitized since they end up in emails and on the
+ * seeker's dashboard.
+ *
+ * @param {Array<Object>} contacts - Raw contacts.
+ * @param {Object} context - Dedup context.
+ * @param {string} context.seekerEmail - The seeker's own email.
+ * @param {Set<string>} context.openGiverEmails - Emails already requested.
+ * @returns {Array<Object>} - Contacts with a `status` of 'ready',
+ *   'invalid', 'duplicate' or 'already_requested', and a `reason` unless
+ *   ready.
+ */
+const classifyContacts = (contacts, { seekerEmail, openGiverEmails }) => {
+  const seen = new Set();
+  const clean = (value) =>
+    (value &&
+      sanitizeInput(value)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_FIELD_LENGTH)) ||
+    undefined;
+
+  return contacts.map(({ row, name, email, company, relationship }) => {
+    const contact = {
+      row,
+      name: clean(name),
+      email: email?.trim().toLowerCase() || undefined,
+      company: clean(company),
+      relationship: clean(relationship),
+    };
+
+    if (!contact.email) {
+      return { ...contact, status: 'invalid', reason: 'Missing email.' };
+    }
+    if (!EMAIL_PATTERN.test(contact.email)) {
+      return { ...contact, status: 'invalid', reason: 'Invalid email.' };
+    }
+    if (contact.email === seekerEmail) {
+      return {
+        ...contact,
+        status: 'invalid',
+        reason: "You can't request a testimonial from yourself.",
+      };
+    }
+    if (seen.has(contact.email)) {
+      return {
+        ...contact,
+        status: 'duplicate',
+        reason: 'Appears earlier in the file.',
+      };
+    }
+    seen.add(contact.email);
+    if (openGiverEmails.has(contact.email)) {
+      return {
+        ...contact,
+        status: 'already_requested',
+        reason: 'Already has an open request from you.',
+      };
+    }
+
+    return { ...contact, status: 'ready' };
+  });
+};
+
+/**
+ * Count contacts by status.
+ *
+ * @param {Array<Object>} contacts - Classified contacts.
+ * @returns {Object} - Totals per status.
+ */
+const summarizeContacts = (contacts) =>
+  contacts.reduce(
+    (summary, { status }) => {
+      summary[status] = (summary[status] || 0) + 1;
+      return summary;
+    },
+    {
+      total: contacts.length,
+      ready: 0,
+      invalid: 0,
+      duplicate: 0,
+      already_requested: 0,
+    }
+  );
+
+const previewKey = (seekerId, importId) =>
+  `contact_import:${seekerId}:${importId}`;
+
+/**
+ * Parse an uploaded CSV or vCard file and preview which contacts can be
+ * asked for a testimonial. Nothing is sent until the preview is confirmed
+ * with `createRequestsFromImport`.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} file - Uploaded file from multer.
+ * @param {Object} [options={}] - Import options.
+ * @param {Object} [options.mapping] - CSV header name per contact field.
+ * @returns {Promise<Object>} - `{ importId, format, expiresAt, summary,
+ *   contacts }`.
+ * @throws {AppError} - If the file is missing, unreadable or too large.
+ */
+export const previewContactImport = async (
+  seekerId,
+  file,
+  { mapping } = {}
+) => {
+  if (!file?.buffer?.length) {
+    throw new AppError('Upload a CSV or vCard file.', 400);
+  }
+
+  const seeker = await User.findById(seekerId).select('email').lean();
+  if (!seeker) {
+    throw new AppError('Seeker not found.', 404);
+  }
+
+  const format = detectFormat(file);
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const rawContacts =
+    format === 'vcard'
+      ? parseVCardContacts(text)
+      : parseCsvContacts(text, mapping);
+
+  if (rawContacts.length > MAX_IMPORT_CONTACTS) {
+    throw new AppError(
+      `A file can contain at most ${MAX_IMPORT_CONTACTS} contacts.`,
+      400
+    );
+  }
+
+  const contacts = classifyContacts(rawContacts, {
+    seekerEmail: seeker.email?.toLowerCase(),
+    openGiverEmails: await getOpenGiverEmails(seekerId),
+  });
+
+  const importId = nanoid(16);
+  const expiresAt = new Date(
+    Date.now() + IMPORT_PREVIEW_TTL_MINUTES * 60 * 1000
+  );
+  await redisClient.setEx(
+    previewKey(seekerId, importId),
+    IMPORT_PREVIEW_TTL_MINUTES * 60,
+    JSON.stringify({ format, contacts })
+  );
+
+  logger.info({
+    message: 'Contact import previewed.',
+    seekerId,
+    importId,
+    format,
+    total: contacts.length,
+  });
+
+  return {
+    importId,
+    format,
+    expiresAt,
+    summary: summarizeContacts(contacts),
+    contacts,
+  };
+};
+
+/**
+ * Create the requests for a claimed import preview.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} importId - ID of the import.
+ * @param {Object} preview - Stored preview (`{ format, contacts }`).
+ * @param {Object} request - Request details.
+ * @param {Object} additionalData - Passed on to `createTestimonialRequest`.
+ * @returns {Promise<Object>} - `{ testimonial, requested, skipped }`.
+ * @throws {AppError} - If no contacts are left to request.
+ */
+const createRequestsFromPreview = async (
+  seekerId,
+  importId,
+  { format, contacts },
+  { projectDetails, exclude },
+  additionalData
+) => {
+  const excluded = new Set(exclude.map((email) => email.toLowerCase()));
+  const openGiverEmails = await getOpenGiverEmails(seekerId);
+
+  const ready = [];
+  const skipped = [];
+  for (const contact of contacts) {
+    if (contact.status !== 'ready') {
+      skipped.push(contact);
+    } else if (excluded.has(contact.email)) {
+      skipped.push({ ...contact, status: 'excluded' });
+    } else if (openGiverEmails.has(contact.email)) {
+      skipped.push({
+        ...contact,
+        status: 'already_requested',
+        reason: 'Already has an open request from you.',
+      });
+    } else {
+      ready.push(contact);
+    }
+  }
+
+  if (!ready.length) {
+    throw new AppError('None of the imported contacts can be requested.', 400);
+  }
+
+  const testimonial = await createTestimonialRequest(
+    seekerId,
+    ready.map((contact) => contact.email),
+    projectDetails,
+    {
+      ...additionalData,
+      source: `import:${format}`,
+      giverDetails: ready,
+    }
+  );
+
+  logger.info({
+    message: 'Testimonial requests created from import.',
+    seekerId,
+    importId,
+    testimonialId: testimonial._id,
+    requested: ready.length,
+    skipped: skipped.length,
+  });
+
+  return { testimonial, requested: ready.length, skipped };
+};
+
+/**
+ * Create testimonial requests for the ready contacts of a previewed import.
+ * Duplicates are checked again, since requests may have been sent since
+ * the preview. The preview is claimed atomically so confirming it twice
+ * can't send the requests twice; it is put back if no requests are created.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} importId - ID returned by `previewContactImport`.
+ * @param {Object} request - Request details.
+ * @param {string} request.projectDetails - Details about the project.
+ * @param {Array<string>} [request.exclude] - Emails to leave out.
+ * @param {Object} [additionalData={}] - Passed on to
+ *   `createTestimonialRequest`, e.g. `templateId` or `questions`.
+ * @returns {Promise<Object>} - `{ testimonial, requested, skipped }`.
+ * @throws {AppError} - If the preview has expired or no contacts are left.
+ */
+export const createRequestsFromImport = async (
+  seekerId,
+  importId,
+  { projectDetails, exclude = [] },
+  additionalData = {}
+) => {
+  const key = previewKey(seekerId, importId);
+  const [stored, ttl] = await redisClient
+    .multi()
+    .get(key)
+    .ttl(key)
+    .del(key)
+    .exec();
+  if (!stored) {
+    throw new AppError(
+      'Import preview not found or expired. Upload the file again.',
+      404
+    );
+  }
+
+  try {
+    return await createRequestsFromPreview(
+      seekerId,
+      importId,
+      JSON.parse(stored),
+      { projectDetails, exclude },
+      additionalData
+    );
+  } catch (error) {
+    if (ttl > 0) {
+      await redisClient
+        .setEx(key, ttl, stored)
+        .catch((restoreError) =>
+          logger.warn(
+            `Failed to restore contact import preview ${importId}:`,
+            restoreError
+          )
+        );
+    }
+    throw error;
+  }
+};
+
+export default {
+  CONTACT_FIELDS,
+  previewContactImport,
+  createRequestsFromImport,
+};
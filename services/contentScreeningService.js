@@ -0,0 +1,442 @@
+// src/services/contentScreeningService.js
+
+import Testimonial from '../models/Testimonial.js';
+import {
+  detectContentIssues,
+  analyzeTestimonialAuthenticity,
+} from './aiService.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { escapeRegex } from '../utils/escape.js';
+
+// Reason recorded on the reports that hold flagged submissions, so the
+// moderation queue can tell them apart from user reports
+export const SCREENING_REPORT_REASON = 'automated_screening';
+
+/**
+ * Parse a comma-separated setting into a lower-cased list.
+ *
+ * @param {string} [value] - Setting value.
+ * @returns {Array<string>} - List entries.
+ */
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const SCREENING_CONFIG = {
+  // AI checks are skipped (rules only) when disabled or too slow
+  AI_ENABLED: process.env.SCREENING_AI_ENABLED !== 'false',
+  AI_TIMEOUT_MS: parseInt(process.env.SCREENING_AI_TIMEOUT_MS, 10) || 8000,
+  // An AI-reported issue counts once its confidence reaches this
+  AI_ISSUE_CONFIDENCE: parseFloat(process.env.SCREENING_AI_CONFIDENCE) || 0.7,
+  // Authenticity scores at or below this suggest generated text
+  AUTHENTICITY_THRESHOLD:
+    parseFloat(process.env.SCREENING_AUTHENTICITY_THRESHOLD) || 0.3,
+  // Shingle similarity at or above this counts as duplicated text
+  DUPLICATE_THRESHOLD:
+    parseFloat(process.env.SCREENING_DUPLICATE_THRESHOLD) || 0.85,
+  DUPLICATE_LOOKBACK:
+    parseInt(process.env.SCREENING_DUPLICATE_LOOKBACK, 10) || 50,
+  BLOCKED_TERMS: [
+    'fuck',
+    'shit',
+    'bitch',
+    'asshole',
+    'bastard',
+    'cunt',
+    'dickhead',
+    'motherfucker',
+    ...parseList(process.env.SCREENING_BLOCKED_TERMS),
+  ],
+  ALLOWED_DOMAINS: parseList(
+    process.env.SCREENING_ALLOWED_DOMAINS || 'linkedin.com,github.com'
+  ),
+};
+
+const PROMOTIONAL_PHRASES = [
+  'promo code',
+  'discount code',
+  'use code',
+  'buy now',
+  'click here',
+  'limited offer',
+  'order now',
+  'sign up at',
+  'dm me',
+  'check out my',
+];
+
+// Phrases that only show up in text pasted from an assistant
+const GENERATED_TEXT_PHRASES = [
+  'as an ai language model',
+  'as an ai model',
+  'i hope this helps',
+  'certainly! here',
+  'here is a testimonial',
+  "here's a testimonial",
+  '[your name]',
+  '[company name]',
+];
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?:\+?\d[\d\s().-]{7,}\d)/g;
+// Bare domains only count for TLDs that aren't also used in technology and
+// product names ("ASP.NET", "Socket.io", "Node.js"); anything else needs a
+// scheme or `www.` to be treated as a link
+const URL_PATTERN =
+  /\b(?:https?:\/\/|www\.)[^\s<>"')]+|\b[a-z0-9-]+\.(?:com|org|biz|info|shop|store|xyz)\b(?:\/[^\s<>"')]*)?/gi;
+
+const BLOCKED_TERMS_PATTERN = new RegExp(
+  `\\b(?:${SCREENING_CONFIG.BLOCKED_TERMS.map(escapeRegex).join('|')})\\b`,
+  'gi'
+);
+
+/**
+ * Get the host of a link, without `www.`.
+ *
+ * @param {string} link - Link as written in the text.
+ * @returns {string} - Lower-cased host.
+ */
+const getLinkHost = (link) =>
+  link
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#]/)[0];
+
+/**
+ * Run the rule-based checks: profanity, contact details, links and
+ * promotional or assistant boilerplate phrases.
+ *
+ * @param {string} text - Submitted text.
+ * @returns {Array<Object>} - Flags raised.
+ */
+const runRuleChecks = (text) => {
+  const flags = [];
+  const lowered = text.toLowerCase();
+
+  const profanity = [...new Set(text.match(BLOCKED_TERMS_PATTERN) || [])];
+  if (profanity.length) {
+    flags.push({
+      category: 'profanity',
+      source: 'rules',
+      detail: `Contains blocked language (${profanity.length} term(s)).`,
+    });
+  }
+
+  const emails = text.match(EMAIL_PATTERN) || [];
+  const phones = (text.match(PHONE_PATTERN) || []).filter(
+    (match) => match.replace(/\D/g, '').length >= 9
+  );
+  if (emails.length || phones.length) {
+    flags.push({
+      category: 'pii',
+      source: 'rules',
+      detail: [
+        emails.length && `${emails.length} email address(es)`,
+        phones.length && `${phones.length} phone number(s)`,
+      ]
+        .filter(Boolean)
+        .join(' and ')
+        .concat(' found.'),
+    });
+  }
+
+  const links = (text.replace(EMAIL_PATTERN, '').match(URL_PATTERN) || [])
+    .map(getLinkHost)
+    .filter(
+      (host) =>
+        !SCREENING_CONFIG.ALLOWED_DOMAINS.some(
+          (domain) => host === domain || host.endsWith(`.${domain}`)
+        )
+    );
+  const promotional = PROMOTIONAL_PHRASES.filter((phrase) =>
+    lowered.includes(phrase)
+  );
+  if (links.length || promotional.length) {
+    flags.push({
+      category: 'spam',
+      source: 'rules',
+      detail: [
+        links.length && `Links to ${[...new Set(links)].join(', ')}`,
+        promotional.length && `promotional wording (${promotional.join(', ')})`,
+      ]
+        .filter(Boolean)
+        .join('; ')
+        .concat('.'),
+    });
+  }
+
+  const generated = GENERATED_TEXT_PHRASES.filter((phrase) =>
+    lowered.includes(phrase)
+  );
+  if (generated.length) {
+    flags.push({
+      category: 'ai_generated',
+      source: 'rules',
+      detail: `Contains assistant boilerplate (${generated.join(', ')}).`,
+    });
+  }
+
+  return flags;
+};
+
+/**
+ * Break text into overlapping three-word shingles for comparison.
+ *
+ * @param {string} text - Text to break up.
+ * @returns {Set<string>} - Shingles.
+ */
+const toShingles = (text) => {
+  const words = text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words.length < 3) return new Set([words.join(' ')]);
+
+  const shingles = new Set();
+  for (let i = 0; i <= words.length - 3; i++) {
+    shingles.add(words.slice(i, i + 3).join(' '));
+  }
+  return shingles;
+};
+
+/**
+ * Jaccard similarity of two shingle sets.
+ *
+ * @param {Set<string>} a - First set.
+ * @param {Set<string>} b - Second set.
+ * @returns {number} - Similarity between 0 and 1.
+ */
+const similarity = (a, b) => {
+  let shared = 0;
+  a.forEach((shingle) => {
+    if (b.has(shingle)) shared++;
+  });
+  const total = a.size + b.size - shared;
+  return total ? shared / total : 0;
+};
+
+/**
+ * Look for the same text among other submissions to this seeker and other
+ * submissions by this giver.
+ *
+ * @param {string} text - Submitted text.
+ * @param {Object} testimonial - Testimonial being submitted to.
+ * @param {Object} giver - Giver subdocument submitting.
+ * @returns {Promise<Object|null>} - Duplicate flag, if any.
+ */
+const findDuplicate = async (text, testimonial, giver) => {
+  const shingles = toShingles(text);
+
+  const candidates = testimonial.givers
+    .filter((g) => !g._id.equals(giver._id) && g.testimonial?.text)
+    .map((g) => ({ testimonialId: testimonial._id, text: g.testimonial.text }));
+
+  const others = await Testimonial.find({
+    _id: { $ne: testimonial._id },
+    $or: [{ seeker: testimonial.seeker }, { 'givers.email': giver.email }],
+    'givers.testimonial.text': { $exists: true },
+  })
+    .select('givers.email givers.testimonial.text')
+    .sort({ createdAt: -1 })
+    .limit(SCREENING_CONFIG.DUPLICATE_LOOKBACK)
+    .lean();
+  others.forEach((other) =>
+    other.givers
+      .filter((g) => g.testimonial?.text)
+      .forEach((g) =>
+        candidates.push({ testimonialId: other._id, text: g.testimonial.text })
+      )
+  );
+
+  let best = null;
+  for (const candidate of candidates) {
+    const score = similarity(shingles, toShingles(candidate.text));
+    if (
+      score >= SCREENING_CONFIG.DUPLICATE_THRESHOLD &&
+      score > (best?.score || 0)
+    ) {
+      best = { ...candidate, score };
+    }
+  }
+
+  return best
+    ? {
+        category: 'duplicate',
+        source: 'rules',
+        detail: `Matches another submission (${Math.round(
+          best.score * 100
+        )}% similar).`,
+        confidence: parseFloat(best.score.toFixed(2)),
+        matchedTestimonialId: best.testimonialId,
+      }
+    : null;
+};
+
+/**
+ * Reject a promise that takes longer than the screening allows for AI.
+ *
+ * @param {Promise<any>} promise - AI call.
+ * @returns {Promise<any>} - The call's result.
+ */
+const withTimeout = (promise) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('Screening AI timeout')),
+        SCREENING_CONFIG.AI_TIMEOUT_MS
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Turn the issues reported by `detectContentIssues` into flags. The model
+ * answers either with a list of issues or with an object keyed by issue.
+ *
+ * @param {Object|Array} result - Parsed AI response.
+ * @returns {Array<Object>} - Flags for issues above the confidence bar.
+ */
+const toAIFlags = (result) => {
+  const issues = Array.isArray(result)
+    ? result
+    : Array.isArray(result?.issues)
+    ? result.issues
+    : Object.entries(result || {}).map(([type, value]) => ({
+        type,
+        ...(typeof value === 'object' ? value : { confidence: value }),
+      }));
+
+  return issues
+    .map((issue) => {
+      const raw = Number(issue.confidence ?? issue.confidence_score ?? 0);
+      return {
+        type: issue.type || issue.issue || issue.category,
+        confidence: raw > 1 ? raw / 100 : raw,
+        explanation: issue.explanation || issue.reason,
+      };
+    })
+    .filter(
+      (issue) =>
+        issue.type && issue.confidence >= SCREENING_CONFIG.AI_ISSUE_CONFIDENCE
+    )
+    .map((issue) => ({
+      category: 'content_issue',
+      source: 'ai',
+      detail: issue.explanation
+        ? `${issue.type}: ${issue.explanation}`
+        : issue.type,
+      confidence: parseFloat(issue.confidence.toFixed(2)),
+    }));
+};
+
+/**
+ * Run the AI checks. Returns null when the AI is disabled or unavailable so
+ * the caller falls back to the rules alone.
+ *
+ * @param {string} text - Submitted text.
+ * @returns {Promise<Array<Object>|null>} - Flags raised, or null.
+ */
+const runAIChecks = async (text) => {
+  if (!SCREENING_CONFIG.AI_ENABLED) return null;
+
+  try {
+    const issues = await withTimeout(detectContentIssues(text));
+    const flags = toAIFlags(issues);
+
+    const authenticity = await withTimeout(
+      analyzeTestimonialAuthenticity(text)
+    );
+    const score =
+      authenticity.score > 1 ? authenticity.score / 100 : authenticity.score;
+    if (score <= SCREENING_CONFIG.AUTHENTICITY_THRESHOLD) {
+      flags.push({
+        category: 'ai_generated',
+        source: 'ai',
+        detail: 'Reads as generated rather than written by the giver.',
+        confidence: parseFloat((1 - score).toFixed(2)),
+      });
+    }
+
+    return flags;
+  } catch (error) {
+    logger.warn('Screening AI unavailable, using rules only:', {
+      error: error.message,
+    });
+    metrics.increment('screening.ai.unavailable');
+    return null;
+  }
+};
+
+/**
+ * Screen a giver's submission before it reaches the seeker. Rule checks
+ * (profanity, contact details, spam links, assistant boilerplate and
+ * duplicated text) always run; AI checks add content issues and generated
+ * text detection when the AI is available. Written answers to the request's
+ * questions get the same checks, apart from duplicate detection.
+ *
+ * @param {string} text - Submitted text.
+ * @param {Object} context - Where the text is being submitted.
+ * @param {Object} context.testimonial - Testimonial document.
+ * @param {Object} context.giver - Giver subdocument.
+ * @param {Array<string>} [context.answers=[]] - Written answers submitted
+ *   with the text.
+ * @returns {Promise<Object>} - Screening result: `status` ('passed' or
+ *   'flagged'), `mode` ('ai' or 'rules'), `flags` and `screenedAt`.
+ */
+export const screenSubmission = async (
+  text,
+  { testimonial, giver, answers = [] }
+) => {
+  const screenedText = [text, ...answers].join('\n\n');
+  const [duplicate, aiFlags] = await Promise.all([
+    findDuplicate(text, testimonial, giver),
+    runAIChecks(screenedText),
+  ]);
+
+  const flags = [
+    ...runRuleChecks(screenedText),
+    ...(duplicate ? [duplicate] : []),
+    ...(aiFlags || []),
+  ];
+
+  const result = {
+    status: flags.length ? 'flagged' : 'passed',
+    mode: aiFlags ? 'ai' : 'rules',
+    flags,
+    screenedAt: new Date(),
+  };
+
+  metrics.increment(`screening.${result.status}`, 1, { mode: result.mode });
+  logger.info({
+    message: 'Submission screened.',
+    testimonialId: testimonial._id,
+    giverId: giver._id,
+    status: result.status,
+    mode: result.mode,
+    categories: flags.map((flag) => flag.category),
+  });
+
+  return result;
+};
+
+/**
+ * Summarise screening flags for the moderation queue.
+ *
+ * @param {Array<Object>} flags - Screening flags.
+ * @returns {string} - One line per flag.
+ */
+export const describeScreeningFlags = (flags) =>
+  flags.map((flag) => `[${flag.category}] ${flag.detail}`).join('\n');
+
+export default {
+  SCREENING_REPORT_REASON,
+  screenSubmission,
+  describeScreeningFlags,
+};
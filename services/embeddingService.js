@@ -0,0 +1,303 @@
+// src/services/embeddingService.js
+
+import crypto from 'crypto';
+import Testimonial from '../models/Testimonial.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { embedder } from '../config/embedder.js';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const DEFAULT_MIN_SCORE = 0.1;
+const EMBED_BATCH_SIZE = 50;
+
+/**
+ * Build the text that represents a testimonial in the embedding index.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {string} - Project details, giver testimonials and skills.
+ */
+const buildEmbeddingText = (testimonial) =>
+  [
+    testimonial.projectDetails,
+    ...(testimonial.givers || []).map((giver) => giver.testimonial?.text),
+    [
+      ...(testimonial.skills || []),
+      ...(testimonial.givers || []).flatMap((giver) => giver.skills || []),
+    ].join(', '),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+/**
+ * Hash embedding input so unchanged testimonials aren't re-embedded.
+ *
+ * @param {string} text - Embedding input.
+ * @returns {string} - Hex-encoded SHA-256 hash.
+ */
+const hashText = (text) =>
+  crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Cosine similarity between two vectors.
+ *
+ * @param {Array<number>} a - First vector.
+ * @param {Array<number>} b - Second vector.
+ * @returns {number} - Similarity in [-1, 1], or 0 if either vector is empty.
+ */
+export const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Embed testimonials whose embedding is missing, stale or from another
+ * model, and store the vectors.
+ *
+ * @param {Array<Object>} testimonials - Testimonials with `embedding.vector`
+ *   selected.
+ * @returns {Promise<number>} - Number of testimonials (re)indexed.
+ */
+const indexTestimonials = async (testimonials) => {
+  const pending = testimonials
+    .map((testimonial) => {
+      const text = buildEmbeddingText(testimonial);
+      return { testimonial, text, textHash: hashText(text) };
+    })
+    .filter(
+      ({ testimonial, textHash }) =>
+        testimonial.embedding?.model !== embedder.model ||
+        testimonial.embedding?.textHash !== textHash ||
+        !testimonial.embedding?.vector?.length
+    );
+
+  for (let i = 0; i < pending.length; i += EMBED_BATCH_SIZE) {
+    const batch = pending.slice(i, i + EMBED_BATCH_SIZE);
+    const vectors = await embedder.embed(batch.map(({ text }) => text));
+
+    await Testimonial.bulkWrite(
+      batch.map(({ testimonial, textHash }, j) => {
+        testimonial.embedding = {
+          vector: vectors[j],
+          model: embedder.model,
+          textHash,
+          indexedAt: new Date(),
+        };
+        return {
+          updateOne: {
+            filter: { _id: testimonial._id },
+            update: { $set: { embedding: testimonial.embedding } },
+          },
+        };
+      })
+    );
+  }
+
+  return pending.length;
+};
+
+/**
+ * Add or refresh a testimonial in the embedding index. Failures are logged
+ * rather than thrown so they never block the caller's write.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @returns {Promise<boolean>} - Whether the testimonial was (re)indexed.
+ */
+export const indexTestimonialEmbedding = async (testimonialId) => {
+  try {
+    const testimonial = await Testimonial.findById(testimonialId)
+      .select('+embedding.vector')
+      .lean();
+    if (!testimonial) return false;
+
+    return (await indexTestimonials([testimonial])) > 0;
+  } catch (error) {
+    logger.warn('Failed to index testimonial embedding:', {
+      testimonialId,
+      embedder: embedder.name,
+      error: error.message,
+    });
+    return false;
+  }
+};
+
+/**
+ * Load a seeker's submitted testimonials with their vectors, indexing any
+ * that are missing, stale or from a different embedding model.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Array<Object>>} - Testimonials with `embedding.vector`.
+ */
+const loadIndexedTestimonials = async (seekerId) => {
+  const testimonials = await Testimonial.find({
+    seeker: seekerId,
+    archived: { $ne: true },
+    'givers.testimonial.text': { $exists: true, $ne: '' },
+  })
+    .select('+embedding.vector')
+    .lean();
+
+  try {
+    const indexed = await indexTestimonials(testimonials);
+    if (indexed) {
+      logger.info({
+        message: 'Indexed testimonial embeddings.',
+        seekerId,
+        count: indexed,
+        model: embedder.model,
+      });
+    }
+  } catch (error) {
+    // Rank whatever is already indexed; the rest are picked up next time
+    logger.warn('Failed to index testimonial embeddings:', {
+      seekerId,
+      embedder: embedder.name,
+      error: error.message,
+    });
+  }
+
+  return testimonials;
+};
+
+/**
+ * Score testimonials against a vector and keep the best matches.
+ *
+ * @param {Array<Object>} testimonials - Indexed testimonials.
+ * @param {Array<number>} vector - Query vector.
+ * @param {Object} options - Ranking options.
+ * @param {number} options.limit - Maximum number of results.
+ * @param {number} options.minScore - Minimum similarity to include.
+ * @returns {Array<Object>} - Matching testimonials with `similarity`.
+ */
+const rankBySimilarity = (testimonials, vector, { limit, minScore }) =>
+  testimonials
+    .map((testimonial) => ({
+      testimonial,
+      similarity: cosineSimilarity(vector, testimonial.embedding?.vector),
+    }))
+    .filter(({ similarity }) => similarity >= minScore)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit)
+    .map(({ testimonial, similarity }) => ({
+      id: testimonial._id,
+      projectDetails: testimonial.projectDetails,
+      status: testimonial.status,
+      isPublic: testimonial.isPublic,
+      skills: testimonial.skills,
+      givers: testimonial.givers
+        .filter((giver) => giver.testimonial?.text)
+        .map((giver) => ({
+          id: giver._id,
+          text: giver.testimonial.text,
+          rating: giver.testimonial.rating?.overall,
+          isApproved: giver.isApproved,
+          submittedAt: giver.submittedAt,
+        })),
+      createdAt: testimonial.createdAt,
+      similarity: Number(similarity.toFixed(4)),
+    }));
+
+/**
+ * Resolve ranking options from request input.
+ *
+ * @param {Object} options - Raw options.
+ * @returns {Object} - `{ limit, minScore }`.
+ */
+const toRankOptions = ({ limit, minScore } = {}) => ({
+  limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+  minScore:
+    minScore !== undefined && minScore !== ''
+      ? Number(minScore)
+      : DEFAULT_MIN_SCORE,
+});
+
+/**
+ * Find a seeker's testimonials that are semantically close to a query.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} query - Natural-language query.
+ * @param {Object} [options={}] - Ranking options.
+ * @param {number} [options.limit=10] - Maximum number of results.
+ * @param {number} [options.minScore=0.1] - Minimum cosine similarity.
+ * @returns {Promise<Array<Object>>} - Matches, most similar first.
+ * @throws {AppError} - If the query can't be embedded.
+ */
+export const semanticSearchTestimonials = async (
+  seekerId,
+  query,
+  options = {}
+) => {
+  const testimonials = await loadIndexedTestimonials(seekerId);
+  if (!testimonials.length) return [];
+
+  let vector;
+  try {
+    [vector] = await embedder.embed([query]);
+  } catch (error) {
+    logger.error('❌ Failed to embed search query:', {
+      embedder: embedder.name,
+      error: error.message,
+    });
+    throw new AppError('Semantic search is temporarily unavailable.', 503);
+  }
+
+  return rankBySimilarity(testimonials, vector, toRankOptions(options));
+};
+
+/**
+ * Find the seeker's testimonials most similar to one of theirs.
+ *
+ * @param {string} testimonialId - ID of the source testimonial.
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} [options={}] - Ranking options, as for
+ *   `semanticSearchTestimonials`.
+ * @returns {Promise<Array<Object>>} - Similar testimonials, most similar first.
+ * @throws {AppError} - If the testimonial isn't found or has no content yet.
+ */
+export const findSimilarTestimonials = async (
+  testimonialId,
+  seekerId,
+  options = {}
+) => {
+  const exists = await Testimonial.exists({
+    _id: testimonialId,
+    seeker: seekerId,
+  });
+  if (!exists) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const testimonials = await loadIndexedTestimonials(seekerId);
+  const source = testimonials.find((t) => t._id.equals(testimonialId));
+  if (!source) {
+    throw new AppError(
+      'This testimonial has no submitted content to compare yet.',
+      400
+    );
+  }
+  if (!source.embedding?.vector?.length) {
+    throw new AppError('Semantic search is temporarily unavailable.', 503);
+  }
+
+  return rankBySimilarity(
+    testimonials.filter((t) => t !== source),
+    source.embedding.vector,
+    toRankOptions(options)
+  );
+};
+
+export default {
+  cosineSimilarity,
+  indexTestimonialEmbedding,
+  semanticSearchTestimonials,
+  findSimilarTestimonials,
+};
@@ -0,0 +1,568 @@
+// src/services/exportService.js
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import Testimonial from '../models/Testimonial.js';
+import { queues } from '../jobs/queues.js';
+import { cloudinary, uploadFileToCloudinary } from '../config/cloudinary.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Exports with more testimonials than this are built in the background.
+ */
+export const EXPORT_SYNC_LIMIT =
+  parseInt(process.env.EXPORT_SYNC_LIMIT, 10) || 1000;
+
+// Background exports are built in the worker's temp directory and stored
+// as private Cloudinary files, so the API can serve them wherever the worker
+// runs. Download links are signed for EXPORT_DOWNLOAD_URL_TTL_SECONDS and
+// files are deleted EXPORT_FILE_TTL_MS after they're built.
+const EXPORT_FOLDER = 'exports';
+const EXPORT_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+const EXPORT_DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+};
+
+/**
+ * Exportable columns. Each row is one giver on one testimonial, so
+ * testimonial-level columns repeat across that testimonial's givers.
+ */
+export const EXPORT_COLUMNS = {
+  testimonialId: { header: 'Testimonial ID', value: (t) => String(t._id) },
+  projectDetails: { header: 'Project Details', value: (t) => t.projectDetails },
+  status: { header: 'Status', value: (t) => t.status },
+  isPublic: { header: 'Public', value: (t) => Boolean(t.isPublic) },
+  archived: { header: 'Archived', value: (t) => Boolean(t.archived) },
+  categories: { header: 'Categories', value: (t) => t.categories || [] },
+  requestedSkills: {
+    header: 'Requested Skills',
+    value: (t) => t.requestedSkills || [],
+  },
+  sentimentScore: {
+    header: 'Sentiment Score',
+    value: (t) => t.sentimentScore ?? t.analysis?.sentiment?.score ?? null,
+  },
+  sentiment: {
+    header: 'Sentiment',
+    value: (t) => t.analytics?.sentimentAnalysis?.overallSentiment ?? null,
+  },
+  createdAt: { header: 'Created At', value: (t) => t.createdAt },
+  updatedAt: { header: 'Updated At', value: (t) => t.updatedAt },
+  giverId: { header: 'Giver ID', value: (t, g) => (g ? String(g._id) : null) },
+  giverEmail: { header: 'Giver Email', value: (t, g) => g?.email ?? null },
+  relationship: {
+    header: 'Relationship',
+    value: (t, g) => g?.relationship ?? null,
+  },
+  giverStatus: {
+    header: 'Giver Status',
+    value: (t, g) => g?.verificationStatus ?? null,
+  },
+  approved: { header: 'Approved', value: (t, g) => Boolean(g?.isApproved) },
+  testimonialText: {
+    header: 'Testimonial Text',
+    value: (t, g) => g?.testimonial?.text ?? null,
+  },
+  overallRating: {
+    header: 'Overall Rating',
+    value: (t, g) => g?.testimonial?.rating?.overall ?? null,
+  },
+  skillRatings: {
+    header: 'Skill Ratings',
+    value: (t, g) =>
+      (g?.testimonial?.rating?.skills || []).map(
+        ({ name, score }) => `${name}: ${score}`
+      ),
+  },
+  skills: { header: 'Skills', value: (t, g) => g?.skills || [] },
+  mediaCount: { header: 'Media', value: (t, g) => g?.media?.length || 0 },
+  submittedAt: { header: 'Submitted At', value: (t, g) => g?.submittedAt },
+};
+
+export const DEFAULT_EXPORT_COLUMNS = [
+  'testimonialId',
+  'projectDetails',
+  'status',
+  'isPublic',
+  'giverEmail',
+  'relationship',
+  'testimonialText',
+  'overallRating',
+  'skillRatings',
+  'skills',
+  'sentiment',
+  'submittedAt',
+  'createdAt',
+];
+
+/**
+ * Resolve and validate requested columns.
+ *
+ * @param {Array<string>|string} [columns] - Column keys, as an array or a
+ *   comma-separated string.
+ * @returns {Array<string>} - Column keys, in the requested order.
+ * @throws {AppError} - If any column is unknown.
+ */
+const resolveColumns = (columns) => {
+  if (!columns || !columns.length) return DEFAULT_EXPORT_COLUMNS;
+
+  const keys = (Array.isArray(columns) ? columns : columns.split(','))
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const unknown = keys.filter((key) => !EXPORT_COLUMNS[key]);
+  if (unknown.length) {
+    throw new AppError(`Unknown export columns: ${unknown.join(', ')}`, 400);
+  }
+
+  return [...new Set(keys)];
+};
+
+/**
+ * Resolve and validate the export format.
+ *
+ * @param {string} [format='csv'] - Export format.
+ * @returns {string} - Format key.
+ * @throws {AppError} - If the format isn't supported.
+ */
+const resolveFormat = (format = 'csv') => {
+  if (!EXPORT_FORMATS[format]) {
+    throw new AppError(
+      `Unsupported export format. Use one of: ${Object.keys(
+        EXPORT_FORMATS
+      ).join(', ')}`,
+      400
+    );
+  }
+  return format;
+};
+
+/**
+ * Build the query for a seeker's export.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} [filters={}] - Export filters.
+ * @param {string} [filters.status] - Status of the testimonials.
+ * @param {boolean} [filters.isPublic] - Public visibility.
+ * @param {string} [filters.startDate] - Earliest creation date.
+ * @param {string} [filters.endDate] - Latest creation date.
+ * @param {boolean} [filters.includeArchived=false] - Include archived ones.
+ * @returns {Object} - MongoDB query.
+ */
+const buildExportQuery = (
+  seekerId,
+  { status, isPublic, startDate, endDate, includeArchived = false } = {}
+) => {
+  const query = { seeker: seekerId };
+
+  if (status) query.status = status;
+  if (typeof isPublic === 'boolean') query.isPublic = isPublic;
+  if (!includeArchived) query.archived = { $ne: true };
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  return query;
+};
+
+/**
+ * Flatten a value for a single spreadsheet cell.
+ *
+ * @param {*} value - Column value.
+ * @returns {string|number|boolean|Date|null} - Cell value.
+ */
+const toCellValue = (value) =>
+  Array.isArray(value) ? value.join('; ') : value ?? null;
+
+/**
+ * Escape a field per RFC 4180. Text that a spreadsheet would evaluate as a
+ * formula is prefixed with a quote so exports can't smuggle formulas;
+ * numbers such as `-0.3` are left as they are.
+ *
+ * @param {*} value - Column value.
+ * @returns {string} - Escaped CSV field.
+ */
+const escapeCsvField = (value) => {
+  const cell = toCellValue(value);
+  if (cell === null) return '';
+
+  let field = cell instanceof Date ? cell.toISOString() : String(cell);
+  if (typeof cell === 'string' && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ *
+ * @param {Writable} output - Destination stream.
+ * @param {string} chunk - Data to write.
+ * @returns {Promise<void>}
+ */
+const write = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+/**
+ * Row writers share `writeRow(testimonial, giver)` and `end()`.
+ */
+const writers = {
+  csv: (output, columns) => {
+    const toLine = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+    let headerWritten = false;
+    const writeHeader = async () => {
+      headerWritten = true;
+      await write(
+        output,
+        toLine(columns.map((key) => EXPORT_COLUMNS[key].header))
+      );
+    };
+
+    return {
+      async writeRow(testimonial, giver) {
+        if (!headerWritten) await writeHeader();
+        await write(
+          output,
+          toLine(
+            columns.map((key) => EXPORT_COLUMNS[key].value(testimonial, giver))
+          )
+        );
+      },
+      async end() {
+        if (!headerWritten) await writeHeader();
+        output.end();
+      },
+    };
+  },
+
+  ndjson: (output, columns) => ({
+    async writeRow(testimonial, giver) {
+      const row = Object.fromEntries(
+        columns.map((key) => [
+          key,
+          EXPORT_COLUMNS[key].value(testimonial, giver) ?? null,
+        ])
+      );
+      await write(output, `${JSON.stringify(row)}\n`);
+    },
+    async end() {
+      output.end();
+    },
+  }),
+
+  xlsx: (output, columns) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: false,
+      useSharedStrings: false,
+    });
+    const sheet = workbook.addWorksheet('Testimonials');
+    sheet.columns = columns.map((key) => ({
+      header: EXPORT_COLUMNS[key].header,
+      key,
+    }));
+
+    return {
+      async writeRow(testimonial, giver) {
+        sheet
+          .addRow(
+            columns.map((key) =>
+              toCellValue(EXPORT_COLUMNS[key].value(testimonial, giver))
+            )
+          )
+          .commit();
+      },
+      async end() {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  },
+};
+
+/**
+ * Stream a seeker's testimonials to a writable stream, one row per giver.
+ * Testimonials are read through a cursor so memory use stays flat however
+ * large the export is.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Writable} output - Destination stream. It is ended when done.
+ * @param {Object} [options={}] - Export options.
+ * @param {string} [options.format='csv'] - 'csv', 'ndjson' or 'xlsx'.
+ * @param {Array<string>|string} [options.columns] - Columns to include.
+ * @param {Object} [options.filters] - Filters for `buildExportQuery`.
+ * @param {Function} [options.onProgress] - Called with the number of
+ *   testimonials exported so far.
+ * @returns {Promise<Object>} - Number of testimonials and rows written.
+ * @throws {AppError} - If the options are invalid.
+ */
+export const streamTestimonialExport = async (
+  seekerId,
+  output,
+  { format, columns, filters, onProgress } = {}
+) => {
+  const writer = writers[resolveFormat(format)](
+    output,
+    resolveColumns(columns)
+  );
+  const cursor = Testimonial.find(buildExportQuery(seekerId, filters))
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  let testimonials = 0;
+  let rows = 0;
+  for await (const testimonial of cursor) {
+    const givers = testimonial.givers?.length ? testimonial.givers : [null];
+    for (const giver of givers) {
+      await writer.writeRow(testimonial, giver);
+      rows += 1;
+    }
+
+    testimonials += 1;
+    if (onProgress && testimonials % 100 === 0) {
+      await onProgress(testimonials);
+    }
+  }
+
+  await writer.end();
+  return { testimonials, rows };
+};
+
+/**
+ * Decide whether an export can be streamed in the request or has to be
+ * built in the background.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} [options={}] - Export options.
+ * @returns {Promise<Object>} - `{ background, total, format, columns }`.
+ * @throws {AppError} - If the options are invalid.
+ */
+export const planTestimonialExport = async (
+  seekerId,
+  { format, columns, filters } = {}
+) => {
+  const resolvedFormat = resolveFormat(format);
+  const resolvedColumns = resolveColumns(columns);
+  const total = await Testimonial.countDocuments(
+    buildExportQuery(seekerId, filters)
+  );
+
+  return {
+    background: total > EXPORT_SYNC_LIMIT,
+    total,
+    format: resolvedFormat,
+    columns: resolvedColumns,
+  };
+};
+
+/**
+ * Queue a background export.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} options - Export options.
+ * @returns {Promise<Object>} - Job ID and number of testimonials.
+ */
+export const queueTestimonialExport = async (
+  seekerId,
+  { format, columns, filters, total }
+) => {
+  const job = await queues.exportQueue.add('exportTestimonials', {
+    seekerId,
+    format,
+    columns,
+    filters,
+    total,
+  });
+
+  logger.info({
+    message: 'Testimonial export queued.',
+    seekerId,
+    jobId: job.id,
+    total,
+  });
+
+  return { jobId: job.id, total };
+};
+
+/**
+ * Build a background export and store it (exportQueue worker). The file is
+ * written to a temp file first so large exports stay out of memory, then
+ * uploaded as a private Cloudinary file and scheduled for deletion.
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<Object>} - File name, storage ID and counts, kept as
+ *   the job result.
+ */
+export const processTestimonialExportJob = async (job) => {
+  const { seekerId, format, columns, filters, total } = job.data;
+
+  const fileName = `testimonials-${job.id}.${EXPORT_FORMATS[format].extension}`;
+  const tempPath = path.join(os.tmpdir(), fileName);
+
+  try {
+    const output = fs.createWriteStream(tempPath);
+    const finished = once(output, 'finish');
+
+    const counts = await streamTestimonialExport(seekerId, output, {
+      format,
+      columns,
+      filters,
+      onProgress: (done) =>
+        job.updateProgress(total ? Math.round((done / total) * 100) : 0),
+    });
+    await finished;
+
+    // Raw Cloudinary files keep their extension in the public ID
+    const { public_id: publicId } = await uploadFileToCloudinary(tempPath, {
+      resource_type: 'raw',
+      type: 'authenticated',
+      folder: EXPORT_FOLDER,
+      public_id: fileName,
+      overwrite: true,
+    });
+
+    await queues.exportQueue.add(
+      'removeTestimonialExport',
+      { publicId },
+      { delay: EXPORT_FILE_TTL_MS, removeOnComplete: true }
+    );
+    await job.updateProgress(100);
+
+    return { fileName, publicId, ...counts };
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+/**
+ * Delete a stored export once its download window has passed (exportQueue
+ * worker).
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<void>}
+ */
+export const removeTestimonialExportJob = async (job) => {
+  await cloudinary.uploader.destroy(job.data.publicId, {
+    resource_type: 'raw',
+    type: 'authenticated',
+    invalidate: true,
+  });
+
+  logger.info({
+    message: 'Expired testimonial export removed.',
+    publicId: job.data.publicId,
+  });
+};
+
+/**
+ * Load a seeker's background export job.
+ *
+ * @param {string} jobId - ID of the export job.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - BullMQ job.
+ * @throws {AppError} - If the job doesn't exist or isn't the seeker's.
+ */
+const getExportJob = async (jobId, seekerId) => {
+  const job = await queues.exportQueue.getJob(jobId);
+  if (
+    !job ||
+    job.name !== 'exportTestimonials' ||
+    String(job.data.seekerId) !== String(seekerId)
+  ) {
+    throw new AppError('Export job not found.', 404);
+  }
+  return job;
+};
+
+/**
+ * Get the status of a background export.
+ *
+ * @param {string} jobId - ID of the export job.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - Job state, progress and result.
+ * @throws {AppError} - If the job isn't found.
+ */
+export const getTestimonialExportStatus = async (jobId, seekerId) => {
+  const job = await getExportJob(jobId, seekerId);
+  const state = await job.getState();
+
+  return {
+    jobId: job.id,
+    state,
+    format: job.data.format,
+    total: job.data.total,
+    progress: job.progress || 0,
+    result:
+      state === 'completed'
+        ? {
+            testimonials: job.returnvalue.testimonials,
+            rows: job.returnvalue.rows,
+          }
+        : null,
+    failedReason: state === 'failed' ? job.failedReason : null,
+    createdAt: new Date(job.timestamp),
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  };
+};
+
+/**
+ * Resolve a finished background export to a short-lived download link.
+ *
+ * @param {string} jobId - ID of the export job.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - Signed download URL, file name and content
+ *   type.
+ * @throws {AppError} - If the job isn't finished or the file has expired.
+ */
+export const getTestimonialExportFile = async (jobId, seekerId) => {
+  const job = await getExportJob(jobId, seekerId);
+  if ((await job.getState()) !== 'completed') {
+    throw new AppError('Export is not ready yet.', 409);
+  }
+
+  const { fileName, publicId } = job.returnvalue;
+  if (!publicId || job.finishedOn + EXPORT_FILE_TTL_MS <= Date.now()) {
+    throw new AppError('Export has expired. Please run it again.', 410);
+  }
+
+  return {
+    downloadUrl: cloudinary.utils.private_download_url(publicId, '', {
+      resource_type: 'raw',
+      type: 'authenticated',
+      attachment: true,
+      expires_at:
+        Math.floor(Date.now() / 1000) + EXPORT_DOWNLOAD_URL_TTL_SECONDS,
+    }),
+    fileName,
+    contentType: EXPORT_FORMATS[job.data.format].contentType,
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  streamTestimonialExport,
+  planTestimonialExport,
+  queueTestimonialExport,
+  processTestimonialExportJob,
+  removeTestimonialExportJob,
+  getTestimonialExportStatus,
+  getTestimonialExportFile,
+};
@@ -0,0 +1,232 @@
+// src/services/mediaService.js
+
+import { fileTypeFromFile } from 'file-type';
+import { imageSize } from 'image-size';
+import { parseFile } from 'music-metadata';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { mediaStorage } from '../config/storage.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Accepted media kinds, the sniffed MIME types allowed for each and their
+ * size limits. WebM is always treated as video.
+ */
+export const MEDIA_TYPES = {
+  image: {
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+    maxBytes: 10 * MB,
+  },
+  video: {
+    mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm'],
+    maxBytes: 100 * MB,
+  },
+  audio: {
+    mimeTypes: [
+      'audio/mpeg',
+      'audio/mp4',
+      'audio/x-m4a',
+      'audio/wav',
+      'audio/x-wav',
+      'audio/ogg',
+    ],
+    maxBytes: 25 * MB,
+  },
+  document: {
+    mimeTypes: ['application/pdf'],
+    maxBytes: 15 * MB,
+  },
+};
+
+export const MAX_MEDIA_BYTES = Math.max(
+  ...Object.values(MEDIA_TYPES).map((type) => type.maxBytes)
+);
+
+export const ACCEPTED_MIME_TYPES = Object.values(MEDIA_TYPES).flatMap(
+  (type) => type.mimeTypes
+);
+
+/**
+ * Detect a file's real type from its contents rather than the client's
+ * declared MIME type.
+ *
+ * @param {string} filePath - Path of the file.
+ * @returns {Promise<Object>} - `{ kind, mime, ext }`.
+ * @throws {AppError} - If the type is unknown or not accepted.
+ */
+export const sniffMediaType = async (filePath) => {
+  const detected = await fileTypeFromFile(filePath);
+  const kind =
+    detected &&
+    Object.keys(MEDIA_TYPES).find((key) =>
+      MEDIA_TYPES[key].mimeTypes.includes(detected.mime)
+    );
+
+  if (!kind) {
+    throw new AppError(
+      'Unsupported file type. Upload an image, video, audio file or PDF.',
+      415
+    );
+  }
+
+  return { kind, mime: detected.mime, ext: detected.ext };
+};
+
+/**
+ * Sniff a file's type and enforce the size limit for that type.
+ *
+ * @param {Object} file - Multer file (disk storage).
+ * @returns {Promise<Object>} - Sniffed type from `sniffMediaType`.
+ * @throws {AppError} - If the type isn't accepted or the file is too large.
+ */
+const validateMediaFile = async (file) => {
+  const type = await sniffMediaType(file.path);
+  const { maxBytes } = MEDIA_TYPES[type.kind];
+
+  if (file.size > maxBytes) {
+    throw new AppError(
+      `${type.kind} files cannot exceed ${maxBytes / MB} MB.`,
+      413
+    );
+  }
+
+  return type;
+};
+
+/**
+ * Read duration and dimensions from the file itself. Anything that can't
+ * be read is left out; storage may still supply it.
+ *
+ * @param {string} filePath - Path of the file.
+ * @param {Object} type - Sniffed type from `sniffMediaType`.
+ * @returns {Promise<Object>} - Partial media metadata.
+ */
+const readMediaMetadata = async (filePath, { kind, mime }) => {
+  try {
+    if (kind === 'image') {
+      const { width, height } = imageSize(filePath);
+      return { dimensions: { width, height } };
+    }
+
+    if (kind === 'video' || kind === 'audio') {
+      const { format } = await parseFile(filePath, {
+        duration: true,
+        skipCovers: true,
+      });
+      return { duration: format.duration };
+    }
+  } catch (error) {
+    logger.warn('Failed to read media metadata:', {
+      kind,
+      mime,
+      error: error.message,
+    });
+  }
+
+  return {};
+};
+
+/**
+ * Validate and store an uploaded file, returning a `mediaSchema` entry.
+ *
+ * @param {Object} file - Multer file (disk storage).
+ * @param {Object} [options={}] - Upload options.
+ * @param {string} [options.caption] - Caption for the media.
+ * @param {string} [options.folder] - Storage folder.
+ * @returns {Promise<Object>} - Media entry with URL, thumbnail and metadata.
+ * @throws {AppError} - If the file is rejected or can't be stored.
+ */
+export const processMediaUpload = async (file, { caption, folder } = {}) => {
+  const type = await validateMediaFile(file);
+  const fileMetadata = await readMediaMetadata(file.path, type);
+
+  let stored;
+  try {
+    stored = await mediaStorage.save(file.path, {
+      kind: type.kind,
+      ext: type.ext,
+      folder,
+    });
+  } catch (error) {
+    logger.error('❌ Failed to store media:', {
+      storage: mediaStorage.name,
+      error: error.message,
+    });
+    throw new AppError('Failed to store media.', 500);
+  }
+
+  return {
+    url: stored.url,
+    type: type.kind,
+    caption,
+    thumbnail: stored.thumbnail || undefined,
+    metadata: {
+      size: file.size,
+      format: type.mime,
+      duration: fileMetadata.duration ?? stored.metadata.duration,
+      dimensions: fileMetadata.dimensions ?? stored.metadata.dimensions,
+      lastModified: new Date(),
+    },
+  };
+};
+
+/**
+ * Delete stored media that no testimonial uses any more, e.g. when the
+ * submission it came with was rejected or its testimonial was deleted.
+ * Failures are only logged.
+ *
+ * @param {Array<Object>} media - Media entries from `processMediaUploads`.
+ * @returns {Promise<void>}
+ */
+export const removeStoredMedia = async (media = []) => {
+  const results = await Promise.allSettled(
+    media.map((entry) => mediaStorage.remove(entry))
+  );
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) =>
+      logger.warn('Failed to remove orphaned media:', {
+        storage: mediaStorage.name,
+        error: result.reason?.message,
+      })
+    );
+};
+
+/**
+ * Validate and store several uploaded files. All files are checked before
+ * any are stored, and if one fails to store the others are removed again,
+ * so a bad file doesn't leave the rest half-uploaded.
+ *
+ * @param {Array<Object>} files - Multer files (disk storage).
+ * @param {Object} [options={}] - Options passed to `processMediaUpload`.
+ * @returns {Promise<Array<Object>>} - Media entries.
+ * @throws {AppError} - If any file is rejected.
+ */
+export const processMediaUploads = async (files = [], options = {}) => {
+  await Promise.all(files.map(validateMediaFile));
+
+  const results = await Promise.allSettled(
+    files.map((file) => processMediaUpload(file, options))
+  );
+  const failure = results.find((result) => result.status === 'rejected');
+  if (failure) {
+    await removeStoredMedia(
+      results
+        .filter((result) => result.status === 'fulfilled')
+        .map((result) => result.value)
+    );
+    throw failure.reason;
+  }
+
+  return results.map((result) => result.value);
+};
+
+export default {
+  MEDIA_TYPES,
+  sniffMediaType,
+  processMediaUpload,
+  processMediaUploads,
+  removeStoredMedia,
+};
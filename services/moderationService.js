@@ -0,0 +1,1099 @@
+// src/services/moderationService.js
+
+import mongoose from 'mongoose';
+import Testimonial from '../models/Testimonial.js';
+import ActivityLog from '../models/ActivityLog.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { escapeRegex } from '../utils/escape.js';
+import {
+  transitionTestimonial,
+  flushTestimonialEvents,
+} from './testimonialStateService.js';
+import {
+  notifyReporterResolution,
+  notifySeekerModerationAction,
+  notifySeekerReviewRequired,
+  notifyGiverReviewOutcome,
+  notifySeekerAppealDecision,
+  notifyGiverAppealDecision,
+} from './notificationService.js';
+import { SCREENING_REPORT_REASON } from './contentScreeningService.js';
+import {
+  settleScreenedSubmission,
+  reinstateRejectedSubmission,
+  findGiverByToken,
+} from './testimonialService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Reports should be resolved within MODERATION_SLA_HOURS of being filed. A
+// claim lapses after MODERATION_CLAIM_MINUTES so abandoned reports return
+// to the queue.
+const MODERATION_SLA_HOURS =
+  parseInt(process.env.MODERATION_SLA_HOURS, 10) || 24;
+const MODERATION_CLAIM_MINUTES =
+  parseInt(process.env.MODERATION_CLAIM_MINUTES, 10) || 60;
+
+const OPEN_REPORT_STATUSES = ['pending', 'claimed'];
+export const REPORT_RESOLUTIONS = ['dismiss', 'hide', 'remove', 'warn'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Convert a duration to hours, rounded for display.
+ *
+ * @param {number|null} ms - Duration in milliseconds.
+ * @returns {number|null} - Duration in hours.
+ */
+const toHours = (ms) =>
+  typeof ms === 'number' ? parseFloat((ms / HOUR_MS).toFixed(2)) : null;
+
+/**
+ * List open reports, oldest first, for admins to work through.
+ *
+ * @param {Object} [filters={}] - Queue filters.
+ * @param {string} [filters.reason] - Only reports with this reason.
+ * @param {string} [filters.status] - 'pending' or 'claimed'.
+ * @param {number} [filters.minAgeHours] - Only reports at least this old.
+ * @param {number} [filters.maxAgeHours] - Only reports at most this old.
+ * @param {number} [filters.minReporters] - Only testimonials reported by at
+ *   least this many distinct reporters.
+ * @param {number} [filters.page=1] - Page number.
+ * @param {number} [filters.limit=20] - Reports per page.
+ * @returns {Promise<Object>} - Reports and pagination details.
+ */
+export const listModerationQueue = async ({
+  reason,
+  status,
+  minAgeHours,
+  maxAgeHours,
+  minReporters,
+  page = 1,
+  limit = DEFAULT_LIMIT,
+} = {}) => {
+  const now = Date.now();
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const reportMatch = {
+    'reports.status': status ? status : { $in: OPEN_REPORT_STATUSES },
+  };
+  if (reason) {
+    reportMatch['reports.reason'] = new RegExp(`^${escapeRegex(reason)}$`, 'i');
+  }
+  if (minAgeHours !== undefined || maxAgeHours !== undefined) {
+    reportMatch['reports.reportedAt'] = {
+      ...(minAgeHours !== undefined && {
+        $lte: new Date(now - Number(minAgeHours) * HOUR_MS),
+      }),
+      ...(maxAgeHours !== undefined && {
+        $gte: new Date(now - Number(maxAgeHours) * HOUR_MS),
+      }),
+    };
+  }
+
+  const [result] = await Testimonial.aggregate([
+    { $match: { 'reports.status': { $in: OPEN_REPORT_STATUSES } } },
+    {
+      $addFields: {
+        reporterCount: {
+          $size: {
+            $setUnion: [
+              {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$reports',
+                      cond: { $in: ['$$this.status', OPEN_REPORT_STATUSES] },
+                    },
+                  },
+                  in: { $ifNull: ['$$this.reporterKey', '$$this.reportedBy'] },
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+    ...(minReporters
+      ? [{ $match: { reporterCount: { $gte: Number(minReporters) } } }]
+      : []),
+    { $unwind: '$reports' },
+    { $match: reportMatch },
+    { $sort: { 'reports.reportedAt': 1, _id: 1 } },
+    {
+      $facet: {
+        reports: [
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          {
+            $project: {
+              _id: 0,
+              testimonialId: '$_id',
+              seeker: 1,
+              projectDetails: 1,
+              status: 1,
+              isPublic: 1,
+              moderationStatus: '$moderation.status',
+              reporterCount: 1,
+              report: '$reports',
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    reports: result.reports.map((item) => {
+      const ageMs = now - new Date(item.report.reportedAt).getTime();
+      return {
+        ...item,
+        ageHours: toHours(ageMs),
+        slaBreached: ageMs > MODERATION_SLA_HOURS * HOUR_MS,
+      };
+    }),
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize),
+      limit: pageSize,
+    },
+  };
+};
+
+/**
+ * Claim a report so other admins don't review it at the same time. An
+ * admin can re-claim their own report, and anyone can take over a claim
+ * that has lapsed.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} reportId - ID of the report.
+ * @param {string} adminId - ID of the admin.
+ * @returns {Promise<Object>} - The claimed report.
+ * @throws {AppError} - If the report is resolved or claimed by someone else.
+ */
+export const claimReport = async (testimonialId, reportId, adminId) => {
+  const now = new Date();
+  const claimLapsedBefore = new Date(
+    now.getTime() - MODERATION_CLAIM_MINUTES * 60 * 1000
+  );
+
+  const testimonial = await Testimonial.findOneAndUpdate(
+    {
+      _id: testimonialId,
+      reports: {
+        $elemMatch: {
+          _id: reportId,
+          $or: [
+            { status: 'pending' },
+            { status: 'claimed', claimedBy: adminId },
+            { status: 'claimed', claimedAt: { $lte: claimLapsedBefore } },
+          ],
+        },
+      },
+    },
+    {
+      $set: {
+        'reports.$.status': 'claimed',
+        'reports.$.claimedBy': adminId,
+        'reports.$.claimedAt': now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!testimonial) {
+    const existing = await Testimonial.findById(testimonialId)
+      .select('reports')
+      .lean();
+    const report = existing?.reports?.find((r) => r._id.equals(reportId));
+    if (!report) {
+      throw new AppError('Report not found.', 404);
+    }
+    if (report.status === 'resolved') {
+      throw new AppError('Report has already been resolved.', 400);
+    }
+    throw new AppError('Report is being reviewed by another admin.', 409);
+  }
+
+  logger.info({
+    message: 'Report claimed.',
+    testimonialId,
+    reportId,
+    adminId,
+  });
+
+  return testimonial.reports.id(reportId);
+};
+
+/**
+ * Work out which status a reported testimonial should go back to: the one
+ * it had when it was reported, or one derived from its givers for reports
+ * filed before transitions were recorded.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {string} - Status to restore.
+ */
+const getStatusBeforeReport = (testimonial) => {
+  const reported = [...testimonial.moderation.history]
+    .reverse()
+    .find((entry) => entry.to === 'reported');
+  if (reported?.from) return reported.from;
+
+  const submitted = testimonial.givers.filter((g) => g.testimonial?.text);
+  if (!submitted.length) return 'pending';
+  return submitted.length === testimonial.givers.length
+    ? 'completed'
+    : 'in-progress';
+};
+
+/**
+ * Take a testimonial out of public view, remembering whether it was public
+ * so an overturned decision can put it back.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} status - Moderation status, 'hidden' or 'removed'.
+ */
+const hideFromPublic = (testimonial, status) => {
+  if (testimonial.moderation.visibilityBeforeHide === undefined) {
+    testimonial.moderation.visibilityBeforeHide = testimonial.isPublic;
+  }
+  testimonial.isPublic = false;
+  testimonial.moderation.status = status;
+};
+
+/**
+ * Notifications for resolving user reports: each reporter with an account
+ * hears the outcome, and the seeker hears what was done.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Array<Object>} resolved - Reports that were resolved.
+ * @param {string} action - Resolution.
+ * @param {string} [notes] - Moderator notes.
+ * @returns {Array<Promise<void>>} - Pending notifications.
+ */
+const getReportNotifications = (testimonial, resolved, action, notes) => {
+  const reporterIds = [
+    ...new Set(
+      resolved
+        .map((r) => r.reportedBy)
+        .filter((reporter) => mongoose.isValidObjectId(reporter))
+    ),
+  ];
+
+  return [
+    ...reporterIds.map((reporterId) =>
+      notifyReporterResolution(reporterId, testimonial._id, action)
+    ),
+    notifySeekerModerationAction(
+      testimonial.seeker,
+      testimonial._id,
+      action,
+      notes
+    ),
+  ];
+};
+
+/**
+ * Notifications for settling a held submission: a released one goes to the
+ * seeker for review, a rejected one is reported back to the giver.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object|null} screened - Result of `settleScreenedSubmission`.
+ * @param {string} action - Resolution.
+ * @param {string} [notes] - Moderator notes.
+ * @returns {Array<Promise<void>>} - Pending notifications.
+ */
+const getScreeningNotifications = (testimonial, screened, action, notes) => {
+  if (!screened) return [];
+
+  return ['dismiss', 'warn'].includes(action)
+    ? [
+        notifySeekerReviewRequired(
+          testimonial.seeker,
+          testimonial._id,
+          screened.giver.email,
+          screened.isEdit
+        ),
+      ]
+    : [
+        notifyGiverReviewOutcome(
+          screened.giver.email,
+          testimonial._id,
+          'rejected',
+          notes
+        ),
+      ];
+};
+
+/**
+ * Resolve a claimed report. Hiding or removing acts on the testimonial, so
+ * it settles every open report on it; dismissing or warning settles only
+ * this report. Once no reports are open the testimonial leaves `reported`,
+ * and if the report threshold hid it, dismissing or warning shows it again.
+ * The reporters and the seeker are notified.
+ *
+ * Reports filed by screening act on the held submission instead: dismissing
+ * or warning releases it to the seeker, hiding or removing rejects it.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} reportId - ID of the report.
+ * @param {string} adminId - ID of the admin resolving it.
+ * @param {Object} resolution - Resolution details.
+ * @param {string} resolution.action - 'dismiss', 'hide', 'remove' or 'warn'.
+ * @param {string} [resolution.notes] - Notes for the record and the seeker.
+ * @returns {Promise<Object>} - Testimonial moderation state and the
+ *   resolved reports.
+ * @throws {AppError} - If the report can't be resolved.
+ */
+export const resolveReport = async (
+  testimonialId,
+  reportId,
+  adminId,
+  { action, notes } = {}
+) => {
+  if (!REPORT_RESOLUTIONS.includes(action)) {
+    throw new AppError(
+      `Resolution must be one of: ${REPORT_RESOLUTIONS.join(', ')}.`,
+      400
+    );
+  }
+
+  const settled = await withTransaction(
+    async (session) => {
+      const testimonial = await Testimonial.findById(testimonialId).session(
+        session
+      );
+      if (!testimonial) {
+        throw new AppError('Testimonial not found.', 404);
+      }
+
+      const report = testimonial.reports.id(reportId);
+      if (!report) {
+        throw new AppError('Report not found.', 404);
+      }
+      if (report.status === 'resolved') {
+        throw new AppError('Report has already been resolved.', 400);
+      }
+      if (report.status !== 'claimed' || !report.claimedBy?.equals(adminId)) {
+        throw new AppError('Claim the report before resolving it.', 409);
+      }
+
+      const isScreening = report.reason === SCREENING_REPORT_REASON;
+      const now = new Date();
+      const resolved =
+        !isScreening && ['hide', 'remove'].includes(action)
+          ? testimonial.reports.filter((r) =>
+              OPEN_REPORT_STATUSES.includes(r.status)
+            )
+          : [report];
+      resolved.forEach((r) => {
+        r.status = 'resolved';
+        r.resolvedBy = adminId;
+        r.resolvedAt = now;
+        r.resolution = action;
+        r.resolutionNotes = notes;
+      });
+
+      testimonial.moderation.history.push({
+        action: `report_${action}`,
+        at: now,
+        reason: notes,
+        actor: adminId,
+        actorType: 'admin',
+      });
+
+      const stillOpen = testimonial.reports.some((r) =>
+        OPEN_REPORT_STATUSES.includes(r.status)
+      );
+      if (
+        !stillOpen &&
+        !testimonial.archived &&
+        testimonial.status === 'reported'
+      ) {
+        await transitionTestimonial(
+          testimonial,
+          getStatusBeforeReport(testimonial),
+          {
+            actor: adminId,
+            actorType: 'admin',
+            reason: `Reports resolved (${action}).`,
+            session,
+          }
+        );
+      }
+
+      // A testimonial hidden by the report threshold goes back to how it
+      // was once the reports turn out to be unfounded
+      if (
+        !stillOpen &&
+        testimonial.moderation.status === 'auto_hidden' &&
+        ['dismiss', 'warn'].includes(action)
+      ) {
+        testimonial.isPublic =
+          testimonial.moderation.visibilityBeforeHide ?? testimonial.isPublic;
+        testimonial.moderation.status = 'normal';
+        testimonial.moderation.visibilityBeforeHide = undefined;
+        testimonial.moderation.history.push({
+          action: 'auto_hide_lifted',
+          at: now,
+          actor: adminId,
+          actorType: 'admin',
+        });
+      }
+
+      let screened = null;
+      if (isScreening) {
+        screened = settleScreenedSubmission(
+          testimonial,
+          report.metadata || {},
+          ['dismiss', 'warn'].includes(action),
+          { reviewerId: adminId, comments: notes }
+        );
+      } else if (action === 'hide') {
+        hideFromPublic(testimonial, 'hidden');
+      } else if (action === 'remove') {
+        hideFromPublic(testimonial, 'removed');
+        await transitionTestimonial(testimonial, 'archived', {
+          actor: adminId,
+          actorType: 'admin',
+          reason: notes || 'Removed after a moderation review.',
+          session,
+        });
+        testimonial.archivedAt = now;
+        testimonial.archivedBy = adminId;
+        testimonial.archiveReason =
+          notes || 'Removed after a moderation review.';
+      } else if (action === 'warn') {
+        await ActivityLog.create(
+          [
+            {
+              user: testimonial.seeker,
+              action: 'MODERATION_WARNING',
+              details: {
+                testimonialId,
+                reportId,
+                notes,
+                issuedBy: adminId,
+              },
+            },
+          ],
+          { session }
+        );
+      }
+
+      await testimonial.save({ session });
+
+      return { testimonial, resolved, isScreening, screened };
+    },
+    { afterCommit: flushTestimonialEvents }
+  );
+  const { testimonial, resolved, isScreening, screened } = settled;
+
+  const notifications = isScreening
+    ? getScreeningNotifications(testimonial, screened, action, notes)
+    : getReportNotifications(testimonial, resolved, action, notes);
+  (await Promise.allSettled(notifications))
+    .filter(({ status }) => status === 'rejected')
+    .forEach(({ reason }) =>
+      logger.warn('Failed to send moderation notification:', {
+        testimonialId,
+        error: reason.message,
+      })
+    );
+
+  logger.info({
+    message: 'Report resolved.',
+    testimonialId,
+    reportId,
+    adminId,
+    action,
+    reportsResolved: resolved.length,
+  });
+
+  return {
+    testimonialId: testimonial._id,
+    status: testimonial.status,
+    archived: testimonial.archived,
+    isPublic: testimonial.isPublic,
+    moderationStatus: testimonial.moderation.status,
+    resolvedReports: resolved.map((r) => r._id),
+  };
+};
+
+/**
+ * Find the decision an appeal is against and who made it. Only decisions
+ * made by an admin can be appealed; a seeker turning down a testimonial
+ * about themselves is final.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} decision - 'giver_rejection' or 'moderation'.
+ * @param {Object} [giver] - Giver subdocument, for rejections.
+ * @returns {Object} - `{ decision, giver, decidedBy, decidedAt }`.
+ * @throws {AppError} - If there's no appealable decision.
+ */
+const findAppealableDecision = (testimonial, decision, giver) => {
+  let record;
+  if (decision === 'giver_rejection') {
+    if (giver?.verificationStatus !== 'rejected') {
+      throw new AppError('This submission has not been rejected.', 400);
+    }
+    const entry = [...giver.approvalHistory]
+      .reverse()
+      .find((e) => e.status === 'rejected');
+    record = {
+      decision,
+      giver: giver._id,
+      decidedBy: entry?.approvedBy,
+      decidedAt: entry?.approvedAt,
+    };
+  } else {
+    const action = {
+      hidden: 'report_hide',
+      removed: 'report_remove',
+    }[testimonial.moderation.status];
+    if (!action) {
+      throw new AppError(
+        'This testimonial has no moderation decision to appeal.',
+        400
+      );
+    }
+    const entry = [...testimonial.moderation.history]
+      .reverse()
+      .find((e) => e.action === action);
+    record = {
+      decision:
+        action === 'report_hide' ? 'moderation_hide' : 'moderation_remove',
+      decidedBy: entry?.actor,
+      decidedAt: entry?.at,
+    };
+  }
+
+  if (record.decidedBy && testimonial.seeker.equals(record.decidedBy)) {
+    throw new AppError('Only moderation decisions can be appealed.', 400);
+  }
+
+  const alreadyAppealed = testimonial.appeals.some(
+    (appeal) =>
+      appeal.decision === record.decision &&
+      String(appeal.giver) === String(record.giver) &&
+      appeal.decidedAt?.getTime() === record.decidedAt?.getTime()
+  );
+  if (alreadyAppealed) {
+    throw new AppError('This decision has already been appealed.', 409);
+  }
+
+  return record;
+};
+
+/**
+ * Record a new appeal on a testimonial and save it.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} decision - Result of `findAppealableDecision`.
+ * @param {Object} appellant - `{ type, id }`, where `id` is the seeker ID
+ *   or giver email.
+ * @param {string} reason - Why the decision should be reversed.
+ * @returns {Promise<Object>} - The new appeal.
+ */
+const fileAppeal = async (testimonial, decision, appellant, reason) => {
+  const openedAt = new Date();
+  testimonial.appeals.push({
+    ...decision,
+    appellantType: appellant.type,
+    appellant: appellant.id,
+    reason,
+    status: 'open',
+    openedAt,
+  });
+  testimonial.moderation.history.push({
+    action: 'appeal_opened',
+    at: openedAt,
+    reason,
+    actorType: appellant.type,
+  });
+  await testimonial.save();
+
+  const appeal = testimonial.appeals[testimonial.appeals.length - 1];
+
+  logger.info({
+    message: 'Appeal opened.',
+    testimonialId: testimonial._id,
+    appealId: appeal._id,
+    decision: appeal.decision,
+    appellantType: appellant.type,
+  });
+
+  return appeal;
+};
+
+/**
+ * Appeal a decision on one of the seeker's testimonials: a rejected giver
+ * submission or a moderation action that hid or removed it.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} seekerId - ID of the seeker appealing.
+ * @param {Object} appealData - Appeal details.
+ * @param {string} appealData.decision - 'giver_rejection' or 'moderation'.
+ * @param {string} [appealData.giverId] - Giver, for rejections.
+ * @param {string} appealData.reason - Why the decision should be reversed.
+ * @returns {Promise<Object>} - The new appeal.
+ * @throws {AppError} - If there's nothing to appeal or it was appealed.
+ */
+export const appealDecision = async (
+  testimonialId,
+  seekerId,
+  { decision, giverId, reason }
+) => {
+  const testimonial = await Testimonial.findOne({
+    _id: testimonialId,
+    seeker: seekerId,
+  });
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  let giver;
+  if (decision === 'giver_rejection') {
+    giver = testimonial.givers.id(giverId);
+    if (!giver) {
+      throw new AppError('Giver not found in this testimonial.', 404);
+    }
+  }
+
+  return fileAppeal(
+    testimonial,
+    findAppealableDecision(testimonial, decision, giver),
+    { type: 'seeker', id: String(seekerId) },
+    reason
+  );
+};
+
+/**
+ * Appeal the rejection of a giver's submission, from the giver's link.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @param {string} reason - Why the decision should be reversed.
+ * @returns {Promise<Object>} - The new appeal.
+ * @throws {AppError} - If the link is invalid or there's nothing to appeal.
+ */
+export const appealGiverRejection = async (
+  testimonialId,
+  giverToken,
+  reason
+) => {
+  const testimonial = await Testimonial.findById(testimonialId);
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const giver = findGiverByToken(testimonial, giverToken);
+
+  return fileAppeal(
+    testimonial,
+    findAppealableDecision(testimonial, 'giver_rejection', giver),
+    { type: 'giver', id: giver.email },
+    reason
+  );
+};
+
+/**
+ * List appeals, oldest first. Appeals against the admin's own decisions
+ * are marked so they can be left to someone else.
+ *
+ * @param {string} adminId - ID of the admin viewing the list.
+ * @param {Object} [filters={}] - List filters.
+ * @param {string} [filters.status='open'] - Appeal status.
+ * @param {number} [filters.page=1] - Page number.
+ * @param {number} [filters.limit=20] - Appeals per page.
+ * @returns {Promise<Object>} - Appeals and pagination details.
+ */
+export const listAppeals = async (
+  adminId,
+  { status = 'open', page = 1, limit = DEFAULT_LIMIT } = {}
+) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const [result] = await Testimonial.aggregate([
+    { $match: { 'appeals.status': status } },
+    { $unwind: '$appeals' },
+    { $match: { 'appeals.status': status } },
+    { $sort: { 'appeals.openedAt': 1, _id: 1 } },
+    {
+      $facet: {
+        appeals: [
+          { $skip: (pageNumber - 1) * pageSize },
+          { $limit: pageSize },
+          {
+            $project: {
+              _id: 0,
+              testimonialId: '$_id',
+              seeker: 1,
+              projectDetails: 1,
+              moderationStatus: '$moderation.status',
+              appeal: '$appeals',
+              canDecide: {
+                $ne: [
+                  '$appeals.decidedBy',
+                  new mongoose.Types.ObjectId(adminId),
+                ],
+              },
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    appeals: result.appeals,
+    pagination: {
+      total,
+      page: pageNumber,
+      pages: Math.ceil(total / pageSize),
+      limit: pageSize,
+    },
+  };
+};
+
+/**
+ * Reverse the decision an appeal was against.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} appeal - The overturned appeal.
+ * @param {string} adminId - ID of the admin deciding the appeal.
+ * @param {Object} session - Session of the enclosing transaction.
+ * @returns {Promise<Object|undefined>} - The reinstated giver, for
+ *   rejections.
+ */
+const reverseDecision = async (testimonial, appeal, adminId, session) => {
+  if (appeal.decision === 'giver_rejection') {
+    const giver = reinstateRejectedSubmission(testimonial, appeal.giver);
+
+    // An admin rejection also flagged the testimonial as reported
+    const openReports = testimonial.reports.some((r) =>
+      OPEN_REPORT_STATUSES.includes(r.status)
+    );
+    if (
+      !openReports &&
+      !testimonial.archived &&
+      testimonial.status === 'reported'
+    ) {
+      await transitionTestimonial(
+        testimonial,
+        getStatusBeforeReport(testimonial),
+        {
+          actor: adminId,
+          actorType: 'admin',
+          reason: 'Rejection overturned on appeal.',
+          session,
+        }
+      );
+    }
+    return giver;
+  }
+
+  if (appeal.decision === 'moderation_remove' && testimonial.archived) {
+    await transitionTestimonial(testimonial, 'restored', {
+      actor: adminId,
+      actorType: 'admin',
+      reason: 'Removal overturned on appeal.',
+      session,
+    });
+    testimonial.archivedAt = undefined;
+    testimonial.archivedBy = undefined;
+    testimonial.archiveReason = undefined;
+  }
+
+  testimonial.isPublic =
+    testimonial.moderation.visibilityBeforeHide ?? testimonial.isPublic;
+  testimonial.moderation.status = 'normal';
+  testimonial.moderation.visibilityBeforeHide = undefined;
+  return undefined;
+};
+
+/**
+ * Decide an appeal. The admin must not be the one who made the original
+ * decision. Overturning reverses it: a rejected submission goes back to the
+ * seeker's review, and hidden or removed testimonials are restored. The
+ * outcome is recorded in the moderation history (and the giver's approval
+ * history for rejections) and the appellant is notified.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} appealId - ID of the appeal.
+ * @param {string} adminId - ID of the admin deciding it.
+ * @param {Object} outcome - Decision details.
+ * @param {string} outcome.outcome - 'upheld' or 'overturned'.
+ * @param {string} [outcome.notes] - Notes for the record and the appellant.
+ * @returns {Promise<Object>} - The decided appeal.
+ * @throws {AppError} - If the appeal can't be decided by this admin.
+ */
+export const decideAppeal = async (
+  testimonialId,
+  appealId,
+  adminId,
+  { outcome, notes } = {}
+) => {
+  if (!['upheld', 'overturned'].includes(outcome)) {
+    throw new AppError('Outcome must be "upheld" or "overturned".', 400);
+  }
+
+  const decided = await withTransaction(
+    async (session) => {
+      const testimonial = await Testimonial.findById(testimonialId).session(
+        session
+      );
+      if (!testimonial) {
+        throw new AppError('Testimonial not found.', 404);
+      }
+
+      const appeal = testimonial.appeals.id(appealId);
+      if (!appeal) {
+        throw new AppError('Appeal not found.', 404);
+      }
+      if (appeal.status !== 'open') {
+        throw new AppError('Appeal has already been decided.', 400);
+      }
+      if (appeal.decidedBy?.equals(adminId)) {
+        throw new AppError(
+          'Appeals must be decided by a different admin from the original decision.',
+          403
+        );
+      }
+
+      const now = new Date();
+      appeal.status = outcome;
+      appeal.resolvedBy = adminId;
+      appeal.resolvedAt = now;
+      appeal.resolutionNotes = notes;
+
+      testimonial.moderation.history.push({
+        action: `appeal_${outcome}`,
+        at: now,
+        reason: notes,
+        actor: adminId,
+        actorType: 'admin',
+      });
+
+      const giver = appeal.giver
+        ? testimonial.givers.id(appeal.giver)
+        : undefined;
+      if (giver) {
+        giver.approvalHistory.push({
+          status: `appeal_${outcome}`,
+          approvedBy: adminId,
+          comments: notes,
+          approvedAt: now,
+          version: giver.version,
+        });
+      }
+
+      if (outcome === 'overturned') {
+        await reverseDecision(testimonial, appeal, adminId, session);
+      }
+
+      await testimonial.save({ session });
+
+      return { testimonial, appeal, giver };
+    },
+    { afterCommit: flushTestimonialEvents }
+  );
+  const { testimonial, appeal, giver } = decided;
+
+  const notifications = [
+    appeal.appellantType === 'giver'
+      ? notifyGiverAppealDecision(
+          appeal.appellant,
+          testimonial._id,
+          outcome,
+          notes
+        )
+      : notifySeekerAppealDecision(
+          testimonial.seeker,
+          testimonial._id,
+          outcome,
+          notes
+        ),
+  ];
+  // A reinstated submission is back in the seeker's review queue
+  if (outcome === 'overturned' && giver) {
+    notifications.push(
+      notifySeekerReviewRequired(
+        testimonial.seeker,
+        testimonial._id,
+        giver.email,
+        true
+      )
+    );
+  }
+  (await Promise.allSettled(notifications))
+    .filter(({ status }) => status === 'rejected')
+    .forEach(({ reason }) =>
+      logger.warn('Failed to send appeal notification:', {
+        testimonialId,
+        error: reason.message,
+      })
+    );
+
+  logger.info({
+    message: 'Appeal decided.',
+    testimonialId,
+    appealId,
+    adminId,
+    outcome,
+  });
+
+  return appeal;
+};
+
+/**
+ * Reviewer performance against the moderation SLA, plus the state of the
+ * open queue.
+ *
+ * @param {Object} [options={}] - Reporting window.
+ * @param {string|Date} [options.from] - Start of the window (default: 30
+ *   days ago).
+ * @param {string|Date} [options.to] - End of the window (default: now).
+ * @returns {Promise<Object>} - Per-reviewer and queue SLA figures.
+ */
+export const getModerationSla = async ({ from, to } = {}) => {
+  const until = to ? new Date(to) : new Date();
+  const since = from
+    ? new Date(from)
+    : new Date(until.getTime() - 30 * 24 * HOUR_MS);
+  const slaMs = MODERATION_SLA_HOURS * HOUR_MS;
+  const breachedBefore = new Date(Date.now() - slaMs);
+
+  const [reviewers, queue] = await Promise.all([
+    Testimonial.aggregate([
+      { $match: { 'reports.resolvedAt': { $gte: since, $lte: until } } },
+      { $unwind: '$reports' },
+      { $match: { 'reports.resolvedAt': { $gte: since, $lte: until } } },
+      {
+        $project: {
+          reviewer: '$reports.resolvedBy',
+          resolution: '$reports.resolution',
+          timeToClaim: {
+            $subtract: [
+              { $ifNull: ['$reports.claimedAt', '$reports.resolvedAt'] },
+              '$reports.reportedAt',
+            ],
+          },
+          timeToResolve: {
+            $subtract: ['$reports.resolvedAt', '$reports.reportedAt'],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$reviewer',
+          resolved: { $sum: 1 },
+          resolutions: { $push: '$resolution' },
+          avgTimeToClaim: { $avg: '$timeToClaim' },
+          avgTimeToResolve: { $avg: '$timeToResolve' },
+          maxTimeToResolve: { $max: '$timeToResolve' },
+          breaches: {
+            $sum: { $cond: [{ $gt: ['$timeToResolve', slaMs] }, 1, 0] },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'reviewer',
+        },
+      },
+      { $sort: { resolved: -1 } },
+    ]),
+    Testimonial.aggregate([
+      { $match: { 'reports.status': { $in: OPEN_REPORT_STATUSES } } },
+      { $unwind: '$reports' },
+      { $match: { 'reports.status': { $in: OPEN_REPORT_STATUSES } } },
+      {
+        $group: {
+          _id: '$reports.status',
+          count: { $sum: 1 },
+          oldestReportedAt: { $min: '$reports.reportedAt' },
+          breaching: {
+            $sum: {
+              $cond: [{ $lt: ['$reports.reportedAt', breachedBefore] }, 1, 0],
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const openByStatus = Object.fromEntries(
+    queue.map(({ _id, ...rest }) => [_id, rest])
+  );
+  const oldestOpen = queue
+    .map(({ oldestReportedAt }) => oldestReportedAt)
+    .sort((a, b) => a - b)[0];
+
+  return {
+    slaHours: MODERATION_SLA_HOURS,
+    period: { from: since, to: until },
+    reviewers: reviewers.map((row) => ({
+      reviewerId: row._id,
+      name: row.reviewer[0]
+        ? `${row.reviewer[0].firstName} ${row.reviewer[0].lastName}`
+        : null,
+      resolved: row.resolved,
+      resolutions: REPORT_RESOLUTIONS.reduce(
+        (counts, resolution) => ({
+          ...counts,
+          [resolution]: row.resolutions.filter((r) => r === resolution).length,
+        }),
+        {}
+      ),
+      avgHoursToClaim: toHours(row.avgTimeToClaim),
+      avgHoursToResolve: toHours(row.avgTimeToResolve),
+      maxHoursToResolve: toHours(row.maxTimeToResolve),
+      slaBreaches: row.breaches,
+      withinSlaRate: parseFloat(
+        ((row.resolved - row.breaches) / row.resolved).toFixed(4)
+      ),
+    })),
+    queue: {
+      pending: openByStatus.pending?.count || 0,
+      claimed: openByStatus.claimed?.count || 0,
+      breachingSla:
+        (openByStatus.pending?.breaching || 0) +
+        (openByStatus.claimed?.breaching || 0),
+      oldestOpenHours: oldestOpen ? toHours(Date.now() - oldestOpen) : null,
+    },
+  };
+};
+
+export default {
+  REPORT_RESOLUTIONS,
+  listModerationQueue,
+  claimReport,
+  resolveReport,
+  appealDecision,
+  appealGiverRejection,
+  listAppeals,
+  decideAppeal,
+  getModerationSla,
+};
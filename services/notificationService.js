@@ -229,6 +229,102 @@ export const notifySeekerRejection = async (
   }
 };
 
+/**
+ * Notifies the seeker that a giver's testimonial is waiting for their review.
+ *
+ * @param {string} seekerId - The seeker's user ID.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} giverEmail - The giver's email address.
+ * @param {boolean} [isResubmission=false] - Whether the giver resubmitted
+ *   after the seeker requested changes.
+ * @returns {Promise<void>}
+ */
+export const notifySeekerReviewRequired = async (
+  seekerId,
+  testimonialId,
+  giverEmail,
+  isResubmission = false
+) => {
+  try {
+    const seeker = await User.findById(seekerId);
+    if (!seeker) {
+      throw new AppError('Seeker not found', 404);
+    }
+
+    const subject = isResubmission
+      ? 'A Testimonial Has Been Updated for Your Review'
+      : 'A New Testimonial Is Waiting for Your Review';
+    const template = 'testimonialReviewRequiredEmail'; // Corresponds to 'testimonialReviewRequiredEmail.hbs'
+    const data = {
+      firstName: seeker.firstName,
+      giverEmail,
+      testimonialId,
+      isResubmission,
+      reviewLink: `${process.env.FRONTEND_URL}/testimonials/${testimonialId}`,
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(
+      seekerId,
+      seeker.email,
+      subject,
+      template,
+      data
+    );
+
+    // Enqueue the in-app notification
+    await sendInAppNotification(
+      seekerId,
+      `${giverEmail} ${
+        isResubmission ? 'updated' : 'submitted'
+      } a testimonial for your review.`
+    );
+
+    logger.info(`✅ Seeker notified about testimonial to review: ${seekerId}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify seeker about testimonial review:', error);
+    throw new AppError('Failed to notify seeker about testimonial review', 500);
+  }
+};
+
+/**
+ * Notifies the giver that the seeker approved or rejected their testimonial.
+ *
+ * @param {string} giverEmail - The giver's email address.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} status - Review outcome ('approved' | 'rejected').
+ * @param {string} [comments] - Comments from the reviewer.
+ * @returns {Promise<void>}
+ */
+export const notifyGiverReviewOutcome = async (
+  giverEmail,
+  testimonialId,
+  status,
+  comments
+) => {
+  try {
+    const subject =
+      status === 'approved'
+        ? 'Your Testimonial Has Been Published'
+        : 'Your Testimonial Was Not Published';
+    const template = 'testimonialReviewOutcomeEmail'; // Corresponds to 'testimonialReviewOutcomeEmail.hbs'
+    const data = {
+      testimonialId,
+      status,
+      comments,
+      thankYouMessage: 'Thank you for contributing to Testimony!',
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(null, giverEmail, subject, template, data);
+
+    logger.info(`✅ Giver notified about testimonial review: ${giverEmail}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify giver about testimonial review:', error);
+    throw new AppError('Failed to notify giver about testimonial review', 500);
+  }
+};
+
 /**
  * Notifies the seeker about testimonial visibility changes.
  *
@@ -314,6 +410,210 @@ export const notifyGiverShared = async (
   }
 };
 
+/**
+ * Notifies a reporter that their report on a testimonial has been resolved.
+ *
+ * @param {string} reporterId - The reporter's user ID.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} resolution - How the report was resolved.
+ * @returns {Promise<void>}
+ */
+export const notifyReporterResolution = async (
+  reporterId,
+  testimonialId,
+  resolution
+) => {
+  try {
+    const reporter = await User.findById(reporterId);
+    if (!reporter) {
+      throw new AppError('Reporter not found', 404);
+    }
+
+    const subject = 'Update on Your Report';
+    const template = 'reportResolvedEmail'; // Corresponds to 'reportResolvedEmail.hbs'
+    const data = {
+      firstName: reporter.firstName,
+      testimonialId,
+      actionTaken: resolution !== 'dismiss',
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(
+      reporterId,
+      reporter.email,
+      subject,
+      template,
+      data
+    );
+
+    // Enqueue the in-app notification
+    await sendInAppNotification(
+      reporterId,
+      resolution === 'dismiss'
+        ? 'We reviewed your report and found no violation.'
+        : 'We reviewed your report and took action. Thank you.'
+    );
+
+    logger.info(`✅ Reporter notified about report resolution: ${reporterId}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify reporter about resolution:', error);
+    throw new AppError('Failed to notify reporter about resolution', 500);
+  }
+};
+
+/**
+ * Notifies the seeker about a moderation decision on their testimonial.
+ *
+ * @param {string} seekerId - The seeker's user ID.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} resolution - Moderation action taken.
+ * @param {string} [notes] - Notes from the moderator.
+ * @returns {Promise<void>}
+ */
+export const notifySeekerModerationAction = async (
+  seekerId,
+  testimonialId,
+  resolution,
+  notes
+) => {
+  try {
+    const seeker = await User.findById(seekerId);
+    if (!seeker) {
+      throw new AppError('Seeker not found', 404);
+    }
+
+    const messages = {
+      dismiss: 'A report on your testimonial was reviewed and dismissed.',
+      hide: 'Your testimonial has been hidden after a moderation review.',
+      remove: 'Your testimonial has been removed after a moderation review.',
+      warn: 'You have received a warning after a moderation review.',
+    };
+
+    const subject = 'Moderation Review of Your Testimonial';
+    const template = 'testimonialModerationEmail'; // Corresponds to 'testimonialModerationEmail.hbs'
+    const data = {
+      firstName: seeker.firstName,
+      testimonialId,
+      resolution,
+      notes,
+      supportLink: `${process.env.FRONTEND_URL}/support`,
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(
+      seekerId,
+      seeker.email,
+      subject,
+      template,
+      data
+    );
+
+    // Enqueue the in-app notification
+    await sendInAppNotification(seekerId, messages[resolution]);
+
+    logger.info(`✅ Seeker notified about moderation action: ${seekerId}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify seeker about moderation action:', error);
+    throw new AppError('Failed to notify seeker about moderation action', 500);
+  }
+};
+
+/**
+ * Notifies the seeker about the outcome of an appeal they filed.
+ *
+ * @param {string} seekerId - The seeker's user ID.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} outcome - 'upheld' or 'overturned'.
+ * @param {string} [notes] - Notes from the admin who decided the appeal.
+ * @returns {Promise<void>}
+ */
+export const notifySeekerAppealDecision = async (
+  seekerId,
+  testimonialId,
+  outcome,
+  notes
+) => {
+  try {
+    const seeker = await User.findById(seekerId);
+    if (!seeker) {
+      throw new AppError('Seeker not found', 404);
+    }
+
+    const subject =
+      outcome === 'overturned'
+        ? 'Your Appeal Was Successful'
+        : 'Your Appeal Was Not Successful';
+    const template = 'appealDecisionEmail'; // Corresponds to 'appealDecisionEmail.hbs'
+    const data = {
+      firstName: seeker.firstName,
+      testimonialId,
+      outcome,
+      notes,
+      supportLink: `${process.env.FRONTEND_URL}/support`,
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(
+      seekerId,
+      seeker.email,
+      subject,
+      template,
+      data
+    );
+
+    // Enqueue the in-app notification
+    await sendInAppNotification(
+      seekerId,
+      outcome === 'overturned'
+        ? 'Your appeal was successful and the decision has been reversed.'
+        : 'Your appeal was reviewed and the original decision stands.'
+    );
+
+    logger.info(`✅ Seeker notified about appeal decision: ${seekerId}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify seeker about appeal decision:', error);
+    throw new AppError('Failed to notify seeker about appeal decision', 500);
+  }
+};
+
+/**
+ * Notifies a giver about the outcome of an appeal they filed.
+ *
+ * @param {string} giverEmail - The giver's email address.
+ * @param {string} testimonialId - The testimonial ID.
+ * @param {string} outcome - 'upheld' or 'overturned'.
+ * @param {string} [notes] - Notes from the admin who decided the appeal.
+ * @returns {Promise<void>}
+ */
+export const notifyGiverAppealDecision = async (
+  giverEmail,
+  testimonialId,
+  outcome,
+  notes
+) => {
+  try {
+    const subject =
+      outcome === 'overturned'
+        ? 'Your Appeal Was Successful'
+        : 'Your Appeal Was Not Successful';
+    const template = 'appealDecisionEmail'; // Corresponds to 'appealDecisionEmail.hbs'
+    const data = {
+      testimonialId,
+      outcome,
+      notes,
+      thankYouMessage: 'Thank you for contributing to Testimony!',
+    };
+
+    // Enqueue the email notification
+    await sendEmailNotification(null, giverEmail, subject, template, data);
+
+    logger.info(`✅ Giver notified about appeal decision: ${giverEmail}`);
+  } catch (error) {
+    logger.error('❌ Failed to notify giver about appeal decision:', error);
+    throw new AppError('Failed to notify giver about appeal decision', 500);
+  }
+};
+
 /**
  * Notifies the admin about escalation events.
  *
@@ -356,8 +656,14 @@ const notificationService = {
   sendEmailNotification,
   notifySeekerApproval,
   notifySeekerRejection,
+  notifySeekerReviewRequired,
+  notifyGiverReviewOutcome,
   notifyVisibilityChange,
   notifyGiverShared,
+  notifyReporterResolution,
+  notifySeekerModerationAction,
+  notifySeekerAppealDecision,
+  notifyGiverAppealDecision,
   notifyAdminEscalation,
 };
 
@@ -0,0 +1,358 @@
+// src/services/questionnaireService.js
+
+import { QUESTION_TYPES } from '../models/Testimonial.js';
+import AppError from '../utils/appError.js';
+import { sanitizeInput } from '../utils/sanitizer.js';
+
+const MAX_QUESTIONS = 20;
+const MAX_OPTIONS = 10;
+const MAX_ANSWER_LENGTH = 2000;
+const DEFAULT_SCALE = { min: 1, max: 5 };
+
+// Longest scale a rating question may use, e.g. 0-10 for NPS-style questions
+const MAX_SCALE_STEPS = 11;
+
+/**
+ * Validate a seeker's question set and fill in defaults. Prompts and
+ * options are shown to givers, so they are sanitized like other user text.
+ *
+ * @param {Array<Object>} questions - Questions as `{ prompt, type,
+ *   required, options, scale }`.
+ * @returns {Array<Object>} - Normalized questions.
+ * @throws {AppError} - If a question is invalid.
+ */
+export const normalizeQuestions = (questions = []) => {
+  if (!Array.isArray(questions)) {
+    throw new AppError('Questions must be an array.', 400);
+  }
+  if (questions.length > MAX_QUESTIONS) {
+    throw new AppError(
+      `A request can have at most ${MAX_QUESTIONS} questions.`,
+      400
+    );
+  }
+
+  return questions.map(({ prompt, type, required, options, scale } = {}) => {
+    const cleanPrompt =
+      typeof prompt === 'string' ? sanitizeInput(prompt.trim()).trim() : '';
+    if (!cleanPrompt) {
+      throw new AppError('Every question needs a prompt.', 400);
+    }
+    if (!QUESTION_TYPES.includes(type)) {
+      throw new AppError(
+        `Question type must be one of ${QUESTION_TYPES.join(', ')}.`,
+        400
+      );
+    }
+
+    const question = { prompt: cleanPrompt, type, required: !!required };
+
+    if (type === 'multiple_choice') {
+      const choices = [
+        ...new Set(
+          (Array.isArray(options) ? options : [])
+            .filter((option) => typeof option === 'string')
+            .map((option) => sanitizeInput(option.trim()).trim())
+            .filter(Boolean)
+        ),
+      ];
+      if (choices.length < 2 || choices.length > MAX_OPTIONS) {
+        throw new AppError(
+          `Multiple choice questions need between 2 and ${MAX_OPTIONS} options.`,
+          400
+        );
+      }
+      question.options = choices;
+    }
+
+    if (type === 'rating') {
+      const { min, max } = { ...DEFAULT_SCALE, ...scale };
+      if (
+        !Number.isInteger(min) ||
+        !Number.isInteger(max) ||
+        min < 0 ||
+        max <= min ||
+        max - min + 1 > MAX_SCALE_STEPS
+      ) {
+        throw new AppError(
+          `Rating scales must run between two whole numbers from 0 up, with at most ${MAX_SCALE_STEPS} steps.`,
+          400
+        );
+      }
+      question.scale = { min, max };
+    }
+
+    return question;
+  });
+};
+
+/**
+ * Sanitize a written answer, rejecting one that is empty once markup is
+ * removed.
+ *
+ * @param {Object} question - Question subdocument.
+ * @param {string} value - Answer given.
+ * @returns {string} - Sanitized answer.
+ * @throws {AppError} - If nothing is left after sanitizing.
+ */
+const sanitizeAnswerText = (question, value) => {
+  const answer = sanitizeInput(value.trim()).trim();
+  if (!answer) {
+    throw new AppError(`"${question.prompt}" needs a written answer.`, 400);
+  }
+  return answer;
+};
+
+/**
+ * Check one answer against its question.
+ *
+ * @param {Object} question - Question subdocument.
+ * @param {*} value - Answer given.
+ * @returns {*} - Normalized answer value.
+ * @throws {AppError} - If the answer doesn't fit the question type.
+ */
+const normalizeAnswerValue = (question, value) => {
+  switch (question.type) {
+    case 'long_text':
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new AppError(`"${question.prompt}" needs a written answer.`, 400);
+      }
+      if (value.trim().length > MAX_ANSWER_LENGTH) {
+        throw new AppError(
+          `Answers cannot exceed ${MAX_ANSWER_LENGTH} characters.`,
+          400
+        );
+      }
+      return sanitizeAnswerText(question, value);
+    case 'rating': {
+      const { min, max } = question.scale || DEFAULT_SCALE;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        throw new AppError(
+          `"${question.prompt}" needs a whole number from ${min} to ${max}.`,
+          400
+        );
+      }
+      return value;
+    }
+    case 'yes_no':
+      if (typeof value !== 'boolean') {
+        throw new AppError(`"${question.prompt}" needs a yes or no.`, 400);
+      }
+      return value;
+    case 'multiple_choice': {
+      const option =
+        typeof value === 'string' &&
+        question.options.find(
+          (choice) => choice.toLowerCase() === value.trim().toLowerCase()
+        );
+      if (!option) {
+        throw new AppError(
+          `"${question.prompt}" must be answered with one of its options.`,
+          400
+        );
+      }
+      return option;
+    }
+    default:
+      throw new AppError(`Unsupported question type "${question.type}".`, 400);
+  }
+};
+
+/**
+ * Validate a giver's answers against the request's questions. Unanswered
+ * questions are left out; with `requireAll` every required question must
+ * be answered.
+ *
+ * @param {Array<Object>} questions - The request's questions.
+ * @param {Array<Object>} answers - Answers as `{ questionId, value }`.
+ * @param {Object} [options={}] - Validation options.
+ * @param {boolean} [options.requireAll=false] - Enforce required questions,
+ *   as for a final submission.
+ * @returns {Array<Object>} - Answers as `{ question, value }`.
+ * @throws {AppError} - If an answer is invalid or a required one is missing.
+ */
+export const normalizeAnswers = (
+  questions = [],
+  answers = [],
+  { requireAll = false } = {}
+) => {
+  if (!Array.isArray(answers)) {
+    throw new AppError('Answers must be an array.', 400);
+  }
+
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  const seen = new Set();
+
+  const normalized = answers
+    .filter((answer) => answer?.value !== undefined && answer.value !== null)
+    .map(({ questionId, value }) => {
+      const question = byId.get(String(questionId));
+      if (!question) {
+        throw new AppError(
+          `"${questionId}" is not a question on this request.`,
+          400
+        );
+      }
+      if (seen.has(String(questionId))) {
+        throw new AppError(
+          `"${question.prompt}" was answered more than once.`,
+          400
+        );
+      }
+      seen.add(String(questionId));
+      return {
+        question: question._id,
+        value: normalizeAnswerValue(question, value),
+      };
+    });
+
+  if (requireAll) {
+    const missing = questions.filter(
+      (q) => q.required && !seen.has(q._id.toString())
+    );
+    if (missing.length) {
+      throw new AppError(
+        `Please answer: ${missing.map((q) => `"${q.prompt}"`).join(', ')}.`,
+        400
+      );
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Get the written (long text) answers from a set of normalized answers, so
+ * they can be screened alongside the testimonial text.
+ *
+ * @param {Array<Object>} questions - The request's questions.
+ * @param {Array<Object>} answers - Output of `normalizeAnswers`.
+ * @returns {Array<string>} - Written answers.
+ */
+export const getWrittenAnswers = (questions = [], answers = []) => {
+  const writtenIds = new Set(
+    questions.filter((q) => q.type === 'long_text').map((q) => q._id.toString())
+  );
+  return answers
+    .filter((answer) => writtenIds.has(answer.question.toString()))
+    .map((answer) => answer.value);
+};
+
+/**
+ * Shape questions for the giver portal.
+ *
+ * @param {Array<Object>} questions - The request's questions.
+ * @returns {Array<Object>} - Questions with their IDs.
+ */
+export const toQuestionView = (questions = []) =>
+  questions.map((q) => ({
+    id: q._id,
+    prompt: q.prompt,
+    type: q.type,
+    required: q.required,
+    ...(q.type === 'multiple_choice' && { options: q.options }),
+    ...(q.type === 'rating' && { scale: q.scale || DEFAULT_SCALE }),
+  }));
+
+/**
+ * Aggregate answers across givers, per question. Ratings get an average
+ * and distribution, yes/no and multiple choice questions get counts and
+ * written answers are listed.
+ *
+ * @param {Array<Object>} questions - The request's questions.
+ * @param {Array<Object>} givers - Givers whose answers to include.
+ * @returns {Array<Object>} - One result per question.
+ */
+export const aggregateAnswers = (questions = [], givers = []) =>
+  questions.map((question) => {
+    const values = givers
+      .map(
+        (giver) =>
+          (giver.answers || []).find((answer) =>
+            answer.question.equals(question._id)
+          )?.value
+      )
+      .filter((value) => value !== undefined && value !== null);
+
+    const result = {
+      questionId: question._id,
+      prompt: question.prompt,
+      type: question.type,
+      responses: values.length,
+    };
+
+    switch (question.type) {
+      case 'rating': {
+        const { min, max } = question.scale || DEFAULT_SCALE;
+        const distribution = {};
+        for (let score = min; score <= max; score++) distribution[score] = 0;
+        values.forEach((value) => distribution[value]++);
+        return {
+          ...result,
+          scale: { min, max },
+          average: values.length
+            ? Math.round(
+                (values.reduce((sum, value) => sum + value, 0) /
+                  values.length) *
+                  100
+              ) / 100
+            : null,
+          distribution,
+        };
+      }
+      case 'yes_no': {
+        const yes = values.filter(Boolean).length;
+        return { ...result, yes, no: values.length - yes };
+      }
+      case 'multiple_choice':
+        return {
+          ...result,
+          options: question.options.map((option) => ({
+            option,
+            count: values.filter((value) => value === option).length,
+          })),
+        };
+      default:
+        return { ...result, answers: values };
+    }
+  });
+
+/**
+ * Describe aggregated results as plain statements, for use as AI input.
+ *
+ * @param {Array<Object>} results - Output of `aggregateAnswers`.
+ * @returns {Array<string>} - One or more statements per answered question.
+ */
+export const describeAggregatedAnswers = (results) =>
+  results
+    .filter((result) => result.responses)
+    .flatMap((result) => {
+      const asked = `Asked "${result.prompt}",`;
+      const count = `${result.responses} giver${
+        result.responses > 1 ? 's' : ''
+      }`;
+      switch (result.type) {
+        case 'rating':
+          return `${asked} ${count} gave an average rating of ${result.average} out of ${result.scale.max}.`;
+        case 'yes_no':
+          return `${asked} ${result.yes} of ${count} answered yes.`;
+        case 'multiple_choice':
+          return `${asked} givers chose ${result.options
+            .filter(({ count: n }) => n)
+            .map(({ option, count: n }) => `${option} (${n})`)
+            .join(', ')}.`;
+        default:
+          return result.answers.map(
+            (answer) => `${asked} a giver wrote: "${answer}"`
+          );
+      }
+    });
+
+export default {
+  normalizeQuestions,
+  normalizeAnswers,
+  getWrittenAnswers,
+  toQuestionView,
+  aggregateAnswers,
+  describeAggregatedAnswers,
+};
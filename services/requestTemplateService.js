@@ -0,0 +1,418 @@
+// src/services/requestTemplateService.js
+
+import RequestTemplate from '../models/RequestTemplate.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+import { escapeHtml } from '../utils/escape.js';
+
+/**
+ * Variables a template's subject and body may reference as `{{name}}`.
+ */
+export const REQUEST_TEMPLATE_VARIABLES = [
+  'seekerName',
+  'seekerFirstName',
+  'giverEmail',
+  'projectDetails',
+  'requestedSkills',
+  'submissionLink',
+  'expiryDate',
+  'expiryDays',
+];
+
+/**
+ * Subject and body used for requests created without a template.
+ */
+export const DEFAULT_REQUEST_EMAIL = {
+  emailSubject: '{{seekerName}} asked you for a testimonial',
+  emailBody:
+    'Hi,\n\n{{seekerName}} would appreciate a short testimonial about working with you on:\n\n{{projectDetails}}\n\nIt only takes a few minutes. Thank you!',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+/**
+ * Ensure a template only references known variables.
+ *
+ * @param {Object} fields - Template fields to check, keyed by field name.
+ * @throws {AppError} - If a field references an unknown variable.
+ */
+const assertKnownVariables = (fields) => {
+  for (const [field, text] of Object.entries(fields)) {
+    if (typeof text !== 'string') continue;
+
+    const unknown = [...text.matchAll(VARIABLE_PATTERN)]
+      .map(([, name]) => name)
+      .filter((name) => !REQUEST_TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length) {
+      throw new AppError(
+        `Unknown variable${unknown.length > 1 ? 's' : ''} in ${field}: ${[
+          ...new Set(unknown),
+        ].join(', ')}. Allowed: ${REQUEST_TEMPLATE_VARIABLES.join(', ')}.`,
+        400
+      );
+    }
+  }
+};
+
+/**
+ * Replace `{{variables}}` in text with their values.
+ *
+ * @param {string} text - Template text.
+ * @param {Object} values - Variable values.
+ * @returns {string} - Interpolated text.
+ */
+const interpolate = (text, values) =>
+  text.replace(VARIABLE_PATTERN, (match, name) =>
+    values[name] !== undefined ? String(values[name]) : match
+  );
+
+/**
+ * Build the link a giver follows to write their testimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @returns {string} - Submission portal URL.
+ */
+export const getSubmissionLink = (testimonialId, giverToken) =>
+  `${process.env.CLIENT_URL}/testimonials/submit/${testimonialId}/giver/${giverToken}`;
+
+/**
+ * Build the single-use link a giver follows to edit their testimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} editToken - Edit token of the giver.
+ * @returns {string} - Edit portal URL.
+ */
+export const getEditLink = (testimonialId, editToken) =>
+  `${process.env.CLIENT_URL}/testimonials/submit/${testimonialId}/edit/${editToken}`;
+
+/**
+ * Render the request email a giver receives. Variable values are escaped
+ * before they reach the HTML, and blank lines in the body start a new
+ * paragraph.
+ *
+ * @param {Object} template - Template fields, or `DEFAULT_REQUEST_EMAIL`.
+ * @param {string} template.emailSubject - Subject with variables.
+ * @param {string} template.emailBody - Plain-text body with variables.
+ * @param {Array<string>} [template.promptQuestions] - Questions listed
+ *   below the body.
+ * @param {Object} context - Request details.
+ * @param {Object} context.seeker - Seeker with `firstName` and `lastName`.
+ * @param {string} context.giverEmail - Email of the giver.
+ * @param {string} context.projectDetails - Project the request is about.
+ * @param {Array<string>} [context.requestedSkills] - Skills to comment on.
+ * @param {string} context.submissionLink - Giver's submission link.
+ * @param {Date} context.expiresAt - When the link expires.
+ * @param {number} context.expiryDays - How long the link stays open.
+ * @returns {Object} - `{ subject, html }`.
+ */
+export const renderRequestEmail = (
+  { emailSubject, emailBody, promptQuestions = [] },
+  {
+    seeker,
+    giverEmail,
+    projectDetails,
+    requestedSkills = [],
+    submissionLink,
+    expiresAt,
+    expiryDays,
+  }
+) => {
+  const seekerName = [seeker.firstName, seeker.lastName]
+    .filter(Boolean)
+    .join(' ');
+  const values = {
+    seekerName,
+    seekerFirstName: seeker.firstName || seekerName,
+    giverEmail,
+    projectDetails,
+    requestedSkills: requestedSkills.join(', '),
+    submissionLink,
+    expiryDate: expiresAt.toUTCString(),
+    expiryDays,
+  };
+
+  const subject = interpolate(emailSubject, values).replace(/\s+/g, ' ').trim();
+  const paragraphs = escapeHtml(interpolate(emailBody, values))
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim().replace(/\n/g, '<br>'))
+    .filter(Boolean);
+
+  return {
+    subject,
+    html: emailTemplates.testimonialRequest(
+      escapeHtml(seekerName),
+      paragraphs,
+      promptQuestions.map(escapeHtml),
+      escapeHtml(submissionLink),
+      expiresAt
+    ),
+  };
+};
+
+/**
+ * Shape a request template for API responses.
+ *
+ * @param {Object} template - Request template document.
+ * @returns {Object} - Request template details.
+ */
+const toRequestTemplateView = (template) => ({
+  id: template._id,
+  name: template.name,
+  emailSubject: template.emailSubject,
+  emailBody: template.emailBody,
+  promptQuestions: template.promptQuestions,
+  requestedSkills: template.requestedSkills,
+  expiryDays: template.expiryDays,
+  usageCount: template.usageCount,
+  lastUsedAt: template.lastUsedAt,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+/**
+ * Translate a duplicate-name index violation into a 409.
+ *
+ * @param {Error} error - Error thrown while saving.
+ * @throws {AppError|Error} - 409 for duplicate names, otherwise the error.
+ */
+const rethrowDuplicateName = (error) => {
+  if (error.code === 11000) {
+    throw new AppError('You already have a template with this name.', 409);
+  }
+  throw error;
+};
+
+/**
+ * Create a request template for a seeker.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} data - Template fields.
+ * @param {string} data.name - Label for the template.
+ * @param {string} data.emailSubject - Subject with variables.
+ * @param {string} data.emailBody - Plain-text body with variables.
+ * @param {Array<string>} [data.promptQuestions] - Questions for the giver.
+ * @param {Array<string>} [data.requestedSkills] - Skills to ask about.
+ * @param {number} [data.expiryDays] - How long giver links stay open.
+ * @returns {Promise<Object>} - Request template details.
+ * @throws {AppError} - If a variable is unknown or the name is taken.
+ */
+export const createRequestTemplate = async (
+  seekerId,
+  {
+    name,
+    emailSubject,
+    emailBody,
+    promptQuestions = [],
+    requestedSkills = [],
+    expiryDays,
+  }
+) => {
+  assertKnownVariables({ emailSubject, emailBody });
+
+  const template = await RequestTemplate.create({
+    seeker: seekerId,
+    name,
+    emailSubject,
+    emailBody,
+    promptQuestions,
+    requestedSkills,
+    expiryDays,
+  }).catch(rethrowDuplicateName);
+
+  logger.info({
+    message: 'Request template created.',
+    seekerId,
+    templateId: template._id,
+  });
+
+  return toRequestTemplateView(template);
+};
+
+/**
+ * List a seeker's request templates.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Array<Object>>} - Request templates, by name.
+ */
+export const listRequestTemplates = async (seekerId) => {
+  const templates = await RequestTemplate.find({ seeker: seekerId })
+    .sort({ name: 1 })
+    .lean();
+  return templates.map(toRequestTemplateView);
+};
+
+/**
+ * Find one of a seeker's request templates.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} templateId - ID of the template.
+ * @param {Object} [options={}] - Query options.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
+ * @returns {Promise<Object>} - Request template document.
+ * @throws {AppError} - If the template isn't found.
+ */
+export const findRequestTemplate = async (
+  seekerId,
+  templateId,
+  { session } = {}
+) => {
+  const template = await RequestTemplate.findOne({
+    _id: templateId,
+    seeker: seekerId,
+  }).session(session || null);
+  if (!template) {
+    throw new AppError('Request template not found.', 404);
+  }
+  return template;
+};
+
+/**
+ * Get one of a seeker's request templates.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} templateId - ID of the template.
+ * @returns {Promise<Object>} - Request template details.
+ * @throws {AppError} - If the template isn't found.
+ */
+export const getRequestTemplate = async (seekerId, templateId) =>
+  toRequestTemplateView(await findRequestTemplate(seekerId, templateId));
+
+/**
+ * Update a request template. Requests already sent keep the content they
+ * were sent with.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} templateId - ID of the template.
+ * @param {Object} updates - Fields to update.
+ * @returns {Promise<Object>} - Updated request template details.
+ * @throws {AppError} - If the template isn't found or the update is invalid.
+ */
+export const updateRequestTemplate = async (seekerId, templateId, updates) => {
+  const template = await findRequestTemplate(seekerId, templateId);
+
+  assertKnownVariables({
+    emailSubject: updates.emailSubject,
+    emailBody: updates.emailBody,
+  });
+
+  for (const field of [
+    'name',
+    'emailSubject',
+    'emailBody',
+    'promptQuestions',
+    'requestedSkills',
+    'expiryDays',
+  ]) {
+    if (updates[field] !== undefined) template[field] = updates[field];
+  }
+
+  await template.save().catch(rethrowDuplicateName);
+  return toRequestTemplateView(template);
+};
+
+/**
+ * Delete a request template.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} templateId - ID of the template.
+ * @returns {Promise<void>}
+ * @throws {AppError} - If the template isn't found.
+ */
+export const deleteRequestTemplate = async (seekerId, templateId) => {
+  const result = await RequestTemplate.deleteOne({
+    _id: templateId,
+    seeker: seekerId,
+  });
+  if (!result.deletedCount) {
+    throw new AppError('Request template not found.', 404);
+  }
+
+  logger.info({
+    message: 'Request template deleted.',
+    seekerId,
+    templateId,
+  });
+};
+
+/**
+ * Record that a template was used to send a request.
+ *
+ * @param {string} templateId - ID of the template.
+ * @param {Object} [options={}] - Update options.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
+ * @returns {Promise<void>}
+ */
+export const recordRequestTemplateUsage = async (
+  templateId,
+  { session } = {}
+) => {
+  await RequestTemplate.updateOne(
+    { _id: templateId },
+    { $inc: { usageCount: 1 }, lastUsedAt: new Date() },
+    { session }
+  );
+};
+
+/**
+ * Render the email a giver would receive from a template, using sample
+ * giver and project details where none are given. The submission link is
+ * a placeholder since no giver token exists yet.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} templateId - ID of the template.
+ * @param {Object} [sample={}] - Sample request details.
+ * @param {string} [sample.giverEmail] - Giver email to preview with.
+ * @param {string} [sample.projectDetails] - Project details to preview with.
+ * @returns {Promise<Object>} - `{ to, subject, html, expiresAt }`.
+ * @throws {AppError} - If the template or seeker isn't found.
+ */
+export const previewRequestTemplate = async (
+  seekerId,
+  templateId,
+  {
+    giverEmail = 'giver@example.com',
+    projectDetails = 'Details of the project you worked on together',
+  } = {}
+) => {
+  const template = await findRequestTemplate(seekerId, templateId);
+  const seeker = await User.findById(seekerId)
+    .select('firstName lastName')
+    .lean();
+  if (!seeker) {
+    throw new AppError('Seeker not found.', 404);
+  }
+
+  const expiresAt = new Date(Date.now() + template.expiryDays * DAY_MS);
+  const { subject, html } = renderRequestEmail(template, {
+    seeker,
+    giverEmail,
+    projectDetails,
+    requestedSkills: template.requestedSkills,
+    submissionLink: getSubmissionLink(template._id, 'preview'),
+    expiresAt,
+    expiryDays: template.expiryDays,
+  });
+
+  return { to: giverEmail, subject, html, expiresAt };
+};
+
+export default {
+  REQUEST_TEMPLATE_VARIABLES,
+  DEFAULT_REQUEST_EMAIL,
+  getSubmissionLink,
+  getEditLink,
+  renderRequestEmail,
+  createRequestTemplate,
+  listRequestTemplates,
+  findRequestTemplate,
+  getRequestTemplate,
+  updateRequestTemplate,
+  deleteRequestTemplate,
+  recordRequestTemplateUsage,
+  previewRequestTemplate,
+};
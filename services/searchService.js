@@ -0,0 +1,400 @@
+// src/services/searchService.js
+
+import mongoose from 'mongoose';
+import Testimonial from '../models/Testimonial.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { escapeHtml, escapeRegex } from '../utils/escape.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_RADIUS = 80;
+const MAX_FACET_VALUES = 20;
+
+/**
+ * Rating facet buckets, keyed by the lower bound of each range.
+ */
+const RATING_BUCKETS = [1, 2, 3, 4, 5.01];
+
+/**
+ * Accept a facet filter as an array or a comma-separated string.
+ *
+ * @param {Array<string>|string} [value] - Filter value.
+ * @returns {Array<string>} - Trimmed, non-empty values.
+ */
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean);
+};
+
+/**
+ * Split a search query into the distinct words used for highlighting.
+ *
+ * @param {string} q - Search query.
+ * @returns {Array<string>} - Lowercased search terms.
+ */
+const getQueryTerms = (q) =>
+  [
+    ...new Set(
+      q
+        .toLowerCase()
+        .replace(/["-]/g, ' ')
+        .split(/\s+/)
+        .filter((term) => term.length > 1)
+    ),
+  ].slice(0, MAX_QUERY_TERMS);
+
+/**
+ * Encode a pagination cursor from the last result of a page.
+ *
+ * @param {Object} doc - Last testimonial on the page.
+ * @param {boolean} ranked - Whether results are sorted by text score.
+ * @returns {string} - Opaque cursor.
+ */
+const encodeCursor = (doc, ranked) =>
+  Buffer.from(
+    JSON.stringify(
+      ranked
+        ? { s: doc.score, id: String(doc._id) }
+        : { c: doc.createdAt.toISOString(), id: String(doc._id) }
+    )
+  ).toString('base64url');
+
+/**
+ * Decode a pagination cursor into a `$match` stage that resumes after it.
+ *
+ * @param {string} cursor - Opaque cursor from a previous page.
+ * @param {boolean} ranked - Whether results are sorted by text score.
+ * @returns {Object} - Match condition for the next page.
+ * @throws {AppError} - If the cursor is malformed.
+ */
+const decodeCursor = (cursor, ranked) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new AppError('Invalid search cursor.', 400);
+  }
+
+  if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.id)) {
+    throw new AppError('Invalid search cursor.', 400);
+  }
+  const id = new mongoose.Types.ObjectId(parsed.id);
+
+  if (ranked) {
+    if (typeof parsed.s !== 'number') {
+      throw new AppError('Invalid search cursor.', 400);
+    }
+    return {
+      $or: [
+        { score: { $lt: parsed.s } },
+        { score: parsed.s, _id: { $lt: id } },
+      ],
+    };
+  }
+
+  const createdAt = new Date(parsed.c);
+  if (Number.isNaN(createdAt.getTime())) {
+    throw new AppError('Invalid search cursor.', 400);
+  }
+  return {
+    $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }],
+  };
+};
+
+/**
+ * Build the base `$match` for the query and document-level facet filters.
+ *
+ * @param {string} seekerId - ID of the seeker whose testimonials to search.
+ * @param {Object} filters - Search filters.
+ * @returns {Object} - Match condition.
+ */
+const buildMatch = (
+  seekerId,
+  { q, status, skills, categories, startDate, endDate }
+) => {
+  const match = {
+    seeker: new mongoose.Types.ObjectId(seekerId),
+    archived: { $ne: true },
+  };
+
+  if (q) {
+    match.$text = { $search: q };
+  }
+
+  const statuses = toList(status);
+  if (statuses.length) {
+    match.status = { $in: statuses };
+  }
+
+  const skillList = toList(skills);
+  if (skillList.length) {
+    match.$or = [
+      { skills: { $in: skillList } },
+      { 'givers.skills': { $in: skillList } },
+    ];
+  }
+
+  const categoryList = toList(categories);
+  if (categoryList.length) {
+    match.categories = { $in: categoryList };
+  }
+
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  return match;
+};
+
+/**
+ * Build a highlighted snippet around the first matching term.
+ *
+ * @param {string} text - Source text.
+ * @param {RegExp} pattern - Pattern matching any search term.
+ * @returns {string|null} - HTML snippet with matches wrapped in `<mark>`,
+ *   or null if nothing matches.
+ */
+const buildSnippet = (text, pattern) => {
+  if (!text) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(
+    text.length,
+    first.index + first[0].length + SNIPPET_RADIUS
+  );
+
+  let snippet = '';
+  let cursor = start;
+  pattern.lastIndex = start;
+  let match;
+  while ((match = pattern.exec(text)) && match.index < end) {
+    snippet += escapeHtml(text.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  snippet += escapeHtml(text.slice(cursor, end));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlight query terms in a testimonial's searchable text.
+ *
+ * @param {Object} doc - Testimonial search result.
+ * @param {Array<string>} terms - Search terms.
+ * @returns {Object} - Highlighted project details, testimonial text and skills.
+ */
+const buildHighlights = (doc, terms) => {
+  if (!terms.length) return {};
+
+  // Prefix match so "design" also highlights "designer" / "designing"
+  const pattern = new RegExp(
+    `\\b(?:${terms.map(escapeRegex).join('|')})\\w*`,
+    'gi'
+  );
+  const matchesTerm = (value) => {
+    pattern.lastIndex = 0;
+    return pattern.test(value);
+  };
+
+  return {
+    projectDetails: buildSnippet(doc.projectDetails, pattern),
+    testimonials: (doc.givers || [])
+      .map((giver) => buildSnippet(giver.testimonial?.text, pattern))
+      .filter(Boolean),
+    skills: [
+      ...new Set([
+        ...(doc.skills || []),
+        ...(doc.givers || []).flatMap((giver) => giver.skills || []),
+      ]),
+    ].filter(matchesTerm),
+  };
+};
+
+/**
+ * Shape facet aggregation output into `{ value, count }` lists.
+ *
+ * @param {Object} facets - Raw `$facet` output.
+ * @returns {Object} - Facet counts.
+ */
+const formatFacets = (facets) => {
+  const toCounts = (buckets = []) =>
+    buckets.map(({ _id, count }) => ({ value: _id, count }));
+
+  return {
+    status: toCounts(facets.status),
+    skills: toCounts(facets.skills),
+    categories: toCounts(facets.categories),
+    rating: (facets.rating || []).map(({ _id, count }) => ({
+      value: _id === 'unrated' ? _id : `${_id}-${Math.min(_id + 1, 5)}`,
+      count,
+    })),
+    dateRange: facets.dateRange?.[0]
+      ? { from: facets.dateRange[0].from, to: facets.dateRange[0].to }
+      : null,
+  };
+};
+
+/**
+ * Search a seeker's testimonials with full-text ranking, facet filters and
+ * cursor pagination.
+ *
+ * Results are ranked by text score when `q` is given and by newest first
+ * otherwise. Facet counts reflect all filters, so they narrow as the seeker
+ * drills down.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} [params={}] - Search parameters.
+ * @param {string} [params.q] - Full-text query.
+ * @param {Array<string>|string} [params.status] - Statuses to include.
+ * @param {Array<string>|string} [params.skills] - Skills to include.
+ * @param {Array<string>|string} [params.categories] - Categories to include.
+ * @param {number} [params.minRating] - Minimum average giver rating.
+ * @param {number} [params.maxRating] - Maximum average giver rating.
+ * @param {string} [params.startDate] - Earliest creation date.
+ * @param {string} [params.endDate] - Latest creation date.
+ * @param {string} [params.cursor] - Cursor from the previous page.
+ * @param {number} [params.limit=20] - Number of results per page.
+ * @returns {Promise<Object>} - Results, facets, total and next cursor.
+ * @throws {AppError} - If the cursor is invalid or the search fails.
+ */
+export const searchTestimonials = async (seekerId, params = {}) => {
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  const ranked = Boolean(q);
+  const limit = Math.min(
+    Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+  const cursorMatch = params.cursor
+    ? decodeCursor(params.cursor, ranked)
+    : null;
+
+  const ratingMatch = {};
+  if (params.minRating !== undefined && params.minRating !== '') {
+    ratingMatch.$gte = Number(params.minRating);
+  }
+  if (params.maxRating !== undefined && params.maxRating !== '') {
+    ratingMatch.$lte = Number(params.maxRating);
+  }
+
+  const pipeline = [
+    // $text must be in the first stage
+    { $match: buildMatch(seekerId, { ...params, q }) },
+    {
+      $addFields: {
+        ...(ranked && { score: { $meta: 'textScore' } }),
+        averageRating: { $avg: '$givers.testimonial.rating.overall' },
+      },
+    },
+  ];
+  if (Object.keys(ratingMatch).length) {
+    pipeline.push({ $match: { averageRating: ratingMatch } });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        ...(cursorMatch ? [{ $match: cursorMatch }] : []),
+        {
+          $sort: ranked ? { score: -1, _id: -1 } : { createdAt: -1, _id: -1 },
+        },
+        { $limit: limit + 1 },
+        {
+          $project: {
+            projectDetails: 1,
+            status: 1,
+            skills: 1,
+            categories: 1,
+            isPublic: 1,
+            createdAt: 1,
+            updatedAt: 1,
+            averageRating: 1,
+            score: 1,
+            'givers._id': 1,
+            'givers.testimonial': 1,
+            'givers.skills': 1,
+            'givers.isApproved': 1,
+            'givers.submittedAt': 1,
+          },
+        },
+      ],
+      total: [{ $count: 'count' }],
+      status: [
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+      ],
+      skills: [
+        { $unwind: '$skills' },
+        { $group: { _id: '$skills', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_FACET_VALUES },
+      ],
+      categories: [
+        { $unwind: '$categories' },
+        { $group: { _id: '$categories', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_FACET_VALUES },
+      ],
+      rating: [
+        {
+          $bucket: {
+            groupBy: '$averageRating',
+            boundaries: RATING_BUCKETS,
+            default: 'unrated',
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+      dateRange: [
+        {
+          $group: {
+            _id: null,
+            from: { $min: '$createdAt' },
+            to: { $max: '$createdAt' },
+          },
+        },
+      ],
+    },
+  });
+
+  try {
+    const [{ results, total, ...facets }] = await Testimonial.aggregate(
+      pipeline
+    );
+
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+    const terms = ranked ? getQueryTerms(q) : [];
+
+    return {
+      results: page.map((doc) => ({
+        ...doc,
+        highlights: buildHighlights(doc, terms),
+      })),
+      facets: formatFacets(facets),
+      total: total[0]?.count || 0,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], ranked) : null,
+    };
+  } catch (error) {
+    logger.error('❌ Error searching testimonials:', {
+      seekerId,
+      error: error.message,
+    });
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to search testimonials.', 500);
+  }
+};
+
+export default {
+  searchTestimonials,
+};
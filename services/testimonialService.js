@@ -1,8 +1,11 @@
 // src/services/testimonialService.js
 
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { diffWords } from 'diff';
 import Testimonial from '../models/Testimonial.js';
 import User from '../models/User.js';
+import Skill from '../models/Skills.js';
 import { queues } from '../jobs/queues.js';
 import AppError from '../utils/appError.js';
 import { logger } from '../utils/logger.js';
@@ -13,6 +16,47 @@ import { extractSkills, analyzeSentiment } from './sentimentService.js';
 import { sendEmail } from '../config/email.js';
 import ActivityLog from '../models/ActivityLog.js';
 import { generateRecommendations } from './recommendationService.js';
+import {
+  issueCertificate,
+  getVerificationUrl,
+  removeCertificateFiles,
+} from './certificateService.js';
+import {
+  notifySeekerApproval,
+  notifySeekerRejection,
+  notifySeekerReviewRequired,
+  notifyGiverReviewOutcome,
+  notifyAdminEscalation,
+} from './notificationService.js';
+import {
+  transitionTestimonial,
+  flushTestimonialEvents,
+  discardTestimonialEvents,
+} from './testimonialStateService.js';
+import {
+  SCREENING_REPORT_REASON,
+  screenSubmission,
+  describeScreeningFlags,
+} from './contentScreeningService.js';
+import {
+  DEFAULT_REQUEST_EMAIL,
+  findRequestTemplate,
+  getSubmissionLink,
+  getEditLink,
+  renderRequestEmail,
+  recordRequestTemplateUsage,
+} from './requestTemplateService.js';
+import {
+  normalizeQuestions,
+  normalizeAnswers,
+  getWrittenAnswers,
+  toQuestionView,
+  aggregateAnswers,
+  describeAggregatedAnswers,
+} from './questionnaireService.js';
+import { generateAITestimonial } from './aiService.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+import { escapeHtml } from '../utils/escape.js';
 
 /**
  * Enhanced Redis caching wrapper
@@ -48,23 +92,45 @@ const cache = {
 /**
  * Transaction wrapper for MongoDB operations.
  *
+ * When an existing session is passed the callback joins that transaction
+ * instead of starting its own, so several operations can commit atomically.
+ * Testimonial state events are emitted only after the commit.
+ *
  * @param {Function} callback - The transactional function.
+ * @param {Object} [existingSession] - Session of an enclosing transaction.
  * @returns {Promise<any>} - Result of the transactional function.
  */
-const withTransaction = async (callback) => {
+const withTransaction = async (callback, existingSession = null) => {
+  if (existingSession) {
+    return callback(existingSession);
+  }
+
   const session = await mongoose.startSession();
   session.startTransaction();
 
+  let result;
   try {
-    const result = await callback(session);
+    result = await callback(session);
     await session.commitTransaction();
-    return result;
   } catch (error) {
     await session.abortTransaction();
+    discardTestimonialEvents(session);
     throw error;
   } finally {
     session.endSession();
   }
+
+  // Emitted outside the try so a failing listener can't abort a
+  // transaction that has already committed
+  try {
+    flushTestimonialEvents(session);
+  } catch (error) {
+    logger.error('❌ Failed to emit testimonial events:', {
+      error: error.message,
+    });
+  }
+
+  return result;
 };
 
 /**
@@ -83,8 +149,151 @@ const trackMetric = (name, value = 1, tags = {}) => {
   }
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Giver links stay valid for GIVER_TOKEN_TTL_DAYS. Reminders go out on the
+// days listed in GIVER_REMINDER_DAYS, counted from when the link was issued.
+const GIVER_TOKEN_TTL_DAYS =
+  parseInt(process.env.GIVER_TOKEN_TTL_DAYS, 10) || 14;
+const GIVER_REMINDER_DAYS = (process.env.GIVER_REMINDER_DAYS || '2,5,9')
+  .split(',')
+  .map((day) => parseInt(day, 10))
+  .filter((day) => day > 0 && day < GIVER_TOKEN_TTL_DAYS)
+  .sort((a, b) => a - b);
+
+// Edit links are single-use and expire after EDIT_TOKEN_TTL_HOURS
+const EDIT_TOKEN_TTL_HOURS =
+  parseInt(process.env.EDIT_TOKEN_TTL_HOURS, 10) || 48;
+
+// Reports from REPORT_AUTO_HIDE_REPORTERS distinct reporters hide a
+// testimonial until a moderator reviews it, and reports for one of the
+// REPORT_SEVERE_REASONS page the admins. A reporter with
+// REPORT_DISMISSAL_LIMIT dismissed reports in the last
+// REPORT_DISMISSAL_WINDOW_DAYS may file only REPORT_RESTRICTED_DAILY_LIMIT
+// reports a day.
+const REPORT_POLICY = {
+  AUTO_HIDE_REPORTERS:
+    parseInt(process.env.REPORT_AUTO_HIDE_REPORTERS, 10) || 3,
+  SEVERE_REASONS: (
+    process.env.REPORT_SEVERE_REASONS ||
+    'harassment,hate_speech,threat,violence,illegal_content,personal_information'
+  )
+    .split(',')
+    .map((reason) => reason.trim().toLowerCase())
+    .filter(Boolean),
+  DISMISSAL_LIMIT: parseInt(process.env.REPORT_DISMISSAL_LIMIT, 10) || 3,
+  DISMISSAL_WINDOW_DAYS:
+    parseInt(process.env.REPORT_DISMISSAL_WINDOW_DAYS, 10) || 30,
+  RESTRICTED_DAILY_LIMIT:
+    parseInt(process.env.REPORT_RESTRICTED_DAILY_LIMIT, 10) || 1,
+};
+
+// Giver workflow: a link starts `pending`, submitting moves it to
+// `pending_review`, and the seeker (or an admin) then approves it, rejects
+// it or sends it back to the giver with `changes_requested`. Submissions
+// flagged by screening wait in `screening_hold` until a moderator releases
+// them for review or rejects them. A rejection overturned on appeal goes
+// back to `pending_review`.
+const GIVER_TRANSITIONS = {
+  pending: ['pending_review', 'screening_hold', 'expired'],
+  expired: ['pending'],
+  screening_hold: ['pending_review', 'rejected'],
+  pending_review: ['approved', 'rejected', 'changes_requested'],
+  changes_requested: ['pending_review', 'screening_hold'],
+  approved: [],
+  rejected: ['pending_review'],
+};
+
+// States in which the giver can still write and submit
+const GIVER_OPEN_STATES = ['pending', 'changes_requested'];
+
+// Testimonial statuses once every giver has submitted
+const FINISHED_STATUSES = ['completed', 'approved'];
+
+/**
+ * Move a giver to another workflow state. Every status change of a giver
+ * goes through here so illegal moves are rejected in one place.
+ *
+ * @param {Object} giver - Giver subdocument.
+ * @param {string} to - Target state.
+ * @throws {AppError} - If the move isn't allowed from the current state.
+ */
+const transitionGiver = (giver, to) => {
+  const from = giver.verificationStatus;
+  if (!GIVER_TRANSITIONS[from]?.includes(to)) {
+    throw new AppError(
+      `Testimonial cannot move from "${from}" to "${to}".`,
+      409
+    );
+  }
+
+  giver.verificationStatus = to;
+  giver.isApproved = to === 'approved';
+};
+
+/**
+ * Send a notification without letting its failure undo the change it
+ * reports on.
+ *
+ * @param {Promise<void>} notification - Pending notification.
+ * @param {Object} context - Details to log on failure.
+ * @returns {Promise<void>}
+ */
+const notifySafely = (notification, context) =>
+  notification.catch((error) =>
+    logger.warn('Failed to send testimonial notification:', {
+      ...context,
+      error: error.message,
+    })
+  );
+
+/**
+ * How long a testimonial's giver links stay valid, in days.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {number} - The request template's expiry, or the default.
+ */
+const getGiverTokenTtlDays = (testimonial) =>
+  testimonial.requestEmail?.expiryDays || GIVER_TOKEN_TTL_DAYS;
+
+/**
+ * Render the request email for one giver from the content the request was
+ * created with. Requests from before templates existed use the default
+ * email.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} giver - Giver subdocument with a current token.
+ * @param {Object} seeker - Seeker with `firstName` and `lastName`.
+ * @returns {Object} - `{ subject, html }`.
+ */
+const renderGiverRequestEmail = (testimonial, giver, seeker) =>
+  renderRequestEmail(
+    {
+      emailSubject:
+        testimonial.requestEmail?.emailSubject ||
+        DEFAULT_REQUEST_EMAIL.emailSubject,
+      emailBody:
+        testimonial.requestEmail?.emailBody || DEFAULT_REQUEST_EMAIL.emailBody,
+      promptQuestions: testimonial.promptQuestions || [],
+    },
+    {
+      seeker,
+      giverEmail: giver.email,
+      projectDetails: testimonial.projectDetails,
+      requestedSkills: testimonial.requestedSkills || [],
+      submissionLink: getSubmissionLink(
+        testimonial._id,
+        giver.verificationToken
+      ),
+      expiresAt: new Date(giver.verificationTokenExpiry),
+      expiryDays: getGiverTokenTtlDays(testimonial),
+    }
+  );
+
 /**
- * Create a new testimonial request.
+ * Create a new testimonial request. With `additionalData.templateId` the
+ * request uses that template's email, prompt questions, skills and expiry,
+ * and `additionalData.questions` adds a questionnaire for givers to answer.
  *
  * @param {string} seekerId - ID of the seeker requesting the testimonial.
  * @param {Array<string>} giverEmails - Emails of the givers.
@@ -106,6 +315,7 @@ export const createTestimonialRequest = async (
     sanitizeInput(email.toLowerCase().trim())
   );
   const sanitizedDetails = sanitizeInput(projectDetails);
+  const questions = normalizeQuestions(additionalData.questions || []);
 
   return withTransaction(async (session) => {
     const seeker = await User.findById(seekerId).session(session);
@@ -126,11 +336,30 @@ export const createTestimonialRequest = async (
       throw new AppError('No valid giver emails provided.', 400);
     }
 
+    const template = additionalData.templateId
+      ? await findRequestTemplate(seekerId, additionalData.templateId, {
+          session,
+        })
+      : null;
+    const expiryDays = template?.expiryDays || GIVER_TOKEN_TTL_DAYS;
+
+    // Names, companies and relationships known up front, e.g. from an import
+    const giverDetails = new Map(
+      (additionalData.giverDetails || []).map((details) => [
+        details.email?.toLowerCase(),
+        details,
+      ])
+    );
+
     // Create givers with verification tokens
     const givers = uniqueValidEmails.map((email) => ({
       email,
+      name: giverDetails.get(email)?.name,
+      company: giverDetails.get(email)?.company,
+      relationship: giverDetails.get(email)?.relationship,
       verificationToken: nanoid(32),
-      verificationTokenExpiry: Date.now() + 24 * 60 * 60 * 1000, // 24 hours
+      verificationTokenExpiry: Date.now() + expiryDays * DAY_MS,
+      tokenIssuedAt: Date.now(),
       metadata: {
         platform: additionalData.platform || 'web',
         ipAddress: additionalData.ipAddress || 'Unknown',
@@ -145,6 +374,24 @@ export const createTestimonialRequest = async (
           seeker: seekerId,
           givers,
           projectDetails: sanitizedDetails,
+          requestedSkills: [
+            ...new Set([
+              ...(template?.requestedSkills || []),
+              ...(additionalData.requestedSkills || []).map((skill) =>
+                sanitizeInput(skill)
+              ),
+            ]),
+          ],
+          promptQuestions: template?.promptQuestions || [],
+          questions,
+          requestEmail: template
+            ? {
+                template: template._id,
+                emailSubject: template.emailSubject,
+                emailBody: template.emailBody,
+                expiryDays,
+              }
+            : undefined,
           status: 'pending',
           metadata: {
             source: additionalData.source || 'direct',
@@ -161,15 +408,17 @@ export const createTestimonialRequest = async (
       { session }
     );
 
+    if (template) {
+      await recordRequestTemplateUsage(template._id, { session });
+    }
+
     // Queue email notifications for each giver
     const emailPromises = testimonial[0].givers.map((giver) =>
       queues.emailQueue.add(
         'sendTestimonialRequest',
         {
           to: giver.email,
-          seekerName: `${seeker.firstName} ${seeker.lastName}`,
-          verificationToken: giver.verificationToken,
-          projectDetails: sanitizedDetails,
+          ...renderGiverRequestEmail(testimonial[0], giver, seeker),
           testimonialId: testimonial[0]._id,
         },
         {
@@ -197,295 +446,2212 @@ export const createTestimonialRequest = async (
 };
 
 /**
- * Submit a testimonial by a giver.
+ * Register the recurring giver reminder/expiry job. BullMQ de-duplicates
+ * repeatable jobs by their repeat options, so this is safe to call on every
+ * worker start.
  *
- * @param {string} testimonialId - ID of the testimonial.
- * @param {string} giverToken - Verification token of the giver.
- * @param {Object} submissionData - Data submitted by the giver.
- * @returns {Promise<Object>} - Updated testimonial document.
- * @throws {AppError} - If submission fails.
+ * @returns {Promise<void>}
  */
-export const submitTestimonial = async (
-  testimonialId,
-  giverToken,
-  { testimonialText, rating, relationship, skills, media = [] }
-) => {
-  return withTransaction(async (session) => {
-    // Validate input
-    if (!testimonialText || typeof testimonialText !== 'string') {
-      throw new AppError('Valid testimonial text is required.', 400);
+export const scheduleGiverReminders = async () => {
+  await queues.testimonialQueue.add(
+    'processGiverReminders',
+    {},
+    {
+      repeat: { cron: process.env.GIVER_REMINDER_CRON || '0 * * * *' },
+      attempts: 1,
     }
+  );
+  logger.info('⏰ Giver reminder job scheduled.');
+};
 
-    if (rating && (typeof rating !== 'number' || rating < 1 || rating > 5)) {
-      throw new AppError('Rating must be a number between 1 and 5.', 400);
+/**
+ * Mark givers whose link has run out as expired, then send any reminders
+ * that are due for givers who haven't responded yet. Each reminder is
+ * recorded in the giver's `reminders` history.
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<Object>} - Counts of expired givers and queued reminders.
+ */
+export const processGiverRemindersJob = async (job) => {
+  const now = new Date();
+
+  // Expire every pending giver whose token has run out
+  const expired = await Testimonial.updateMany(
+    {
+      givers: {
+        $elemMatch: {
+          verificationStatus: 'pending',
+          verificationTokenExpiry: { $lte: now },
+        },
+      },
+    },
+    { $set: { 'givers.$[giver].verificationStatus': 'expired' } },
+    {
+      arrayFilters: [
+        {
+          'giver.verificationStatus': 'pending',
+          'giver.verificationTokenExpiry': { $lte: now },
+        },
+      ],
     }
+  );
 
-    const testimonial = await Testimonial.findById(testimonialId).session(
-      session
-    );
-    if (!testimonial) {
-      throw new AppError('Testimonial not found.', 404);
-    }
+  let remindersQueued = 0;
 
-    const giver = testimonial.givers.find(
-      (g) =>
-        g.verificationToken === giverToken &&
-        g.verificationTokenExpiry > Date.now()
-    );
+  if (GIVER_REMINDER_DAYS.length) {
+    const cursor = Testimonial.find({
+      archived: { $ne: true },
+      givers: {
+        $elemMatch: {
+          verificationStatus: 'pending',
+          verificationTokenExpiry: { $gt: now },
+        },
+      },
+    })
+      .select('seeker givers projectDetails createdAt')
+      .populate('seeker', 'firstName lastName')
+      .lean()
+      .cursor();
+
+    for await (const testimonial of cursor) {
+      for (const giver of testimonial.givers) {
+        if (
+          giver.verificationStatus !== 'pending' ||
+          giver.verificationTokenExpiry <= now
+        ) {
+          continue;
+        }
 
-    if (!giver) {
-      throw new AppError('Invalid or expired giver token.', 401);
-    }
-
-    if (giver.verificationStatus !== 'pending') {
-      throw new AppError('Testimonial has already been processed.', 400);
-    }
-
-    // Perform AI analysis
-    const skillsExtracted = await extractSkills([testimonialText]);
-    const sentimentScores = await analyzeSentiment([testimonialText]);
-    const sentimentScore = sentimentScores[0] || 0;
-
-    // Update giver details
-    giver.testimonial = testimonialText.trim();
-    if (rating) giver.rating = rating;
-    if (relationship) giver.relationship = relationship;
-    if (skills && Array.isArray(skills)) giver.skills = skills;
-    giver.media = media;
-    giver.isApproved = true;
-    giver.verificationStatus = 'approved';
-    giver.submittedAt = Date.now();
-
-    // Update testimonial metadata
-    testimonial.skills = [
-      ...new Set([
-        ...(testimonial.skills || []),
-        ...skillsExtracted.map((s) => s.skill),
-      ]),
-    ];
-    testimonial.sentimentScore = sentimentScore;
-    testimonial.status = testimonial.givers.every((g) => g.testimonial)
-      ? 'completed'
-      : 'in-progress';
-    testimonial.lastUpdated = Date.now();
+        const issuedAt = giver.tokenIssuedAt || testimonial.createdAt;
+        const sentSinceIssue = (giver.reminders || []).filter(
+          (reminder) => reminder.sentAt >= issuedAt
+        );
+        const dueDay = GIVER_REMINDER_DAYS[sentSinceIssue.length];
+        const lastSentAt = sentSinceIssue[sentSinceIssue.length - 1]?.sentAt;
+
+        // Skip when every scheduled reminder has gone out, the next one
+        // isn't due yet, or one was sent within the last day (e.g. catching
+        // up after downtime).
+        if (
+          !dueDay ||
+          now - issuedAt < dueDay * DAY_MS ||
+          (lastSentAt && now - lastSentAt < DAY_MS)
+        ) {
+          continue;
+        }
 
-    await testimonial.save({ session });
+        // Only record the reminder if the giver is still pending, so a
+        // concurrent submission isn't followed by a stray email. The email
+        // worker moves it to `sent` or `failed` once delivery settles.
+        const reminderId = new mongoose.Types.ObjectId();
+        const { modifiedCount } = await Testimonial.updateOne(
+          {
+            _id: testimonial._id,
+            givers: {
+              $elemMatch: { _id: giver._id, verificationStatus: 'pending' },
+            },
+          },
+          {
+            $push: {
+              'givers.$.reminders': {
+                _id: reminderId,
+                sentAt: now,
+                type: `day_${dueDay}`,
+                status: 'queued',
+              },
+            },
+          }
+        );
+        if (!modifiedCount) continue;
+
+        const seekerName = testimonial.seeker
+          ? `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`
+          : 'Someone you worked with';
+
+        await queues.emailQueue.add(
+          'sendTestimonialReminder',
+          {
+            to: giver.email,
+            subject: `Reminder: ${seekerName} asked you for a testimonial`,
+            html: emailTemplates.testimonialReminder(
+              escapeHtml(seekerName),
+              escapeHtml(testimonial.projectDetails),
+              escapeHtml(
+                getSubmissionLink(testimonial._id, giver.verificationToken)
+              ),
+              new Date(giver.verificationTokenExpiry)
+            ),
+            testimonialId: testimonial._id,
+            giverId: giver._id,
+            reminderId,
+            reminderNumber: sentSinceIssue.length + 1,
+          },
+          {
+            attempts: 3,
+            backoff: { type: 'exponential', delay: 5000 },
+            removeOnComplete: true,
+          }
+        );
+        remindersQueued += 1;
+      }
+    }
+  }
 
-    // Queue notification for testimonial submission
-    await queues.notificationQueue.add(
-      'testimonialSubmitted',
-      {
-        seekerId: testimonial.seeker,
-        testimonialId: testimonial._id,
-        giverEmail: giver.email,
-      },
-      { priority: 2 }
-    );
+  trackMetric('testimonial.givers_expired', expired.modifiedCount);
+  trackMetric('testimonial.reminders_queued', remindersQueued);
 
-    // Track metric
-    trackMetric('testimonial.submitted', 1, {
-      seekerId: testimonial.seeker,
-      rating,
-    });
+  logger.info({
+    message: 'Giver reminders processed.',
+    jobId: job.id,
+    testimonialsWithExpiredGivers: expired.modifiedCount,
+    remindersQueued,
+  });
 
-    // Invalidate relevant caches
-    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+  return {
+    testimonialsWithExpiredGivers: expired.modifiedCount,
+    remindersQueued,
+  };
+};
 
-    logger.info({
-      message: 'Testimonial submitted successfully.',
-      testimonialId,
-      giverEmail: giver.email,
-      status: testimonial.status,
-    });
+/**
+ * Record how delivery of a queued giver reminder ended. Called by the email
+ * worker once the reminder is sent or has run out of retries.
+ *
+ * @param {Object} reminder - Reminder job data.
+ * @param {string} reminder.testimonialId - ID of the testimonial.
+ * @param {string} reminder.giverId - ID of the giver.
+ * @param {string} reminder.reminderId - ID of the reminder record.
+ * @param {string} status - `sent` or `failed`.
+ * @returns {Promise<void>}
+ */
+export const updateGiverReminderStatus = async (
+  { testimonialId, giverId, reminderId },
+  status
+) => {
+  await Testimonial.updateOne(
+    { _id: testimonialId },
+    { $set: { 'givers.$[giver].reminders.$[reminder].status': status } },
+    {
+      arrayFilters: [
+        { 'giver._id': new mongoose.Types.ObjectId(giverId) },
+        { 'reminder._id': new mongoose.Types.ObjectId(reminderId) },
+      ],
+    }
+  );
 
-    return testimonial;
-  });
+  trackMetric(`testimonial.reminder_${status}`);
 };
 
 /**
- * Reject a testimonial giver's submission.
+ * Issue a fresh link to a giver whose previous one expired.
  *
  * @param {string} testimonialId - ID of the testimonial.
  * @param {string} giverId - ID of the giver.
- * @param {string} adminId - ID of the admin performing the rejection.
- * @param {string} comments - Optional comments.
- * @returns {Promise<Object>} - Updated testimonial document.
- * @throws {AppError} - If rejection fails.
+ * @param {string} seekerId - ID of the seeker requesting the new link.
+ * @returns {Promise<Object>} - Giver ID and the new link expiry.
+ * @throws {AppError} - If the link can't be re-issued.
  */
-export const rejectTestimonial = async (
-  testimonialId,
-  giverId,
-  adminId,
-  comments = ''
-) => {
+export const reissueGiverToken = async (testimonialId, giverId, seekerId) => {
   return withTransaction(async (session) => {
-    const testimonial = await Testimonial.findById(testimonialId).session(
-      session
-    );
+    const testimonial = await Testimonial.findById(testimonialId)
+      .populate('seeker', 'firstName lastName')
+      .session(session);
     if (!testimonial) {
       throw new AppError('Testimonial not found.', 404);
     }
 
+    if (testimonial.seeker._id.toString() !== seekerId) {
+      throw new AppError('Not authorized to manage this testimonial.', 403);
+    }
+
     const giver = testimonial.givers.id(giverId);
     if (!giver) {
-      throw new AppError('Giver not found in this testimonial.', 404);
+      throw new AppError('Giver not found.', 404);
     }
 
-    if (giver.verificationStatus !== 'pending') {
-      throw new AppError('Testimonial has already been processed.', 400);
+    const tokenExpired =
+      giver.verificationStatus === 'expired' ||
+      (GIVER_OPEN_STATES.includes(giver.verificationStatus) &&
+        giver.verificationTokenExpiry <= Date.now());
+    if (!tokenExpired) {
+      throw new AppError('Only expired giver links can be re-issued.', 400);
     }
 
-    // Update giver status
-    giver.verificationStatus = 'rejected';
-    giver.isApproved = false;
-    giver.approvalHistory.push({
-      status: 'rejected',
-      approvedBy: adminId,
-      comments,
-      approvedAt: Date.now(),
-    });
-
-    // Update testimonial status
-    testimonial.status = 'reported';
+    giver.verificationToken = nanoid(32);
+    giver.verificationTokenExpiry =
+      Date.now() + getGiverTokenTtlDays(testimonial) * DAY_MS;
+    giver.tokenIssuedAt = Date.now();
+    if (giver.verificationStatus === 'expired') {
+      transitionGiver(giver, 'pending');
+    }
 
     await testimonial.save({ session });
 
-    // Queue notification for testimonial rejection
-    await queues.notificationQueue.add('testimonialRejected', {
-      seekerId: testimonial.seeker,
-      testimonialId,
-      giverEmail: giver.email,
-      comments,
-    });
+    await ActivityLog.create(
+      [
+        {
+          user: seekerId,
+          action: 'GIVER_TOKEN_REISSUED',
+          details: {
+            testimonialId,
+            giverId,
+          },
+        },
+      ],
+      { session }
+    );
 
-    // Track metric
-    trackMetric('testimonial.rejected', 1, {
-      seekerId: testimonial.seeker,
-      adminId,
-    });
+    await queues.emailQueue.add(
+      'sendTestimonialRequest',
+      {
+        to: giver.email,
+        ...renderGiverRequestEmail(testimonial, giver, testimonial.seeker),
+        testimonialId: testimonial._id,
+      },
+      {
+        attempts: 3,
+        backoff: { type: 'exponential', delay: 5000 },
+        removeOnComplete: true,
+      }
+    );
 
-    // Invalidate relevant caches
-    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+    trackMetric('testimonial.giver_token_reissued', 1, { seekerId });
+
+    await cache.del(`seeker_testimonials:${seekerId}`);
 
     logger.info({
-      message: 'Testimonial rejected successfully.',
+      message: 'Giver token re-issued.',
       testimonialId,
       giverId,
-      adminId,
+      seekerId,
     });
 
-    return testimonial;
+    return {
+      giverId,
+      verificationTokenExpiry: giver.verificationTokenExpiry,
+    };
   });
 };
 
 /**
- * Report a testimonial for inappropriate content or other issues.
+ * Find the giver a submission link belongs to. The link must match and
+ * still be within its expiry.
  *
- * @param {string} testimonialId - ID of the testimonial.
- * @param {Object} reportData - Data related to the report.
- * @returns {Promise<Object>} - Updated testimonial document.
- * @throws {AppError} - If reporting fails.
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} giverToken - Verification token of the giver.
+ * @returns {Object} - The giver subdocument.
+ * @throws {AppError} - If the token is unknown or expired.
  */
-export const reportTestimonial = async (testimonialId, reportData) => {
-  const {
-    reason,
-    description,
-    evidence = [],
-    reportedBy = 'anonymous',
-  } = reportData;
-
-  return withTransaction(async (session) => {
-    const testimonial = await Testimonial.findById(testimonialId).session(
-      session
-    );
-    if (!testimonial) {
-      throw new AppError('Testimonial not found.', 404);
-    }
-
-    // Create report entry
-    const report = {
-      reason: sanitizeInput(reason),
-      description: sanitizeInput(description),
-      evidence: evidence.map((e) => sanitizeInput(e)),
-      reportedBy,
-      reportedAt: Date.now(),
-      status: 'pending',
-    };
+export const findGiverByToken = (testimonial, giverToken) => {
+  const giver = testimonial.givers.find(
+    (g) =>
+      g.verificationToken === giverToken &&
+      g.verificationTokenExpiry > Date.now()
+  );
 
-    testimonial.reports = testimonial.reports || [];
-    testimonial.reports.push(report);
-    testimonial.status = 'reported';
+  if (!giver) {
+    throw new AppError('Invalid or expired giver token.', 401);
+  }
 
-    await testimonial.save({ session });
+  return giver;
+};
 
-    // Queue notification for admin review
-    await queues.notificationQueue.add('testimonialReported', {
-      testimonialId,
-      reportedBy,
-      reason,
-      evidenceCount: evidence.length,
-    });
+/**
+ * Check that a submission link is valid and still open for submission
+ * without loading the testimonial, so uploads can be refused before any
+ * file is written.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @returns {Promise<void>}
+ * @throws {AppError} - If the link is unknown, expired or already used.
+ */
+export const assertGiverLinkOpen = async (testimonialId, giverToken) => {
+  const exists =
+    mongoose.isValidObjectId(testimonialId) &&
+    typeof giverToken === 'string' &&
+    (await Testimonial.exists({
+      _id: testimonialId,
+      givers: {
+        $elemMatch: {
+          verificationToken: giverToken,
+          verificationTokenExpiry: { $gt: new Date() },
+          verificationStatus: { $in: GIVER_OPEN_STATES },
+        },
+      },
+    }));
 
-    // Track metric
-    trackMetric('testimonial.reported', 1, {
-      seekerId: testimonial.seeker,
-      reportedBy,
-    });
+  if (!exists) {
+    throw new AppError('Invalid or expired giver token.', 401);
+  }
+};
 
-    // Invalidate relevant caches
-    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+/**
+ * Validate per-skill ratings against the skills the seeker asked givers to
+ * rate, mapping each name to its requested spelling.
+ *
+ * @param {Array<Object>} skillRatings - Ratings as `{ name, score }`.
+ * @param {Array<string>} requestedSkills - Skills requested by the seeker.
+ * @returns {Array<Object>} - Normalized ratings.
+ * @throws {AppError} - If a rating is invalid or names an unrequested skill.
+ */
+const normalizeSkillRatings = (skillRatings = [], requestedSkills = []) => {
+  if (!Array.isArray(skillRatings)) {
+    throw new AppError('Skill ratings must be an array.', 400);
+  }
 
-    logger.info({
-      message: 'Testimonial reported successfully.',
-      testimonialId,
-      reportedBy,
-      reason,
-    });
+  const requested = new Map(
+    requestedSkills.map((skill) => [skill.toLowerCase(), skill])
+  );
+  const seen = new Set();
 
-    return testimonial;
+  return skillRatings.map(({ name, score } = {}) => {
+    const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+    if (!requested.has(key)) {
+      throw new AppError(`"${name}" is not a requested skill.`, 400);
+    }
+    if (seen.has(key)) {
+      throw new AppError(`"${name}" was rated more than once.`, 400);
+    }
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw new AppError('Skill scores must be integers between 1 and 5.', 400);
+    }
+    seen.add(key);
+    return { name: requested.get(key), score };
   });
 };
 
 /**
- * Archive a testimonial.
+ * Get what a giver needs to write their testimonial: who is asking, the
+ * project, the skills to rate and any saved draft.
  *
- * @param {string} testimonialId - ID of the testimonial to archive.
- * @param {string} userId - ID of the user performing the archiving.
- * @returns {Promise<Object>} - Archived testimonial document.
- * @throws {AppError} - If archiving fails.
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @returns {Promise<Object>} - Giver portal details.
+ * @throws {AppError} - If the testimonial or token is invalid.
  */
-export const archiveTestimonial = async (testimonialId, userId) => {
-  return withTransaction(async (session) => {
-    const testimonial = await Testimonial.findById(testimonialId).session(
-      session
-    );
-    if (!testimonial) {
-      throw new AppError('Testimonial not found.', 404);
-    }
+export const getGiverPortal = async (testimonialId, giverToken) => {
+  const testimonial = await Testimonial.findById(testimonialId)
+    .populate('seeker', 'firstName lastName')
+    .lean();
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
 
-    testimonial.archived = true;
-    testimonial.archivedAt = Date.now();
-    testimonial.archivedBy = userId;
-    testimonial.archiveReason = sanitizeInput(
-      testimonial.archiveReason || 'No reason provided.'
-    );
+  const giver = findGiverByToken(testimonial, giverToken);
+
+  return {
+    testimonialId: testimonial._id,
+    seeker: {
+      firstName: testimonial.seeker?.firstName,
+      lastName: testimonial.seeker?.lastName,
+    },
+    projectDetails: testimonial.projectDetails,
+    requestedSkills: testimonial.requestedSkills || [],
+    promptQuestions: testimonial.promptQuestions || [],
+    questions: toQuestionView(testimonial.questions),
+    giver: {
+      email: giver.email,
+      status: giver.verificationStatus,
+      linkExpiresAt: giver.verificationTokenExpiry,
+    },
+    submitted: !GIVER_OPEN_STATES.includes(giver.verificationStatus),
+    requestedChanges:
+      giver.verificationStatus === 'changes_requested'
+        ? giver.approvalHistory?.[giver.approvalHistory.length - 1]?.comments
+        : null,
+    draft: giver.draft || null,
+  };
+};
+
+/**
+ * Build what a giver sees after submitting: their own submission and where
+ * it stands. Other givers, the seeker's details and every token stay out,
+ * since the caller is only identified by their link.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} giverToken - Verification token of the giver.
+ * @returns {Object} - Giver submission view.
+ * @throws {AppError} - If the token is invalid.
+ */
+export const toGiverSubmissionView = (testimonial, giverToken) => {
+  const giver = findGiverByToken(testimonial, giverToken);
+
+  return {
+    testimonialId: testimonial._id,
+    giver: {
+      email: giver.email,
+      status: giver.verificationStatus,
+    },
+    submission: {
+      version: giver.version,
+      ...getPublishedContent(giver),
+      relationship: giver.relationship,
+      skills: giver.skills || [],
+      answers: (giver.answers || []).map((answer) =>
+        answer.toObject ? answer.toObject() : answer
+      ),
+      submittedAt: giver.submittedAt,
+    },
+  };
+};
+
+/**
+ * Save a giver's in-progress testimonial so it can be resumed later. The
+ * draft replaces any earlier one and is cleared on final submission.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @param {Object} draft - Draft fields, same as the submission payload.
+ * @returns {Promise<Object>} - The saved draft.
+ * @throws {AppError} - If the token is invalid or the giver has submitted.
+ */
+export const saveGiverDraft = async (
+  testimonialId,
+  giverToken,
+  { testimonialText, rating, relationship, skills, skillRatings, answers }
+) => {
+  const testimonial = await Testimonial.findById(testimonialId);
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const giver = findGiverByToken(testimonial, giverToken);
+
+  if (!GIVER_OPEN_STATES.includes(giver.verificationStatus)) {
+    throw new AppError('Testimonial has already been processed.', 400);
+  }
+
+  giver.draft = {
+    testimonialText:
+      testimonialText !== undefined
+        ? sanitizeInput(testimonialText)
+        : undefined,
+    rating,
+    relationship:
+      relationship !== undefined ? sanitizeInput(relationship) : undefined,
+    skills: (skills || []).map((skill) => sanitizeInput(skill)),
+    skillRatings: normalizeSkillRatings(
+      skillRatings,
+      testimonial.requestedSkills
+    ),
+    answers: normalizeAnswers(testimonial.questions, answers || []),
+    updatedAt: Date.now(),
+  };
+
+  await testimonial.save();
+
+  logger.info({
+    message: 'Giver draft saved.',
+    testimonialId,
+    giverId: giver._id,
+  });
+
+  return giver.draft;
+};
+
+// Givers whose answers count towards questionnaire results. Held and
+// rejected submissions are left out.
+const ANSWERED_STATES = ['pending_review', 'changes_requested', 'approved'];
+
+/**
+ * Load a testimonial the seeker owns, with the givers whose questionnaire
+ * answers count towards its results.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - `{ testimonial, givers }`.
+ * @throws {AppError} - If the testimonial isn't found, isn't the seeker's
+ *   or has no questionnaire.
+ */
+const findQuestionnaire = async (testimonialId, seekerId) => {
+  const testimonial = await Testimonial.findById(testimonialId);
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  if (testimonial.seeker.toString() !== seekerId) {
+    throw new AppError('Not authorized to manage this testimonial.', 403);
+  }
+
+  if (!testimonial.questions?.length) {
+    throw new AppError('This request has no questionnaire.', 400);
+  }
+
+  const givers = testimonial.givers.filter(
+    (g) => ANSWERED_STATES.includes(g.verificationStatus) && g.answers?.length
+  );
+
+  return { testimonial, givers };
+};
+
+/**
+ * Aggregate the givers' questionnaire answers for a request.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - Per-question results, how many givers
+ *   answered and the latest AI summary, if any.
+ * @throws {AppError} - If the request isn't found or has no questionnaire.
+ */
+export const getQuestionnaireResults = async (testimonialId, seekerId) => {
+  const { testimonial, givers } = await findQuestionnaire(
+    testimonialId,
+    seekerId
+  );
+
+  return {
+    testimonialId: testimonial._id,
+    giverCount: givers.length,
+    results: aggregateAnswers(testimonial.questions, givers),
+    summary: testimonial.questionnaireSummary?.text
+      ? testimonial.questionnaireSummary
+      : null,
+  };
+};
+
+/**
+ * Summarize the givers' questionnaire answers with AI and keep the summary
+ * on the testimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} [options={}] - Generation options.
+ * @param {string} [options.tone] - Tone of the summary.
+ * @returns {Promise<Object>} - `{ text, giverCount, generatedAt }`.
+ * @throws {AppError} - If there are no answers yet or generation fails.
+ */
+export const summarizeQuestionnaire = async (
+  testimonialId,
+  seekerId,
+  { tone } = {}
+) => {
+  const { testimonial, givers } = await findQuestionnaire(
+    testimonialId,
+    seekerId
+  );
+  if (!givers.length) {
+    throw new AppError('No givers have answered the questionnaire yet.', 400);
+  }
+
+  const seeker = await User.findById(seekerId).select('firstName lastName');
+  const results = aggregateAnswers(testimonial.questions, givers);
+
+  const generated = await generateAITestimonial({
+    projectDetails: testimonial.projectDetails,
+    seekerProfile: `${seeker.firstName} ${seeker.lastName}`,
+    relationship: `Feedback from ${givers.length} giver${
+      givers.length > 1 ? 's' : ''
+    }`,
+    achievements: describeAggregatedAnswers(results),
+    keywords: testimonial.requestedSkills || [],
+    tone,
+    userId: seekerId,
+  });
+
+  testimonial.questionnaireSummary = {
+    text: generated.enhanced || generated.original,
+    giverCount: givers.length,
+    generatedAt: new Date(),
+  };
+  await testimonial.save();
+
+  trackMetric('testimonial.questionnaire_summarized', 1, {
+    seekerId,
+    giverCount: givers.length,
+  });
+
+  logger.info({
+    message: 'Questionnaire summary generated.',
+    testimonialId,
+    giverCount: givers.length,
+  });
+
+  return testimonial.questionnaireSummary;
+};
+
+/**
+ * Move a testimonial that is still collecting feedback on to `status`.
+ * Testimonials that are reported, approved or archived keep their state,
+ * so a late submission doesn't clear a report.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} status - 'in-progress' or 'completed'.
+ * @param {Object} options - Transition options.
+ * @returns {Promise<Object|null>} - Transition record, if any.
+ */
+const advanceCollectionStatus = async (testimonial, status, options) => {
+  if (
+    testimonial.archived ||
+    !['pending', 'in-progress'].includes(testimonial.status)
+  ) {
+    return null;
+  }
+
+  return transitionTestimonial(testimonial, status, options);
+};
+
+/**
+ * Store the screening result for a giver's submission in
+ * `testimonial.analysis`. A flagged submission is also put in the
+ * moderation queue as a report, so a moderator decides whether it goes on
+ * to the seeker.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} giver - Giver subdocument.
+ * @param {number} version - Version of the screened submission.
+ * @param {Object} screening - Result of `screenSubmission`.
+ */
+const recordScreening = (testimonial, giver, version, screening) => {
+  testimonial.analysis = {
+    ...testimonial.analysis,
+    screening: {
+      ...testimonial.analysis?.screening,
+      [giver._id]: { version, ...screening },
+    },
+  };
+
+  if (screening.status !== 'flagged') return;
+
+  const description = describeScreeningFlags(screening.flags);
+  testimonial.reports.push({
+    reason: SCREENING_REPORT_REASON,
+    description,
+    reportedBy: 'system',
+    reportedAt: screening.screenedAt,
+    status: 'pending',
+    metadata: { giverId: giver._id, version, flags: screening.flags },
+  });
+  testimonial.moderation.history.push({
+    action: 'screening_hold',
+    at: screening.screenedAt,
+    reason: description,
+    actorType: 'system',
+  });
+};
+
+/**
+ * Check that a giver's link can still be used to submit, and that their
+ * skill ratings and answers fit the request, before any uploaded media is
+ * stored. `submitTestimonial` repeats these checks in its transaction.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @param {Object} [submissionData={}] - Data submitted by the giver.
+ * @returns {Promise<void>}
+ * @throws {AppError} - If the link or submission is invalid.
+ */
+export const validateGiverSubmission = async (
+  testimonialId,
+  giverToken,
+  { skillRatings, answers = [] } = {}
+) => {
+  const testimonial = await Testimonial.findById(testimonialId).select(
+    'givers requestedSkills questions'
+  );
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const giver = findGiverByToken(testimonial, giverToken);
+  if (!GIVER_OPEN_STATES.includes(giver.verificationStatus)) {
+    throw new AppError('Testimonial has already been processed.', 400);
+  }
+
+  normalizeSkillRatings(skillRatings, testimonial.requestedSkills);
+  normalizeAnswers(testimonial.questions, answers, { requireAll: true });
+};
+
+/**
+ * Submit a testimonial by a giver. The submission is screened first: a
+ * clean one waits in `pending_review` until the seeker approves it, while a
+ * flagged one is held in the moderation queue.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverToken - Verification token of the giver.
+ * @param {Object} submissionData - Data submitted by the giver.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If submission fails.
+ */
+export const submitTestimonial = async (
+  testimonialId,
+  giverToken,
+  {
+    testimonialText,
+    rating,
+    relationship,
+    skills,
+    skillRatings,
+    answers = [],
+    media = [],
+  }
+) => {
+  // Validate input
+  if (!testimonialText || typeof testimonialText !== 'string') {
+    throw new AppError('Valid testimonial text is required.', 400);
+  }
+
+  if (rating && (typeof rating !== 'number' || rating < 1 || rating > 5)) {
+    throw new AppError('Rating must be a number between 1 and 5.', 400);
+  }
+
+  // Screening and AI analysis are slow, so they run before the transaction
+  // is opened; the transaction only re-checks the link and stores results
+  const current = await Testimonial.findById(testimonialId);
+  if (!current) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const currentGiver = findGiverByToken(current, giverToken);
+  if (!GIVER_OPEN_STATES.includes(currentGiver.verificationStatus)) {
+    throw new AppError('Testimonial has already been processed.', 400);
+  }
+
+  const normalizedSkillRatings = normalizeSkillRatings(
+    skillRatings,
+    current.requestedSkills
+  );
+  const normalizedAnswers = normalizeAnswers(current.questions, answers, {
+    requireAll: true,
+  });
+
+  const screening = await screenSubmission(testimonialText.trim(), {
+    testimonial: current,
+    giver: currentGiver,
+    answers: getWrittenAnswers(current.questions, normalizedAnswers),
+  });
+  const isHeld = screening.status === 'flagged';
+
+  // Perform AI analysis
+  const skillsExtracted = await extractSkills([testimonialText]);
+  const sentimentScores = await analyzeSentiment([testimonialText]);
+  const giverSentimentScores = await scoreUnscoredGivers(
+    current.givers.filter((g) => !g._id.equals(currentGiver._id))
+  );
+  giverSentimentScores.set(
+    currentGiver._id.toString(),
+    sentimentScores[0] || 0
+  );
+
+  const { testimonial, giver, isResubmission } = await withTransaction(
+    async (session) => {
+      const testimonial = await Testimonial.findById(testimonialId).session(
+        session
+      );
+      if (!testimonial) {
+        throw new AppError('Testimonial not found.', 404);
+      }
+
+      // The link may have been used or replaced while screening ran
+      const giver = findGiverByToken(testimonial, giverToken);
+      if (!GIVER_OPEN_STATES.includes(giver.verificationStatus)) {
+        throw new AppError('Testimonial has already been processed.', 400);
+      }
+      const isResubmission = giver.verificationStatus === 'changes_requested';
+      const previous = isResubmission ? getPublishedContent(giver) : null;
+
+      // Update giver details; nothing is public until the seeker approves it
+      giver.testimonial = {
+        text: testimonialText.trim(),
+        rating: {
+          overall: rating,
+          skills: normalizedSkillRatings,
+        },
+      };
+      giver.answers = normalizedAnswers;
+      if (relationship) giver.relationship = relationship;
+      if (skills && Array.isArray(skills)) giver.skills = skills;
+      giver.media = media;
+      giver.draft = undefined;
+      transitionGiver(giver, isHeld ? 'screening_hold' : 'pending_review');
+      giver.submittedAt = Date.now();
+
+      // A resubmission after requested changes is kept as a new version
+      giver.version = (giver.version || 0) + 1;
+      giver.revisions.push({
+        version: giver.version,
+        ...getPublishedContent(giver),
+        diff: previous
+          ? buildRevisionDiff(previous, getPublishedContent(giver))
+          : undefined,
+        status: 'pending',
+        submittedAt: giver.submittedAt,
+      });
+      recordScreening(testimonial, giver, giver.version, screening);
+
+      // Update testimonial metadata
+      testimonial.skills = [
+        ...new Set([
+          ...(testimonial.skills || []),
+          ...skillsExtracted.map((s) => s.skill),
+        ]),
+      ];
+      updateTestimonialSentiment(testimonial, giverSentimentScores);
+      await advanceCollectionStatus(
+        testimonial,
+        testimonial.givers.every((g) => g.testimonial?.text)
+          ? 'completed'
+          : 'in-progress',
+        {
+          actorType: 'giver',
+          reason: 'Giver submitted a testimonial.',
+          session,
+        }
+      );
+      testimonial.lastUpdated = Date.now();
+
+      await testimonial.save({ session });
+
+      return { testimonial, giver, isResubmission };
+    }
+  );
+
+  // Ask the seeker to review the submission; held ones wait for a
+  // moderator first
+  if (!isHeld) {
+    await notifySafely(
+      notifySeekerReviewRequired(
+        testimonial.seeker,
+        testimonial._id,
+        giver.email,
+        isResubmission
+      ),
+      { testimonialId, giverId: giver._id }
+    );
+  }
+
+  // Track metric
+  trackMetric(
+    isResubmission ? 'testimonial.resubmitted' : 'testimonial.submitted',
+    1,
+    {
+      seekerId: testimonial.seeker,
+      rating,
+      screening: screening.status,
+    }
+  );
+
+  // Invalidate relevant caches
+  await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+  logger.info({
+    message: isHeld
+      ? 'Testimonial submission held for moderation.'
+      : 'Testimonial submitted for review.',
+    testimonialId,
+    giverEmail: giver.email,
+    status: testimonial.status,
+  });
+
+  return testimonial;
+};
+
+/**
+ * Hash an edit token for storage. Only the hash is kept, so a leaked
+ * database doesn't hand out working edit links.
+ *
+ * @param {string} editToken - Edit token from the edit link.
+ * @returns {string} - Hex-encoded SHA-256 hash.
+ */
+const hashEditToken = (editToken) =>
+  crypto.createHash('sha256').update(editToken).digest('hex');
+
+/**
+ * Find the giver an edit link belongs to. The link must match and still
+ * be within its expiry.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} editToken - Edit token of the giver.
+ * @returns {Object} - The giver subdocument.
+ * @throws {AppError} - If the token is unknown or expired.
+ */
+const findGiverByEditToken = (testimonial, editToken) => {
+  const editTokenHash = hashEditToken(editToken);
+  const giver = testimonial.givers.find(
+    (g) => g.editTokenHash === editTokenHash && g.editTokenExpiry > Date.now()
+  );
+
+  if (!giver) {
+    throw new AppError('Invalid or expired edit link.', 401);
+  }
+
+  return giver;
+};
+
+/**
+ * Check that an edit link is valid without loading the testimonial, so
+ * uploads can be refused before any file is written.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} editToken - Edit token from the link.
+ * @returns {Promise<void>}
+ * @throws {AppError} - If the link is unknown or expired.
+ */
+export const assertGiverEditLinkValid = async (testimonialId, editToken) => {
+  const exists =
+    mongoose.isValidObjectId(testimonialId) &&
+    typeof editToken === 'string' &&
+    (await Testimonial.exists({
+      _id: testimonialId,
+      givers: {
+        $elemMatch: {
+          editTokenHash: hashEditToken(editToken),
+          editTokenExpiry: { $gt: new Date() },
+        },
+      },
+    }));
+
+  if (!exists) {
+    throw new AppError('Invalid or expired edit link.', 401);
+  }
+};
+
+/**
+ * Get the version of a giver's testimonial that is currently public.
+ *
+ * @param {Object} giver - Giver subdocument or lean object.
+ * @returns {Object} - `{ text, rating: { overall, skills }, media }`.
+ */
+const getPublishedContent = (giver) => ({
+  text: giver.testimonial?.text,
+  rating: {
+    overall: giver.testimonial?.rating?.overall,
+    skills: (giver.testimonial?.rating?.skills || []).map(
+      ({ name, score }) => ({ name, score })
+    ),
+  },
+  media: (giver.media || []).map((item) =>
+    item.toObject ? item.toObject() : item
+  ),
+});
+
+/**
+ * Describe what changed between two versions of a testimonial. Text is
+ * compared word by word; ratings and media are compared by value.
+ *
+ * @param {Object} previous - Content of the earlier version.
+ * @param {Object} next - Content of the new version.
+ * @returns {Object} - Changed fields only; empty if nothing changed.
+ */
+const buildRevisionDiff = (previous, next) => {
+  const diff = {};
+
+  if (previous.text !== next.text) {
+    diff.text = diffWords(previous.text || '', next.text || '').map(
+      ({ added, removed, value }) => ({
+        op: added ? 'insert' : removed ? 'delete' : 'equal',
+        value,
+      })
+    );
+  }
+
+  if (previous.rating.overall !== next.rating.overall) {
+    diff.rating = { from: previous.rating.overall, to: next.rating.overall };
+  }
+
+  const previousScores = new Map(
+    previous.rating.skills.map(({ name, score }) => [name, score])
+  );
+  const nextScores = new Map(
+    next.rating.skills.map(({ name, score }) => [name, score])
+  );
+  const skillChanges = [
+    ...new Set([...previousScores.keys(), ...nextScores.keys()]),
+  ]
+    .filter((name) => previousScores.get(name) !== nextScores.get(name))
+    .map((name) => ({
+      name,
+      from: previousScores.get(name),
+      to: nextScores.get(name),
+    }));
+  if (skillChanges.length) {
+    diff.skillRatings = skillChanges;
+  }
+
+  const previousUrls = previous.media.map(({ url }) => url);
+  const nextUrls = next.media.map(({ url }) => url);
+  const added = nextUrls.filter((url) => !previousUrls.includes(url));
+  const removed = previousUrls.filter((url) => !nextUrls.includes(url));
+  if (added.length || removed.length) {
+    diff.media = { added, removed };
+  }
+
+  return diff;
+};
+
+/**
+ * Email a giver a single-use link to edit a testimonial they've already
+ * submitted. Requests for emails that haven't submitted are ignored, so the
+ * response never reveals who gave feedback.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} email - Email the giver was asked at.
+ * @returns {Promise<void>}
+ */
+export const requestGiverEditLink = async (testimonialId, email) => {
+  const testimonial = await Testimonial.findById(testimonialId).populate(
+    'seeker',
+    'firstName lastName'
+  );
+  const normalizedEmail = email.trim().toLowerCase();
+  const giver = testimonial?.givers.find(
+    (g) => g.email === normalizedEmail && g.verificationStatus === 'approved'
+  );
+
+  if (!giver) {
+    logger.info({
+      message: 'Edit link requested for an unknown giver.',
+      testimonialId,
+    });
+    return;
+  }
+
+  const editToken = nanoid(32);
+  giver.editTokenHash = hashEditToken(editToken);
+  giver.editTokenExpiry = Date.now() + EDIT_TOKEN_TTL_HOURS * 60 * 60 * 1000;
+
+  await testimonial.save();
+
+  const seekerName = testimonial.seeker
+    ? `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`
+    : 'the person you recommended';
+
+  await queues.emailQueue.add(
+    'sendTestimonialEditLink',
+    {
+      to: giver.email,
+      subject: 'Your link to edit your testimonial',
+      html: emailTemplates.testimonialEditLink(
+        escapeHtml(seekerName),
+        escapeHtml(getEditLink(testimonial._id, editToken)),
+        new Date(giver.editTokenExpiry)
+      ),
+      testimonialId: testimonial._id,
+    },
+    {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 5000 },
+      removeOnComplete: true,
+    }
+  );
+
+  trackMetric('testimonial.edit_link_issued', 1, {
+    seekerId: testimonial.seeker?._id,
+  });
+
+  logger.info({
+    message: 'Giver edit link issued.',
+    testimonialId,
+    giverId: giver._id,
+  });
+};
+
+/**
+ * Get what a giver needs to edit their testimonial: the version that is
+ * currently public and whether an earlier edit is still awaiting review.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} editToken - Edit token of the giver.
+ * @returns {Promise<Object>} - Edit portal details.
+ * @throws {AppError} - If the testimonial or edit link is invalid.
+ */
+export const getGiverEditPortal = async (testimonialId, editToken) => {
+  const testimonial = await Testimonial.findById(testimonialId)
+    .populate('seeker', 'firstName lastName')
+    .lean();
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const giver = findGiverByEditToken(testimonial, editToken);
+  const pendingRevision = (giver.revisions || []).find(
+    (revision) => revision.status === 'pending'
+  );
+
+  return {
+    testimonialId: testimonial._id,
+    seeker: {
+      firstName: testimonial.seeker?.firstName,
+      lastName: testimonial.seeker?.lastName,
+    },
+    projectDetails: testimonial.projectDetails,
+    requestedSkills: testimonial.requestedSkills || [],
+    current: {
+      version: giver.version || 1,
+      ...getPublishedContent(giver),
+    },
+    pendingRevision: pendingRevision
+      ? {
+          version: pendingRevision.version,
+          submittedAt: pendingRevision.submittedAt,
+        }
+      : null,
+    linkExpiresAt: giver.editTokenExpiry,
+  };
+};
+
+/**
+ * Submit an edit to a giver's testimonial. The edit is stored as a new
+ * revision with a diff against the public version, which stays public until
+ * the seeker approves the edit. A newer edit supersedes one still pending,
+ * and the edit link can't be reused. Edited text is screened like a first
+ * submission, and a flagged edit is held until a moderator releases it.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} editToken - Edit token of the giver.
+ * @param {Object} editData - Fields to change; omitted fields are kept.
+ * @param {string} [editData.testimonialText] - New testimonial text.
+ * @param {number} [editData.rating] - New overall rating.
+ * @param {Array<Object>} [editData.skillRatings] - New per-skill ratings.
+ * @param {Array<Object>} [editData.media] - Uploaded media replacing the
+ *   current media.
+ * @param {boolean} [editData.clearMedia] - Remove the current media.
+ * @returns {Promise<Object>} - The new revision.
+ * @throws {AppError} - If the edit link is invalid or nothing changed.
+ */
+export const submitTestimonialRevision = async (
+  testimonialId,
+  editToken,
+  { testimonialText, rating, skillRatings, media = [], clearMedia = false }
+) => {
+  return withTransaction(async (session) => {
+    if (
+      testimonialText !== undefined &&
+      (typeof testimonialText !== 'string' || !testimonialText.trim())
+    ) {
+      throw new AppError('Valid testimonial text is required.', 400);
+    }
+
+    if (
+      rating !== undefined &&
+      (typeof rating !== 'number' || rating < 1 || rating > 5)
+    ) {
+      throw new AppError('Rating must be a number between 1 and 5.', 400);
+    }
+
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    const giver = findGiverByEditToken(testimonial, editToken);
+    const published = getPublishedContent(giver);
+
+    const next = {
+      text:
+        testimonialText !== undefined ? testimonialText.trim() : published.text,
+      rating: {
+        overall: rating !== undefined ? rating : published.rating.overall,
+        skills:
+          skillRatings !== undefined
+            ? normalizeSkillRatings(skillRatings, testimonial.requestedSkills)
+            : published.rating.skills,
+      },
+      media: media.length ? media : clearMedia ? [] : published.media,
+    };
+
+    const diff = buildRevisionDiff(published, next);
+    if (!Object.keys(diff).length) {
+      throw new AppError('The edit does not change the testimonial.', 400);
+    }
+
+    const screening = diff.text
+      ? await screenSubmission(next.text, { testimonial, giver })
+      : null;
+    const isHeld = screening?.status === 'flagged';
+
+    // Testimonials submitted before versioning get their original recorded
+    // as version 1 so the history is complete
+    if (!giver.version) {
+      giver.version = 1;
+    }
+    if (!giver.revisions.length) {
+      giver.revisions.push({
+        version: giver.version,
+        ...published,
+        status: 'approved',
+        submittedAt: giver.submittedAt,
+      });
+    }
+
+    giver.revisions.forEach((revision) => {
+      if (['pending', 'held'].includes(revision.status)) {
+        revision.status = 'superseded';
+      }
+    });
+
+    const version =
+      Math.max(
+        giver.version,
+        ...giver.revisions.map((revision) => revision.version)
+      ) + 1;
+    giver.revisions.push({
+      version,
+      ...next,
+      diff,
+      status: isHeld ? 'held' : 'pending',
+      submittedAt: Date.now(),
+    });
+    if (screening) {
+      recordScreening(testimonial, giver, version, screening);
+    }
+    giver.editTokenHash = undefined;
+    giver.editTokenExpiry = undefined;
+    testimonial.lastUpdated = Date.now();
+
+    await testimonial.save({ session });
+
+    if (!isHeld) {
+      await queues.notificationQueue.add(
+        'testimonialRevisionSubmitted',
+        {
+          seekerId: testimonial.seeker,
+          testimonialId: testimonial._id,
+          giverEmail: giver.email,
+          version,
+        },
+        { priority: 2 }
+      );
+    }
+
+    trackMetric('testimonial.revision_submitted', 1, {
+      seekerId: testimonial.seeker,
+    });
+
+    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+    logger.info({
+      message: 'Testimonial revision submitted.',
+      testimonialId,
+      giverId: giver._id,
+      version,
+    });
+
+    return giver.revisions[giver.revisions.length - 1];
+  });
+};
+
+/**
+ * Get every version of a giver's testimonial, newest first, with the diff
+ * each edit made.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Object>} - Public version number and revisions.
+ * @throws {AppError} - If the testimonial or giver isn't found.
+ */
+export const getTestimonialRevisions = async (
+  testimonialId,
+  giverId,
+  seekerId
+) => {
+  const testimonial = await Testimonial.findOne({
+    _id: testimonialId,
+    seeker: seekerId,
+  }).lean();
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  const giver = testimonial.givers.find((g) => g._id.equals(giverId));
+  if (!giver) {
+    throw new AppError('Giver not found in this testimonial.', 404);
+  }
+
+  return {
+    giverId: giver._id,
+    version: giver.version || (giver.testimonial?.text ? 1 : null),
+    revisions: [...(giver.revisions || [])].sort(
+      (a, b) => b.version - a.version
+    ),
+  };
+};
+
+/**
+ * Score submitted givers that have no sentiment score yet, i.e. those
+ * submitted before per-giver scores were stored, in one batch. Nothing is
+ * changed, so this can run before a transaction is opened.
+ *
+ * @param {Array<Object>} givers - Giver subdocuments.
+ * @returns {Promise<Map<string, number>>} - Score per giver ID.
+ */
+const scoreUnscoredGivers = async (givers) => {
+  const unscored = givers.filter(
+    (g) => g.testimonial?.text && typeof g.sentimentScore !== 'number'
+  );
+  if (!unscored.length) return new Map();
+
+  const scores = await analyzeSentiment(
+    unscored.map((g) => g.testimonial.text)
+  );
+  return new Map(
+    unscored.map((g, index) => [g._id.toString(), scores[index] || 0])
+  );
+};
+
+/**
+ * Recompute a testimonial's sentiment score as the average of its givers'
+ * scores.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Map<string, number>} [scores] - Scores for givers that have none
+ *   yet, from `scoreUnscoredGivers`.
+ */
+const updateTestimonialSentiment = (testimonial, scores = new Map()) => {
+  const scored = testimonial.givers.filter((g) => {
+    if (!g.testimonial?.text) return false;
+    if (scores.has(g._id.toString())) {
+      g.sentimentScore = scores.get(g._id.toString());
+    }
+    return typeof g.sentimentScore === 'number';
+  });
+
+  testimonial.sentimentScore = scored.length
+    ? scored.reduce((sum, g) => sum + g.sentimentScore, 0) / scored.length
+    : undefined;
+};
+
+/**
+ * Find a pending revision the seeker is about to review.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} giverId - ID of the giver.
+ * @param {number} version - Version of the revision.
+ * @param {string} seekerId - ID of the reviewing seeker.
+ * @returns {Object} - `{ giver, revision }`.
+ * @throws {AppError} - If the seeker doesn't own the testimonial or the
+ *   revision isn't pending.
+ */
+const findPendingRevision = (testimonial, giverId, version, seekerId) => {
+  if (testimonial.seeker.toString() !== seekerId) {
+    throw new AppError('Not authorized to manage this testimonial.', 403);
+  }
+
+  const giver = testimonial.givers.id(giverId);
+  if (!giver) {
+    throw new AppError('Giver not found in this testimonial.', 404);
+  }
+
+  const revision = giver.revisions.find((r) => r.version === Number(version));
+  if (!revision) {
+    throw new AppError('Revision not found.', 404);
+  }
+
+  if (revision.status === 'held') {
+    throw new AppError('Revision is held for moderation.', 409);
+  }
+
+  if (revision.status !== 'pending') {
+    throw new AppError('Revision has already been reviewed.', 400);
+  }
+
+  return { giver, revision };
+};
+
+/**
+ * Render the email telling a giver how their edit was reviewed.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} giver - Giver subdocument.
+ * @param {boolean} approved - Whether the edit was approved.
+ * @param {string} comments - Reviewer comments, if any.
+ * @returns {Object} - `{ to, subject, html }`.
+ */
+const renderRevisionReviewedEmail = (
+  testimonial,
+  giver,
+  approved,
+  comments
+) => ({
+  to: giver.email,
+  subject: approved
+    ? 'Your testimonial edit was approved'
+    : 'Your testimonial edit was not approved',
+  html: emailTemplates.testimonialRevisionReviewed(
+    approved,
+    escapeHtml(testimonial.projectDetails),
+    comments ? escapeHtml(comments).replace(/\n/g, '<br>') : ''
+  ),
+});
+
+/**
+ * Approve a giver's edit and make it the public version.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {number} version - Version of the revision to approve.
+ * @param {string} seekerId - ID of the seeker approving the edit.
+ * @param {string} comments - Optional comments for the giver.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If the revision can't be approved.
+ */
+export const approveTestimonialRevision = async (
+  testimonialId,
+  giverId,
+  version,
+  seekerId,
+  comments = ''
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    const { giver, revision } = findPendingRevision(
+      testimonial,
+      giverId,
+      version,
+      seekerId
+    );
+
+    const sentimentScores = await analyzeSentiment([revision.text]);
+
+    giver.testimonial = {
+      text: revision.text,
+      rating: {
+        overall: revision.rating?.overall,
+        skills: revision.rating?.skills || [],
+      },
+    };
+    giver.media = revision.media;
+    giver.version = revision.version;
+    giver.sentimentScore = sentimentScores[0] || 0;
+    revision.status = 'approved';
+    revision.reviewedAt = Date.now();
+    revision.reviewedBy = seekerId;
+    revision.comments = comments;
+    giver.approvalHistory.push({
+      status: 'approved',
+      approvedBy: seekerId,
+      comments,
+      approvedAt: Date.now(),
+      version: revision.version,
+    });
+
+    updateTestimonialSentiment(
+      testimonial,
+      await scoreUnscoredGivers(testimonial.givers)
+    );
+    testimonial.lastUpdated = Date.now();
+
+    await testimonial.save({ session });
+
+    if (revision.rating?.skills?.length) {
+      await Skill.recordRatings(
+        testimonial.seeker,
+        testimonial._id,
+        giver._id,
+        revision.rating.skills,
+        { session }
+      );
+    }
+
+    await queues.emailQueue.add(
+      'sendTestimonialRevisionReviewed',
+      {
+        ...renderRevisionReviewedEmail(testimonial, giver, true, comments),
+        status: 'approved',
+        version: revision.version,
+        testimonialId: testimonial._id,
+      },
+      { attempts: 3, backoff: { type: 'exponential', delay: 5000 } }
+    );
+
+    trackMetric('testimonial.revision_approved', 1, { seekerId });
+
+    await cache.del(`seeker_testimonials:${seekerId}`);
+
+    logger.info({
+      message: 'Testimonial revision approved.',
+      testimonialId,
+      giverId,
+      version: revision.version,
+    });
+
+    return testimonial;
+  });
+};
+
+/**
+ * Reject a giver's edit. The public version is left unchanged.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {number} version - Version of the revision to reject.
+ * @param {string} seekerId - ID of the seeker rejecting the edit.
+ * @param {string} comments - Optional comments for the giver.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If the revision can't be rejected.
+ */
+export const rejectTestimonialRevision = async (
+  testimonialId,
+  giverId,
+  version,
+  seekerId,
+  comments = ''
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    const { giver, revision } = findPendingRevision(
+      testimonial,
+      giverId,
+      version,
+      seekerId
+    );
+
+    revision.status = 'rejected';
+    revision.reviewedAt = Date.now();
+    revision.reviewedBy = seekerId;
+    revision.comments = comments;
+    giver.approvalHistory.push({
+      status: 'rejected',
+      approvedBy: seekerId,
+      comments,
+      approvedAt: Date.now(),
+      version: revision.version,
+    });
+
+    await testimonial.save({ session });
+
+    await queues.emailQueue.add(
+      'sendTestimonialRevisionReviewed',
+      {
+        ...renderRevisionReviewedEmail(testimonial, giver, false, comments),
+        status: 'rejected',
+        version: revision.version,
+        testimonialId: testimonial._id,
+      },
+      { attempts: 3, backoff: { type: 'exponential', delay: 5000 } }
+    );
+
+    trackMetric('testimonial.revision_rejected', 1, { seekerId });
+
+    await cache.del(`seeker_testimonials:${seekerId}`);
+
+    logger.info({
+      message: 'Testimonial revision rejected.',
+      testimonialId,
+      giverId,
+      version: revision.version,
+    });
+
+    return testimonial;
+  });
+};
+
+/**
+ * Find the giver whose submission is being reviewed. Seekers may only
+ * review their own testimonials; admins pass no `seekerId`.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} giverId - ID of the giver.
+ * @param {string} [seekerId] - ID of the reviewing seeker.
+ * @returns {Object} - The giver subdocument.
+ * @throws {AppError} - If the seeker doesn't own the testimonial or the
+ *   giver isn't found.
+ */
+const findGiverForReview = (testimonial, giverId, seekerId) => {
+  if (seekerId && testimonial.seeker.toString() !== seekerId) {
+    throw new AppError('Not authorized to manage this testimonial.', 403);
+  }
+
+  const giver = testimonial.givers.id(giverId);
+  if (!giver) {
+    throw new AppError('Giver not found in this testimonial.', 404);
+  }
+
+  return giver;
+};
+
+/**
+ * Record the outcome of a review on the submitted revision and in the
+ * giver's approval history.
+ *
+ * @param {Object} giver - Giver subdocument.
+ * @param {string} status - Review outcome.
+ * @param {string} reviewerId - ID of the seeker or admin.
+ * @param {string} comments - Reviewer comments.
+ */
+const recordReview = (giver, status, reviewerId, comments) => {
+  const revision = giver.revisions.find(
+    (r) => r.version === giver.version && r.status === 'pending'
+  );
+  if (revision) {
+    revision.status = status;
+    revision.reviewedAt = Date.now();
+    revision.reviewedBy = reviewerId;
+    revision.comments = comments;
+  }
+
+  giver.approvalHistory.push({
+    status,
+    approvedBy: reviewerId,
+    comments,
+    approvedAt: Date.now(),
+    version: giver.version,
+  });
+};
+
+/**
+ * Reject a testimonial giver's submission.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {string} reviewerId - ID of the seeker or admin rejecting it.
+ * @param {string} comments - Optional comments.
+ * @param {Object} [options={}] - Review options.
+ * @param {string} [options.seekerId] - Set when the seeker reviews, to
+ *   check they own the testimonial.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If rejection fails.
+ */
+export const rejectTestimonial = async (
+  testimonialId,
+  giverId,
+  reviewerId,
+  comments = '',
+  { seekerId } = {}
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    const giver = findGiverForReview(testimonial, giverId, seekerId);
+
+    // Update giver status
+    transitionGiver(giver, 'rejected');
+    recordReview(giver, 'rejected', reviewerId, comments);
+
+    // Rejection by an admin flags the testimonial as a whole
+    if (!seekerId) {
+      await transitionTestimonial(testimonial, 'reported', {
+        actor: reviewerId,
+        actorType: 'admin',
+        reason: comments || 'Giver submission rejected by an admin.',
+        session,
+      });
+    }
 
     await testimonial.save({ session });
 
-    // Log the archiving action
-    await ActivityLog.create(
-      [
-        {
-          user: userId,
-          action: 'TESTIMONIAL_ARCHIVED',
-          details: {
-            testimonialId,
-            reason: testimonial.archiveReason,
-          },
+    await notifySafely(
+      notifyGiverReviewOutcome(
+        giver.email,
+        testimonialId,
+        'rejected',
+        comments
+      ),
+      { testimonialId, giverId }
+    );
+    if (!seekerId) {
+      await notifySafely(
+        notifySeekerRejection(
+          testimonial.seeker,
+          testimonialId,
+          giver.email,
+          comments
+        ),
+        { testimonialId, giverId }
+      );
+    }
+
+    // Track metric
+    trackMetric('testimonial.rejected', 1, {
+      seekerId: testimonial.seeker,
+      reviewerId,
+    });
+
+    // Invalidate relevant caches
+    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+    logger.info({
+      message: 'Testimonial rejected successfully.',
+      testimonialId,
+      giverId,
+      reviewerId,
+    });
+
+    return testimonial;
+  });
+};
+
+/**
+ * Send a giver's submission back to them with the changes the reviewer
+ * wants. The giver gets a fresh link, prefilled with their submission, and
+ * their resubmission is reviewed again as a new version.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {string} reviewerId - ID of the seeker or admin.
+ * @param {string} comments - The changes requested.
+ * @param {Object} [options={}] - Review options, as for `rejectTestimonial`.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If changes can't be requested.
+ */
+export const requestTestimonialChanges = async (
+  testimonialId,
+  giverId,
+  reviewerId,
+  comments,
+  { seekerId } = {}
+) => {
+  if (!comments || !comments.trim()) {
+    throw new AppError('Describe the changes you would like.', 400);
+  }
+
+  const { testimonial, giver } = await withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId)
+      .populate('seeker', 'firstName lastName')
+      .session(session);
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    if (seekerId && testimonial.seeker._id.toString() !== seekerId) {
+      throw new AppError('Not authorized to manage this testimonial.', 403);
+    }
+
+    const giver = findGiverForReview(testimonial, giverId);
+
+    transitionGiver(giver, 'changes_requested');
+    recordReview(giver, 'changes_requested', reviewerId, comments);
+
+    giver.verificationToken = nanoid(32);
+    giver.verificationTokenExpiry =
+      Date.now() + getGiverTokenTtlDays(testimonial) * DAY_MS;
+    giver.tokenIssuedAt = Date.now();
+    // The draft carries everything a resubmission needs, including answers
+    giver.draft = {
+      testimonialText: giver.testimonial?.text,
+      rating: giver.testimonial?.rating?.overall,
+      relationship: giver.relationship,
+      skills: giver.skills,
+      skillRatings: giver.testimonial?.rating?.skills,
+      answers: giver.answers,
+      updatedAt: Date.now(),
+    };
+
+    await testimonial.save({ session });
+
+    return { testimonial, giver };
+  });
+
+  // Sent only once the new link is committed
+  const seekerName = `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`;
+  await queues.emailQueue.add(
+    'sendTestimonialChangesRequested',
+    {
+      to: giver.email,
+      subject: `${seekerName} asked for changes to your testimonial`,
+      html: emailTemplates.testimonialChangesRequested(
+        escapeHtml(seekerName),
+        escapeHtml(comments).replace(/\n/g, '<br>'),
+        escapeHtml(getSubmissionLink(testimonial._id, giver.verificationToken)),
+        new Date(giver.verificationTokenExpiry)
+      ),
+      testimonialId: testimonial._id,
+    },
+    {
+      attempts: 3,
+      backoff: { type: 'exponential', delay: 5000 },
+      removeOnComplete: true,
+    }
+  );
+
+  trackMetric('testimonial.changes_requested', 1, {
+    seekerId: testimonial.seeker._id,
+    reviewerId,
+  });
+
+  await cache.del(`seeker_testimonials:${testimonial.seeker._id}`);
+
+  logger.info({
+    message: 'Testimonial changes requested.',
+    testimonialId,
+    giverId,
+    reviewerId,
+  });
+
+  return testimonial;
+};
+
+/**
+ * Settle a submission held by screening once a moderator has reviewed it.
+ * A released first submission goes on to the seeker's review and a
+ * released edit waits for the seeker as usual; otherwise it's rejected.
+ * The caller saves the testimonial.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} held - Metadata of the screening report.
+ * @param {string} held.giverId - ID of the giver.
+ * @param {number} held.version - Version that was held.
+ * @param {boolean} release - Whether the moderator cleared the submission.
+ * @param {Object} review - Moderator details.
+ * @param {string} review.reviewerId - ID of the moderator.
+ * @param {string} [review.comments] - Moderator notes.
+ * @returns {Object|null} - `{ giver, isEdit }`, or null if the held version
+ *   has since been superseded.
+ * @throws {AppError} - If the giver isn't found.
+ */
+export const settleScreenedSubmission = (
+  testimonial,
+  { giverId, version },
+  release,
+  { reviewerId, comments }
+) => {
+  const giver = testimonial.givers.id(giverId);
+  if (!giver) {
+    throw new AppError('Giver not found in this testimonial.', 404);
+  }
+
+  if (giver.verificationStatus === 'screening_hold') {
+    transitionGiver(giver, release ? 'pending_review' : 'rejected');
+    if (!release) {
+      recordReview(giver, 'rejected', reviewerId, comments);
+    }
+    return { giver, isEdit: false };
+  }
+
+  const revision = giver.revisions.find((r) => r.version === version);
+  if (revision?.status !== 'held') return null;
+
+  revision.status = release ? 'pending' : 'rejected';
+  if (!release) {
+    revision.reviewedAt = Date.now();
+    revision.reviewedBy = reviewerId;
+    revision.comments = comments;
+  }
+  return { giver, isEdit: true };
+};
+
+/**
+ * Put a rejected submission back in front of the seeker after the
+ * rejection was overturned on appeal. The caller saves the testimonial.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} giverId - ID of the giver.
+ * @returns {Object} - The giver subdocument.
+ * @throws {AppError} - If the giver isn't found or wasn't rejected.
+ */
+export const reinstateRejectedSubmission = (testimonial, giverId) => {
+  const giver = testimonial.givers.id(giverId);
+  if (!giver) {
+    throw new AppError('Giver not found in this testimonial.', 404);
+  }
+
+  transitionGiver(giver, 'pending_review');
+
+  const revision = giver.revisions.find(
+    (r) => r.version === giver.version && r.status === 'rejected'
+  );
+  if (revision) {
+    revision.status = 'pending';
+    revision.reviewedAt = undefined;
+    revision.reviewedBy = undefined;
+    revision.comments = undefined;
+  }
+
+  return giver;
+};
+
+/**
+ * Work out who is reporting, so reports can be counted per reporter.
+ * Signed-in reporters are identified by account; anonymous ones by an HMAC
+ * of their IP address with the server secret, which is all that's stored,
+ * so the key can't be reversed by hashing every address. The user agent is
+ * left out since a client can change it at will.
+ *
+ * @param {Object} reportData - Data related to the report.
+ * @returns {string} - Reporter key.
+ * @throws {AppError} - If no reporter key secret is configured.
+ */
+const getReporterKey = ({ reportedBy, ipAddress }) => {
+  if (mongoose.isValidObjectId(reportedBy)) return `user:${reportedBy}`;
+
+  const secret = process.env.REPORTER_KEY_SECRET;
+  if (!secret) {
+    throw new AppError('Anonymous reporting is not configured.', 500);
+  }
+
+  return `anon:${crypto
+    .createHmac('sha256', secret)
+    .update(ipAddress || '')
+    .digest('hex')
+    .slice(0, 32)}`;
+};
+
+/**
+ * Hold back reporters whose reports keep being dismissed: once they reach
+ * the dismissal limit they may only file a few reports a day.
+ *
+ * @param {string} reporterKey - Reporter key.
+ * @throws {AppError} - If the reporter is over their limit.
+ */
+const checkReporterLimit = async (reporterKey) => {
+  const now = Date.now();
+  const since = new Date(now - REPORT_POLICY.DISMISSAL_WINDOW_DAYS * DAY_MS);
+  const dayAgo = new Date(now - DAY_MS);
+
+  const [history] = await Testimonial.aggregate([
+    { $match: { 'reports.reporterKey': reporterKey } },
+    { $unwind: '$reports' },
+    {
+      $match: {
+        'reports.reporterKey': reporterKey,
+        'reports.reportedAt': { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        dismissed: {
+          $sum: { $cond: [{ $eq: ['$reports.resolution', 'dismiss'] }, 1, 0] },
         },
-      ],
-      { session }
+        lastDay: {
+          $sum: { $cond: [{ $gte: ['$reports.reportedAt', dayAgo] }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  if (
+    history &&
+    history.dismissed >= REPORT_POLICY.DISMISSAL_LIMIT &&
+    history.lastDay >= REPORT_POLICY.RESTRICTED_DAILY_LIMIT
+  ) {
+    throw new AppError(
+      'You have reached your report limit. Please try again tomorrow.',
+      429
+    );
+  }
+};
+
+/**
+ * Hide a testimonial once enough distinct signed-in reporters have open
+ * reports on it. Anonymous reports still reach the moderation queue but
+ * don't count, since one client could pose as many. It stays hidden until
+ * a moderator resolves the reports.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {boolean} - Whether the testimonial was hidden.
+ */
+const autoHideIfThresholdReached = (testimonial) => {
+  const reporters = new Set(
+    testimonial.reports
+      .filter(
+        (r) =>
+          ['pending', 'claimed'].includes(r.status) &&
+          r.reason !== SCREENING_REPORT_REASON &&
+          mongoose.isValidObjectId(r.reportedBy)
+      )
+      .map((r) => String(r.reportedBy))
+  );
+  if (
+    reporters.size < REPORT_POLICY.AUTO_HIDE_REPORTERS ||
+    testimonial.moderation.status !== 'normal'
+  ) {
+    return false;
+  }
+
+  testimonial.moderation.visibilityBeforeHide = testimonial.isPublic;
+  testimonial.moderation.status = 'auto_hidden';
+  testimonial.isPublic = false;
+  testimonial.moderation.history.push({
+    action: 'auto_hide',
+    at: new Date(),
+    reason: `Reported by ${reporters.size} people.`,
+    actorType: 'system',
+  });
+  return true;
+};
+
+/**
+ * Page every admin about a report with a severe reason.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {Object} report - The new report.
+ * @returns {Promise<void>}
+ */
+const escalateSevereReport = async (testimonial, report) => {
+  const admins = await User.find({ isAdmin: true }).select('_id').lean();
+
+  await Promise.all(
+    admins.map((admin) =>
+      notifySafely(
+        notifyAdminEscalation(admin._id, 'Severe testimonial report', {
+          testimonialId: testimonial._id,
+          reportId: report._id,
+          reason: report.reason,
+          description: report.description,
+          reportedAt: report.reportedAt,
+        }),
+        { testimonialId: testimonial._id, adminId: admin._id }
+      )
+    )
+  );
+};
+
+/**
+ * Report a testimonial for inappropriate content or other issues. Each
+ * reporter may have one open report per testimonial. Enough distinct
+ * reporters hide the testimonial pending review, and severe reasons page
+ * the admins.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {Object} reportData - Data related to the report.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If reporting fails, the reporter already has an open
+ *   report on the testimonial or is over their report limit.
+ */
+export const reportTestimonial = async (testimonialId, reportData) => {
+  const {
+    reason,
+    description,
+    evidence = [],
+    reportedBy = 'anonymous',
+  } = reportData;
+  const reporterKey = getReporterKey({ ...reportData, reportedBy });
+
+  await checkReporterLimit(reporterKey);
+
+  const { testimonial, report, autoHidden } = await withTransaction(
+    async (session) => {
+      const testimonial = await Testimonial.findById(testimonialId).session(
+        session
+      );
+      if (!testimonial) {
+        throw new AppError('Testimonial not found.', 404);
+      }
+
+      testimonial.reports = testimonial.reports || [];
+      const alreadyReported = testimonial.reports.some(
+        (r) =>
+          r.reporterKey === reporterKey &&
+          ['pending', 'claimed'].includes(r.status)
+      );
+      if (alreadyReported) {
+        throw new AppError('You have already reported this testimonial.', 409);
+      }
+
+      // Create report entry
+      testimonial.reports.push({
+        reason: sanitizeInput(reason),
+        description: sanitizeInput(description),
+        evidence: evidence.map((e) => sanitizeInput(e)),
+        reportedBy,
+        reporterKey,
+        reportedAt: Date.now(),
+        severity: REPORT_POLICY.SEVERE_REASONS.includes(
+          reason.trim().toLowerCase()
+        )
+          ? 'severe'
+          : 'normal',
+        status: 'pending',
+      });
+      const report = testimonial.reports[testimonial.reports.length - 1];
+      await transitionTestimonial(testimonial, 'reported', {
+        actor: mongoose.isValidObjectId(reportedBy) ? reportedBy : undefined,
+        actorType: 'reporter',
+        reason: report.reason,
+        session,
+      });
+      const autoHidden = autoHideIfThresholdReached(testimonial);
+
+      await testimonial.save({ session });
+
+      return { testimonial, report, autoHidden };
+    }
+  );
+
+  // Admins are only paged once the report is stored
+  if (report.severity === 'severe') {
+    await escalateSevereReport(testimonial, report);
+  }
+
+  // Queue notification for admin review
+  await queues.notificationQueue.add('testimonialReported', {
+    testimonialId,
+    reportedBy,
+    reason,
+    evidenceCount: evidence.length,
+  });
+
+  // Track metric
+  trackMetric('testimonial.reported', 1, {
+    seekerId: testimonial.seeker,
+    reportedBy,
+  });
+
+  // Invalidate relevant caches
+  await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+  logger.info({
+    message: 'Testimonial reported successfully.',
+    testimonialId,
+    reportedBy,
+    reason,
+    severity: report.severity,
+    autoHidden,
+  });
+
+  return testimonial;
+};
+
+/**
+ * Archive a testimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial to archive.
+ * @param {string} userId - ID of the user performing the archiving.
+ * @param {Object} [options] - Archiving options.
+ * @param {string} [options.reason] - Reason for archiving.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
+ * @returns {Promise<Object>} - Archived testimonial document.
+ * @throws {AppError} - If archiving fails.
+ */
+export const archiveTestimonial = async (
+  testimonialId,
+  userId,
+  { reason, session: existingSession } = {}
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
     );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    if (testimonial.archived) {
+      throw new AppError('Testimonial is already archived.', 400);
+    }
+
+    testimonial.archiveReason = sanitizeInput(reason || 'No reason provided.');
+    await transitionTestimonial(testimonial, 'archived', {
+      actor: userId,
+      actorType: testimonial.seeker.equals(userId) ? 'seeker' : 'admin',
+      reason: testimonial.archiveReason,
+      session,
+    });
+    testimonial.archivedAt = Date.now();
+    testimonial.archivedBy = userId;
+
+    await testimonial.save({ session });
 
     // Track metric
     trackMetric('testimonial.archived', 1, {
@@ -504,18 +2670,37 @@ export const archiveTestimonial = async (testimonialId, userId) => {
     });
 
     return testimonial;
-  });
+  }, existingSession);
 };
 
+/**
+ * Explain why a testimonial's visibility or archive state is locked. While
+ * moderation has hidden, archived or flagged it, only the moderation queue
+ * may change those.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {string|null} - Reason the change is blocked, or null.
+ */
+const getModerationBlocker = (testimonial) =>
+  testimonial.moderation?.status && testimonial.moderation.status !== 'normal'
+    ? 'Testimonial is under moderation and can only be changed by a moderator.'
+    : null;
+
 /**
  * Restore an archived testimonial.
  *
  * @param {string} testimonialId - ID of the testimonial to restore.
  * @param {string} userId - ID of the user performing the restoration.
+ * @param {Object} [options] - Restoration options.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
  * @returns {Promise<Object>} - Restored testimonial document.
  * @throws {AppError} - If restoration fails.
  */
-export const restoreTestimonial = async (testimonialId, userId) => {
+export const restoreTestimonial = async (
+  testimonialId,
+  userId,
+  { session: existingSession } = {}
+) => {
   return withTransaction(async (session) => {
     const testimonial = await Testimonial.findById(testimonialId).session(
       session
@@ -528,7 +2713,16 @@ export const restoreTestimonial = async (testimonialId, userId) => {
       throw new AppError('Testimonial is not archived.', 400);
     }
 
-    testimonial.archived = false;
+    const moderationBlocker = getModerationBlocker(testimonial);
+    if (moderationBlocker) {
+      throw new AppError(moderationBlocker, 409);
+    }
+
+    await transitionTestimonial(testimonial, 'restored', {
+      actor: userId,
+      actorType: testimonial.seeker.equals(userId) ? 'seeker' : 'admin',
+      session,
+    });
     testimonial.archivedAt = null;
     testimonial.archivedBy = null;
     testimonial.archiveReason = null;
@@ -537,20 +2731,6 @@ export const restoreTestimonial = async (testimonialId, userId) => {
 
     await testimonial.save({ session });
 
-    // Log the restoration action
-    await ActivityLog.create(
-      [
-        {
-          user: userId,
-          action: 'TESTIMONIAL_RESTORED',
-          details: {
-            testimonialId,
-          },
-        },
-      ],
-      { session }
-    );
-
     // Track metric
     trackMetric('testimonial.restored', 1, {
       seekerId: testimonial.seeker,
@@ -567,7 +2747,7 @@ export const restoreTestimonial = async (testimonialId, userId) => {
     });
 
     return testimonial;
-  });
+  }, existingSession);
 };
 
 /**
@@ -633,117 +2813,603 @@ export const shareTestimonial = async (
       { session }
     );
 
-    // Track metric
-    trackMetric('testimonial.shared', 1, {
-      seekerId: testimonial.seeker,
-      platform,
-    });
+    // Track metric
+    trackMetric('testimonial.shared', 1, {
+      seekerId: testimonial.seeker,
+      platform,
+    });
+
+    // Queue notification if needed
+    if (platform === 'email') {
+      queues.emailQueue.add(
+        'sendTestimonialShareEmail',
+        {
+          to: testimonial.seeker.email,
+          shareUrl,
+          testimonialId,
+        },
+        { priority: 3 }
+      );
+    }
+
+    logger.info({
+      message: 'Testimonial shared successfully.',
+      testimonialId,
+      platform,
+      shareUrl,
+    });
+
+    return {
+      shareUrl,
+      shareToken,
+      expiresAt: share.expiresAt,
+    };
+  });
+};
+
+/**
+ * Build the public, share-safe view of a testimonial. Giver emails and
+ * tokens are never exposed and only approved feedback is included.
+ *
+ * @param {Object} testimonial - Testimonial document with seeker populated.
+ * @returns {Object} - Public testimonial view.
+ */
+export const toPublicTestimonialView = (testimonial) => ({
+  id: testimonial._id,
+  seeker: testimonial.seeker
+    ? {
+        firstName: testimonial.seeker.firstName,
+        lastName: testimonial.seeker.lastName,
+      }
+    : null,
+  projectDetails: testimonial.projectDetails,
+  skills: testimonial.skills,
+  givers: testimonial.givers
+    .filter((giver) => giver.isApproved && giver.testimonial?.text)
+    .map((giver) => ({
+      text: giver.testimonial.text,
+      rating: giver.testimonial.rating?.overall,
+      skills: giver.skills,
+      media: giver.media,
+      submittedAt: giver.submittedAt,
+    })),
+  createdAt: testimonial.createdAt,
+});
+
+/**
+ * Resolve a share token to the public view of its testimonial and record
+ * the visit against the testimonial's analytics.
+ *
+ * @param {string} token - Share token from the share URL.
+ * @returns {Promise<Object>} - Public testimonial view and share details.
+ * @throws {AppError} - If the token is unknown, revoked or expired.
+ */
+export const getSharedTestimonial = async (token) => {
+  const testimonial = await Testimonial.findOne({ 'shares.token': token })
+    .select(
+      'seeker projectDetails skills givers shares isPublic archived createdAt'
+    )
+    .populate('seeker', 'firstName lastName')
+    .lean();
+
+  const share = testimonial?.shares.find((s) => s.token === token);
+  if (!share || share.revoked) {
+    throw new AppError('Share link not found.', 404);
+  }
+
+  if (share.expiresAt && new Date(share.expiresAt) <= new Date()) {
+    throw new AppError('Share link has expired.', 410);
+  }
+
+  if (!testimonial.isPublic || testimonial.archived) {
+    throw new AppError('Testimonial is no longer available.', 404);
+  }
+
+  await Testimonial.updateOne(
+    { _id: testimonial._id, 'shares.token': token },
+    {
+      $inc: {
+        'analytics.views': 1,
+        'analytics.impressions': 1,
+        'analytics.impressionSources.share': 1,
+        'shares.$.views': 1,
+      },
+      $set: { 'shares.$.lastViewedAt': new Date() },
+    }
+  );
+
+  trackMetric('testimonial.share_view', 1, {
+    testimonialId: testimonial._id,
+    platform: share.platform,
+  });
+
+  return {
+    testimonial: toPublicTestimonialView(testimonial),
+    share: {
+      platform: share.platform,
+      sharedAt: share.sharedAt,
+      expiresAt: share.expiresAt,
+    },
+  };
+};
+
+/**
+ * Revoke a single share token so its link stops resolving.
+ *
+ * @param {string} testimonialId - ID of the shared testimonial.
+ * @param {string} token - Share token to revoke.
+ * @param {string} userId - ID of the seeker revoking the share.
+ * @returns {Promise<Object>} - Confirmation of revocation.
+ * @throws {AppError} - If the share can't be revoked.
+ */
+export const revokeShareToken = async (testimonialId, token, userId) => {
+  const testimonial = await Testimonial.findById(testimonialId);
+  if (!testimonial) {
+    throw new AppError('Testimonial not found.', 404);
+  }
+
+  if (testimonial.seeker.toString() !== userId) {
+    throw new AppError('Not authorized to revoke this share link.', 403);
+  }
+
+  const share = (testimonial.shares || []).find((s) => s.token === token);
+  if (!share) {
+    throw new AppError('Share link not found.', 404);
+  }
+
+  if (share.revoked) {
+    throw new AppError('Share link is already revoked.', 400);
+  }
+
+  share.revoked = true;
+  share.revokedAt = Date.now();
+  share.revokedBy = userId;
+  await testimonial.save();
+
+  trackMetric('testimonial.share_revoked', 1, {
+    seekerId: testimonial.seeker,
+    platform: share.platform,
+  });
+
+  logger.info({
+    message: 'Share link revoked.',
+    testimonialId,
+    userId,
+    platform: share.platform,
+  });
+
+  return {
+    message: 'Share link revoked successfully.',
+    testimonialId,
+    revokedAt: share.revokedAt,
+  };
+};
+
+/**
+ * Delete a testimonial with comprehensive data cleanup.
+ *
+ * @param {string} testimonialId - ID of the testimonial to delete.
+ * @param {string} userId - ID of the user requesting deletion.
+ * @param {Object} [options] - Deletion options.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
+ * @returns {Promise<Object>} - Confirmation of deletion.
+ * @throws {AppError} - If deletion fails.
+ */
+export const deleteTestimonial = async (
+  testimonialId,
+  userId,
+  { session: existingSession } = {}
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    // Verify user permissions
+    if (testimonial.seeker.toString() !== userId) {
+      throw new AppError('Unauthorized to delete this testimonial.', 403);
+    }
+
+    // Check testimonial status
+    if (FINISHED_STATUSES.includes(testimonial.status)) {
+      throw new AppError('Cannot delete a completed testimonial.', 400);
+    }
+
+    // Remove associated data if any (e.g., certificates)
+    if (testimonial.certificates && testimonial.certificates.length > 0) {
+      // Implement certificate deletion logic if certificates are stored externally
+      // Example: Delete from AWS S3 or another storage service
+      testimonial.certificates.forEach((cert) => {
+        queues.exportQueue.add(
+          'deleteCertificate',
+          { url: cert.url },
+          { removeOnComplete: true }
+        );
+      });
+    }
+
+    // Remove the testimonial
+    await testimonial.deleteOne({ session });
+
+    // Log the deletion
+    await ActivityLog.create(
+      [
+        {
+          user: userId,
+          action: 'TESTIMONIAL_DELETED',
+          details: {
+            testimonialId,
+            timestamp: Date.now(),
+          },
+        },
+      ],
+      { session }
+    );
+
+    // Track metric
+    trackMetric('testimonial.deleted', 1, {
+      seekerId: testimonial.seeker,
+      userId,
+    });
+
+    // Invalidate relevant caches
+    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+    logger.info({
+      message: 'Testimonial deleted successfully.',
+      testimonialId,
+      userId,
+    });
+
+    return {
+      message: 'Testimonial deleted successfully.',
+      testimonialId,
+    };
+  }, existingSession);
+};
+
+/**
+ * Toggle or explicitly set the public visibility of a testimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} userId - ID of the user making the change.
+ * @param {Object} [options] - Visibility options.
+ * @param {boolean} [options.isPublic] - Target visibility; toggles when omitted.
+ * @param {Object} [options.session] - Session of an enclosing transaction.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If the visibility change fails.
+ */
+export const toggleTestimonialVisibility = async (
+  testimonialId,
+  userId,
+  { isPublic, session: existingSession } = {}
+) => {
+  return withTransaction(async (session) => {
+    const testimonial = await Testimonial.findById(testimonialId).session(
+      session
+    );
+    if (!testimonial) {
+      throw new AppError('Testimonial not found.', 404);
+    }
+
+    if (!FINISHED_STATUSES.includes(testimonial.status)) {
+      throw new AppError(
+        'Only completed testimonials can have visibility toggled.',
+        400
+      );
+    }
+
+    const moderationBlocker = getModerationBlocker(testimonial);
+    if (moderationBlocker) {
+      throw new AppError(moderationBlocker, 409);
+    }
+
+    testimonial.isPublic =
+      typeof isPublic === 'boolean' ? isPublic : !testimonial.isPublic;
+    testimonial.lastUpdated = Date.now();
+    testimonial.lastUpdatedBy = userId;
+    testimonial.visibilityHistory.push({
+      status: testimonial.isPublic,
+      changedBy: userId,
+      changedAt: Date.now(),
+      reason: testimonial.isPublic ? 'Made public' : 'Made private',
+    });
+
+    await testimonial.save({ session });
+
+    // Log the visibility change
+    await ActivityLog.create(
+      [
+        {
+          user: userId,
+          action: 'TESTIMONIAL_VISIBILITY_CHANGED',
+          details: {
+            testimonialId,
+            isPublic: testimonial.isPublic,
+          },
+        },
+      ],
+      { session }
+    );
+
+    // Queue notification for the seeker
+    await queues.notificationQueue.add(
+      'testimonialVisibilityChanged',
+      {
+        seekerId: testimonial.seeker,
+        testimonialId,
+        isPublic: testimonial.isPublic,
+      },
+      { priority: 3 }
+    );
+
+    // Track metric
+    trackMetric('testimonial.visibility_changed', 1, {
+      seekerId: testimonial.seeker,
+      isPublic: testimonial.isPublic,
+    });
+
+    // Invalidate relevant caches
+    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
+
+    logger.info({
+      message: 'Testimonial visibility updated successfully.',
+      testimonialId,
+      userId,
+      isPublic: testimonial.isPublic,
+    });
+
+    return testimonial;
+  }, existingSession);
+};
+
+const BULK_ACTIONS = {
+  archive: (id, userId, { reason, session }) =>
+    archiveTestimonial(id, userId, { reason, session }),
+  restore: (id, userId, { session }) =>
+    restoreTestimonial(id, userId, { session }),
+  delete: (id, userId, { session }) =>
+    deleteTestimonial(id, userId, { session }),
+  visibility: (id, userId, { isPublic, session }) =>
+    toggleTestimonialVisibility(id, userId, { isPublic, session }),
+};
+
+/**
+ * Explain why a bulk action can't be applied to a testimonial. Mirrors the
+ * checks in the single-item operations so the dry run matches the commit.
+ *
+ * @param {Object} testimonial - The testimonial document.
+ * @param {string} action - The bulk action.
+ * @param {boolean} [isPublic] - Target visibility for the visibility action.
+ * @returns {string|null} - Reason the action is blocked, or null.
+ */
+const getBulkActionBlocker = (testimonial, action, isPublic) => {
+  switch (action) {
+    case 'archive':
+      return testimonial.archived ? 'Testimonial is already archived.' : null;
+    case 'restore':
+      return testimonial.archived
+        ? getModerationBlocker(testimonial)
+        : 'Testimonial is not archived.';
+    case 'delete':
+      return FINISHED_STATUSES.includes(testimonial.status)
+        ? 'Cannot delete a completed testimonial.'
+        : null;
+    case 'visibility':
+      if (!FINISHED_STATUSES.includes(testimonial.status)) {
+        return 'Only completed testimonials can have visibility toggled.';
+      }
+      return testimonial.isPublic === isPublic
+        ? `Testimonial is already ${isPublic ? 'public' : 'private'}.`
+        : getModerationBlocker(testimonial);
+    default:
+      return 'Unsupported action.';
+  }
+};
+
+/**
+ * Archive, restore, delete or change the visibility of many of a seeker's
+ * testimonials at once. A dry run returns the per-item preview without
+ * writing; otherwise every eligible item is processed in one transaction
+ * and ineligible items are skipped.
+ *
+ * @param {string} seekerId - ID of the seeker owning the testimonials.
+ * @param {Array<string>} testimonialIds - IDs of the testimonials.
+ * @param {Object} options - Bulk action options.
+ * @param {string} options.action - 'archive', 'restore', 'delete' or 'visibility'.
+ * @param {boolean} [options.isPublic] - Target visibility for 'visibility'.
+ * @param {string} [options.reason] - Archive reason.
+ * @param {boolean} [options.dryRun=false] - Only preview the changes.
+ * @returns {Promise<Object>} - Summary and per-item outcome.
+ * @throws {AppError} - If the action is invalid or nothing can be processed.
+ */
+export const bulkTestimonialAction = async (
+  seekerId,
+  testimonialIds,
+  { action, isPublic, reason, dryRun = false }
+) => {
+  if (!BULK_ACTIONS[action]) {
+    throw new AppError('Invalid bulk action.', 400);
+  }
+  if (action === 'visibility' && typeof isPublic !== 'boolean') {
+    throw new AppError('isPublic is required for the visibility action.', 400);
+  }
+
+  const ids = [...new Set(testimonialIds.map(String))];
+  const testimonials = await Testimonial.find({
+    _id: { $in: ids },
+    seeker: seekerId,
+  })
+    .select('status archived isPublic moderation.status')
+    .lean();
+  const testimonialsById = new Map(
+    testimonials.map((t) => [t._id.toString(), t])
+  );
+
+  const items = ids.map((testimonialId) => {
+    const testimonial = testimonialsById.get(testimonialId);
+    const blocker = testimonial
+      ? getBulkActionBlocker(testimonial, action, isPublic)
+      : 'Testimonial not found.';
+    return blocker
+      ? { testimonialId, eligible: false, reason: blocker }
+      : { testimonialId, eligible: true };
+  });
+
+  const eligibleIds = items
+    .filter((item) => item.eligible)
+    .map((item) => item.testimonialId);
+  const summary = {
+    action,
+    dryRun,
+    total: ids.length,
+    eligible: eligibleIds.length,
+    skipped: ids.length - eligibleIds.length,
+  };
 
-    // Queue notification if needed
-    if (platform === 'email') {
-      queues.emailQueue.add(
-        'sendTestimonialShareEmail',
-        {
-          to: testimonial.seeker.email,
-          shareUrl,
-          testimonialId,
-        },
-        { priority: 3 }
-      );
+  if (dryRun) {
+    return { ...summary, items };
+  }
+
+  if (!eligibleIds.length) {
+    throw new AppError(
+      'None of the selected testimonials can be processed.',
+      400
+    );
+  }
+
+  await withTransaction(async (session) => {
+    // Operations sharing a session must run sequentially.
+    for (const testimonialId of eligibleIds) {
+      await BULK_ACTIONS[action](testimonialId, String(seekerId), {
+        isPublic,
+        reason,
+        session,
+      });
     }
+  });
 
-    logger.info({
-      message: 'Testimonial shared successfully.',
-      testimonialId,
-      platform,
-      shareUrl,
-    });
+  trackMetric(`testimonial.bulk_${action}`, eligibleIds.length, { seekerId });
 
-    return {
-      shareUrl,
-      shareToken,
-      expiresAt: share.expiresAt,
-    };
+  logger.info({
+    message: `Bulk ${action} completed.`,
+    seekerId,
+    processed: eligibleIds.length,
+    skipped: summary.skipped,
   });
+
+  return {
+    ...summary,
+    items: items.map((item) =>
+      item.eligible ? { ...item, processed: true } : item
+    ),
+  };
 };
 
 /**
- * Delete a testimonial with comprehensive data cleanup.
+ * Generate a signed PDF/PNG certificate for an approved testimonial.
  *
- * @param {string} testimonialId - ID of the testimonial to delete.
- * @param {string} userId - ID of the user requesting deletion.
- * @returns {Promise<Object>} - Confirmation of deletion.
- * @throws {AppError} - If deletion fails.
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} template - Name of the certificate template.
+ * @param {Object} customization - Colors, logo URL and giver IDs to include.
+ * @param {Object} requester - The requesting user ({ userId, role }).
+ * @returns {Promise<Object>} - The stored certificate with its verification URL.
+ * @throws {AppError} - If the testimonial can't be certified.
  */
-export const deleteTestimonial = async (testimonialId, userId) => {
+export const generateTestimonialCertificate = async (
+  testimonialId,
+  template = 'default',
+  customization = {},
+  requester = {}
+) => {
+  // Files are uploaded before the record is saved; remove them again if the
+  // transaction doesn't commit so they aren't left orphaned in Cloudinary
+  let certificate;
   return withTransaction(async (session) => {
-    const testimonial = await Testimonial.findById(testimonialId).session(
-      session
-    );
+    const testimonial = await Testimonial.findById(testimonialId)
+      .populate('seeker', 'firstName lastName')
+      .session(session);
     if (!testimonial) {
       throw new AppError('Testimonial not found.', 404);
     }
 
-    // Verify user permissions
-    if (testimonial.seeker.toString() !== userId) {
-      throw new AppError('Unauthorized to delete this testimonial.', 403);
+    if (
+      requester.role !== 'admin' &&
+      testimonial.seeker._id.toString() !== String(requester.userId)
+    ) {
+      throw new AppError(
+        'Unauthorized to generate a certificate for this testimonial.',
+        403
+      );
     }
 
-    // Check testimonial status
-    if (testimonial.status === 'completed') {
-      throw new AppError('Cannot delete a completed testimonial.', 400);
+    if (!FINISHED_STATUSES.includes(testimonial.status)) {
+      throw new AppError(
+        'Certificates can only be generated for approved testimonials.',
+        400
+      );
     }
 
-    // Remove associated data if any (e.g., certificates)
-    if (testimonial.certificates && testimonial.certificates.length > 0) {
-      // Implement certificate deletion logic if certificates are stored externally
-      // Example: Delete from AWS S3 or another storage service
-      testimonial.certificates.forEach((cert) => {
-        queues.exportQueue.add(
-          'deleteCertificate',
-          { url: cert.url },
-          { removeOnComplete: true }
+    const approvedGivers = testimonial.givers.filter(
+      (g) => g.isApproved && g.testimonial?.text
+    );
+    let givers = approvedGivers;
+
+    if (customization.giverIds?.length) {
+      const requestedIds = [...new Set(customization.giverIds.map(String))];
+      givers = approvedGivers.filter((g) =>
+        requestedIds.includes(g._id.toString())
+      );
+      if (givers.length !== requestedIds.length) {
+        throw new AppError(
+          'Certificates can only include approved givers of this testimonial.',
+          400
         );
-      });
+      }
     }
 
-    // Remove the testimonial
-    await testimonial.remove({ session });
+    if (!givers.length) {
+      throw new AppError(
+        'No approved giver testimonials to include in the certificate.',
+        400
+      );
+    }
 
-    // Log the deletion
-    await ActivityLog.create(
-      [
-        {
-          user: userId,
-          action: 'TESTIMONIAL_DELETED',
-          details: {
-            testimonialId,
-            timestamp: Date.now(),
-          },
-        },
-      ],
-      { session }
-    );
+    certificate = await issueCertificate({
+      testimonial,
+      givers,
+      template,
+      customization,
+      issuedBy: requester.userId,
+    });
+
+    testimonial.certificates.push(certificate);
+    await testimonial.save({ session });
 
     // Track metric
-    trackMetric('testimonial.deleted', 1, {
-      seekerId: testimonial.seeker,
-      userId,
+    trackMetric('testimonial.certificate_generated', 1, {
+      seekerId: testimonial.seeker._id,
+      template: certificate.template,
     });
 
-    // Invalidate relevant caches
-    await cache.del(`seeker_testimonials:${testimonial.seeker}`);
-
     logger.info({
-      message: 'Testimonial deleted successfully.',
+      message: 'Testimonial certificate generated successfully.',
       testimonialId,
-      userId,
+      certificateId: certificate.certificateId,
     });
 
     return {
-      message: 'Testimonial deleted successfully.',
-      testimonialId,
+      ...certificate,
+      verificationUrl: getVerificationUrl(certificate.certificateId),
     };
+  }).catch(async (error) => {
+    if (certificate) {
+      await removeCertificateFiles(certificate.certificateId);
+    }
+    throw error;
   });
 };
 
@@ -854,114 +3520,55 @@ export const getTestimonials = async (options, filters) => {
 };
 
 /**
- * Export testimonials as a CSV file.
- *
- * @param {Object} filters - Filtering criteria for export.
- * @param {string} [filters.seekerId] - ID of the seeker.
- * @param {string} [filters.status] - Status of the testimonial.
- * @param {boolean} [filters.isPublic] - Public visibility of the testimonial.
- * @returns {Promise<string>} - CSV formatted string of testimonials.
- * @throws {AppError} - If export fails.
- */
-export const exportTestimonials = async (filters) => {
-  const query = {};
-
-  if (filters.seekerId) {
-    query.seeker = filters.seekerId;
-  }
-
-  if (filters.status) {
-    query.status = filters.status;
-  }
-
-  if (typeof filters.isPublic === 'boolean') {
-    query.isPublic = filters.isPublic;
-  }
-
-  try {
-    const testimonials = await Testimonial.find(query)
-      .populate('seeker', 'firstName lastName email')
-      .exec();
-
-    const csvHeaders = [
-      'Testimonial ID',
-      'Seeker Name',
-      'Seeker Email',
-      'Status',
-      'Created At',
-      'Last Updated',
-    ];
-
-    const csvRows = testimonials.map((t) => [
-      t._id,
-      `${t.seeker.firstName} ${t.seeker.lastName}`,
-      t.seeker.email,
-      t.status,
-      t.createdAt.toISOString(),
-      t.lastUpdated.toISOString(),
-    ]);
-
-    const csvContent = [csvHeaders, ...csvRows]
-      .map((row) => row.join(','))
-      .join('\n');
-
-    logger.info(`Exported ${testimonials.length} testimonials as CSV.`);
-    return csvContent;
-  } catch (error) {
-    logger.error('Error exporting testimonials:', error);
-    throw new AppError('Failed to export testimonials.', 500);
-  }
-};
-
-/**
- * Search testimonials based on a query string.
+ * Retrieve public, non-archived testimonials with at least one approved
+ * giver, with pagination. Extra filters are merged in but can't widen the
+ * query beyond public testimonials, and each result is reduced to its
+ * public view.
  *
- * @param {string} queryStr - The search query.
- * @param {Object} options - Pagination and sorting options.
- * @param {number} options.page - Current page number.
- * @param {number} options.limit - Number of testimonials per page.
- * @returns {Promise<Object>} - Paginated search results.
- * @throws {AppError} - If search fails.
+ * @param {Object} [filters] - Additional MongoDB filters.
+ * @param {Object} [options] - Pagination and sorting options.
+ * @param {number} [options.page=1] - Current page number.
+ * @param {number} [options.limit=10] - Number of testimonials per page.
+ * @param {string} [options.sortBy='createdAt'] - Field to sort by.
+ * @param {string} [options.order='desc'] - Sort order.
+ * @returns {Promise<Object>} - Paginated public testimonials.
+ * @throws {AppError} - If retrieval fails.
  */
-export const searchTestimonials = async (queryStr, options) => {
-  const {
-    page = 1,
-    limit = 10,
-    sortBy = 'createdAt',
-    order = 'desc',
-  } = options;
-  const skip = (page - 1) * limit;
+export const getPublicTestimonials = async (filters = {}, options = {}) => {
+  const page = parseInt(options.page, 10) || 1;
+  const limit = parseInt(options.limit, 10) || 10;
+  const { sortBy = 'createdAt', order = 'desc' } = options;
+
+  const query = {
+    ...filters,
+    isPublic: true,
+    archived: { $ne: true },
+    'givers.isApproved': true,
+  };
 
   try {
-    const regex = new RegExp(queryStr, 'i');
-    const query = {
-      $or: [
-        { 'seeker.firstName': regex },
-        { 'seeker.lastName': regex },
-        { projectDetails: regex },
-        { 'givers.email': regex },
-      ],
-    };
-
     const [total, testimonials] = await Promise.all([
       Testimonial.countDocuments(query),
       Testimonial.find(query)
-        .sort({ [sortBy]: order === 'desc' ? -1 : 1 })
-        .skip(skip)
+        .select('seeker projectDetails skills givers createdAt')
+        .sort({ [sortBy]: order === 'asc' ? 1 : -1 })
+        .skip((page - 1) * limit)
         .limit(limit)
         .populate('seeker', 'firstName lastName')
-        .exec(),
+        .lean(),
     ]);
 
     return {
-      total,
-      page,
-      limit,
-      testimonials,
+      testimonials: testimonials.map(toPublicTestimonialView),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+      },
     };
   } catch (error) {
-    logger.error('Error searching testimonials:', error);
-    throw new AppError('Failed to search testimonials.', 500);
+    logger.error('Error retrieving public testimonials:', error);
+    throw new AppError('Failed to retrieve public testimonials.', 500);
   }
 };
 
@@ -1000,19 +3607,30 @@ const getAnalyticsForSeeker = async (seekerId) => {
   // This might include fetching user activity, testimonials, engagement metrics, etc.
   const analytics = {
     // Example analytics data
-    activity: await getUserActivity(seekerId),
+    activity: await ActivityLog.getUserActivity(seekerId),
     testimonials: await Testimonial.find({ seeker: seekerId }),
     // Add more relevant analytics as needed
   };
   return analytics;
 };
 
-// Modify approveTestimonial to send recommendations after approval
+/**
+ * Approve a testimonial giver's submission and publish it.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {string} giverId - ID of the giver.
+ * @param {string} reviewerId - ID of the seeker or admin approving it.
+ * @param {string} comments - Optional comments.
+ * @param {Object} [options={}] - Review options, as for `rejectTestimonial`.
+ * @returns {Promise<Object>} - Updated testimonial document.
+ * @throws {AppError} - If approval fails.
+ */
 export const approveTestimonial = async (
   testimonialId,
   giverId,
-  adminId,
-  comments = ''
+  reviewerId,
+  comments = '',
+  { seekerId } = {}
 ) => {
   const testimonial = await withTransaction(async (session) => {
     const testimonial = await Testimonial.findById(testimonialId).session(session);
@@ -1020,48 +3638,73 @@ export const approveTestimonial = async (
       throw new AppError('Testimonial not found.', 404);
     }
 
-    const giver = testimonial.givers.id(giverId);
-    if (!giver) {
-      throw new AppError('Giver not found in this testimonial.', 404);
-    }
-
-    if (giver.verificationStatus !== 'pending') {
-      throw new AppError('Testimonial has already been processed.', 400);
-    }
+    const giver = findGiverForReview(testimonial, giverId, seekerId);
 
     // Update giver status
-    giver.verificationStatus = 'approved';
-    giver.isApproved = true;
-    giver.approvalHistory.push({
-      status: 'approved',
-      approvedBy: adminId,
-      comments,
-      approvedAt: Date.now(),
-    });
+    transitionGiver(giver, 'approved');
+    recordReview(giver, 'approved', reviewerId, comments);
 
     // Check if all givers are approved
     const allApproved = testimonial.givers.every(
       (g) => g.verificationStatus === 'approved'
     );
     if (allApproved) {
-      testimonial.status = 'completed';
-      // Send personalized recommendations when all givers are approved
-      await sendPersonalizedRecommendations(testimonial.seeker);
+      const transitionOptions = {
+        actor: reviewerId,
+        actorType: seekerId ? 'seeker' : 'admin',
+        reason: 'All giver submissions approved.',
+        session,
+      };
+      await advanceCollectionStatus(
+        testimonial,
+        'completed',
+        transitionOptions
+      );
+      // Reported or archived testimonials keep their state
+      if (!testimonial.archived && testimonial.status === 'completed') {
+        await transitionTestimonial(testimonial, 'approved', transitionOptions);
+      }
+      // Send personalized recommendations when all givers are approved;
+      // failing to send them mustn't undo the approval
+      await notifySafely(sendPersonalizedRecommendations(testimonial.seeker), {
+        testimonialId,
+        giverId,
+      });
     }
 
     await testimonial.save({ session });
 
-    // Queue notification for testimonial approval
-    await queues.notificationQueue.add('testimonialApproved', {
-      seekerId: testimonial.seeker,
-      testimonialId,
-      giverEmail: giver.email,
-    });
+    // Aggregate per-skill ratings into the seeker's skills once published
+    if (giver.testimonial?.rating?.skills?.length) {
+      await Skill.recordRatings(
+        testimonial.seeker,
+        testimonial._id,
+        giver._id,
+        giver.testimonial.rating.skills,
+        { session }
+      );
+    }
+
+    await notifySafely(
+      notifyGiverReviewOutcome(
+        giver.email,
+        testimonialId,
+        'approved',
+        comments
+      ),
+      { testimonialId, giverId }
+    );
+    if (!seekerId) {
+      await notifySafely(
+        notifySeekerApproval(testimonial.seeker, testimonialId, giver.email),
+        { testimonialId, giverId }
+      );
+    }
 
     // Track metric
     trackMetric('testimonial.approved', 1, {
       seekerId: testimonial.seeker,
-      adminId,
+      reviewerId,
     });
 
     // Invalidate relevant caches
@@ -1071,7 +3714,7 @@ export const approveTestimonial = async (
       message: 'Testimonial approved successfully.',
       testimonialId,
       giverId,
-      adminId,
+      reviewerId,
     });
 
     return testimonial;
@@ -1080,6 +3723,189 @@ export const approveTestimonial = async (
   return testimonial;
 };
 
+const BULK_PROCESS_CHUNK_SIZE = 25;
+const BULK_PROCESS_ACTIONS = {
+  approve: approveTestimonial,
+  reject: rejectTestimonial,
+};
+
+/**
+ * Queue a bulk approve/reject of every pending giver submission on the
+ * given testimonials.
+ *
+ * @param {Array<string>} testimonialIds - IDs of the testimonials.
+ * @param {Object} options - Bulk processing options.
+ * @param {string} options.action - 'approve' or 'reject'.
+ * @param {string} [options.reason] - Comments recorded in the approval history.
+ * @param {string} options.adminId - ID of the admin performing the action.
+ * @returns {Promise<Object>} - The queued job ID and item count.
+ * @throws {AppError} - If the action is invalid.
+ */
+export const bulkProcessTestimonials = async (
+  testimonialIds,
+  { action, reason = '', adminId }
+) => {
+  if (!BULK_PROCESS_ACTIONS[action]) {
+    throw new AppError('Invalid action for bulk processing.', 400);
+  }
+
+  const uniqueIds = [...new Set(testimonialIds.map(String))];
+
+  const job = await queues.testimonialQueue.add(
+    'bulkProcessTestimonials',
+    { testimonialIds: uniqueIds, action, reason, adminId },
+    // Items are not idempotent (a processed giver can't be re-approved), so
+    // the job is never retried as a whole; failures are reported per item.
+    { attempts: 1 }
+  );
+
+  trackMetric('testimonial.bulk_process_queued', uniqueIds.length, {
+    action,
+    adminId,
+  });
+
+  logger.info({
+    message: `Bulk ${action} queued.`,
+    jobId: job.id,
+    count: uniqueIds.length,
+    adminId,
+  });
+
+  return {
+    jobId: job.id,
+    total: uniqueIds.length,
+    message: `Bulk ${action} of ${uniqueIds.length} testimonial(s) queued.`,
+  };
+};
+
+/**
+ * Run the giver submissions awaiting review in one testimonial through
+ * approveTestimonial/rejectTestimonial.
+ *
+ * @param {string} testimonialId - ID of the testimonial.
+ * @param {Object} options - Bulk processing options.
+ * @returns {Promise<Array<Object>>} - One result per giver.
+ */
+const processBulkItem = async (testimonialId, { action, reason, adminId }) => {
+  const testimonial = await Testimonial.findById(testimonialId)
+    .select('givers._id givers.verificationStatus')
+    .lean();
+
+  if (!testimonial) {
+    return [{ testimonialId, success: false, error: 'Testimonial not found.' }];
+  }
+
+  const pendingGivers = testimonial.givers.filter(
+    (g) => g.verificationStatus === 'pending_review'
+  );
+  if (!pendingGivers.length) {
+    return [
+      {
+        testimonialId,
+        success: false,
+        error: 'No giver submissions awaiting review.',
+      },
+    ];
+  }
+
+  const results = [];
+  // Givers of the same testimonial are processed sequentially to avoid
+  // conflicting transactions on the same document.
+  for (const giver of pendingGivers) {
+    const giverId = giver._id.toString();
+    try {
+      await BULK_PROCESS_ACTIONS[action](
+        testimonialId,
+        giverId,
+        adminId,
+        reason
+      );
+      results.push({ testimonialId, giverId, success: true });
+    } catch (error) {
+      results.push({
+        testimonialId,
+        giverId,
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+  return results;
+};
+
+/**
+ * Process a queued bulk approve/reject job in chunks.
+ *
+ * @param {Object} job - The BullMQ job.
+ * @returns {Promise<Object>} - Summary and per-item results.
+ */
+export const processBulkTestimonialsJob = async (job) => {
+  const { testimonialIds, action, reason, adminId } = job.data;
+  const results = [];
+
+  for (let i = 0; i < testimonialIds.length; i += BULK_PROCESS_CHUNK_SIZE) {
+    const chunk = testimonialIds.slice(i, i + BULK_PROCESS_CHUNK_SIZE);
+    const chunkResults = await Promise.all(
+      chunk.map((testimonialId) =>
+        processBulkItem(testimonialId, { action, reason, adminId }).catch(
+          (error) => [{ testimonialId, success: false, error: error.message }]
+        )
+      )
+    );
+    results.push(...chunkResults.flat());
+
+    await job.updateProgress(
+      Math.round(((i + chunk.length) / testimonialIds.length) * 100)
+    );
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+  const summary = {
+    action,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+  };
+
+  trackMetric(`testimonial.bulk_${action}`, succeeded, { adminId });
+
+  logger.info({
+    message: `Bulk ${action} completed.`,
+    jobId: job.id,
+    ...summary,
+  });
+
+  return { ...summary, results };
+};
+
+/**
+ * Get the status of a bulk approve/reject job.
+ *
+ * @param {string} jobId - ID of the bulk job.
+ * @returns {Promise<Object>} - Job state, progress and results when finished.
+ * @throws {AppError} - If the job doesn't exist.
+ */
+export const getBulkProcessStatus = async (jobId) => {
+  const job = await queues.testimonialQueue.getJob(jobId);
+  if (!job || job.name !== 'bulkProcessTestimonials') {
+    throw new AppError('Bulk processing job not found.', 404);
+  }
+
+  const state = await job.getState();
+
+  return {
+    jobId: job.id,
+    state,
+    action: job.data.action,
+    total: job.data.testimonialIds.length,
+    progress: job.progress || 0,
+    result: state === 'completed' ? job.returnvalue : null,
+    failedReason: state === 'failed' ? job.failedReason : null,
+    createdAt: new Date(job.timestamp),
+    finishedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  };
+};
+
 /**
  * Retrieve testimonials for a specific seeker with advanced filtering and pagination options.
  *
@@ -1158,7 +3984,7 @@ export const getTestimonialsForSeeker = async (
       total,
       approved: await Testimonial.countDocuments({
         ...query,
-        status: 'completed',
+        status: { $in: FINISHED_STATUSES },
       }),
       pending: await Testimonial.countDocuments({
         ...query,
@@ -1193,18 +4019,46 @@ export const getTestimonialsForSeeker = async (
 
 export default {
   createTestimonialRequest,
+  assertGiverLinkOpen,
+  validateGiverSubmission,
   submitTestimonial,
   approveTestimonial,
   rejectTestimonial,
+  requestTestimonialChanges,
+  settleScreenedSubmission,
+  reinstateRejectedSubmission,
+  bulkProcessTestimonials,
+  processBulkTestimonialsJob,
+  getBulkProcessStatus,
+  scheduleGiverReminders,
+  processGiverRemindersJob,
+  updateGiverReminderStatus,
+  reissueGiverToken,
+  getGiverPortal,
+  toGiverSubmissionView,
+  saveGiverDraft,
+  getQuestionnaireResults,
+  summarizeQuestionnaire,
+  requestGiverEditLink,
+  assertGiverEditLinkValid,
+  getGiverEditPortal,
+  submitTestimonialRevision,
+  getTestimonialRevisions,
+  approveTestimonialRevision,
+  rejectTestimonialRevision,
   reportTestimonial,
   archiveTestimonial,
   restoreTestimonial,
   shareTestimonial,
+  getSharedTestimonial,
+  revokeShareToken,
+  generateTestimonialCertificate,
   deleteTestimonial,
+  toggleTestimonialVisibility,
+  bulkTestimonialAction,
   enqueueAnalyticsUpdate,
   getTestimonials,
-  exportTestimonials,
-  searchTestimonials,
+  getPublicTestimonials,
   sendPersonalizedRecommendations,
   getTestimonialsForSeeker,
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+// src/services/testimonialStateService.js
+
+import { EventEmitter } from 'events';
+import ActivityLog from '../models/ActivityLog.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Allowed moves between testimonial states. Archiving is tracked by the
+ * `archived` flag rather than `status`, so `restored` returns a testimonial
+ * to whatever status it had when it was archived.
+ */
+export const TESTIMONIAL_TRANSITIONS = {
+  pending: ['in-progress', 'completed', 'reported', 'archived'],
+  'in-progress': ['completed', 'reported', 'archived'],
+  completed: ['approved', 'reported', 'archived'],
+  approved: ['reported', 'archived'],
+  // Resolving a report puts the testimonial back where it was
+  reported: ['pending', 'in-progress', 'completed', 'approved', 'archived'],
+  archived: ['restored'],
+};
+
+const HISTORY_ACTIONS = {
+  archived: 'archive',
+  restored: 'restore',
+};
+
+const ACTIVITY_ACTIONS = {
+  archived: 'TESTIMONIAL_ARCHIVED',
+  restored: 'TESTIMONIAL_RESTORED',
+  reported: 'TESTIMONIAL_REPORTED',
+};
+
+/**
+ * Domain events for testimonial state changes. Every transition emits
+ * `testimonial.transitioned` and `testimonial.<state>` (for example
+ * `testimonial.reported`) with the transition record. Events fire only
+ * once the transition is committed.
+ */
+export const testimonialEvents = new EventEmitter();
+
+// Transitions made inside a transaction, emitted once it commits
+const pendingEvents = new WeakMap();
+
+/**
+ * Emit the events for one transition. A failing subscriber is logged and
+ * never affects the transition itself.
+ *
+ * @param {Object} transition - Transition record.
+ */
+const emitTransition = (transition) => {
+  for (const event of [
+    'testimonial.transitioned',
+    `testimonial.${transition.to}`,
+  ]) {
+    try {
+      testimonialEvents.emit(event, transition);
+    } catch (error) {
+      logger.error('❌ Testimonial event subscriber failed:', {
+        event,
+        testimonialId: transition.testimonialId,
+        error: error.message,
+      });
+    }
+  }
+};
+
+/**
+ * Subscribe to a testimonial event. Handlers may be async; errors they
+ * throw are logged instead of reaching the emitter.
+ *
+ * @param {string} event - Event name, e.g. `testimonial.reported`.
+ * @param {Function} handler - Called with the transition record.
+ * @returns {Function} - Unsubscribes the handler.
+ */
+export const onTestimonialEvent = (event, handler) => {
+  const listener = (transition) => {
+    Promise.resolve()
+      .then(() => handler(transition))
+      .catch((error) =>
+        logger.error('❌ Testimonial event subscriber failed:', {
+          event,
+          testimonialId: transition.testimonialId,
+          error: error.message,
+        })
+      );
+  };
+
+  testimonialEvents.on(event, listener);
+  return () => testimonialEvents.off(event, listener);
+};
+
+/**
+ * Get the state a testimonial is in for the purpose of transitions.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @returns {string} - `archived` or the testimonial's status.
+ */
+export const getTestimonialState = (testimonial) =>
+  testimonial.archived ? 'archived' : testimonial.status;
+
+/**
+ * Move a testimonial to another state, recording who did it and why in
+ * `moderation.history` and the actor's activity log. The caller saves the
+ * testimonial; moving to the state it's already in does nothing.
+ *
+ * @param {Object} testimonial - Testimonial document.
+ * @param {string} to - Target state, a status or `archived`/`restored`.
+ * @param {Object} [options={}] - Transition options.
+ * @param {string} [options.actor] - ID of the user making the change.
+ * @param {string} [options.actorType='system'] - Who made the change, e.g.
+ *   'seeker', 'admin', 'giver', 'reporter' or 'system'.
+ * @param {string} [options.reason] - Why the change was made.
+ * @param {Object} [options.session] - Session of the enclosing transaction.
+ *   Events are held until `flushTestimonialEvents` is called for it.
+ * @returns {Promise<Object|null>} - Transition record, or null if the
+ *   testimonial was already in that state.
+ * @throws {AppError} - If the move isn't allowed from the current state.
+ */
+export const transitionTestimonial = async (
+  testimonial,
+  to,
+  { actor, actorType = 'system', reason, session } = {}
+) => {
+  const from = getTestimonialState(testimonial);
+  if (from === to) return null;
+
+  if (!TESTIMONIAL_TRANSITIONS[from]?.includes(to)) {
+    throw new AppError(
+      `Testimonial cannot move from "${from}" to "${to}".`,
+      409
+    );
+  }
+
+  if (to === 'archived') {
+    testimonial.archived = true;
+  } else if (to === 'restored') {
+    testimonial.archived = false;
+  } else {
+    testimonial.status = to;
+  }
+
+  const transition = {
+    testimonialId: testimonial._id,
+    seekerId: testimonial.seeker?._id || testimonial.seeker,
+    from,
+    to,
+    actor,
+    actorType,
+    reason,
+    at: new Date(),
+  };
+
+  testimonial.moderation.history.push({
+    action: HISTORY_ACTIONS[to] || 'status_change',
+    from,
+    to,
+    actor,
+    actorType,
+    reason,
+    at: transition.at,
+  });
+
+  if (actor) {
+    await ActivityLog.create(
+      [
+        {
+          user: actor,
+          action: ACTIVITY_ACTIONS[to] || 'TESTIMONIAL_STATUS_CHANGED',
+          details: {
+            testimonialId: testimonial._id,
+            from,
+            to,
+            reason,
+          },
+        },
+      ],
+      { session }
+    );
+  }
+
+  if (session) {
+    if (!pendingEvents.has(session)) pendingEvents.set(session, []);
+    pendingEvents.get(session).push(transition);
+  } else {
+    emitTransition(transition);
+  }
+
+  logger.info({
+    message: 'Testimonial transitioned.',
+    testimonialId: testimonial._id,
+    from,
+    to,
+    actorType,
+  });
+
+  return transition;
+};
+
+/**
+ * Emit the events held for a transaction. Call once it has committed.
+ *
+ * @param {Object} session - Committed session.
+ */
+export const flushTestimonialEvents = (session) => {
+  const transitions = pendingEvents.get(session) || [];
+  pendingEvents.delete(session);
+  transitions.forEach(emitTransition);
+};
+
+/**
+ * Drop the events held for a transaction that was aborted.
+ *
+ * @param {Object} session - Aborted session.
+ */
+export const discardTestimonialEvents = (session) => {
+  pendingEvents.delete(session);
+};
+
+export default {
+  TESTIMONIAL_TRANSITIONS,
+  testimonialEvents,
+  onTestimonialEvent,
+  getTestimonialState,
+  transitionTestimonial,
+  flushTestimonialEvents,
+  discardTestimonialEvents,
+};
@@ -17,6 +17,22 @@ import crypto from 'crypto';
 import { nanoid } from 'nanoid';
 import { withTransaction } from '../utils/transaction.js'; // Ensure this utility exists
 import Testimonial from '../models/Testimonial.js'; // Added missing import
+import Goal from '../models/Goal.js';
+import Notification from '../models/Notification.js';
+import Skill from '../models/Skills.js';
+import WidgetKey from '../models/WidgetKey.js';
+import RequestTemplate from '../models/RequestTemplate.js';
+import { revokeAllTokens } from './tokenService.js';
+import { removeStoredMedia } from './mediaService.js';
+import { removeCertificateFiles } from './certificateService.js';
+import { queues } from '../jobs/queues.js';
+import { emailTemplates } from '../utils/emailTemplates.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import archiver from 'archiver';
+import { cloudinary, uploadFileToCloudinary } from '../config/cloudinary.js';
 
 /**
  * Retrieve the current user's information.
@@ -262,16 +278,187 @@ export const updateUserSettings = async (userId, settings) => {
   }
 };
 
+const ACCOUNT_DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
 /**
- * Delete user account with comprehensive data cleanup.
+ * Schedule account deletion after a grace period. Every session is signed
+ * out; logging back in before `scheduledFor` cancels the deletion.
+ *
+ * @param {string} userId - ID of the user.
+ * @param {Object} [options={}] - Deletion options.
+ * @param {string} [options.reason] - Why the user is leaving.
+ * @returns {Promise<Object>} - When the account will be deleted.
+ * @throws {AppError} - If the user isn't found.
  */
-export const deleteUserAccount = async (userId) => {
-  return withTransaction(async (session) => {
-    const user = await User.findById(userId).session(session);
-    if (!user) {
-      throw new AppError('User not found.', 404);
+export const deleteUserAccount = async (userId, { reason } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found.', 404);
+  }
+
+  if (user.deletion?.scheduledFor) {
+    return { scheduledFor: user.deletion.scheduledFor };
+  }
+
+  const requestedAt = new Date();
+  const scheduledFor = new Date(
+    requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+  user.deletion = {
+    requestedAt,
+    scheduledFor,
+    reason: reason ? sanitizeInput(reason) : undefined,
+  };
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllTokens(userId);
+
+  await ActivityLog.create({
+    user: userId,
+    action: 'ACCOUNT_DELETION_SCHEDULED',
+    details: { timestamp: Date.now(), scheduledFor },
+  });
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Account Is Scheduled for Deletion',
+    html: emailTemplates.accountDeletionScheduled(user.firstName, scheduledFor),
+  }).catch((error) =>
+    logger.warn('Failed to send account deletion notice:', {
+      userId,
+      error: error.message,
+    })
+  );
+
+  trackMetric('user.account_deletion_scheduled', 1, { userId });
+
+  logger.info(`User account deletion scheduled: ${userId}`);
+
+  return { scheduledFor };
+};
+
+/**
+ * Cancel a pending account deletion. Called whenever the user logs in
+ * during the grace period.
+ *
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<boolean>} - Whether a pending deletion was cancelled.
+ */
+export const cancelAccountDeletion = async (userId) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'deletion.scheduledFor': { $gt: new Date() } },
+    { $unset: { deletion: 1 } }
+  );
+  if (!user) return false;
+
+  await ActivityLog.create({
+    user: userId,
+    action: 'ACCOUNT_DELETION_CANCELLED',
+    details: { timestamp: Date.now() },
+  });
+
+  trackMetric('user.account_deletion_cancelled', 1, { userId });
+
+  logger.info(`User account deletion cancelled: ${userId}`);
+
+  return true;
+};
+
+/**
+ * Queue the recurring sweep that deletes accounts whose grace period has
+ * ended.
+ *
+ * @returns {Promise<void>}
+ */
+export const scheduleAccountDeletionSweep = async () => {
+  await queues.accountQueue.add(
+    'purgeDeletedAccounts',
+    {},
+    {
+      repeat: { cron: process.env.ACCOUNT_DELETION_CRON || '0 3 * * *' },
+      attempts: 1,
     }
+  );
+  logger.info('⏰ Account deletion sweep scheduled.');
+};
 
+/**
+ * Permanently delete an account whose grace period has ended.
+ *
+ * Testimonials the user gave stay with the seekers who requested them but
+ * are anonymized. Everything the user owns is removed, including the
+ * testimonials they received along with their stored media and
+ * certificate files, and a tombstone entry records the deletion.
+ *
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<boolean>} - Whether the account was deleted. False if
+ *   the deletion was cancelled or isn't due yet.
+ */
+export const purgeUserAccount = async (userId) => {
+  const now = new Date();
+  const pending = await User.exists({
+    _id: userId,
+    'deletion.scheduledFor': { $lte: now },
+  });
+  if (!pending) return false;
+
+  // Not transactional; must run before the user document is removed
+  await revokeAllTokens(userId);
+
+  const result = await withTransaction(async (session) => {
+    // Re-check inside the transaction in case the user just logged in
+    const user = await User.findOne({
+      _id: userId,
+      'deletion.scheduledFor': { $lte: now },
+    }).session(session);
+    if (!user) return null;
+
+    const anonymized = await Testimonial.updateMany(
+      { 'givers.email': user.email },
+      {
+        $set: {
+          'givers.$[giver].email': `deleted-${crypto
+            .createHash('sha256')
+            .update(user.email)
+            .digest('hex')
+            .slice(0, 16)}@deleted.invalid`,
+          'givers.$[giver].anonymizedAt': now,
+        },
+        $unset: {
+          'givers.$[giver].name': '',
+          'givers.$[giver].company': '',
+          'givers.$[giver].relationship': '',
+          'givers.$[giver].verificationToken': '',
+          'givers.$[giver].editTokenHash': '',
+          'givers.$[giver].draft': '',
+        },
+      },
+      { arrayFilters: [{ 'giver.email': user.email }], session }
+    );
+
+    // Note the files of the testimonials being deleted; they're removed
+    // once the deletion is committed
+    const received = await Testimonial.find({ seeker: userId })
+      .select('givers.media givers.revisions.media certificates.certificateId')
+      .session(session)
+      .lean();
+    const media = received.flatMap((testimonial) =>
+      testimonial.givers.flatMap((giver) => [
+        ...(giver.media || []),
+        ...(giver.revisions || []).flatMap((revision) => revision.media || []),
+      ])
+    );
+    const certificateIds = received.flatMap((testimonial) =>
+      (testimonial.certificates || []).map((c) => c.certificateId)
+    );
+
+    await Testimonial.deleteMany({ seeker: userId }).session(session);
+    await WidgetKey.deleteMany({ seeker: userId }).session(session);
+    await RequestTemplate.deleteMany({ seeker: userId }).session(session);
+    await Goal.deleteMany({ user: userId }).session(session);
+    await Skill.deleteMany({ user: userId }).session(session);
+    await Notification.deleteMany({ user: userId }).session(session);
     await UserPreference.deleteOne({ user: userId }).session(session);
     await UserSetting.deleteOne({ user: userId }).session(session);
 
@@ -280,57 +467,485 @@ export const deleteUserAccount = async (userId) => {
       { $set: { archived: true, archivedAt: Date.now() } }
     ).session(session);
 
-    await user.remove({ session });
+    await user.deleteOne({ session });
 
+    // Tombstone: proof of deletion without personal data
     await ActivityLog.create(
       [
         {
           user: userId,
           action: 'ACCOUNT_DELETED',
-          details: { timestamp: Date.now() },
+          details: {
+            timestamp: Date.now(),
+            requestedAt: user.deletion.requestedAt,
+            anonymizedTestimonials: anonymized.modifiedCount,
+          },
         },
       ],
       { session }
     );
 
-    trackMetric('user.account_deleted', 1, { userId });
+    return {
+      email: user.email,
+      firstName: user.firstName,
+      media,
+      certificateIds,
+    };
+  });
+  if (!result) return false;
+
+  // Revisions share media with the version they replaced, so each file is
+  // removed once; failures are logged by the cleanup helpers
+  await removeStoredMedia([
+    ...new Map(result.media.map((entry) => [entry.url, entry])).values(),
+  ]);
+  await Promise.all(
+    [...new Set(result.certificateIds.filter(Boolean))].map(
+      removeCertificateFiles
+    )
+  );
 
-    logger.info(`User account deleted: ${userId}`);
+  await sendEmail({
+    to: result.email,
+    subject: 'Your Account Has Been Deleted',
+    html: emailTemplates.accountDeletion(result.firstName),
+  }).catch((error) =>
+    logger.warn('Failed to send account deletion confirmation:', {
+      userId,
+      error: error.message,
+    })
+  );
 
-    return { message: 'User account deleted successfully.' };
-  });
+  trackMetric('user.account_deleted', 1, { userId });
+
+  logger.info(`User account deleted: ${userId}`);
+
+  return true;
+};
+
+/**
+ * Delete every account whose grace period has ended (accountQueue worker).
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<Object>} - Number of accounts deleted and failed.
+ */
+export const processAccountDeletionsJob = async (job) => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+  })
+    .select('_id')
+    .lean();
+
+  let deleted = 0;
+  let failed = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeUserAccount(_id)) deleted += 1;
+    } catch (error) {
+      // Leave it scheduled so the next sweep retries it
+      failed += 1;
+      logger.error(`❌ Failed to delete account ${_id}:`, error);
+    }
+  }
+
+  if (due.length) {
+    logger.info({
+      message: 'Account deletion sweep finished.',
+      jobId: job.id,
+      deleted,
+      failed,
+    });
+  }
+
+  return { deleted, failed };
+};
+
+// Archives are built by the export worker and stored as private Cloudinary
+// files, so the API can serve them wherever the worker runs. They're
+// deleted once the emailed link expires; each download gets a Cloudinary
+// URL signed for USER_EXPORT_DOWNLOAD_URL_TTL_SECONDS.
+const USER_EXPORT_FOLDER = 'user-exports';
+const USER_EXPORT_TTL_MS =
+  (parseInt(process.env.USER_EXPORT_TTL_HOURS, 10) || 48) * 60 * 60 * 1000;
+const USER_EXPORT_DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+const USER_EXPORT_FILE_PATTERN = /^user-data-[a-f0-9]{24}-[\w-]{16}\.zip$/;
+
+/**
+ * Fields of a seeker's own testimonials that go into their export. Other
+ * users' identifiers, link credentials, moderation records and request
+ * metadata are left out.
+ */
+const RECEIVED_TESTIMONIAL_EXPORT_FIELDS = [
+  'projectDetails',
+  'requestedSkills',
+  'promptQuestions',
+  'questions',
+  'questionnaireSummary',
+  'requestEmail.emailSubject',
+  'requestEmail.emailBody',
+  'status',
+  'isPublic',
+  'archived',
+  'archivedAt',
+  'archiveReason',
+  'moderation.status',
+  'skills',
+  'categories',
+  'sentimentScore',
+  'certificates.certificateId',
+  'certificates.url',
+  'certificates.pngUrl',
+  'certificates.generatedAt',
+  'certificates.template',
+  'certificates.revoked',
+  'certificates.revokedAt',
+  'shares.platform',
+  'shares.sharedAt',
+  'shares.expiresAt',
+  'shares.views',
+  'shares.revoked',
+  'givers.name',
+  'givers.email',
+  'givers.company',
+  'givers.relationship',
+  'givers.verificationStatus',
+  'givers.testimonial',
+  'givers.answers',
+  'givers.skills',
+  'givers.media.url',
+  'givers.media.type',
+  'givers.media.caption',
+  'givers.media.thumbnail',
+  'givers.isApproved',
+  'givers.version',
+  'givers.submittedAt',
+  'createdAt',
+  'updatedAt',
+].join(' ');
+
+/**
+ * Sections of the personal data archive, in manifest order.
+ */
+const USER_EXPORT_SECTIONS = {
+  profile: 'Your account profile',
+  preferences: 'Notification, privacy and display preferences',
+  settings: 'Account settings',
+  goals: 'Career goals and their milestones',
+  skills: 'Skills, endorsements and ratings',
+  notifications: 'Notifications sent to you',
+  activityLogs: 'Account activity history',
+  testimonialsReceived: 'Testimonials you requested and received',
+  testimonialsGiven: 'Testimonials you were asked for or wrote for others',
+};
+
+/**
+ * Sign a personal data download so the link can't be altered or reused
+ * after it expires.
+ *
+ * @param {string} fileName - Archive file name.
+ * @param {number} expires - Expiry as a Unix timestamp in milliseconds.
+ * @returns {string} - Hex-encoded HMAC-SHA256 signature.
+ * @throws {AppError} - If no signing secret is configured.
+ */
+const signUserExport = (fileName, expires) => {
+  const secret = process.env.USER_EXPORT_SECRET;
+  if (!secret) {
+    throw new AppError('User data exports are not configured.', 500);
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${fileName}.${expires}`)
+    .digest('hex');
+};
+
+/**
+ * Remove a giver's link credentials and unsubmitted draft before export.
+ *
+ * @param {Object} giver - Giver subdocument.
+ * @returns {Object} - Giver without secrets.
+ */
+const stripGiverSecrets = ({
+  verificationToken,
+  verificationTokenExpiry,
+  editTokenHash,
+  editTokenExpiry,
+  draft,
+  ...giver
+}) => giver;
+
+/**
+ * Gather everything stored about a user, one entry per archive section.
+ *
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<Object>} - Section name to records.
+ * @throws {AppError} - If the user isn't found.
+ */
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select('-password').lean();
+  if (!user) {
+    throw new AppError('User not found.', 404);
+  }
+
+  const [
+    preferences,
+    settings,
+    goals,
+    skills,
+    notifications,
+    activityLogs,
+    testimonialsReceived,
+    testimonialsGiven,
+  ] = await Promise.all([
+    UserPreference.findOne({ user: userId }).lean(),
+    UserSetting.findOne({ user: userId }).lean(),
+    Goal.find({ user: userId }).lean(),
+    Skill.find({ user: userId }).lean(),
+    Notification.find({ user: userId }).lean(),
+    ActivityLog.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Testimonial.find({ seeker: userId })
+      .select(RECEIVED_TESTIMONIAL_EXPORT_FIELDS)
+      .lean(),
+    Testimonial.find({ 'givers.email': user.email })
+      .populate('seeker', 'firstName lastName')
+      .select('seeker projectDetails requestedSkills givers createdAt')
+      .lean(),
+  ]);
+
+  return {
+    profile: user,
+    preferences,
+    settings,
+    goals,
+    skills,
+    notifications,
+    activityLogs,
+    testimonialsReceived,
+    // Only the user's own giver entry; other givers' content isn't theirs
+    testimonialsGiven: testimonialsGiven.map((testimonial) => ({
+      testimonialId: testimonial._id,
+      requestedBy: testimonial.seeker
+        ? `${testimonial.seeker.firstName} ${testimonial.seeker.lastName}`
+        : null,
+      projectDetails: testimonial.projectDetails,
+      requestedSkills: testimonial.requestedSkills,
+      requestedAt: testimonial.createdAt,
+      entry: stripGiverSecrets(
+        testimonial.givers.find((giver) => giver.email === user.email)
+      ),
+    })),
+  };
 };
 
 /**
- * Export user data for GDPR compliance.
+ * Export user data for GDPR compliance as a zip archive with one JSON file
+ * per section and a manifest, and create a signed, time-limited download
+ * link for it. The archive is written to a temp file, uploaded as a private
+ * Cloudinary file and scheduled for deletion when the link expires.
+ *
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<Object>} - Archive file name, download URL and expiry.
+ * @throws {AppError} - If the user isn't found or the export fails.
  */
 export const exportUserData = async (userId) => {
+  const fileName = `user-data-${userId}-${nanoid(16)}.zip`;
+  const tempPath = path.join(os.tmpdir(), fileName);
+
   try {
-    const user = await User.findById(userId).select('-password').lean();
-    const testimonials = await Testimonial.find({ seeker: userId }).lean();
+    const data = await collectUserData(userId);
+    const generatedAt = new Date();
+    const expires = generatedAt.getTime() + USER_EXPORT_TTL_MS;
+
+    const output = fs.createWriteStream(tempPath);
+    const closed = once(output, 'close');
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('warning', (error) =>
+      logger.warn('User export archive warning:', { error: error.message })
+    );
+    archive.pipe(output);
+
+    const files = Object.entries(USER_EXPORT_SECTIONS).map(
+      ([section, description]) => {
+        const records = data[section];
+        archive.append(JSON.stringify(records ?? null, null, 2), {
+          name: `${section}.json`,
+        });
+        return {
+          file: `${section}.json`,
+          description,
+          records: Array.isArray(records) ? records.length : records ? 1 : 0,
+        };
+      }
+    );
 
-    const data = {
-      user,
-      testimonials,
-    };
+    archive.append(
+      JSON.stringify(
+        {
+          formatVersion: '1.0',
+          userId,
+          generatedAt,
+          expiresAt: new Date(expires),
+          files,
+        },
+        null,
+        2
+      ),
+      { name: 'manifest.json' }
+    );
+
+    await archive.finalize();
+    await closed;
+
+    // Raw Cloudinary files keep their extension in the public ID
+    const { public_id: publicId } = await uploadFileToCloudinary(tempPath, {
+      resource_type: 'raw',
+      type: 'authenticated',
+      folder: USER_EXPORT_FOLDER,
+      public_id: fileName,
+    });
+    await queues.exportQueue.add(
+      'removeUserDataExport',
+      { publicId },
+      { delay: USER_EXPORT_TTL_MS, removeOnComplete: true }
+    );
 
     await ActivityLog.create({
       user: userId,
       action: 'USER_DATA_EXPORTED',
-      details: { timestamp: Date.now() },
+      details: { timestamp: Date.now(), fileName },
     });
 
     trackMetric('user.data_exported', 1, { userId });
 
     logger.info(`User data exported for user ${userId}.`);
 
-    return data;
+    const query = new URLSearchParams({
+      file: fileName,
+      expires: String(expires),
+      signature: signUserExport(fileName, expires),
+    });
+    return {
+      fileName,
+      expiresAt: new Date(expires),
+      downloadUrl: `${process.env.SERVER_URL}/api/v1/users/export-data/download?${query}`,
+    };
   } catch (error) {
     logger.error(`Error exporting data for user ${userId}:`, error);
-    throw new AppError('Failed to export user data.', 500);
+    throw error instanceof AppError
+      ? error
+      : new AppError('Failed to export user data.', 500);
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
   }
 };
 
+/**
+ * Delete a stored personal data archive once its download link has
+ * expired (exportQueue worker).
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<void>}
+ */
+export const removeUserDataExportJob = async (job) => {
+  await cloudinary.uploader.destroy(job.data.publicId, {
+    resource_type: 'raw',
+    type: 'authenticated',
+    invalidate: true,
+  });
+
+  logger.info({
+    message: 'Expired user data export removed.',
+    publicId: job.data.publicId,
+  });
+};
+
+/**
+ * Queue a personal data export. The user is emailed a download link when
+ * it's ready.
+ *
+ * @param {string} userId - ID of the user.
+ * @returns {Promise<Object>} - Job ID.
+ */
+export const requestUserDataExport = async (userId) => {
+  const job = await queues.exportQueue.add('exportUserData', { userId });
+  return { jobId: job.id };
+};
+
+/**
+ * Build a personal data export and email the download link (exportQueue
+ * worker).
+ *
+ * @param {Object} job - BullMQ job.
+ * @returns {Promise<Object>} - Archive file name and expiry.
+ */
+export const processUserDataExportJob = async (job) => {
+  const { userId } = job.data;
+  const { fileName, expiresAt, downloadUrl } = await exportUserData(userId);
+
+  const user = await User.findById(userId).select('email').lean();
+  await sendEmail({
+    to: user.email,
+    subject: 'Your Data Export Is Ready',
+    html: emailTemplates.dataExportReady(downloadUrl, expiresAt),
+  });
+
+  return { fileName, expiresAt };
+};
+
+/**
+ * Resolve a signed personal data download link to a short-lived download
+ * URL for its archive.
+ *
+ * @param {Object} link - Query parameters from the download link.
+ * @param {string} link.file - Archive file name.
+ * @param {string} link.expires - Expiry as a Unix timestamp in milliseconds.
+ * @param {string} link.signature - Link signature.
+ * @returns {Promise<Object>} - Signed download URL and download name.
+ * @throws {AppError} - If the link is invalid or expired.
+ */
+export const getUserDataExportFile = async ({ file, expires, signature }) => {
+  const expiresAt = Number(expires);
+  if (
+    typeof file !== 'string' ||
+    !USER_EXPORT_FILE_PATTERN.test(file) ||
+    !Number.isInteger(expiresAt) ||
+    typeof signature !== 'string'
+  ) {
+    throw new AppError('Invalid download link.', 400);
+  }
+
+  const expected = Buffer.from(signUserExport(file, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    throw new AppError('Invalid download link.', 403);
+  }
+
+  if (Date.now() > expiresAt) {
+    throw new AppError(
+      'This download link has expired. Please request a new export.',
+      410
+    );
+  }
+
+  return {
+    downloadUrl: cloudinary.utils.private_download_url(
+      `${USER_EXPORT_FOLDER}/${file}`,
+      '',
+      {
+        resource_type: 'raw',
+        type: 'authenticated',
+        attachment: true,
+        expires_at:
+          Math.floor(Date.now() / 1000) + USER_EXPORT_DOWNLOAD_URL_TTL_SECONDS,
+      }
+    ),
+    fileName: 'my-data.zip',
+  };
+};
+
 /**
  * Initiate password reset by sending a reset email.
  */
@@ -594,7 +1209,15 @@ export default {
   updateUserPreferences,
   updateUserSettings,
   deleteUserAccount,
+  cancelAccountDeletion,
+  scheduleAccountDeletionSweep,
+  purgeUserAccount,
+  processAccountDeletionsJob,
   exportUserData,
+  requestUserDataExport,
+  processUserDataExportJob,
+  removeUserDataExportJob,
+  getUserDataExportFile,
   initiatePasswordReset,
   resetPassword,
   uploadProfilePicture,
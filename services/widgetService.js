@@ -0,0 +1,319 @@
+// src/services/widgetService.js
+
+import crypto from 'crypto';
+import { nanoid } from 'nanoid';
+import WidgetKey, { WIDGET_LAYOUTS } from '../models/WidgetKey.js';
+import Testimonial from '../models/Testimonial.js';
+import AppError from '../utils/appError.js';
+import { logger } from '../utils/logger.js';
+import { getPublicTestimonials } from './testimonialService.js';
+
+const WIDGET_KEY_PREFIX = 'wk_';
+
+/**
+ * Page size limits per layout. A single-quote widget always renders one.
+ */
+const LAYOUT_LIMITS = {
+  carousel: { default: 10, max: 20 },
+  grid: { default: 9, max: 30 },
+  single: { default: 1, max: 1 },
+};
+
+/**
+ * Hash a widget key for storage and lookup.
+ *
+ * @param {string} key - Plaintext widget key.
+ * @returns {string} - Hex-encoded SHA-256 hash.
+ */
+const hashWidgetKey = (key) =>
+  crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Normalize an origin or URL to its `scheme://host[:port]` origin.
+ *
+ * @param {string} value - Origin or full URL.
+ * @returns {string|null} - Lowercased origin, or null if it isn't a valid
+ *   http(s) URL.
+ */
+export const normalizeOrigin = (value) => {
+  try {
+    const url = new URL(value);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+    return url.origin.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalize and de-duplicate a list of allowed origins.
+ *
+ * @param {Array<string>} origins - Origins supplied by the seeker.
+ * @returns {Array<string>} - Normalized origins.
+ * @throws {AppError} - If any origin is invalid.
+ */
+const normalizeAllowedOrigins = (origins) => {
+  const normalized = origins.map((origin) => {
+    const value = normalizeOrigin(origin);
+    if (!value) {
+      throw new AppError(`Invalid origin: ${origin}`, 400);
+    }
+    return value;
+  });
+  return [...new Set(normalized)];
+};
+
+/**
+ * Ensure curated testimonial IDs belong to the seeker.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Array<string>} testimonialIds - Curated testimonial IDs.
+ * @returns {Promise<void>}
+ * @throws {AppError} - If any testimonial isn't owned by the seeker.
+ */
+const assertOwnedTestimonials = async (seekerId, testimonialIds) => {
+  if (!testimonialIds.length) return;
+
+  const owned = await Testimonial.countDocuments({
+    _id: { $in: testimonialIds },
+    seeker: seekerId,
+  });
+  if (owned !== new Set(testimonialIds.map(String)).size) {
+    throw new AppError('Curated testimonials must belong to you.', 400);
+  }
+};
+
+/**
+ * Shape a widget key for API responses. The hash is never returned.
+ *
+ * @param {Object} widgetKey - Widget key document.
+ * @returns {Object} - Public widget key details.
+ */
+const toWidgetKeyView = (widgetKey) => ({
+  id: widgetKey._id,
+  name: widgetKey.name,
+  keyPrefix: widgetKey.keyPrefix,
+  allowedOrigins: widgetKey.allowedOrigins,
+  layout: widgetKey.layout,
+  testimonialIds: widgetKey.testimonialIds,
+  active: widgetKey.active,
+  lastUsedAt: widgetKey.lastUsedAt,
+  createdAt: widgetKey.createdAt,
+});
+
+/**
+ * Create a widget key for a seeker. The plaintext key is only returned here.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {Object} data - Widget key settings.
+ * @param {string} data.name - Label for the key.
+ * @param {Array<string>} data.allowedOrigins - Origins allowed to embed.
+ * @param {string} [data.layout] - Default layout.
+ * @param {Array<string>} [data.testimonialIds] - Curated testimonials.
+ * @returns {Promise<Object>} - Widget key details and the plaintext key.
+ * @throws {AppError} - If creation fails.
+ */
+export const createWidgetKey = async (
+  seekerId,
+  { name, allowedOrigins, layout, testimonialIds = [] }
+) => {
+  await assertOwnedTestimonials(seekerId, testimonialIds);
+
+  const key = `${WIDGET_KEY_PREFIX}${nanoid(32)}`;
+  const widgetKey = await WidgetKey.create({
+    seeker: seekerId,
+    name,
+    keyHash: hashWidgetKey(key),
+    keyPrefix: key.slice(0, 8),
+    allowedOrigins: normalizeAllowedOrigins(allowedOrigins),
+    layout,
+    testimonialIds,
+  });
+
+  logger.info({
+    message: 'Widget key created.',
+    seekerId,
+    widgetKeyId: widgetKey._id,
+  });
+
+  return { ...toWidgetKeyView(widgetKey), key };
+};
+
+/**
+ * List a seeker's widget keys.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @returns {Promise<Array<Object>>} - Widget keys, newest first.
+ */
+export const listWidgetKeys = async (seekerId) => {
+  const widgetKeys = await WidgetKey.find({ seeker: seekerId })
+    .sort({ createdAt: -1 })
+    .lean();
+  return widgetKeys.map(toWidgetKeyView);
+};
+
+/**
+ * Update a widget key's name, origins, layout or curated testimonials.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} widgetKeyId - ID of the widget key.
+ * @param {Object} updates - Fields to update.
+ * @returns {Promise<Object>} - Updated widget key details.
+ * @throws {AppError} - If the key isn't found or the update is invalid.
+ */
+export const updateWidgetKey = async (seekerId, widgetKeyId, updates) => {
+  const widgetKey = await WidgetKey.findOne({
+    _id: widgetKeyId,
+    seeker: seekerId,
+  });
+  if (!widgetKey) {
+    throw new AppError('Widget key not found.', 404);
+  }
+
+  if (updates.name !== undefined) widgetKey.name = updates.name;
+  if (updates.layout !== undefined) widgetKey.layout = updates.layout;
+  if (updates.allowedOrigins !== undefined) {
+    widgetKey.allowedOrigins = normalizeAllowedOrigins(updates.allowedOrigins);
+  }
+  if (updates.testimonialIds !== undefined) {
+    await assertOwnedTestimonials(seekerId, updates.testimonialIds);
+    widgetKey.testimonialIds = updates.testimonialIds;
+  }
+
+  await widgetKey.save();
+  return toWidgetKeyView(widgetKey);
+};
+
+/**
+ * Revoke a widget key. Embeds using it stop loading immediately.
+ *
+ * @param {string} seekerId - ID of the seeker.
+ * @param {string} widgetKeyId - ID of the widget key.
+ * @returns {Promise<Object>} - Revoked widget key details.
+ * @throws {AppError} - If the key isn't found.
+ */
+export const revokeWidgetKey = async (seekerId, widgetKeyId) => {
+  const widgetKey = await WidgetKey.findOneAndUpdate(
+    { _id: widgetKeyId, seeker: seekerId, active: true },
+    { active: false, revokedAt: new Date() },
+    { new: true }
+  );
+  if (!widgetKey) {
+    throw new AppError('Widget key not found.', 404);
+  }
+
+  logger.info({
+    message: 'Widget key revoked.',
+    seekerId,
+    widgetKeyId,
+  });
+
+  return toWidgetKeyView(widgetKey);
+};
+
+/**
+ * Look up an active widget key from its plaintext value.
+ *
+ * @param {string} key - Plaintext widget key.
+ * @returns {Promise<Object|null>} - Widget key document, or null.
+ */
+export const findActiveWidgetKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(WIDGET_KEY_PREFIX)) {
+    return null;
+  }
+  return WidgetKey.findOne({
+    keyHash: hashWidgetKey(key),
+    active: true,
+  }).lean();
+};
+
+/**
+ * Record one widget impression per rendered testimonial, keyed by the
+ * referring domain. Dots are replaced because MongoDB treats them as path
+ * separators in update keys.
+ *
+ * @param {Array<string>} testimonialIds - IDs of the rendered testimonials.
+ * @param {string} domain - Referring domain (hostname).
+ * @returns {Promise<void>}
+ */
+const recordWidgetImpressions = async (testimonialIds, domain) => {
+  if (!testimonialIds.length) return;
+
+  const sourceKey = `widget:${domain.replace(/\./g, '_')}`;
+  await Testimonial.updateMany(
+    { _id: { $in: testimonialIds } },
+    {
+      $inc: {
+        'analytics.impressions': 1,
+        [`analytics.impressionSources.${sourceKey}`]: 1,
+      },
+    }
+  );
+};
+
+/**
+ * Build the testimonial feed for an embedded widget and record the render.
+ *
+ * @param {Object} widgetKey - Active widget key document.
+ * @param {Object} options - Feed options.
+ * @param {string} options.origin - Normalized origin of the embedding site.
+ * @param {string} [options.layout] - Layout override.
+ * @param {number} [options.page=1] - Current page number.
+ * @param {number} [options.limit] - Number of testimonials per page.
+ * @returns {Promise<Object>} - Layout, testimonials and pagination.
+ */
+export const getWidgetFeed = async (
+  widgetKey,
+  { origin, layout, page = 1, limit }
+) => {
+  const resolvedLayout = WIDGET_LAYOUTS.includes(layout)
+    ? layout
+    : widgetKey.layout;
+  const limits = LAYOUT_LIMITS[resolvedLayout];
+  const pageSize = Math.min(parseInt(limit, 10) || limits.default, limits.max);
+
+  const filters = { seeker: widgetKey.seeker };
+  if (widgetKey.testimonialIds?.length) {
+    filters._id = { $in: widgetKey.testimonialIds };
+  }
+
+  const { testimonials, pagination } = await getPublicTestimonials(filters, {
+    page,
+    limit: pageSize,
+  });
+
+  const domain = new URL(origin).hostname;
+  try {
+    await Promise.all([
+      recordWidgetImpressions(
+        testimonials.map((t) => t.id),
+        domain
+      ),
+      WidgetKey.updateOne({ _id: widgetKey._id }, { lastUsedAt: new Date() }),
+    ]);
+  } catch (error) {
+    // A failed analytics write shouldn't break the embed.
+    logger.warn('Failed to record widget impressions:', {
+      widgetKeyId: widgetKey._id,
+      error: error.message,
+    });
+  }
+
+  return {
+    layout: resolvedLayout,
+    testimonials,
+    pagination,
+  };
+};
+
+export default {
+  normalizeOrigin,
+  createWidgetKey,
+  listWidgetKeys,
+  updateWidgetKey,
+  revokeWidgetKey,
+  findActiveWidgetKey,
+  getWidgetFeed,
+};
@@ -0,0 +1,101 @@
+// tests/config/embedder.test.js
+
+import OpenAI from 'openai';
+import {
+  localEmbedder,
+  openAiEmbedder,
+  selectEmbedder,
+} from '../../config/embedder.js';
+
+jest.mock('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('openai', () => {
+  const create = jest.fn();
+  const OpenAIMock = jest.fn(() => ({ embeddings: { create } }));
+  OpenAIMock.create = create;
+  return { __esModule: true, default: OpenAIMock };
+});
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('localEmbedder', () => {
+  it('returns one unit-length vector per text', async () => {
+    const vectors = await localEmbedder.embed([
+      'Led the backend migration to Node.js',
+      'Great designer',
+    ]);
+
+    expect(vectors).toHaveLength(2);
+    vectors.forEach((vector) => {
+      expect(vector).toHaveLength(localEmbedder.dimensions);
+      expect(Math.hypot(...vector)).toBeCloseTo(1, 6);
+    });
+  });
+
+  it('is deterministic', async () => {
+    const [first] = await localEmbedder.embed(['Reliable and thorough']);
+    const [second] = await localEmbedder.embed(['Reliable and thorough']);
+
+    expect(first).toEqual(second);
+  });
+
+  it('scores texts with shared vocabulary above unrelated ones', async () => {
+    const [query, related, unrelated] = await localEmbedder.embed([
+      'leading the engineering team',
+      'She leads engineering teams with care',
+      'Delicious pasta recipes for dinner',
+    ]);
+
+    expect(dot(query, related)).toBeGreaterThan(dot(query, unrelated));
+  });
+
+  it('returns a zero vector for text without usable words', async () => {
+    const [vector] = await localEmbedder.embed(['a an the']);
+
+    expect(vector.every((value) => value === 0)).toBe(true);
+  });
+});
+
+describe('openAiEmbedder', () => {
+  it('uses the v4 embeddings API and keeps input order', async () => {
+    OpenAI.create.mockResolvedValue({
+      data: [
+        { index: 1, embedding: [0, 1] },
+        { index: 0, embedding: [1, 0] },
+      ],
+    });
+
+    const vectors = await openAiEmbedder.embed(['first', 'second']);
+
+    expect(OpenAI.create).toHaveBeenCalledWith({
+      model: openAiEmbedder.model,
+      input: ['first', 'second'],
+    });
+    expect(vectors).toEqual([
+      [1, 0],
+      [0, 1],
+    ]);
+  });
+});
+
+describe('selectEmbedder', () => {
+  it('defaults to the local embedder without an API key', () => {
+    expect(selectEmbedder({})).toBe(localEmbedder);
+  });
+
+  it('uses OpenAI when an API key is set', () => {
+    expect(selectEmbedder({ OPENAI_API_KEY: 'sk-test' })).toBe(openAiEmbedder);
+  });
+
+  it('honours an explicit provider', () => {
+    expect(
+      selectEmbedder({ EMBEDDING_PROVIDER: 'local', OPENAI_API_KEY: 'sk-test' })
+    ).toBe(localEmbedder);
+  });
+
+  it('falls back to local embeddings for an unknown provider', () => {
+    expect(selectEmbedder({ EMBEDDING_PROVIDER: 'other' })).toBe(localEmbedder);
+  });
+});
@@ -0,0 +1,147 @@
+// tests/middlewares/widgetAuth.test.js
+
+import crypto from 'crypto';
+import WidgetKey from '../../models/WidgetKey.js';
+import { authenticateWidgetKey } from '../../middlewares/widgetAuth.js';
+
+jest.mock('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('nanoid', () => ({ nanoid: jest.fn() }));
+
+jest.mock('../../models/WidgetKey.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() },
+  WIDGET_LAYOUTS: [],
+}));
+
+jest.mock('../../models/Testimonial.js', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('../../services/testimonialService.js', () => ({}));
+
+const KEY = 'wk_test-key';
+
+const widgetKey = {
+  _id: 'widget-key-1',
+  seeker: 'seeker-1',
+  allowedOrigins: ['https://portfolio.example'],
+};
+
+const mockStoredKey = (stored) => {
+  WidgetKey.findOne.mockReturnValue({
+    lean: jest.fn().mockResolvedValue(stored),
+  });
+};
+
+/**
+ * Run the middleware with a request carrying the given query and headers.
+ *
+ * @returns {Promise<Object>} - `req`, `res` and the error passed to
+ *   `next`, if any.
+ */
+const authenticate = async ({ query = { key: KEY }, headers = {} } = {}) => {
+  const lowered = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const req = {
+    query,
+    get: (name) => lowered[name.toLowerCase()],
+  };
+  const res = {
+    set: jest.fn(),
+    removeHeader: jest.fn(),
+    vary: jest.fn(),
+  };
+  const next = jest.fn();
+
+  await authenticateWidgetKey(req, res, next);
+
+  const [error] = next.mock.calls[0] || [];
+  return { req, res, next, error };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockStoredKey(widgetKey);
+});
+
+describe('authenticateWidgetKey', () => {
+  it('accepts an active key from an allowed origin', async () => {
+    const { req, res, next, error } = await authenticate({
+      headers: { Origin: 'https://Portfolio.example' },
+    });
+
+    expect(error).toBeUndefined();
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(req.widgetKey).toBe(widgetKey);
+    expect(req.widgetOrigin).toBe('https://portfolio.example');
+    expect(res.set).toHaveBeenCalledWith(
+      'Access-Control-Allow-Origin',
+      'https://portfolio.example'
+    );
+    expect(res.removeHeader).toHaveBeenCalledWith(
+      'Access-Control-Allow-Credentials'
+    );
+    expect(res.vary).toHaveBeenCalledWith('Origin');
+  });
+
+  it('looks the key up by its hash and only among active keys', async () => {
+    await authenticate({ headers: { Origin: 'https://portfolio.example' } });
+
+    expect(WidgetKey.findOne).toHaveBeenCalledWith({
+      keyHash: crypto.createHash('sha256').update(KEY).digest('hex'),
+      active: true,
+    });
+  });
+
+  it('falls back to the Referer when there is no Origin', async () => {
+    const { req, error } = await authenticate({
+      headers: { Referer: 'https://portfolio.example/about?ref=1' },
+    });
+
+    expect(error).toBeUndefined();
+    expect(req.widgetOrigin).toBe('https://portfolio.example');
+  });
+
+  it.each([
+    ['no key', {}],
+    ['a key without the widget prefix', { key: 'not-a-widget-key' }],
+  ])('rejects %s without a lookup', async (_, query) => {
+    const { error, res } = await authenticate({
+      query,
+      headers: { Origin: 'https://portfolio.example' },
+    });
+
+    expect(error).toMatchObject({ statusCode: 401 });
+    expect(WidgetKey.findOne).not.toHaveBeenCalled();
+    expect(res.set).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown or revoked key', async () => {
+    mockStoredKey(null);
+
+    const { error, req } = await authenticate({
+      headers: { Origin: 'https://portfolio.example' },
+    });
+
+    expect(error).toMatchObject({ statusCode: 401 });
+    expect(req.widgetKey).toBeUndefined();
+  });
+
+  it.each([
+    ['an origin not on the allowlist', { Origin: 'https://evil.example' }],
+    ['a lookalike origin', { Origin: 'https://portfolio.example.evil.com' }],
+    ['a non-http origin', { Origin: 'file://portfolio.example' }],
+    ['no origin or referer', {}],
+  ])('refuses %s', async (_, headers) => {
+    const { error, res, req } = await authenticate({ headers });
+
+    expect(error).toMatchObject({ statusCode: 403 });
+    expect(res.set).not.toHaveBeenCalled();
+    expect(req.widgetKey).toBeUndefined();
+  });
+});
@@ -0,0 +1,152 @@
+// tests/services/contentScreeningService.test.js
+
+import mongoose from 'mongoose';
+import Testimonial from '../../models/Testimonial.js';
+import {
+  detectContentIssues,
+  analyzeTestimonialAuthenticity,
+} from '../../services/aiService.js';
+import { screenSubmission } from '../../services/contentScreeningService.js';
+
+jest.mock('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../../utils/metrics.js', () => ({
+  metrics: { increment: jest.fn() },
+}));
+
+jest.mock('../../models/Testimonial.js', () => ({
+  __esModule: true,
+  default: { find: jest.fn() },
+}));
+
+jest.mock('../../services/aiService.js', () => ({
+  detectContentIssues: jest.fn(),
+  analyzeTestimonialAuthenticity: jest.fn(),
+}));
+
+const giver = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'giver@example.com',
+};
+
+const testimonial = {
+  _id: new mongoose.Types.ObjectId(),
+  seeker: new mongoose.Types.ObjectId(),
+  givers: [giver],
+};
+
+/**
+ * Make `Testimonial.find` resolve to the given documents through its
+ * select/sort/limit/lean chain.
+ */
+const mockOtherTestimonials = (docs = []) => {
+  const query = {
+    select: jest.fn(() => query),
+    sort: jest.fn(() => query),
+    limit: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(docs),
+  };
+  Testimonial.find.mockReturnValue(query);
+};
+
+const screen = (text, answers) =>
+  screenSubmission(text, { testimonial, giver, answers });
+
+const categories = (result) => result.flags.map((flag) => flag.category);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockOtherTestimonials();
+  detectContentIssues.mockResolvedValue([]);
+  analyzeTestimonialAuthenticity.mockResolvedValue({ score: 0.9 });
+});
+
+describe('screenSubmission', () => {
+  it('passes an ordinary testimonial', async () => {
+    const result = await screen(
+      'Sam rebuilt our billing service and mentored two junior engineers.'
+    );
+
+    expect(result.status).toBe('passed');
+    expect(result.mode).toBe('ai');
+    expect(result.flags).toEqual([]);
+  });
+
+  it.each([
+    'Sam led our move from ASP.NET to Node.js without any downtime.',
+    'Built the realtime dashboard with Socket.io and Vue.js.',
+    'Knows ASP.NET Core inside out.',
+  ])('does not treat technology names as links: %s', async (text) => {
+    const result = await screen(text);
+
+    expect(categories(result)).not.toContain('spam');
+  });
+
+  it.each([
+    [
+      'a link with a scheme',
+      'Hire her at https://cheap-devs.net/offer',
+      'cheap-devs.net',
+    ],
+    ['a www. link', 'See www.my-agency.io for more', 'my-agency.io'],
+    [
+      'a bare .com domain',
+      'Find more at bestcoders.com/portfolio',
+      'bestcoders.com',
+    ],
+  ])('flags %s', async (_, text, host) => {
+    const result = await screen(text);
+    const spam = result.flags.find((flag) => flag.category === 'spam');
+
+    expect(result.status).toBe('flagged');
+    expect(spam.detail).toContain(host);
+  });
+
+  it('allows links to allowed domains', async () => {
+    const result = await screen(
+      'Her work is on https://github.com/sam and www.linkedin.com/in/sam'
+    );
+
+    expect(categories(result)).not.toContain('spam');
+  });
+
+  it('does not treat email domains as links', async () => {
+    const result = await screen('Reach me at sam@bestcoders.com');
+
+    expect(categories(result)).toEqual(['pii']);
+  });
+
+  it('screens written answers as well as the text', async () => {
+    const result = await screen('Great colleague.', [
+      'Use code SAVE20 at checkout',
+    ]);
+
+    expect(categories(result)).toContain('spam');
+  });
+
+  it('flags text that duplicates another submission', async () => {
+    const text =
+      'Sam is a thoughtful engineer who always ships on time and helps the team.';
+    mockOtherTestimonials([
+      {
+        _id: new mongoose.Types.ObjectId(),
+        givers: [{ email: 'other@example.com', testimonial: { text } }],
+      },
+    ]);
+
+    const result = await screen(text);
+
+    expect(categories(result)).toContain('duplicate');
+  });
+
+  it('falls back to the rules when the AI is unavailable', async () => {
+    detectContentIssues.mockRejectedValue(new Error('quota exceeded'));
+
+    const result = await screen('Great colleague, very reliable.');
+
+    expect(result.mode).toBe('rules');
+    expect(result.status).toBe('passed');
+  });
+});
@@ -0,0 +1,368 @@
+// tests/services/testimonialService.test.js
+
+import mongoose from 'mongoose';
+import Testimonial from '../../models/Testimonial.js';
+import User from '../../models/User.js';
+import { queues } from '../../jobs/queues.js';
+import { logger } from '../../utils/logger.js';
+import { notifyGiverReviewOutcome } from '../../services/notificationService.js';
+import { testimonialEvents } from '../../services/testimonialStateService.js';
+import {
+  approveTestimonial,
+  rejectTestimonial,
+  requestTestimonialChanges,
+} from '../../services/testimonialService.js';
+
+jest.mock('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../../utils/metrics.js', () => ({
+  increment: jest.fn(),
+  metrics: { increment: jest.fn() },
+}));
+
+jest.mock('nanoid', () => ({ nanoid: jest.fn(() => 'fresh-token') }));
+
+jest.mock('../../models/Testimonial.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn(), find: jest.fn() },
+  QUESTION_TYPES: {},
+}));
+
+jest.mock('../../models/User.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() },
+}));
+
+jest.mock('../../models/Skills.js', () => ({
+  __esModule: true,
+  default: { recordRatings: jest.fn() },
+}));
+
+jest.mock('../../models/ActivityLog.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn(), getUserActivity: jest.fn() },
+}));
+
+jest.mock('../../jobs/queues.js', () => ({
+  queues: { emailQueue: { add: jest.fn() } },
+}));
+
+jest.mock('../../config/redis.js', () => ({
+  redisClient: { get: jest.fn(), setEx: jest.fn(), del: jest.fn() },
+}));
+
+jest.mock('../../config/email.js', () => ({ sendEmail: jest.fn() }));
+
+jest.mock('../../services/notificationService.js', () => ({
+  notifySeekerApproval: jest.fn(() => Promise.resolve()),
+  notifySeekerRejection: jest.fn(() => Promise.resolve()),
+  notifySeekerReviewRequired: jest.fn(() => Promise.resolve()),
+  notifyGiverReviewOutcome: jest.fn(() => Promise.resolve()),
+  notifyAdminEscalation: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../../services/requestTemplateService.js', () => ({
+  getSubmissionLink: jest.fn(
+    (testimonialId, token) =>
+      `https://app.test/submit/${testimonialId}/${token}`
+  ),
+}));
+
+jest.mock('../../services/sentimentService.js', () => ({}));
+jest.mock('../../services/recommendationService.js', () => ({}));
+jest.mock('../../services/certificateService.js', () => ({}));
+jest.mock('../../services/contentScreeningService.js', () => ({}));
+jest.mock('../../services/questionnaireService.js', () => ({}));
+jest.mock('../../services/aiService.js', () => ({}));
+
+const { ObjectId } = mongoose.Types;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seekerId = new ObjectId();
+const reviewerId = new ObjectId().toString();
+
+const makeGiver = (overrides = {}) => ({
+  _id: new ObjectId(),
+  email: 'giver@example.com',
+  verificationStatus: 'pending_review',
+  isApproved: false,
+  verificationToken: 'used-token',
+  version: 1,
+  testimonial: { text: 'Great to work with.', rating: { overall: 5 } },
+  answers: [{ question: new ObjectId(), value: 'Every sprint' }],
+  relationship: 'Manager',
+  skills: ['Node.js'],
+  revisions: [{ version: 1, status: 'pending' }],
+  approvalHistory: [],
+  ...overrides,
+});
+
+const makeTestimonial = (givers, overrides = {}) => {
+  const testimonial = {
+    _id: new ObjectId(),
+    seeker: seekerId,
+    status: 'in-progress',
+    archived: false,
+    givers,
+    moderation: { history: [] },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+  testimonial.givers.id = (id) =>
+    givers.find((giver) => giver._id.equals(id)) || null;
+  return testimonial;
+};
+
+let session;
+
+/**
+ * Make `Testimonial.findById` resolve to the given testimonial through its
+ * populate/session chain.
+ */
+const mockFindById = (testimonial) => {
+  const query = {
+    populate: jest.fn(() => query),
+    session: jest.fn(() => query),
+    then: (resolve, reject) =>
+      Promise.resolve(testimonial).then(resolve, reject),
+  };
+  Testimonial.findById.mockReturnValue(query);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  session = {
+    startTransaction: jest.fn(),
+    commitTransaction: jest.fn().mockResolvedValue(),
+    abortTransaction: jest.fn().mockResolvedValue(),
+    endSession: jest.fn(),
+  };
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  User.findById.mockResolvedValue(null);
+});
+
+afterEach(() => {
+  testimonialEvents.removeAllListeners();
+});
+
+describe('approveTestimonial', () => {
+  it('approves the giver and waits for the other givers', async () => {
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([
+      giver,
+      makeGiver({ verificationStatus: 'pending_review' }),
+    ]);
+    mockFindById(testimonial);
+
+    await approveTestimonial(testimonial._id, giver._id, reviewerId);
+
+    expect(giver).toMatchObject({
+      verificationStatus: 'approved',
+      isApproved: true,
+    });
+    expect(giver.revisions[0].status).toBe('approved');
+    expect(testimonial.status).toBe('in-progress');
+    expect(testimonial.save).toHaveBeenCalledWith({ session });
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  it('approves the testimonial once every giver is approved', async () => {
+    const approved = jest.fn();
+    testimonialEvents.on('testimonial.approved', approved);
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([
+      makeGiver({ verificationStatus: 'approved', isApproved: true }),
+      giver,
+    ]);
+    mockFindById(testimonial);
+
+    await approveTestimonial(testimonial._id, giver._id, reviewerId, '', {
+      seekerId: seekerId.toString(),
+    });
+
+    expect(testimonial.status).toBe('approved');
+    expect(
+      testimonial.moderation.history.map(({ from, to }) => `${from}>${to}`)
+    ).toEqual(['in-progress>completed', 'completed>approved']);
+    expect(approved).toHaveBeenCalledWith(
+      expect.objectContaining({ actorType: 'seeker', from: 'completed' })
+    );
+  });
+
+  it('keeps a reported testimonial reported', async () => {
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([giver], { status: 'reported' });
+    mockFindById(testimonial);
+
+    await approveTestimonial(testimonial._id, giver._id, reviewerId);
+
+    expect(giver.verificationStatus).toBe('approved');
+    expect(testimonial.status).toBe('reported');
+  });
+
+  it("still approves when the recommendations can't be sent", async () => {
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([giver]);
+    mockFindById(testimonial);
+
+    await expect(
+      approveTestimonial(testimonial._id, giver._id, reviewerId)
+    ).resolves.toBe(testimonial);
+    expect(testimonial.status).toBe('approved');
+    expect(session.abortTransaction).not.toHaveBeenCalled();
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Failed to send testimonial notification:',
+      expect.objectContaining({ error: 'Seeker not found.' })
+    );
+  });
+
+  it.each(['pending', 'changes_requested', 'rejected'])(
+    'refuses to approve a giver in %s',
+    async (verificationStatus) => {
+      const giver = makeGiver({ verificationStatus });
+      const testimonial = makeTestimonial([giver]);
+      mockFindById(testimonial);
+
+      await expect(
+        approveTestimonial(testimonial._id, giver._id, reviewerId)
+      ).rejects.toMatchObject({ statusCode: 409 });
+      expect(giver.verificationStatus).toBe(verificationStatus);
+      expect(testimonial.save).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    }
+  );
+
+  it("refuses a seeker who doesn't own the testimonial", async () => {
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([giver]);
+    mockFindById(testimonial);
+
+    await expect(
+      approveTestimonial(testimonial._id, giver._id, reviewerId, '', {
+        seekerId: new ObjectId().toString(),
+      })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    expect(giver.verificationStatus).toBe('pending_review');
+  });
+});
+
+describe('rejectTestimonial', () => {
+  it("rejects the giver and tells them, leaving the testimonial's status", async () => {
+    const giver = makeGiver();
+    const testimonial = makeTestimonial([giver]);
+    mockFindById(testimonial);
+
+    await rejectTestimonial(
+      testimonial._id,
+      giver._id,
+      reviewerId,
+      'Off topic',
+      {
+        seekerId: seekerId.toString(),
+      }
+    );
+
+    expect(giver).toMatchObject({
+      verificationStatus: 'rejected',
+      isApproved: false,
+    });
+    expect(giver.approvalHistory).toEqual([
+      expect.objectContaining({ status: 'rejected', comments: 'Off topic' }),
+    ]);
+    expect(testimonial.status).toBe('in-progress');
+    expect(notifyGiverReviewOutcome).toHaveBeenCalledWith(
+      giver.email,
+      testimonial._id,
+      'rejected',
+      'Off topic'
+    );
+  });
+});
+
+describe('requestTestimonialChanges', () => {
+  const makeSeekerTestimonial = (giver, overrides) =>
+    makeTestimonial([giver], {
+      seeker: { _id: seekerId, firstName: 'Ada', lastName: 'Lovelace' },
+      ...overrides,
+    });
+
+  it('reopens the giver with a fresh link and their answers in the draft', async () => {
+    const giver = makeGiver();
+    const testimonial = makeSeekerTestimonial(giver, {
+      requestEmail: { expiryDays: 3 },
+    });
+    mockFindById(testimonial);
+    const before = Date.now();
+
+    await requestTestimonialChanges(
+      testimonial._id,
+      giver._id,
+      reviewerId,
+      'Please mention the migration.'
+    );
+
+    expect(giver.verificationStatus).toBe('changes_requested');
+    expect(giver.verificationToken).toBe('fresh-token');
+    expect(giver.verificationTokenExpiry).toBeGreaterThanOrEqual(
+      before + 3 * DAY_MS
+    );
+    expect(giver.verificationTokenExpiry).toBeLessThan(before + 4 * DAY_MS);
+    expect(giver.draft).toMatchObject({
+      testimonialText: 'Great to work with.',
+      rating: 5,
+      relationship: 'Manager',
+      answers: giver.answers,
+    });
+  });
+
+  it('emails the giver only after the change is committed', async () => {
+    const giver = makeGiver();
+    const testimonial = makeSeekerTestimonial(giver);
+    mockFindById(testimonial);
+
+    await requestTestimonialChanges(
+      testimonial._id,
+      giver._id,
+      reviewerId,
+      'Add <b>detail</b>'
+    );
+
+    expect(queues.emailQueue.add).toHaveBeenCalledWith(
+      'sendTestimonialChangesRequested',
+      expect.objectContaining({
+        to: giver.email,
+        html: expect.stringContaining('Add &lt;b&gt;detail&lt;/b&gt;'),
+      }),
+      expect.any(Object)
+    );
+    expect(session.commitTransaction.mock.invocationCallOrder[0]).toBeLessThan(
+      queues.emailQueue.add.mock.invocationCallOrder[0]
+    );
+  });
+
+  it('sends nothing when the change is refused', async () => {
+    const giver = makeGiver({ verificationStatus: 'approved' });
+    const testimonial = makeSeekerTestimonial(giver);
+    mockFindById(testimonial);
+
+    await expect(
+      requestTestimonialChanges(
+        testimonial._id,
+        giver._id,
+        reviewerId,
+        'Too short.'
+      )
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(giver.verificationToken).toBe('used-token');
+    expect(queues.emailQueue.add).not.toHaveBeenCalled();
+  });
+
+  it('requires the requested changes to be described', async () => {
+    await expect(
+      requestTestimonialChanges(new ObjectId(), new ObjectId(), reviewerId, ' ')
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(Testimonial.findById).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,184 @@
+// tests/services/testimonialStateService.test.js
+
+import ActivityLog from '../../models/ActivityLog.js';
+import {
+  testimonialEvents,
+  getTestimonialState,
+  transitionTestimonial,
+  flushTestimonialEvents,
+  discardTestimonialEvents,
+} from '../../services/testimonialStateService.js';
+
+jest.mock('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+jest.mock('../../models/ActivityLog.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn() },
+}));
+
+const makeTestimonial = (status = 'pending', archived = false) => ({
+  _id: 'testimonial-1',
+  seeker: 'seeker-1',
+  status,
+  archived,
+  moderation: { history: [] },
+});
+
+const listen = (event) => {
+  const handler = jest.fn();
+  testimonialEvents.on(event, handler);
+  return handler;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+  testimonialEvents.removeAllListeners();
+});
+
+describe('transitionTestimonial', () => {
+  it.each([
+    ['pending', 'in-progress'],
+    ['in-progress', 'completed'],
+    ['completed', 'approved'],
+    ['approved', 'reported'],
+    ['reported', 'approved'],
+  ])('moves from %s to %s', async (from, to) => {
+    const testimonial = makeTestimonial(from);
+
+    const transition = await transitionTestimonial(testimonial, to);
+
+    expect(testimonial.status).toBe(to);
+    expect(transition).toMatchObject({ from, to, actorType: 'system' });
+    expect(testimonial.moderation.history).toEqual([
+      expect.objectContaining({ action: 'status_change', from, to }),
+    ]);
+  });
+
+  it.each([
+    ['pending', 'approved'],
+    ['in-progress', 'approved'],
+    ['approved', 'completed'],
+    ['completed', 'pending'],
+  ])('refuses to move from %s to %s', async (from, to) => {
+    const testimonial = makeTestimonial(from);
+
+    await expect(transitionTestimonial(testimonial, to)).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    expect(testimonial.status).toBe(from);
+    expect(testimonial.moderation.history).toEqual([]);
+  });
+
+  it('does nothing when already in the target state', async () => {
+    const testimonial = makeTestimonial('approved');
+
+    await expect(
+      transitionTestimonial(testimonial, 'approved')
+    ).resolves.toBeNull();
+    expect(testimonial.moderation.history).toEqual([]);
+  });
+
+  it('archives and restores through the archived flag', async () => {
+    const testimonial = makeTestimonial('approved');
+
+    await transitionTestimonial(testimonial, 'archived');
+    expect(testimonial.archived).toBe(true);
+    expect(getTestimonialState(testimonial)).toBe('archived');
+    await expect(
+      transitionTestimonial(testimonial, 'approved')
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    await transitionTestimonial(testimonial, 'restored');
+    expect(testimonial.archived).toBe(false);
+    expect(testimonial.status).toBe('approved');
+    expect(testimonial.moderation.history.map((entry) => entry.action)).toEqual(
+      ['archive', 'restore']
+    );
+  });
+
+  it("records the change in the actor's activity log", async () => {
+    const session = {};
+
+    await transitionTestimonial(makeTestimonial('approved'), 'reported', {
+      actor: 'user-1',
+      actorType: 'reporter',
+      reason: 'spam',
+      session,
+    });
+
+    expect(ActivityLog.create).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({
+          user: 'user-1',
+          action: 'TESTIMONIAL_REPORTED',
+          details: expect.objectContaining({
+            from: 'approved',
+            to: 'reported',
+            reason: 'spam',
+          }),
+        }),
+      ],
+      { session }
+    );
+  });
+});
+
+describe('testimonial events', () => {
+  it('emits right away outside a transaction', async () => {
+    const transitioned = listen('testimonial.transitioned');
+    const approved = listen('testimonial.approved');
+
+    await transitionTestimonial(makeTestimonial('completed'), 'approved');
+
+    expect(transitioned).toHaveBeenCalledWith(
+      expect.objectContaining({ from: 'completed', to: 'approved' })
+    );
+    expect(approved).toHaveBeenCalledTimes(1);
+  });
+
+  it('holds events until the transaction is flushed', async () => {
+    const session = {};
+    const transitioned = listen('testimonial.transitioned');
+    const testimonial = makeTestimonial('in-progress');
+
+    await transitionTestimonial(testimonial, 'completed', { session });
+    await transitionTestimonial(testimonial, 'approved', { session });
+    expect(transitioned).not.toHaveBeenCalled();
+
+    flushTestimonialEvents(session);
+    expect(transitioned.mock.calls.map(([t]) => t.to)).toEqual([
+      'completed',
+      'approved',
+    ]);
+
+    flushTestimonialEvents(session);
+    expect(transitioned).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops events of an aborted transaction', async () => {
+    const session = {};
+    const transitioned = listen('testimonial.transitioned');
+
+    await transitionTestimonial(makeTestimonial('completed'), 'approved', {
+      session,
+    });
+    discardTestimonialEvents(session);
+    flushTestimonialEvents(session);
+
+    expect(transitioned).not.toHaveBeenCalled();
+  });
+
+  it("doesn't let a failing subscriber affect the transition", async () => {
+    testimonialEvents.on('testimonial.transitioned', () => {
+      throw new Error('subscriber failed');
+    });
+    const testimonial = makeTestimonial('completed');
+
+    await expect(
+      transitionTestimonial(testimonial, 'approved')
+    ).resolves.toMatchObject({ to: 'approved' });
+    expect(testimonial.status).toBe('approved');
+  });
+});
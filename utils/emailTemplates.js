@@ -70,7 +70,183 @@ const emailTemplates = {
         <p style="color: #666666; font-size: 13px;">Need assistance? Contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
       </div>
     </div>
-  `
+  `,
+
+  accountDeletionScheduled: (userName, scheduledFor) => `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">Your Account Is Scheduled for Deletion</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">Hi ${userName}, we received your request to delete your account. It will be permanently deleted on <strong>${scheduledFor.toUTCString()}</strong>.</p>
+      <div style="background: #f8f9fa; border-radius: 8px; padding: 24px; margin: 20px 0; text-align: center;">
+        <p style="color: #666666; margin: 0;">Changed your mind? Just log in before then and your account will be kept as it is.</p>
+      </div>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px;">Didn't request this? Log in and change your password, then contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `,
+
+  dataExportReady: (downloadUrl, expiresAt) => `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">Your Data Export Is Ready</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">We've packaged a copy of your personal data, including your profile, settings, goals, skills and testimonials, as a zip archive.</p>
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${downloadUrl}" style="background: #0066ff; color: #ffffff; padding: 14px 28px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; font-size: 16px;">Download My Data</a>
+      </div>
+      <p style="color: #666666; font-size: 14px; text-align: center; margin-top: 24px; line-height: 1.5;">Button not working? Copy and paste this link:<br>
+        <a href="${downloadUrl}" style="color: #0066ff; text-decoration: none; word-break: break-all;">${downloadUrl}</a>
+      </p>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px; margin-bottom: 10px;">⚠️ This link expires on ${expiresAt.toUTCString()}. Anyone with the link can download your data, so don't forward it.</p>
+        <p style="color: #666666; font-size: 13px;">Didn't request this? Please contact support at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `,
+
+  testimonialRequest: (
+    seekerName,
+    paragraphs,
+    promptQuestions,
+    submissionUrl,
+    expiresAt
+  ) => {
+    const body = paragraphs
+      .map(
+        (paragraph) =>
+          `<p style="color: #444444; margin-bottom: 16px; line-height: 1.6;">${paragraph}</p>`
+      )
+      .join('');
+    const questions = promptQuestions.length
+      ? `
+      <div style="background: #f8f9fa; border-radius: 8px; padding: 24px; margin: 20px 0;">
+        <p style="color: #1a1a1a; margin: 0 0 12px; font-weight: 500;">A few questions to get you started:</p>
+        <ul style="color: #444444; line-height: 1.6; margin: 0; padding-left: 20px;">
+          ${promptQuestions
+            .map(
+              (question) => `<li style="margin-bottom: 8px;">${question}</li>`
+            )
+            .join('')}
+        </ul>
+      </div>`
+      : '';
+
+    return `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">${seekerName} Would Value Your Testimonial</h2>
+      ${body}
+      ${questions}
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${submissionUrl}" style="background: #0066ff; color: #ffffff; padding: 14px 28px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; font-size: 16px;">Write a Testimonial</a>
+      </div>
+      <p style="color: #666666; font-size: 14px; text-align: center; margin-top: 24px; line-height: 1.5;">Button not working? Copy and paste this link:<br>
+        <a href="${submissionUrl}" style="color: #0066ff; text-decoration: none; word-break: break-all;">${submissionUrl}</a>
+      </p>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px; margin-bottom: 10px;">This link is personal to you and expires on ${expiresAt.toUTCString()}.</p>
+        <p style="color: #666666; font-size: 13px;">Not expecting this? You can safely ignore this email or contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `;
+  },
+
+  testimonialReminder: (
+    seekerName,
+    projectDetails,
+    submissionUrl,
+    expiresAt
+  ) => `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">A Quick Reminder From ${seekerName}</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">${seekerName} is still hoping to hear about your experience working together. It only takes a few minutes.</p>
+      <div style="background: #f8f9fa; border-radius: 8px; padding: 24px; margin: 20px 0; text-align: center;">
+        <p style="color: #666666; margin: 0;">${projectDetails}</p>
+      </div>
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${submissionUrl}" style="background: #0066ff; color: #ffffff; padding: 14px 28px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; font-size: 16px;">Write a Testimonial</a>
+      </div>
+      <p style="color: #666666; font-size: 14px; text-align: center; margin-top: 24px; line-height: 1.5;">Button not working? Copy and paste this link:<br>
+        <a href="${submissionUrl}" style="color: #0066ff; text-decoration: none; word-break: break-all;">${submissionUrl}</a>
+      </p>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px; margin-bottom: 10px;">This link is personal to you and expires on ${expiresAt.toUTCString()}.</p>
+        <p style="color: #666666; font-size: 13px;">Not expecting this? You can safely ignore this email or contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `,
+
+  testimonialEditLink: (seekerName, editUrl, expiresAt) => `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">Edit Your Testimonial</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">You asked to edit the testimonial you wrote for ${seekerName}. Your changes will be shown once ${seekerName} approves them.</p>
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${editUrl}" style="background: #0066ff; color: #ffffff; padding: 14px 28px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; font-size: 16px;">Edit Testimonial</a>
+      </div>
+      <p style="color: #666666; font-size: 14px; text-align: center; margin-top: 24px; line-height: 1.5;">Button not working? Copy and paste this link:<br>
+        <a href="${editUrl}" style="color: #0066ff; text-decoration: none; word-break: break-all;">${editUrl}</a>
+      </p>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px; margin-bottom: 10px;">⚠️ This link works once and expires on ${expiresAt.toUTCString()}.</p>
+        <p style="color: #666666; font-size: 13px;">Didn't request this? You can safely ignore this email or contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `,
+
+  testimonialRevisionReviewed: (approved, projectDetails, comments) => {
+    const heading = approved
+      ? 'Your Edit Was Approved'
+      : 'Your Edit Was Not Approved';
+    const outcome = approved
+      ? 'Your edited testimonial is now the version people see.'
+      : 'Your edit was not approved, so your earlier testimonial is still the version people see.';
+    const note = comments
+      ? `<p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">Comments: ${comments}</p>`
+      : '';
+
+    return `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">${heading}</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">${outcome}</p>
+      <div style="background: #f8f9fa; border-radius: 8px; padding: 24px; margin: 20px 0; text-align: center;">
+        <p style="color: #666666; margin: 0;">${projectDetails}</p>
+      </div>
+      ${note}
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px;">Questions? Contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `;
+  },
+
+  testimonialChangesRequested: (
+    seekerName,
+    comments,
+    submissionUrl,
+    expiresAt
+  ) => `
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Arial, sans-serif; background-color: #ffffff;">
+      <img src="[YOUR_LOGO_URL]" alt="Logo" style="display: block; margin: 0 auto 30px; height: 40px;">
+      <h2 style="color: #1a1a1a; margin-bottom: 20px; text-align: center; font-size: 24px; font-weight: 600;">${seekerName} Asked for a Few Changes</h2>
+      <p style="color: #444444; margin-bottom: 24px; line-height: 1.6; text-align: center;">Thank you for your testimonial. Before it's published, ${seekerName} would like you to take another look:</p>
+      <div style="background: #f8f9fa; border-radius: 8px; padding: 24px; margin: 20px 0;">
+        <p style="color: #444444; margin: 0; line-height: 1.6;">${comments}</p>
+      </div>
+      <div style="text-align: center; margin: 32px 0;">
+        <a href="${submissionUrl}" style="background: #0066ff; color: #ffffff; padding: 14px 28px; text-decoration: none; display: inline-block; border-radius: 6px; font-weight: 500; font-size: 16px;">Update Testimonial</a>
+      </div>
+      <p style="color: #666666; font-size: 14px; text-align: center; margin-top: 24px; line-height: 1.5;">Button not working? Copy and paste this link:<br>
+        <a href="${submissionUrl}" style="color: #0066ff; text-decoration: none; word-break: break-all;">${submissionUrl}</a>
+      </p>
+      <div style="margin-top: 40px; padding-top: 20px; border-top: 1px solid #eaeaea; text-align: center;">
+        <p style="color: #666666; font-size: 13px; margin-bottom: 10px;">Your earlier answers are saved. This link is personal to you and expires on ${expiresAt.toUTCString()}.</p>
+        <p style="color: #666666; font-size: 13px;">Questions? Contact us at <a href="mailto:support@example.com" style="color: #0066ff; text-decoration: none;">support@example.com</a></p>
+      </div>
+    </div>
+  `,
 };
 
 export { emailTemplates };
@@ -0,0 +1,27 @@
+// src/utils/escape.js
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape text for safe inclusion in HTML.
+ *
+ * @param {string} text - Plain text.
+ * @returns {string} - Escaped text.
+ */
+export const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Escape a string for literal use in a regular expression.
+ *
+ * @param {string} value - Raw string.
+ * @returns {string} - Escaped string.
+ */
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -1,23 +1,36 @@
 import mongoose from 'mongoose';
+import { logger } from './logger.js';
 
 // src/utils/transaction.js
 
 /**
  * Executes a function within a MongoDB transaction.
  * @param {Function} fn - The function to execute within the transaction. Receives the session as a parameter.
+ * @param {Object} [options]
+ * @param {Function} [options.afterCommit] - Called with the session once the transaction has committed. Its failure is logged, not thrown, since the transaction can no longer be undone.
  * @returns {*} The result of the function.
  */
-export const withTransaction = async (fn) => {
+export const withTransaction = async (fn, { afterCommit } = {}) => {
   const session = await mongoose.startSession();
+  let result;
   try {
     session.startTransaction();
-    const result = await fn(session);
+    result = await fn(session);
     await session.commitTransaction();
-    return result;
   } catch (error) {
     await session.abortTransaction();
     throw error;
   } finally {
     session.endSession();
   }
+
+  if (afterCommit) {
+    try {
+      await afterCommit(session);
+    } catch (error) {
+      logger.error('❌ After-commit hook failed:', { error: error.message });
+    }
+  }
+
+  return result;
 };
@@ -79,6 +79,566 @@ const boolean = (field) => {
   ];
 };
 
+/**
+ * Combine validation chains into a single middleware array
+ * @param {Array} validations - express-validator chains
+ */
+export const createValidator = (validations) => validations.flat();
+
+/**
+ * Certificate generation validation rules
+ */
+export const certificateGenerationValidation = [
+  ...objectId('testimonialId'),
+  body('template')
+    .optional()
+    .isString()
+    .withMessage('template must be a string'),
+  body('customization')
+    .optional()
+    .isObject()
+    .withMessage('customization must be an object'),
+  body('customization.colors')
+    .optional()
+    .isObject()
+    .withMessage('customization.colors must be an object'),
+  body('customization.colors.*')
+    .matches(/^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/)
+    .withMessage('Certificate colors must be hex values'),
+  body('customization.logoUrl')
+    .optional()
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('customization.logoUrl must be an HTTPS URL'),
+  body('customization.giverIds')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('customization.giverIds must be a non-empty array'),
+  body('customization.giverIds.*')
+    .isMongoId()
+    .withMessage('Each giver ID must be a valid MongoDB ObjectId'),
+];
+
+/**
+ * Bulk approve/reject validation rules
+ */
+export const bulkProcessValidation = [
+  body('testimonialIds')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('testimonialIds must be an array of 1 to 1000 IDs'),
+  body('testimonialIds.*')
+    .isMongoId()
+    .withMessage('Each testimonial ID must be a valid MongoDB ObjectId'),
+  body('action')
+    .isIn(['approve', 'reject'])
+    .withMessage('action must be either "approve" or "reject"'),
+  ...string('reason', 'body', { min: 1, max: 500 }),
+];
+
+/**
+ * Giver draft validation rules
+ */
+export const giverDraftValidation = [
+  ...objectId('testimonialId'),
+  body('testimonialText')
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('testimonialText must be at most 5000 characters'),
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('rating must be an integer between 1 and 5'),
+  ...string('relationship', 'body', { min: 1, max: 100 }),
+  body('skills')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('skills must be an array of at most 20 skills'),
+  body('skills.*')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each skill must be between 1 and 50 characters'),
+  body('skillRatings')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('skillRatings must be an array of at most 20 ratings'),
+  body('skillRatings.*.name')
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each skill rating needs a skill name'),
+  body('skillRatings.*.score')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Each skill score must be an integer between 1 and 5'),
+  body('answers')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('answers must be an array of at most 20 answers'),
+  body('answers.*.questionId')
+    .isMongoId()
+    .withMessage('Each answer needs a valid questionId'),
+];
+
+/**
+ * Testimonial review (approve/reject) validation rules
+ */
+export const testimonialApprovalValidation = [
+  ...objectId('testimonialId'),
+  ...objectId('giverId', 'body'),
+  ...string('comments', 'body', { min: 1, max: 500 }),
+];
+
+/**
+ * Testimonial change request validation rules
+ */
+export const testimonialChangeRequestValidation = [
+  ...objectId('testimonialId'),
+  ...objectId('giverId', 'body'),
+  body('comments')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('comments must be between 1 and 500 characters'),
+];
+
+/**
+ * Giver edit link request validation rules
+ */
+export const giverEditLinkValidation = [
+  ...objectId('testimonialId'),
+  body('email').trim().isEmail().withMessage('A valid email is required'),
+];
+
+/**
+ * Giver edit link token validation rules
+ */
+export const giverEditTokenValidation = [
+  ...objectId('testimonialId'),
+  param('editToken')
+    .matches(/^[A-Za-z0-9_-]{32}$/)
+    .withMessage('Invalid edit link'),
+];
+
+/**
+ * Testimonial revision review validation rules
+ */
+export const revisionReviewValidation = [
+  ...objectId('testimonialId'),
+  ...objectId('giverId'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer')
+    .toInt(),
+  ...string('comments', 'body', { min: 1, max: 500 }),
+];
+
+/**
+ * Widget key creation validation rules
+ */
+export const widgetKeyCreateValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be between 1 and 100 characters'),
+  body('allowedOrigins')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('allowedOrigins must be an array of 1 to 20 origins'),
+  body('allowedOrigins.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each allowed origin must be an http(s) URL'),
+  body('layout')
+    .optional()
+    .isIn(['carousel', 'grid', 'single'])
+    .withMessage('layout must be one of "carousel", "grid" or "single"'),
+  body('testimonialIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('testimonialIds must be an array of at most 100 IDs'),
+  body('testimonialIds.*')
+    .isMongoId()
+    .withMessage('Each testimonial ID must be a valid MongoDB ObjectId'),
+];
+
+/**
+ * Widget key update validation rules
+ */
+export const widgetKeyUpdateValidation = [
+  ...objectId('keyId'),
+  ...string('name', 'body', { min: 1, max: 100 }),
+  body('allowedOrigins')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('allowedOrigins must be an array of 1 to 20 origins'),
+  body('allowedOrigins.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each allowed origin must be an http(s) URL'),
+  body('layout')
+    .optional()
+    .isIn(['carousel', 'grid', 'single'])
+    .withMessage('layout must be one of "carousel", "grid" or "single"'),
+  body('testimonialIds')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('testimonialIds must be an array of at most 100 IDs'),
+  body('testimonialIds.*')
+    .isMongoId()
+    .withMessage('Each testimonial ID must be a valid MongoDB ObjectId'),
+];
+
+/**
+ * Widget feed validation rules
+ */
+export const widgetFeedValidation = [
+  query('key').isString().withMessage('key is required'),
+  query('layout')
+    .optional()
+    .isIn(['carousel', 'grid', 'single'])
+    .withMessage('layout must be one of "carousel", "grid" or "single"'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('limit must be a positive integer'),
+];
+
+/**
+ * Testimonial search validation rules
+ */
+export const testimonialSearchValidation = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('q cannot exceed 200 characters'),
+  query(['status', 'skills', 'categories'])
+    .optional()
+    .custom((value) =>
+      [].concat(value).every((item) => typeof item === 'string')
+    )
+    .withMessage('Facet filters must be strings or comma-separated lists'),
+  query(['minRating', 'maxRating'])
+    .optional()
+    .isFloat({ min: 1, max: 5 })
+    .withMessage('Rating filters must be between 1 and 5'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be valid ISO 8601 dates'),
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('cursor must be a cursor from a previous page'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+];
+
+/**
+ * Semantic search and "more like this" validation rules
+ */
+export const semanticSearchValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('q must be between 3 and 500 characters'),
+];
+
+export const similarityOptionsValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('limit must be between 1 and 50'),
+  query('minScore')
+    .optional()
+    .isFloat({ min: -1, max: 1 })
+    .withMessage('minScore must be between -1 and 1'),
+];
+
+/**
+ * Testimonial export validation rules
+ */
+export const testimonialExportValidation = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson', 'xlsx'])
+    .withMessage('format must be one of "csv", "ndjson" or "xlsx"'),
+  query('columns')
+    .optional()
+    .isString()
+    .withMessage('columns must be a comma-separated list'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'in-progress', 'completed', 'approved', 'reported'])
+    .withMessage('Invalid status'),
+  query(['isPublic', 'includeArchived'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean')
+    .toBoolean(),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Date filters must be valid ISO 8601 dates'),
+];
+
+/**
+ * Contact import preview validation rules
+ */
+export const contactImportPreviewValidation = [
+  body('mapping')
+    .optional()
+    .custom((value) => {
+      const mapping = typeof value === 'string' ? JSON.parse(value) : value;
+      return (
+        mapping &&
+        typeof mapping === 'object' &&
+        Object.entries(mapping).every(
+          ([field, header]) =>
+            ['name', 'email', 'company', 'relationship'].includes(field) &&
+            typeof header === 'string'
+        )
+      );
+    })
+    .withMessage(
+      'mapping must map name, email, company or relationship to column headers'
+    ),
+];
+
+/**
+ * Contact import confirmation validation rules
+ */
+export const contactImportConfirmValidation = [
+  param('importId')
+    .isString()
+    .isLength({ min: 1, max: 32 })
+    .withMessage('Invalid import ID'),
+  body('projectDetails')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('projectDetails must be between 1 and 2000 characters'),
+  body('exclude')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('exclude must be an array of emails'),
+  body('exclude.*')
+    .isEmail()
+    .withMessage('Each excluded entry must be an email'),
+  body('templateId')
+    .optional()
+    .isMongoId()
+    .withMessage('templateId must be a valid MongoDB ObjectId'),
+];
+
+/**
+ * Questionnaire summary validation rules
+ */
+export const questionnaireSummaryValidation = [
+  ...objectId('testimonialId'),
+  body('tone')
+    .optional()
+    .isIn(['professional', 'casual', 'enthusiastic', 'balanced'])
+    .withMessage(
+      'tone must be one of "professional", "casual", "enthusiastic" or "balanced"'
+    ),
+];
+
+/**
+ * Moderation queue validation rules
+ */
+export const moderationQueueValidation = [
+  query('reason')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('reason must be between 1 and 100 characters'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'claimed'])
+    .withMessage('status must be "pending" or "claimed"'),
+  query(['minAgeHours', 'maxAgeHours'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Age filters must be non-negative numbers of hours'),
+  query('minReporters')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minReporters must be a positive integer'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+/**
+ * Report claim validation rules
+ */
+export const reportClaimValidation = [
+  ...objectId('testimonialId'),
+  ...objectId('reportId'),
+];
+
+/**
+ * Report resolution validation rules
+ */
+export const reportResolutionValidation = [
+  ...reportClaimValidation,
+  body('action')
+    .isIn(['dismiss', 'hide', 'remove', 'warn'])
+    .withMessage('action must be one of "dismiss", "hide", "remove" or "warn"'),
+  ...string('notes', 'body', { min: 1, max: 1000 }),
+];
+
+/**
+ * Moderation SLA validation rules
+ */
+export const moderationSlaValidation = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be valid ISO 8601 dates'),
+];
+
+/**
+ * Appeal submission validation rules (Seeker)
+ */
+export const appealValidation = [
+  ...objectId('testimonialId'),
+  body('decision')
+    .isIn(['giver_rejection', 'moderation'])
+    .withMessage('decision must be "giver_rejection" or "moderation"'),
+  body('giverId')
+    .if(body('decision').equals('giver_rejection'))
+    .isMongoId()
+    .withMessage('giverId must be a valid MongoDB ObjectId'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('reason must be between 10 and 2000 characters'),
+];
+
+/**
+ * Appeal submission validation rules (Giver)
+ */
+export const giverAppealValidation = [
+  ...objectId('testimonialId'),
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('reason must be between 10 and 2000 characters'),
+];
+
+/**
+ * Appeal list validation rules
+ */
+export const appealListValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'upheld', 'overturned'])
+    .withMessage('status must be "open", "upheld" or "overturned"'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+];
+
+/**
+ * Appeal decision validation rules
+ */
+export const appealDecisionValidation = [
+  ...objectId('testimonialId'),
+  ...objectId('appealId'),
+  body('outcome')
+    .isIn(['upheld', 'overturned'])
+    .withMessage('outcome must be "upheld" or "overturned"'),
+  ...string('notes', 'body', { min: 1, max: 1000 }),
+];
+
+/**
+ * Request template validation rules
+ */
+const requestTemplateFields = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('name must be between 1 and 100 characters'),
+    field('emailSubject')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('emailSubject must be between 1 and 200 characters'),
+    field('emailBody')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('emailBody must be between 1 and 5000 characters'),
+    body('promptQuestions')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('promptQuestions must be an array of at most 10 questions'),
+    body('promptQuestions.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 300 })
+      .withMessage('Each prompt question must be between 1 and 300 characters'),
+    body('requestedSkills')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('requestedSkills must be an array of at most 20 skills'),
+    body('requestedSkills.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each skill must be between 1 and 50 characters'),
+    body('expiryDays')
+      .optional()
+      .isInt({ min: 1, max: 60 })
+      .withMessage('expiryDays must be between 1 and 60')
+      .toInt(),
+  ];
+};
+
+export const requestTemplateCreateValidation = requestTemplateFields(true);
+
+export const requestTemplateUpdateValidation = [
+  ...objectId('templateId'),
+  ...requestTemplateFields(false),
+];
+
+/**
+ * Request template preview validation rules
+ */
+export const requestTemplatePreviewValidation = [
+  ...objectId('templateId'),
+  query('giverEmail')
+    .optional()
+    .isEmail()
+    .withMessage('giverEmail must be a valid email'),
+  query('projectDetails')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('projectDetails must be between 1 and 2000 characters'),
+];
+
 const validators = {
   objectId,
   string,